@@ -0,0 +1,60 @@
+import { test, expect, type Page } from '@playwright/test';
+
+test.describe('Autoscroll', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/iframe-dnd-demo/parent.html');
+    await page.waitForLoadState('networkidle');
+
+    // Make Frame B's content taller than the iframe
+    await page.evaluate(() => {
+      const frameB = document.getElementById('frame-b') as HTMLIFrameElement;
+      frameB.contentDocument!.body.style.minHeight = '3000px';
+    });
+  });
+
+  test('should scroll a frame while dragging near its bottom edge', async ({ page }) => {
+    await postDragToFrameB(page, 'parentDragMove');
+    await page.waitForTimeout(500);
+
+    expect(await getFrameBScroll(page)).toBeGreaterThan(0);
+  });
+
+  test('should stop scrolling when the drag leaves the frame', async ({ page }) => {
+    await postDragToFrameB(page, 'parentDragMove');
+    await page.waitForTimeout(300);
+    await postDragToFrameB(page, 'parentDragLeave');
+
+    const scrollTop = await getFrameBScroll(page);
+    await page.waitForTimeout(300);
+    expect(await getFrameBScroll(page)).toBe(scrollTop);
+  });
+});
+
+/**
+ * Post a drag message to Frame B with the pointer just above the bottom of its viewport
+ */
+async function postDragToFrameB(page: Page, type: 'parentDragMove' | 'parentDragLeave') {
+  await page.evaluate((type: string) => {
+    const frameB = document.getElementById('frame-b') as HTMLIFrameElement;
+    const frameWindow = frameB.contentWindow!;
+
+    const message = type === 'parentDragMove'
+      ? {
+        type,
+        version: 1,
+        x: frameWindow.innerWidth / 2,
+        y: frameWindow.innerHeight - 5,
+        dragData: { text: 'Scroll Item', id: 'scroll-item', source: 'frame-a' }
+      }
+      : { type, version: 1 };
+
+    frameWindow.postMessage(message, window.location.origin);
+  }, type);
+}
+
+async function getFrameBScroll(page: Page): Promise<number> {
+  return page.evaluate(() => {
+    const frameB = document.getElementById('frame-b') as HTMLIFrameElement;
+    return frameB.contentWindow!.scrollY;
+  });
+}
@@ -0,0 +1,57 @@
+import { test, expect, type Page } from '@playwright/test';
+import { dragItem } from './helpers';
+
+test.describe('Coordinator Events', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/iframe-dnd-demo/parent.html');
+    await page.waitForLoadState('networkidle');
+  });
+
+  test('should report a drop with its target and effect', async ({ page }) => {
+    await dragItem(page, { to: 'frame-b' });
+
+    await expect(page.locator('#event-status')).toHaveText(/^Dropped ".*Design Asset" on frame-b \(move\)$/);
+  });
+
+  test('should report a cancelled drag with its reason', async ({ page }) => {
+    await dragItem(page, { to: 'frame-b', escape: true });
+
+    await expect(page.locator('#event-status')).toHaveText(/^Drag of ".*Design Asset" cancelled \(escape\)$/);
+  });
+
+  test('should not report a failed drop when the drag ends in its own frame', async ({ page }) => {
+    await dragWithinFrameA(page);
+
+    // Longer than the coordinator's dropTimeout
+    await page.waitForTimeout(3500);
+
+    await expect(page.locator('#event-status')).not.toHaveText(/failed/);
+    await expect(page.frameLocator('#frame-a').locator('.draggable.pending')).toHaveCount(0);
+  });
+});
+
+/**
+ * Drag the first item of Frame A a little and release it inside Frame A, so the frame
+ * itself reports the end of the drag
+ */
+async function dragWithinFrameA(page: Page) {
+  await page.evaluate(async () => {
+    const frameA = document.getElementById('frame-a') as HTMLIFrameElement;
+    const draggableDoc = frameA.contentDocument!;
+    const draggable = draggableDoc.querySelector('.draggable') as HTMLElement;
+
+    const draggableRect = draggable.getBoundingClientRect();
+    const startX = draggableRect.left + draggableRect.width / 2;
+    const startY = draggableRect.top + draggableRect.height / 2;
+    const wait = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+    const init = { bubbles: true, cancelable: true, pointerId: 1, pointerType: 'mouse', isPrimary: true };
+
+    draggable.dispatchEvent(new PointerEvent('pointerdown', { ...init, clientX: startX, clientY: startY }));
+    await wait(100);
+    draggableDoc.dispatchEvent(new PointerEvent('pointermove', { ...init, clientX: startX + 10, clientY: startY + 20 }));
+    await wait(200);
+    draggableDoc.dispatchEvent(new PointerEvent('pointerup', { ...init, clientX: startX + 10, clientY: startY + 20 }));
+  });
+
+  await page.waitForTimeout(500);
+}
@@ -0,0 +1,49 @@
+import { test, expect, type Page } from '@playwright/test';
+import { addFrame, dragItem } from './helpers';
+
+test.describe('Cross-Origin Frames', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/iframe-dnd-demo/parent.html');
+    await page.waitForLoadState('networkidle');
+  });
+
+  test('should not deliver drops to a frame on another origin than allowed', async ({ page }) => {
+    await addFrameC(page, 'http://127.0.0.1:5173');
+    await dragItem(page, { id: '1', to: 'frame-c' });
+
+    const frameA = page.frameLocator('#frame-a');
+    const frameC = page.frameLocator('#frame-c');
+    await expect(frameC.locator('.dropped-item')).toHaveCount(0);
+    await expect(frameA.locator('.draggable[data-id="1"]')).toHaveCount(1);
+  });
+
+  test('should ignore drops posted by a sibling frame', async ({ page }) => {
+    await page.frame({ url: /frame-a\.html/ })!.evaluate(() => {
+      const frameB = window.parent.document.getElementById('frame-b') as HTMLIFrameElement;
+      const zone = frameB.contentDocument!.querySelector('.drop-zone') as HTMLElement;
+      const rect = zone.getBoundingClientRect();
+
+      frameB.contentWindow!.postMessage({
+        type: 'parentDrop',
+        version: 1,
+        x: rect.left + rect.width / 2,
+        y: rect.top + rect.height / 2,
+        dragData: { text: 'Forged Item', id: 'forged', source: 'frame-a' },
+        sessionId: 'forged-1'
+      }, window.location.origin);
+    });
+    await page.waitForTimeout(300);
+
+    await expect(page.frameLocator('#frame-b').locator('.dropped-item')).toHaveCount(0);
+  });
+});
+
+/**
+ * Add a third drop zones frame, discovered through data-dnd-frame-id, that is only
+ * allowed on the given origin
+ */
+async function addFrameC(page: Page, origin: string) {
+  await addFrame(page, 'frame-c', { src: 'frame-b.html' }, origin);
+
+  await expect(page.frameLocator('#frame-c').locator('.drop-zone').first()).toBeVisible();
+}
@@ -0,0 +1,79 @@
+import { test, expect, type Page } from '@playwright/test';
+
+test.describe('Drag Cancellation', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/iframe-dnd-demo/parent.html');
+    await page.waitForLoadState('networkidle');
+  });
+
+  test('should cancel a drag when Escape is pressed in the source frame', async ({ page }) => {
+    await dragAndCancel(page, 'source-escape');
+    await expectDragCancelled(page);
+  });
+
+  test('should cancel a drag when Escape is pressed in the parent', async ({ page }) => {
+    await dragAndCancel(page, 'parent-escape');
+    await expectDragCancelled(page);
+  });
+
+  test('should cancel a drag on pointercancel', async ({ page }) => {
+    await dragAndCancel(page, 'pointercancel');
+    await expectDragCancelled(page);
+  });
+});
+
+/**
+ * Drag the first item of Frame A over the first drop zone of Frame B, cancel the
+ * drag in the given way, then release the pointer over the drop zone
+ */
+async function dragAndCancel(page: Page, cancel: 'source-escape' | 'parent-escape' | 'pointercancel') {
+  await page.evaluate(async (cancel: string) => {
+    const frameA = document.getElementById('frame-a') as HTMLIFrameElement;
+    const frameB = document.getElementById('frame-b') as HTMLIFrameElement;
+    const draggableDoc = frameA.contentDocument!;
+    const draggable = draggableDoc.querySelector('.draggable') as HTMLElement;
+    const dropZone = frameB.contentDocument!.querySelector('.drop-zone') as HTMLElement;
+
+    const draggableRect = draggable.getBoundingClientRect();
+    const dropZoneRect = dropZone.getBoundingClientRect();
+    const frameBRect = frameB.getBoundingClientRect();
+    const startX = draggableRect.left + draggableRect.width / 2;
+    const startY = draggableRect.top + draggableRect.height / 2;
+    const endX = frameBRect.left + dropZoneRect.left + dropZoneRect.width / 2;
+    const endY = frameBRect.top + dropZoneRect.top + dropZoneRect.height / 2;
+    const wait = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+    const init = { bubbles: true, cancelable: true, pointerId: 1, pointerType: 'mouse', isPrimary: true };
+
+    draggable.dispatchEvent(new PointerEvent('pointerdown', { ...init, clientX: startX, clientY: startY }));
+    await wait(100);
+    draggableDoc.dispatchEvent(new PointerEvent('pointermove', { ...init, clientX: startX + 10, clientY: startY + 10 }));
+    await wait(100);
+    document.dispatchEvent(new PointerEvent('pointermove', { ...init, clientX: endX, clientY: endY }));
+    await wait(200);
+
+    if (cancel === 'source-escape') {
+      draggableDoc.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+    } else if (cancel === 'parent-escape') {
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+    } else {
+      draggableDoc.dispatchEvent(new PointerEvent('pointercancel', init));
+    }
+    await wait(100);
+
+    document.dispatchEvent(new PointerEvent('pointerup', { ...init, clientX: endX, clientY: endY }));
+  }, cancel);
+
+  // Let the snap-back animation finish
+  await page.waitForTimeout(500);
+}
+
+async function expectDragCancelled(page: Page) {
+  const frameA = page.frameLocator('#frame-a');
+  const frameB = page.frameLocator('#frame-b');
+
+  await expect(page.locator('.drag-preview')).toHaveCount(0);
+  await expect(frameA.locator('.draggable', { hasText: 'Design Asset' })).toHaveCount(1);
+  await expect(frameA.locator('.draggable.dragging')).toHaveCount(0);
+  await expect(frameB.locator('.dropped-item', { hasText: 'Design Asset' })).toHaveCount(0);
+  await expect(frameB.locator('.drop-zone.hover')).toHaveCount(0);
+}
@@ -0,0 +1,65 @@
+import { test, expect, type Page } from '@playwright/test';
+
+test.describe('Typed Drag Payloads', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/iframe-dnd-demo/parent.html');
+    await page.waitForLoadState('networkidle');
+  });
+
+  test('should render the preferred accepted representation', async ({ page }) => {
+    await postDropToFrameB(page, {
+      'text/plain': 'Plain Label',
+      'application/x-item+json': { id: 'payload-1', text: 'Item Label' }
+    });
+
+    const texts = await getDroppedTexts(page);
+    expect(texts).toEqual(['Item Label']);
+  });
+
+  test('should fall back to a row representation', async ({ page }) => {
+    await postDropToFrameB(page, {
+      'application/x-row+json': { id: 'payload-1', description: 'Concrete', quantity: 2, unitPrice: 50 }
+    });
+
+    const texts = await getDroppedTexts(page);
+    expect(texts).toEqual(['Concrete']);
+  });
+
+  test('should reject a drop without an accepted type', async ({ page }) => {
+    await postDropToFrameB(page, {
+      'application/x-unknown+json': { id: 'payload-1' }
+    });
+
+    const texts = await getDroppedTexts(page);
+    expect(texts).toEqual([]);
+  });
+});
+
+/**
+ * Post a parentDrop message carrying the given payload to Frame B's first drop zone
+ */
+async function postDropToFrameB(page: Page, payload: Record<string, unknown>) {
+  await page.evaluate((payload: Record<string, unknown>) => {
+    const frameB = document.getElementById('frame-b') as HTMLIFrameElement;
+    const dropZone = frameB.contentDocument!.querySelector('.drop-zone') as HTMLElement;
+    const rect = dropZone.getBoundingClientRect();
+
+    frameB.contentWindow!.postMessage({
+      type: 'parentDrop',
+      version: 1,
+      x: rect.left + rect.width / 2,
+      y: rect.top + rect.height / 2,
+      dragData: { text: '', id: 'payload-1', source: 'frame-a', payload }
+    }, window.location.origin);
+  }, payload);
+
+  await page.waitForTimeout(300);
+}
+
+async function getDroppedTexts(page: Page) {
+  return page.evaluate(() => {
+    const frameB = document.getElementById('frame-b') as HTMLIFrameElement;
+    return Array.from(frameB.contentDocument!.querySelectorAll('.dropped-item'))
+      .map(item => item.textContent!.trim());
+  });
+}
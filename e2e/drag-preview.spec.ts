@@ -0,0 +1,77 @@
+import { test, expect, type Page } from '@playwright/test';
+
+test.describe('Drag Preview', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/iframe-dnd-demo/parent.html');
+    await page.waitForLoadState('networkidle');
+  });
+
+  test('should hold the preview where the item was grabbed', async ({ page }) => {
+    // Grab the item near its left edge
+    await startDrag(page, '#frame-a', '.draggable', 0.1);
+
+    const transform = await page.locator('.drag-preview').evaluate(el => (el as HTMLElement).style.transform);
+    expect(transform).toMatch(/^translate\(-\d+(\.\d+)?%, -\d+(\.\d+)?%\)$/);
+    expect(transform).not.toBe('translate(-50%, -50%)');
+
+    await releaseDrag(page);
+  });
+
+  test('should render table rows with the row preview template', async ({ page }) => {
+    await page.evaluate(() => {
+      const button = document.querySelector('button[data-demo="table"]') as HTMLButtonElement;
+      if (button) button.click();
+    });
+    await page.waitForTimeout(500);
+
+    await startDrag(page, '#frame-b', 'tbody tr.candidate-row', 0.5);
+
+    const preview = page.locator('.drag-preview.custom .row-preview');
+    await expect(preview).toBeVisible();
+    await expect(preview).toContainText('×');
+
+    await releaseDrag(page);
+  });
+
+  test('should remove the preview after a drop', async ({ page }) => {
+    await startDrag(page, '#frame-a', '.draggable', 0.5);
+    await releaseDrag(page);
+
+    await page.waitForTimeout(500);
+    await expect(page.locator('.drag-preview')).toHaveCount(0);
+  });
+});
+
+/**
+ * Press on an element inside a frame at the given fraction of its width and move
+ * far enough to start a drag
+ */
+async function startDrag(page: Page, frameSelector: string, itemSelector: string, grabX: number) {
+  await page.evaluate(async ({ frameSelector, itemSelector, grabX }: { frameSelector: string; itemSelector: string; grabX: number }) => {
+    const frame = document.querySelector(frameSelector) as HTMLIFrameElement;
+    const frameDoc = frame.contentDocument!;
+    const item = frameDoc.querySelector(itemSelector) as HTMLElement;
+    const rect = item.getBoundingClientRect();
+    const x = rect.left + rect.width * grabX;
+    const y = rect.top + rect.height / 2;
+    const init = { bubbles: true, cancelable: true, pointerId: 1, pointerType: 'mouse', isPrimary: true };
+
+    item.dispatchEvent(new PointerEvent('pointerdown', { ...init, clientX: x, clientY: y }));
+    await new Promise(resolve => setTimeout(resolve, 50));
+    frameDoc.dispatchEvent(new PointerEvent('pointermove', { ...init, clientX: x + 10, clientY: y + 10 }));
+  }, { frameSelector, itemSelector, grabX });
+
+  await page.waitForTimeout(200);
+}
+
+async function releaseDrag(page: Page) {
+  await page.evaluate(() => {
+    document.dispatchEvent(new PointerEvent('pointerup', {
+      bubbles: true,
+      cancelable: true,
+      pointerId: 1,
+      pointerType: 'mouse',
+      isPrimary: true
+    }));
+  });
+}
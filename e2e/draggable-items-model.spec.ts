@@ -0,0 +1,71 @@
+import { test, expect, type Page } from '@playwright/test';
+import { addFrame, dragItem } from './helpers';
+
+type ModelItem = { id: string; text: string; [field: string]: unknown };
+type ModelWindow = Window & {
+  manager?: { getItems(): ModelItem[]; setItems(items: ModelItem[]): void };
+};
+
+test.describe('Draggable Items Model', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/iframe-dnd-demo/parent.html');
+    await page.waitForLoadState('networkidle');
+    await addModelFrame(page);
+  });
+
+  test('should render the items with the template', async ({ page }) => {
+    const frameC = page.frameLocator('#frame-c');
+    await expect(frameC.locator('.draggable')).toHaveCount(2);
+    await expect(frameC.locator('.draggable[data-id="a"] .owner')).toHaveText('Ann');
+    expect(await getItems(page)).toEqual([
+      { id: 'a', text: 'Alpha', owner: 'Ann' },
+      { id: 'b', text: 'Beta', owner: 'Bob' }
+    ]);
+  });
+
+  test('should drag items rendered by setItems', async ({ page }) => {
+    await page.frame({ name: 'frame-c' })!.evaluate(() => {
+      (window as ModelWindow).manager!.setItems([{ id: 'c', text: 'Gamma', owner: 'Cy' }]);
+    });
+    await dragItem(page, { from: 'frame-c', id: 'c', to: 'frame-b', at: 'end' });
+
+    await expect(page.frameLocator('#frame-b').locator('.dropped-item', { hasText: 'Gamma' })).toBeVisible();
+    expect(await getItems(page)).toEqual([]);
+  });
+
+  test('should add dropped items to the model', async ({ page }) => {
+    await dragItem(page, { id: '1', to: 'frame-c', at: 'end' });
+
+    await expect(page.frameLocator('#frame-c').locator('.draggable[data-id="1"]')).toBeVisible();
+    expect((await getItems(page)).map(item => item.id)).toEqual(['a', 'b', '1']);
+  });
+});
+
+/**
+ * Add a frame whose DraggableItemsManager renders two items through a template function
+ * and is exposed as window.manager
+ */
+async function addModelFrame(page: Page) {
+  await addFrame(page, 'frame-c', {
+    html: `<div class="draggable-items" style="min-height: 200px"></div>
+      <script type="module">
+        import { DraggableItemsManager } from '/iframe-dnd-demo/draggable-items-communication.js';
+        window.manager = new DraggableItemsManager({
+          frameId: 'frame-c',
+          allowedOrigin: window.parent.location.origin,
+          items: [
+            { id: 'a', text: 'Alpha', owner: 'Ann' },
+            { id: 'b', text: 'Beta', owner: 'Bob' }
+          ],
+          template: (item) => item.text + ' <span class="owner">' + item.owner + '</span>'
+        });
+        window.manager.initialize();
+      </script>`
+  });
+
+  await expect(page.frameLocator('#frame-c').locator('.draggable').first()).toBeVisible();
+}
+
+async function getItems(page: Page): Promise<ModelItem[]> {
+  return page.frame({ name: 'frame-c' })!.evaluate(() => (window as ModelWindow).manager!.getItems());
+}
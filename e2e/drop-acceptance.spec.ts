@@ -0,0 +1,54 @@
+import { test, expect, type Page } from '@playwright/test';
+
+test.describe('Drop Acceptance', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/iframe-dnd-demo/parent.html');
+    await page.waitForLoadState('networkidle');
+  });
+
+  test('should not accept more items than a zone allows', async ({ page }) => {
+    // The In Progress zone declares data-max-items="3"
+    for (let i = 1; i <= 4; i++) {
+      await postToInProgress(page, 'parentDrop', `capacity-${i}`);
+    }
+
+    const count = await page.evaluate(() => {
+      const frameB = document.getElementById('frame-b') as HTMLIFrameElement;
+      return frameB.contentDocument!
+        .querySelectorAll('[data-zone-id="zone-2"] .dropped-item').length;
+    });
+    expect(count).toBe(3);
+  });
+
+  test('should mark a full zone as forbidden while hovering', async ({ page }) => {
+    for (let i = 1; i <= 3; i++) {
+      await postToInProgress(page, 'parentDrop', `capacity-${i}`);
+    }
+    await postToInProgress(page, 'parentDragMove', 'capacity-4');
+
+    const zone = page.frameLocator('#frame-b').locator('[data-zone-id="zone-2"]');
+    await expect(zone).toHaveClass(/drop-forbidden/);
+    await expect(zone).not.toHaveClass(/\bhover\b/);
+  });
+});
+
+/**
+ * Post a parentDrop or parentDragMove message aimed at Frame B's In Progress zone
+ */
+async function postToInProgress(page: Page, type: 'parentDrop' | 'parentDragMove', id: string) {
+  await page.evaluate(({ type, id }: { type: string; id: string }) => {
+    const frameB = document.getElementById('frame-b') as HTMLIFrameElement;
+    const dropZone = frameB.contentDocument!.querySelector('[data-zone-id="zone-2"]') as HTMLElement;
+    const rect = dropZone.getBoundingClientRect();
+
+    frameB.contentWindow!.postMessage({
+      type,
+      version: 1,
+      x: rect.left + rect.width / 2,
+      y: rect.top + 10,
+      dragData: { text: `Item ${id}`, id, source: 'frame-a' }
+    }, window.location.origin);
+  }, { type, id });
+
+  await page.waitForTimeout(300);
+}
@@ -0,0 +1,69 @@
+import { test, expect, type Page } from '@playwright/test';
+
+test.describe('Drop Effects', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/iframe-dnd-demo/parent.html');
+    await page.waitForLoadState('networkidle');
+  });
+
+  test('should move an item without modifier keys', async ({ page }) => {
+    await dragFirstItemToFirstZone(page, {});
+
+    const frameA = page.frameLocator('#frame-a');
+    const frameB = page.frameLocator('#frame-b');
+    await expect(frameB.locator('.dropped-item', { hasText: 'Design Asset' })).toBeVisible();
+    await expect(frameA.locator('.draggable', { hasText: 'Design Asset' })).toHaveCount(0);
+  });
+
+  test('should copy an item when Ctrl is held', async ({ page }) => {
+    await dragFirstItemToFirstZone(page, { ctrlKey: true });
+
+    const frameA = page.frameLocator('#frame-a');
+    const frameB = page.frameLocator('#frame-b');
+    await expect(frameB.locator('.dropped-item', { hasText: 'Design Asset' })).toBeVisible();
+    await expect(frameA.locator('.draggable', { hasText: 'Design Asset' })).toHaveCount(1);
+  });
+
+  test('should link an item when Alt is held', async ({ page }) => {
+    await dragFirstItemToFirstZone(page, { altKey: true });
+
+    const frameA = page.frameLocator('#frame-a');
+    const frameB = page.frameLocator('#frame-b');
+    await expect(frameB.locator('.dropped-item.linked', { hasText: 'Design Asset' })).toBeVisible();
+    await expect(frameA.locator('.draggable', { hasText: 'Design Asset' })).toHaveCount(1);
+  });
+});
+
+/**
+ * Drag the first item of Frame A onto the first drop zone of Frame B,
+ * holding the given modifier keys while moving over the parent
+ */
+async function dragFirstItemToFirstZone(page: Page, modifiers: { ctrlKey?: boolean; altKey?: boolean }) {
+  await page.evaluate(async (modifiers: { ctrlKey?: boolean; altKey?: boolean }) => {
+    const frameA = document.getElementById('frame-a') as HTMLIFrameElement;
+    const frameB = document.getElementById('frame-b') as HTMLIFrameElement;
+    const draggableDoc = frameA.contentDocument!;
+    const draggable = draggableDoc.querySelector('.draggable') as HTMLElement;
+    const dropZone = frameB.contentDocument!.querySelector('.drop-zone') as HTMLElement;
+
+    const draggableRect = draggable.getBoundingClientRect();
+    const dropZoneRect = dropZone.getBoundingClientRect();
+    const frameBRect = frameB.getBoundingClientRect();
+    const startX = draggableRect.left + draggableRect.width / 2;
+    const startY = draggableRect.top + draggableRect.height / 2;
+    const endX = frameBRect.left + dropZoneRect.left + dropZoneRect.width / 2;
+    const endY = frameBRect.top + dropZoneRect.top + dropZoneRect.height / 2;
+    const wait = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+    const init = { bubbles: true, cancelable: true, pointerId: 1, pointerType: 'mouse', isPrimary: true };
+
+    draggable.dispatchEvent(new PointerEvent('pointerdown', { ...init, clientX: startX, clientY: startY }));
+    await wait(100);
+    draggableDoc.dispatchEvent(new PointerEvent('pointermove', { ...init, ...modifiers, clientX: startX + 10, clientY: startY + 10 }));
+    await wait(100);
+    document.dispatchEvent(new PointerEvent('pointermove', { ...init, ...modifiers, clientX: endX, clientY: endY }));
+    await wait(200);
+    document.dispatchEvent(new PointerEvent('pointerup', { ...init, ...modifiers, clientX: endX, clientY: endY }));
+  }, modifiers);
+
+  await page.waitForTimeout(500);
+}
@@ -0,0 +1,61 @@
+import { test, expect, type Page } from '@playwright/test';
+
+test.describe('Drop Transactions', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/iframe-dnd-demo/parent.html');
+    await page.waitForLoadState('networkidle');
+  });
+
+  test('should keep a prepared drop pending until it is committed', async ({ page }) => {
+    await postToFrameB(page, 'parentDrop', 'session-1');
+
+    const item = page.frameLocator('#frame-b').locator('.dropped-item[data-id="tx-item"]');
+    await expect(item).toHaveClass(/pending/);
+
+    await postToFrameB(page, 'commitDrop', 'session-1');
+    await expect(item).toHaveCount(1);
+    await expect(item).not.toHaveClass(/pending/);
+  });
+
+  test('should discard a prepared drop when it is rolled back', async ({ page }) => {
+    await postToFrameB(page, 'parentDrop', 'session-1');
+    await postToFrameB(page, 'rollbackDrop', 'session-1');
+
+    const item = page.frameLocator('#frame-b').locator('.dropped-item[data-id="tx-item"]');
+    await expect(item).toHaveCount(0);
+  });
+
+  test('should prepare a repeated drop only once', async ({ page }) => {
+    await postToFrameB(page, 'parentDrop', 'session-1');
+    await postToFrameB(page, 'parentDrop', 'session-1');
+
+    const item = page.frameLocator('#frame-b').locator('.dropped-item[data-id="tx-item"]');
+    await expect(item).toHaveCount(1);
+  });
+});
+
+/**
+ * Post a drop transaction message for the given session to Frame B's first drop zone
+ */
+async function postToFrameB(page: Page, type: 'parentDrop' | 'commitDrop' | 'rollbackDrop', sessionId: string) {
+  await page.evaluate(({ type, sessionId }: { type: string; sessionId: string }) => {
+    const frameB = document.getElementById('frame-b') as HTMLIFrameElement;
+    const dropZone = frameB.contentDocument!.querySelector('.drop-zone') as HTMLElement;
+    const rect = dropZone.getBoundingClientRect();
+
+    const message = type === 'parentDrop'
+      ? {
+        type,
+        version: 1,
+        x: rect.left + rect.width / 2,
+        y: rect.top + rect.height / 2,
+        dragData: { text: 'Transaction Item', id: 'tx-item', source: 'frame-a', sessionId },
+        sessionId
+      }
+      : { type, version: 1, sessionId };
+
+    frameB.contentWindow!.postMessage(message, window.location.origin);
+  }, { type, sessionId });
+
+  await page.waitForTimeout(300);
+}
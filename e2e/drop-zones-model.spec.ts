@@ -0,0 +1,95 @@
+import { test, expect, type Page } from '@playwright/test';
+import { addFrame, dragItem } from './helpers';
+
+type ModelItem = { id: string; text: string; [field: string]: unknown };
+type ZoneChange = { zoneId: string; reason: string; items: ModelItem[] };
+type ModelWindow = Window & {
+  changes?: ZoneChange[];
+  manager?: {
+    getZones(): Array<{ id: string; title?: string; maxItems?: number; items: ModelItem[] }>;
+    getZoneContents(zoneId: string): ModelItem[];
+    setZoneContents(zoneId: string, items: ModelItem[]): void;
+  };
+};
+
+test.describe('Drop Zones Model', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/iframe-dnd-demo/parent.html');
+    await page.waitForLoadState('networkidle');
+    await addBoardFrame(page);
+  });
+
+  test('should render the zones and their items from data', async ({ page }) => {
+    const board = page.frameLocator('#frame-c');
+    await expect(board.locator('[data-zone-id]')).toHaveCount(3);
+    await expect(board.locator('[data-zone-id="doing"] h3')).toHaveText('Doing (max 1)');
+    await expect(board.locator('.card[data-id="t1"]')).toHaveText('Write docs');
+
+    const zones = await evaluateBoard(page, () => (window as ModelWindow).manager!.getZones());
+    expect(zones.map(zone => zone.id)).toEqual(['todo', 'doing', 'done']);
+    expect(zones[1]).toMatchObject({ title: 'Doing', maxItems: 1, items: [{ id: 't2', text: 'Review PR' }] });
+  });
+
+  test('should add a drop to the zone contents and emit change', async ({ page }) => {
+    await dragItem(page, { id: '1', to: 'frame-c', selector: '[data-zone-id="done"]', at: 'end' });
+
+    await expect.poll(() => evaluateBoard(page, () => (window as ModelWindow).changes!))
+      .toEqual([expect.objectContaining({ zoneId: 'done', reason: 'drop' })]);
+    const contents = await evaluateBoard(page, () => (window as ModelWindow).manager!.getZoneContents('done'));
+    expect(contents).toEqual([expect.objectContaining({ id: '1', text: expect.stringContaining('Design Asset') })]);
+  });
+
+  test('should refuse drops beyond the WIP limit', async ({ page }) => {
+    await dragItem(page, { id: '1', to: 'frame-c', selector: '[data-zone-id="doing"]', at: 'end' });
+
+    await expect(page.frameLocator('#frame-c').locator('[data-zone-id="doing"] .card')).toHaveCount(1);
+    expect(await evaluateBoard(page, () => (window as ModelWindow).changes!)).toEqual([]);
+  });
+
+  test('should re-render a zone set from data', async ({ page }) => {
+    await evaluateBoard(page, () => {
+      (window as ModelWindow).manager!.setZoneContents('todo', [{ id: 't3', text: 'Ship it' }]);
+    });
+
+    await expect(page.frameLocator('#frame-c').locator('[data-zone-id="todo"] .card')).toHaveText(['Ship it']);
+    expect(await evaluateBoard(page, () => (window as ModelWindow).changes!)).toEqual([
+      { zoneId: 'todo', reason: 'set', items: [{ id: 't3', text: 'Ship it' }] }
+    ]);
+  });
+});
+
+/**
+ * Add a kanban frame whose DropZonesManager renders three columns from data, with its own
+ * class names, and records every change event in window.changes
+ */
+async function addBoardFrame(page: Page) {
+  await addFrame(page, 'frame-c', {
+    html: `<div id="board" style="display: flex; gap: 8px"></div>
+      <script type="module">
+        import { DropZonesManager } from '/iframe-dnd-demo/drop-zones-communication.js';
+        window.changes = [];
+        window.manager = new DropZonesManager({
+          frameId: 'frame-c',
+          allowedOrigin: window.parent.location.origin,
+          container: '#board',
+          zones: [
+            { id: 'todo', title: 'To Do', items: [{ id: 't1', text: 'Write docs' }] },
+            { id: 'doing', title: 'Doing', maxItems: 1, items: [{ id: 't2', text: 'Review PR' }] },
+            { id: 'done', title: 'Done' }
+          ],
+          renderZone: (zone) => '<h3>' + zone.title + (zone.maxItems ? ' (max ' + zone.maxItems + ')' : '') + '</h3><ul></ul>',
+          itemsSelector: 'ul',
+          itemClass: 'card'
+        });
+        window.manager.on('change', ({ zoneId, reason, items }) => window.changes.push({ zoneId, reason, items }));
+        window.manager.initialize();
+      </script>
+      <style>[data-zone-id] { flex: 1; min-height: 150px; }</style>`
+  });
+
+  await expect(page.frameLocator('#frame-c').locator('.card').first()).toBeVisible();
+}
+
+async function evaluateBoard<T>(page: Page, fn: () => T): Promise<T> {
+  return page.frame({ name: 'frame-c' })!.evaluate(fn);
+}
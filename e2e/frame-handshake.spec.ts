@@ -0,0 +1,66 @@
+import { test, expect, type Page } from '@playwright/test';
+import { addFrame } from './helpers';
+
+type RecordingWindow = Window & { received?: string[] };
+
+test.describe('Frame Handshake', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/iframe-dnd-demo/parent.html');
+    await page.waitForLoadState('networkidle');
+  });
+
+  test('should answer hello with ready', async ({ page }) => {
+    await addSilentFrame(page);
+    await sayHello(page);
+
+    await expect.poll(() => getReceived(page)).toContain('ready');
+  });
+
+  test('should queue messages until the frame says hello', async ({ page }) => {
+    await addSilentFrame(page);
+
+    // Broadcast to every frame from Frame A
+    await page.frame({ url: /frame-a\.html/ })!.evaluate(() => {
+      window.parent.postMessage({
+        type: 'rowCopied',
+        version: 1,
+        rowData: { description: 'Queued Row' }
+      }, window.location.origin);
+    });
+    await page.waitForTimeout(200);
+    expect(await getReceived(page)).not.toContain('rowCopied');
+
+    await sayHello(page);
+    await expect.poll(() => getReceived(page)).toEqual(expect.arrayContaining(['ready', 'rowCopied']));
+  });
+});
+
+/**
+ * Add a frame that registers through data-dnd-frame-id, records the types of the
+ * messages it receives and only says hello when asked to by the test
+ */
+async function addSilentFrame(page: Page) {
+  await addFrame(page, 'frame-c', {
+    html: `<script>
+      window.received = [];
+      window.addEventListener('message', (event) => window.received.push(event.data.type));
+    </script>`
+  });
+
+  await expect.poll(() => page.frame({ name: 'frame-c' })?.evaluate(() => typeof (window as RecordingWindow).received)).toBe('object');
+}
+
+async function sayHello(page: Page) {
+  await page.frame({ name: 'frame-c' })!.evaluate(() => {
+    window.parent.postMessage({
+      type: 'hello',
+      version: 1,
+      frameId: 'silent-frame',
+      capabilities: ['target']
+    }, window.location.origin);
+  });
+}
+
+async function getReceived(page: Page): Promise<string[]> {
+  return page.frame({ name: 'frame-c' })!.evaluate(() => (window as RecordingWindow).received ?? []);
+}
@@ -0,0 +1,36 @@
+import { test, expect, type Page } from '@playwright/test';
+import { addFrame, dragItem } from './helpers';
+
+test.describe('Frame Registration', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/iframe-dnd-demo/parent.html');
+    await page.waitForLoadState('networkidle');
+  });
+
+  test('should discover a frame added with data-dnd-frame-id', async ({ page }) => {
+    await addFrameC(page);
+    await dragItem(page, { id: '1', to: 'frame-c' });
+
+    const frameA = page.frameLocator('#frame-a');
+    const frameC = page.frameLocator('#frame-c');
+    await expect(frameC.locator('.dropped-item')).toHaveCount(1);
+    await expect(frameA.locator('.draggable[data-id="1"]')).toHaveCount(0);
+  });
+
+  test('should cancel the drag when the source frame is removed', async ({ page }) => {
+    await dragItem(page, { id: '1', to: null });
+    await expect(page.locator('.drag-preview')).toHaveCount(1);
+
+    await page.evaluate(() => document.getElementById('frame-a')!.remove());
+    await expect(page.locator('.drag-preview')).toHaveCount(0);
+  });
+});
+
+/**
+ * Add a third drop zones frame that registers itself through its data-dnd-frame-id attribute
+ */
+async function addFrameC(page: Page) {
+  await addFrame(page, 'frame-c', { src: 'frame-b.html' });
+
+  await expect(page.frameLocator('#frame-c').locator('.drop-zone').first()).toBeVisible();
+}
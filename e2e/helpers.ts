@@ -0,0 +1,89 @@
+import type { Page } from '@playwright/test';
+
+type FrameSource = { src: string } | { html: string };
+
+type DragOptions = {
+  /** Frame the item is dragged out of; Frame A by default */
+  from?: string;
+  /** Item to drag; the first item of the frame by default */
+  id?: string;
+  /** Frame to drop on, or null to leave the drag hanging just after it started */
+  to: string | null;
+  /** Element of the target frame to drop on; its first drop zone, or else its items container */
+  selector?: string;
+  /** Release over the middle of that element, or just above its bottom edge, after its items */
+  at?: 'center' | 'end';
+  /** Press Escape in the parent instead of releasing */
+  escape?: boolean;
+};
+
+/**
+ * Add a frame to the parent page that registers itself through its data-dnd-frame-id
+ * attribute, loading a page or the given HTML, and optionally only allowed on `origin`.
+ * Managers in HTML frames must pass `allowedOrigin: window.parent.location.origin`, since
+ * about:srcdoc has no origin of its own.
+ */
+export async function addFrame(page: Page, frameId: string, source: FrameSource, origin?: string) {
+  await page.evaluate(({ frameId, source, origin }) => {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'iframe-wrapper';
+    const frame = document.createElement('iframe');
+    frame.id = frameId;
+    frame.name = frameId;
+    frame.dataset.dndFrameId = frameId;
+    if (origin) {
+      frame.dataset.dndOrigin = origin;
+    }
+    if ('src' in source) {
+      frame.src = source.src;
+    } else {
+      frame.srcdoc = source.html;
+    }
+    wrapper.appendChild(frame);
+    document.getElementById('iframe-container')!.appendChild(wrapper);
+  }, { frameId, source, origin });
+}
+
+/**
+ * Drag an item out of a frame with pointer events and drop it on another frame. The parent
+ * tracks the pointer in its own viewport once the drag has started.
+ */
+export async function dragItem(page: Page, { from = 'frame-a', id, to, selector, at = 'center', escape = false }: DragOptions) {
+  await page.evaluate(async ({ from, id, to, selector, at, escape }) => {
+    const source = document.getElementById(from) as HTMLIFrameElement;
+    const sourceDoc = source.contentDocument!;
+    const draggable = sourceDoc.querySelector(id ? `.draggable[data-id="${id}"]` : '.draggable') as HTMLElement;
+
+    const draggableRect = draggable.getBoundingClientRect();
+    const startX = draggableRect.left + draggableRect.width / 2;
+    const startY = draggableRect.top + draggableRect.height / 2;
+    const wait = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+    const init = { bubbles: true, cancelable: true, pointerId: 1, pointerType: 'mouse', isPrimary: true };
+
+    draggable.dispatchEvent(new PointerEvent('pointerdown', { ...init, clientX: startX, clientY: startY }));
+    await wait(100);
+    sourceDoc.dispatchEvent(new PointerEvent('pointermove', { ...init, clientX: startX + 10, clientY: startY + 10 }));
+    await wait(100);
+    if (!to) return;
+
+    const target = document.getElementById(to) as HTMLIFrameElement;
+    const targetDoc = target.contentDocument!;
+    const dropTarget = (selector
+      ? targetDoc.querySelector(selector)
+      : targetDoc.querySelector('.drop-zone') ?? targetDoc.querySelector('.draggable-items')) as HTMLElement;
+    const targetRect = target.getBoundingClientRect();
+    const dropRect = dropTarget.getBoundingClientRect();
+    const endX = targetRect.left + dropRect.left + dropRect.width / 2;
+    const endY = targetRect.top + (at === 'end' ? dropRect.bottom - 5 : dropRect.top + dropRect.height / 2);
+
+    document.dispatchEvent(new PointerEvent('pointermove', { ...init, clientX: endX, clientY: endY }));
+    await wait(200);
+    if (escape) {
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+    } else {
+      document.dispatchEvent(new PointerEvent('pointerup', { ...init, clientX: endX, clientY: endY }));
+    }
+  }, { from, id, to, selector, at, escape });
+
+  await page.waitForTimeout(500);
+}
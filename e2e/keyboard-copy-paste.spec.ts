@@ -110,14 +110,14 @@ test.describe('Keyboard Copy-Paste', () => {
     
     expect(isPasted).toBe(true);
     
-    // Verify the item was removed from Frame A
+    // Verify the copied item stayed in Frame A
     const itemCount = await page.evaluate(() => {
       const frameA = document.getElementById('frame-a') as HTMLIFrameElement;
       const frameADoc = frameA.contentDocument!;
       return frameADoc.querySelectorAll('.draggable').length;
     });
     
-    expect(itemCount).toBe(4); // Should have 4 items left (started with 5)
+    expect(itemCount).toBe(5); // A paste copies, so all 5 items remain
   });
 
   test('should navigate through items with arrow keys', async ({ page }) => {
@@ -0,0 +1,102 @@
+import { test, expect, type BrowserContext, type Page } from '@playwright/test';
+
+type ElectionWindow = Window & {
+  manager?: { getLeader(): string | null; broadcast(type: string, data: unknown): void };
+  joined?: string[];
+  pings?: string[];
+};
+
+test.describe('Leader Election', () => {
+  test('should elect the window that joined first', async ({ context }) => {
+    const first = await openWindow(context, 'first');
+    const second = await openWindow(context, 'second');
+
+    await expect.poll(() => getLeader(second)).toBe('first');
+    expect(await getLeader(first)).toBe('first');
+  });
+
+  test('should hand over to a window initialized as coordinator', async ({ context }) => {
+    const first = await openWindow(context, 'first');
+    await expect.poll(() => getLeader(first)).toBe('first');
+
+    await openWindow(context, 'coordinator', true);
+
+    await expect.poll(() => getLeader(first)).toBe('coordinator');
+  });
+
+  test('should fail over when the coordinator closes and keep relaying', async ({ context }) => {
+    const coordinator = await openWindow(context, 'coordinator', true);
+    const first = await openWindow(context, 'first');
+    const second = await openWindow(context, 'second');
+    await expect.poll(() => getLeader(second)).toBe('coordinator');
+
+    await coordinator.close({ runBeforeUnload: true });
+
+    await expect.poll(() => getLeader(second)).toBe('first');
+    await expect.poll(() => first.evaluate(() => (window as ElectionWindow).joined)).toContain('second');
+    await first.evaluate(() => (window as ElectionWindow).manager!.broadcast('ping', { from: 'first' }));
+    await expect.poll(() => second.evaluate(() => (window as ElectionWindow).pings)).toEqual(['first']);
+  });
+
+  test('should elect a new coordinator when its heartbeats stop', async ({ context }) => {
+    const first = await openWindow(context, 'first');
+    const second = await openWindow(context, 'second');
+    await expect.poll(() => getLeader(second)).toBe('first');
+
+    // Closing without beforeunload: no leaderResign, only the heartbeats stop
+    await first.close();
+
+    await expect.poll(() => getLeader(second), { timeout: 5000 }).toBe('second');
+  });
+
+  test('should reject a leader timeout shorter than the heartbeat interval', async ({ page }) => {
+    await page.goto('/iframe-dnd-demo/parent.html');
+    const message = await page.evaluate(async () => {
+      const url = '/iframe-dnd-demo/hybrid-communication.js';
+      const { HybridCommunicationManager } = await import(url);
+      try {
+        new HybridCommunicationManager({ windowId: 'w', heartbeatInterval: 1000, leaderTimeout: 500 });
+        return null;
+      } catch (err) {
+        return (err as Error).message;
+      }
+    });
+
+    expect(message).toBe('Invalid leaderTimeout "500"');
+  });
+});
+
+/**
+ * Open a page whose HybridCommunicationManager joins the election on a test channel, with
+ * short heartbeats, and records the windows that registered with it and the pings it got
+ */
+async function openWindow(context: BrowserContext, windowId: string, coordinator = false): Promise<Page> {
+  const page = await context.newPage();
+  await page.goto('/iframe-dnd-demo/parent.html');
+  await page.evaluate(async ({ windowId, coordinator }) => {
+    const url = '/iframe-dnd-demo/hybrid-communication.js';
+    const { HybridCommunicationManager } = await import(url);
+    const win = window as ElectionWindow;
+    const manager = new HybridCommunicationManager({
+      windowId,
+      channelName: 'leader-election-test',
+      heartbeatInterval: 200,
+      leaderTimeout: 600
+    });
+    win.joined = [];
+    win.pings = [];
+    manager.on('windowJoined', (data: { windowId: string }) => win.joined!.push(data.windowId));
+    manager.on('ping', (data: { from: string }) => win.pings!.push(data.from));
+    if (coordinator) {
+      manager.initializeAsCoordinator();
+    } else {
+      manager.initializeAsChild();
+    }
+    win.manager = manager;
+  }, { windowId, coordinator });
+  return page;
+}
+
+async function getLeader(page: Page): Promise<string | null> {
+  return page.evaluate(() => (window as ElectionWindow).manager!.getLeader());
+}
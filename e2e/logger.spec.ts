@@ -0,0 +1,67 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Logger', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/iframe-dnd-demo/parent.html');
+    await page.waitForLoadState('networkidle');
+  });
+
+  test('should only write lines at or above the level, prefixed with the namespace', async ({ page }) => {
+    const lines = await page.evaluate(async () => {
+      const url = '/iframe-dnd-demo/logger.js';
+      const { createLogger } = await import(url);
+      const lines: string[] = [];
+      const output = {
+        debug: (...args: unknown[]) => lines.push(`debug ${args.join(' ')}`),
+        info: (...args: unknown[]) => lines.push(`info ${args.join(' ')}`),
+        warn: (...args: unknown[]) => lines.push(`warn ${args.join(' ')}`),
+        error: (...args: unknown[]) => lines.push(`error ${args.join(' ')}`)
+      };
+
+      const logger = createLogger({ level: 'warn', namespace: 'app', output }).child('drop-zones');
+      logger.debug('hidden');
+      logger.info('hidden');
+      logger.warn('shown');
+      logger.error('shown');
+      return lines;
+    });
+
+    expect(lines).toEqual(['warn [app:drop-zones] shown', 'error [app:drop-zones] shown']);
+  });
+
+  test('should keep only the most recent messages in the history', async ({ page }) => {
+    const types = await page.evaluate(async () => {
+      const url = '/iframe-dnd-demo/logger.js';
+      const { MessageHistory } = await import(url);
+      const history = new MessageHistory({ size: 3 });
+      for (let i = 0; i < 5; i++) {
+        history.record('out', { type: `message-${i}` }, 'frame-b');
+      }
+      return JSON.parse(history.dump()).entries.map((entry: { type: string }) => entry.type);
+    });
+
+    expect(types).toEqual(['message-2', 'message-3', 'message-4']);
+  });
+
+  test('should record the messages a coordinator receives', async ({ page }) => {
+    const types = await page.evaluate(async () => {
+      const url = '/iframe-dnd-demo/logger.js';
+      const coordinatorUrl = '/iframe-dnd-demo/iframe-communication.js';
+      const { MessageHistory } = await import(url);
+      const { IframeCommunicationManager } = await import(coordinatorUrl);
+      const history = new MessageHistory();
+
+      const frame = document.createElement('iframe');
+      frame.src = 'frame-b.html';
+      document.body.appendChild(frame);
+      const manager = new IframeCommunicationManager({ history, discoverFrames: false });
+      manager.initialize([{ id: 'frame-c', element: frame }]);
+
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      manager.destroy();
+      return history.entries().map((entry: { direction: string; type: string }) => `${entry.direction} ${entry.type}`);
+    });
+
+    expect(types).toEqual(expect.arrayContaining(['in hello', 'out ready']));
+  });
+});
@@ -0,0 +1,57 @@
+import { test, expect, type Page } from '@playwright/test';
+
+test.describe('Message Protocol', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/iframe-dnd-demo/parent.html');
+    await page.waitForLoadState('networkidle');
+  });
+
+  test('should accept a drop with the current protocol version', async ({ page }) => {
+    await postDropToFrameB(page, 1);
+
+    const droppedCount = await countDroppedItems(page);
+    expect(droppedCount).toBe(1);
+  });
+
+  test('should reject a drop with a mismatched protocol version', async ({ page }) => {
+    await postDropToFrameB(page, 999);
+
+    const droppedCount = await countDroppedItems(page);
+    expect(droppedCount).toBe(0);
+  });
+
+  test('should reject a drop without a protocol version', async ({ page }) => {
+    await postDropToFrameB(page, undefined);
+
+    const droppedCount = await countDroppedItems(page);
+    expect(droppedCount).toBe(0);
+  });
+});
+
+/**
+ * Post a parentDrop message to Frame B aimed at the first drop zone
+ */
+async function postDropToFrameB(page: Page, version: number | undefined) {
+  await page.evaluate((version: number | undefined) => {
+    const frameB = document.getElementById('frame-b') as HTMLIFrameElement;
+    const dropZone = frameB.contentDocument!.querySelector('.drop-zone') as HTMLElement;
+    const rect = dropZone.getBoundingClientRect();
+
+    frameB.contentWindow!.postMessage({
+      type: 'parentDrop',
+      version,
+      x: rect.left + rect.width / 2,
+      y: rect.top + rect.height / 2,
+      dragData: { text: 'Protocol Item', id: 'protocol-1', source: 'frame-a' }
+    }, window.location.origin);
+  }, version);
+
+  await page.waitForTimeout(300);
+}
+
+async function countDroppedItems(page: Page) {
+  return page.evaluate(() => {
+    const frameB = document.getElementById('frame-b') as HTMLIFrameElement;
+    return frameB.contentDocument!.querySelectorAll('.dropped-item').length;
+  });
+}
@@ -0,0 +1,64 @@
+import { test, expect, type Page } from '@playwright/test';
+import { dragItem } from './helpers';
+
+test.describe('Multi-Select and Group Drag', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/iframe-dnd-demo/parent.html');
+    await page.waitForLoadState('networkidle');
+  });
+
+  test('should toggle items into the selection with Ctrl-click', async ({ page }) => {
+    await clickItem(page, '1', {});
+    await clickItem(page, '3', { ctrlKey: true });
+
+    const frameA = page.frameLocator('#frame-a');
+    await expect(frameA.locator('.draggable.selected')).toHaveCount(2);
+    await expect(frameA.locator('.draggable[data-id="2"]')).not.toHaveClass(/selected/);
+  });
+
+  test('should extend the selection with Shift+Arrow', async ({ page }) => {
+    const frameA = page.frameLocator('#frame-a');
+    await frameA.locator('body').press('ArrowDown');
+    await frameA.locator('body').press('Shift+ArrowDown');
+    await frameA.locator('body').press('Shift+ArrowDown');
+
+    await expect(frameA.locator('.draggable.selected')).toHaveCount(3);
+  });
+
+  test('should move every selected item in one drag', async ({ page }) => {
+    await clickItem(page, '1', {});
+    await clickItem(page, '2', { ctrlKey: true });
+    await dragItem(page, { id: '1', to: 'frame-b' });
+
+    const frameA = page.frameLocator('#frame-a');
+    const frameB = page.frameLocator('#frame-b');
+    await expect(frameB.locator('.dropped-item')).toHaveCount(2);
+    await expect(frameA.locator('.draggable[data-id="1"], .draggable[data-id="2"]')).toHaveCount(0);
+    await expect(frameA.locator('.draggable[data-id="3"]')).toHaveCount(1);
+  });
+});
+
+/**
+ * Press and release an item in Frame A without moving, with the given modifier keys
+ */
+async function clickItem(page: Page, id: string, modifiers: { ctrlKey?: boolean; shiftKey?: boolean }) {
+  await page.evaluate(({ id, modifiers }: { id: string; modifiers: { ctrlKey?: boolean; shiftKey?: boolean } }) => {
+    const frameA = document.getElementById('frame-a') as HTMLIFrameElement;
+    const doc = frameA.contentDocument!;
+    const item = doc.querySelector(`.draggable[data-id="${id}"]`) as HTMLElement;
+    const rect = item.getBoundingClientRect();
+    const init = {
+      bubbles: true,
+      cancelable: true,
+      pointerId: 1,
+      pointerType: 'mouse',
+      isPrimary: true,
+      clientX: rect.left + rect.width / 2,
+      clientY: rect.top + rect.height / 2,
+      ...modifiers
+    };
+
+    item.dispatchEvent(new PointerEvent('pointerdown', init));
+    doc.dispatchEvent(new PointerEvent('pointerup', init));
+  }, { id, modifiers });
+}
@@ -0,0 +1,92 @@
+import { test, expect, type Page } from '@playwright/test';
+
+test.describe('Nested Frames', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/iframe-dnd-demo/parent.html');
+    await page.waitForLoadState('networkidle');
+
+    await page.locator('[data-demo="nested"]').click();
+    const innerFrame = page.frameLocator('#frame-b').frameLocator('#nested-frame');
+    await expect(innerFrame.locator('.drop-zone').first()).toBeVisible();
+  });
+
+  test('should drop into a scaled inner frame at the pointer position', async ({ page }) => {
+    await postToNestedFrame(page, { type: 'parentDrop', target: 'zone-2', sessionId: 'nested-1' });
+
+    const innerFrame = page.frameLocator('#frame-b').frameLocator('#nested-frame');
+    const item = innerFrame.locator('.drop-zone[data-zone-id="zone-2"] .dropped-item[data-id="nested-item"]');
+    await expect(item).toHaveClass(/pending/);
+
+    await postToNestedFrame(page, { type: 'commitDrop', sessionId: 'nested-1' });
+    await expect(item).not.toHaveClass(/pending/);
+    await expect(innerFrame.locator('.dropped-item')).toHaveCount(1);
+  });
+
+  test('should relay the inner frame acknowledgement to the parent', async ({ page }) => {
+    const reply = await postToNestedFrame(page, { type: 'parentDrop', target: 'zone-1', sessionId: 'nested-2' });
+
+    expect(reply).toMatchObject({ type: 'dropSuccess', sessionId: 'nested-2', ids: ['nested-item'] });
+  });
+
+  test('should report no target when hovering outside the inner frame', async ({ page }) => {
+    const reply = await postToNestedFrame(page, { type: 'parentDragMove', target: 'outside', sessionId: 'nested-3' });
+
+    expect(reply).toMatchObject({ type: 'dropStatus', accepted: false, reason: 'no-target' });
+  });
+});
+
+/**
+ * Post a message to the nested page in Frame B and return the first drop reply it relays back.
+ * Positions are computed through the inner iframe's border, padding and scale transform.
+ */
+async function postToNestedFrame(
+  page: Page,
+  options: { type: 'parentDragMove' | 'parentDrop' | 'commitDrop'; target?: string; sessionId: string }
+): Promise<Record<string, unknown> | undefined> {
+  const reply = await page.evaluate(({ type, target, sessionId }) => {
+    const frameB = document.getElementById('frame-b') as HTMLIFrameElement;
+    const inner = frameB.contentDocument!.getElementById('nested-frame') as HTMLIFrameElement;
+
+    let x = 5;
+    let y = 5;
+    if (target && target !== 'outside') {
+      const style = getComputedStyle(inner);
+      const innerRect = inner.getBoundingClientRect();
+      const scale = innerRect.width / inner.offsetWidth;
+      const zone = inner.contentDocument!.querySelector(`.drop-zone[data-zone-id="${target}"]`) as HTMLElement;
+      const zoneRect = zone.getBoundingClientRect();
+
+      x = innerRect.left + (parseFloat(style.borderLeftWidth) + parseFloat(style.paddingLeft) + zoneRect.left + zoneRect.width / 2) * scale;
+      y = innerRect.top + (parseFloat(style.borderTopWidth) + parseFloat(style.paddingTop) + zoneRect.top + zoneRect.height / 2) * scale;
+    }
+
+    const message = type === 'commitDrop'
+      ? { type, version: 1, sessionId }
+      : {
+        type,
+        version: 1,
+        x,
+        y,
+        dragData: { text: 'Nested Item', id: 'nested-item', source: 'frame-a', sessionId },
+        sessionId
+      };
+
+    return new Promise<Record<string, unknown> | undefined>(resolve => {
+      const onMessage = (event: MessageEvent) => {
+        if (event.source !== frameB.contentWindow) return;
+        if (!['dropSuccess', 'dropFailed', 'dropStatus'].includes(event.data?.type)) return;
+        window.removeEventListener('message', onMessage);
+        resolve(event.data);
+      };
+      window.addEventListener('message', onMessage);
+      frameB.contentWindow!.postMessage(message, window.location.origin);
+      setTimeout(() => {
+        window.removeEventListener('message', onMessage);
+        resolve(undefined);
+      }, 300);
+    });
+  }, options);
+
+  await page.waitForTimeout(100);
+  return reply;
+}
@@ -0,0 +1,76 @@
+import { test, expect, type Page } from '@playwright/test';
+
+test.describe('Ordered Insertion', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/iframe-dnd-demo/parent.html');
+    await page.waitForLoadState('networkidle');
+  });
+
+  test('should show an insertion point while dragging over a zone', async ({ page }) => {
+    const frameB = page.frameLocator('#frame-b');
+
+    await postToFrameB(page, 'parentDragMove', 'first', 'center');
+    await expect(frameB.locator('.drop-zone').first().locator('.drop-placeholder')).toHaveCount(1);
+
+    await postToFrameB(page, 'parentDragLeave', 'first', 'center');
+    await expect(frameB.locator('.drop-placeholder')).toHaveCount(0);
+  });
+
+  test('should insert a dropped item at the pointer position', async ({ page }) => {
+    await postToFrameB(page, 'parentDrop', 'first', 'center');
+    await postToFrameB(page, 'parentDrop', 'second', 'after-first');
+    const index = await postToFrameB(page, 'parentDrop', 'third', 'before-first');
+
+    const items = page.frameLocator('#frame-b').locator('.drop-zone').first().locator('.dropped-item');
+    await expect(items).toHaveText(['third', 'first', 'second']);
+    expect(index).toBe(0);
+  });
+});
+
+/**
+ * Post a drag message for an item to Frame B's first drop zone, at the zone's center
+ * or next to the item with id `first`, and return the index reported in `dropSuccess`
+ */
+async function postToFrameB(
+  page: Page,
+  type: 'parentDragMove' | 'parentDrop' | 'parentDragLeave',
+  id: string,
+  position: 'center' | 'before-first' | 'after-first'
+): Promise<number | undefined> {
+  const index = await page.evaluate(({ type, id, position }) => {
+    const frameB = document.getElementById('frame-b') as HTMLIFrameElement;
+    const frameDoc = frameB.contentDocument!;
+    const dropZone = frameDoc.querySelector('.drop-zone') as HTMLElement;
+    const first = frameDoc.querySelector('.dropped-item[data-id="first"]') as HTMLElement | null;
+
+    let rect = dropZone.getBoundingClientRect();
+    let x = rect.left + rect.width / 2;
+    let y = rect.top + rect.height / 2;
+    if (first && position !== 'center') {
+      rect = first.getBoundingClientRect();
+      x = position === 'before-first' ? rect.left + 2 : rect.right - 2;
+      y = rect.top + rect.height / 2;
+    }
+
+    const message = type === 'parentDragLeave'
+      ? { type, version: 1 }
+      : { type, version: 1, x, y, dragData: { text: id, id, source: 'frame-a' } };
+
+    return new Promise<number | undefined>(resolve => {
+      const onMessage = (event: MessageEvent) => {
+        if (event.data?.type !== 'dropSuccess') return;
+        window.removeEventListener('message', onMessage);
+        resolve(event.data.index);
+      };
+      window.addEventListener('message', onMessage);
+      frameB.contentWindow!.postMessage(message, window.location.origin);
+      setTimeout(() => {
+        window.removeEventListener('message', onMessage);
+        resolve(undefined);
+      }, 300);
+    });
+  }, { type, id, position });
+
+  await page.waitForTimeout(100);
+  return index;
+}
@@ -0,0 +1,102 @@
+import { test, expect, type BrowserContext, type Page } from '@playwright/test';
+
+type PresenceInfo = { windowId: string; title: string; role: string | null; capabilities: string[] };
+
+type PresenceWindow = Window & {
+  manager?: { getWindows(): PresenceInfo[] };
+  events?: string[];
+};
+
+test.describe('Window Presence', () => {
+  test('should report joined windows with their metadata', async ({ context }) => {
+    const coordinator = await openWindow(context, 'coordinator', { role: 'coordinator' });
+    await openWindow(context, 'source', { title: 'Source table', role: 'source', capabilities: ['drag', 'copy'] });
+
+    await expect.poll(() => getEvents(coordinator)).toEqual(['windowJoined:source']);
+    expect(await getWindows(coordinator)).toEqual([
+      { windowId: 'source', title: 'Source table', role: 'source', capabilities: ['drag', 'copy'], lastSeen: expect.any(Number) }
+    ]);
+  });
+
+  test('should tell a window that joins late about the open windows', async ({ context }) => {
+    await openWindow(context, 'source', { role: 'source' });
+    const late = await openWindow(context, 'target', { role: 'target' });
+
+    await expect.poll(() => getEvents(late)).toEqual(['windowJoined:source']);
+  });
+
+  test('should report a window that closes as left', async ({ context }) => {
+    const coordinator = await openWindow(context, 'coordinator');
+    const source = await openWindow(context, 'source');
+    await expect.poll(() => getEvents(coordinator)).toEqual(['windowJoined:source']);
+
+    await source.close({ runBeforeUnload: true });
+
+    await expect.poll(() => getEvents(coordinator)).toEqual(['windowJoined:source', 'windowLeft:source']);
+    expect(await getWindows(coordinator)).toEqual([]);
+  });
+
+  test('should report a window whose heartbeats stop as lost', async ({ context }) => {
+    const coordinator = await openWindow(context, 'coordinator');
+    const source = await openWindow(context, 'source');
+    await expect.poll(() => getEvents(coordinator)).toEqual(['windowJoined:source']);
+
+    // Closing without beforeunload: no windowLeft, only the heartbeats stop
+    await source.close();
+
+    await expect.poll(() => getEvents(coordinator), { timeout: 5000 })
+      .toEqual(['windowJoined:source', 'windowLost:source']);
+  });
+
+  test('should reject a ttl shorter than the heartbeat interval', async ({ page }) => {
+    await page.goto('/iframe-dnd-demo/parent.html');
+    const message = await page.evaluate(async () => {
+      const url = '/iframe-dnd-demo/broadcast-communication.js';
+      const { BroadcastCommunicationManager } = await import(url);
+      try {
+        new BroadcastCommunicationManager({ windowId: 'w', heartbeatInterval: 1000, ttl: 1000 });
+        return null;
+      } catch (err) {
+        return (err as Error).message;
+      }
+    });
+
+    expect(message).toBe('Invalid ttl "1000"');
+  });
+});
+
+/**
+ * Open a page whose BroadcastCommunicationManager joins a test channel with short heartbeats,
+ * and records the presence events it gets as `event:windowId`
+ */
+async function openWindow(context: BrowserContext, windowId: string, metadata: Partial<PresenceInfo> = {}): Promise<Page> {
+  const page = await context.newPage();
+  await page.goto('/iframe-dnd-demo/parent.html');
+  await page.evaluate(async ({ windowId, metadata }) => {
+    const url = '/iframe-dnd-demo/broadcast-communication.js';
+    const { BroadcastCommunicationManager, PRESENCE_EVENTS } = await import(url);
+    const win = window as PresenceWindow;
+    const manager = new BroadcastCommunicationManager({
+      windowId,
+      channelName: 'presence-test',
+      heartbeatInterval: 200,
+      ttl: 600,
+      ...metadata
+    });
+    win.events = [];
+    Object.values(PRESENCE_EVENTS).forEach((event) => {
+      manager.on(event, (info: PresenceInfo) => win.events!.push(`${event}:${info.windowId}`));
+    });
+    manager.initialize();
+    win.manager = manager;
+  }, { windowId, metadata });
+  return page;
+}
+
+async function getEvents(page: Page): Promise<string[]> {
+  return page.evaluate(() => (window as PresenceWindow).events!);
+}
+
+async function getWindows(page: Page): Promise<PresenceInfo[]> {
+  return page.evaluate(() => (window as PresenceWindow).manager!.getWindows());
+}
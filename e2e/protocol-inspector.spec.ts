@@ -0,0 +1,37 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Protocol Inspector', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/iframe-dnd-demo/parent.html?inspect');
+    await page.waitForLoadState('networkidle');
+  });
+
+  test('should trace the handshake and show the frames', async ({ page }) => {
+    const inspector = page.locator('.dnd-inspector');
+
+    await expect(inspector.locator('.dnd-inspector-log li[data-type="hello"][data-direction="in"]').first()).toBeVisible();
+    await expect(inspector.locator('.dnd-inspector-peers')).toHaveText('frame-a (ready), frame-b (ready)');
+    await expect(inspector.locator('.dnd-inspector-transport')).toHaveText('postMessage');
+    await expect(inspector.locator('.dnd-inspector-drag')).toHaveText('idle');
+  });
+
+  test('should filter messages and replay a sent one', async ({ page }) => {
+    const inspector = page.locator('.dnd-inspector');
+    await inspector.locator('.dnd-inspector-filter').fill('ready frame-b');
+
+    const rows = inspector.locator('.dnd-inspector-log li');
+    await expect(rows).toHaveCount(1);
+    await expect(rows.first()).toHaveAttribute('data-type', 'ready');
+
+    await rows.first().locator('.replay').click();
+    await expect(rows).toHaveCount(2);
+  });
+
+  test('should hide messages matching a negative term', async ({ page }) => {
+    const inspector = page.locator('.dnd-inspector');
+    await inspector.locator('.dnd-inspector-filter').fill('-hello -ready');
+
+    await expect(inspector.locator('.dnd-inspector-log li[data-type="hello"]')).toHaveCount(0);
+    await expect(inspector.locator('.dnd-inspector-log li[data-type="helloRequest"]')).toHaveCount(0);
+  });
+});
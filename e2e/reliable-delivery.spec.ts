@@ -0,0 +1,126 @@
+import { test, expect, type Page } from '@playwright/test';
+
+type DeliveryWindow = Window & {
+  manager?: { broadcast(type: string, data: unknown): void };
+  child?: Window | null;
+  pings?: number[];
+};
+
+test.describe('Reliable Delivery', () => {
+  test('should hold messages for a child until it is ready', async ({ page }) => {
+    await page.goto('/iframe-dnd-demo/parent.html');
+    const child = await openChild(page);
+
+    // The child's manager does not exist yet, so these can only arrive once it joins
+    await page.evaluate(() => {
+      (window as DeliveryWindow).manager!.broadcast('ping', { n: 1 });
+      (window as DeliveryWindow).manager!.broadcast('ping', { n: 2 });
+    });
+    await page.waitForTimeout(300);
+    await startChild(child);
+
+    await expect.poll(() => child.evaluate(() => (window as DeliveryWindow).pings)).toEqual([1, 2]);
+  });
+
+  test('should pass a retried message to the handlers once', async ({ page }) => {
+    await page.goto('/iframe-dnd-demo/parent.html');
+    const child = await openChild(page);
+    await startChild(child);
+
+    const acks = await page.evaluate(async () => {
+      const envelope = {
+        type: 'ping', version: 1, source: 'main', data: { n: 7 },
+        timestamp: Date.now(), relay: true, messageId: 'retried-1'
+      };
+      const acks: string[] = [];
+      window.addEventListener('message', (event) => {
+        if (event.data?.type === 'messageAck') acks.push(event.data.data.messageId);
+      });
+      const child = (window as DeliveryWindow).child!;
+      child.postMessage(envelope, window.location.origin);
+      child.postMessage(envelope, window.location.origin);
+      await new Promise(resolve => setTimeout(resolve, 300));
+      return acks;
+    });
+
+    // Both copies are acknowledged, in case the first acknowledgement was lost
+    expect(acks).toEqual(['retried-1', 'retried-1']);
+    expect(await child.evaluate(() => (window as DeliveryWindow).pings)).toEqual([7]);
+  });
+
+  test('should deliver to a child whose window ID is coordinator', async ({ page }) => {
+    const child = await openChild(page, 'coordinator');
+    await startChild(child, 'coordinator');
+
+    await page.evaluate(() => (window as DeliveryWindow).manager!.broadcast('ping', { n: 3 }));
+
+    await expect.poll(() => child.evaluate(() => (window as DeliveryWindow).pings)).toEqual([3]);
+  });
+
+  test('should reject a negative maxRetries', async ({ page }) => {
+    await page.goto('/iframe-dnd-demo/parent.html');
+    const message = await page.evaluate(async () => {
+      const url = '/iframe-dnd-demo/hybrid-communication.js';
+      const { HybridCommunicationManager } = await import(url);
+      try {
+        new HybridCommunicationManager({ windowId: 'w', reliable: true, maxRetries: -1 });
+        return null;
+      } catch (err) {
+        return (err as Error).message;
+      }
+    });
+
+    expect(message).toBe('Invalid maxRetries "-1"');
+  });
+});
+
+/**
+ * Open a child window and make this page a reliable coordinator over postMessage only,
+ * holding a reference to the child from the moment it was opened
+ */
+async function openChild(page: Page, childId = 'child'): Promise<Page> {
+  const [child] = await Promise.all([
+    page.waitForEvent('popup'),
+    page.evaluate(async (childId: string) => {
+      const win = window as DeliveryWindow;
+      win.child = window.open('/iframe-dnd-demo/parent.html');
+      const url = '/iframe-dnd-demo/hybrid-communication.js';
+      const { HybridCommunicationManager } = await import(url);
+      const manager = new HybridCommunicationManager({
+        windowId: 'main',
+        channelName: 'reliable-delivery-test',
+        reliable: true,
+        retryDelay: 50
+      });
+      // As if BroadcastChannel were partitioned
+      manager.useBroadcastChannel = false;
+      manager.registerWindow(childId, win.child);
+      manager.initializeAsCoordinator();
+      win.manager = manager;
+    }, childId)
+  ]);
+  await child.waitForLoadState();
+  return child;
+}
+
+/**
+ * Start the child's manager, recording the pings it gets
+ */
+async function startChild(child: Page, childId = 'child') {
+  await child.evaluate(async (childId: string) => {
+    const url = '/iframe-dnd-demo/hybrid-communication.js';
+    const { HybridCommunicationManager } = await import(url);
+    const win = window as DeliveryWindow;
+    const manager = new HybridCommunicationManager({
+      windowId: childId,
+      channelName: 'reliable-delivery-test',
+      reliable: true,
+      retryDelay: 50
+    });
+    manager.useBroadcastChannel = false;
+    win.pings = [];
+    manager.on('ping', (data: { n: number }) => win.pings!.push(data.n));
+    manager.initializeAsChild();
+    win.manager = manager;
+  }, childId);
+}
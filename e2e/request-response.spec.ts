@@ -0,0 +1,129 @@
+import { test, expect, type BrowserContext, type Page } from '@playwright/test';
+
+type RequestManager = {
+  request(targetId: string, type: string, data?: unknown, options?: { timeout?: number }): Promise<unknown>;
+  handle(type: string, handler: (data: unknown, sourceId: string) => unknown): void;
+};
+
+type RequestWindow = Window & { manager?: RequestManager };
+
+test.describe('Cross-Window Requests', () => {
+  test('should resolve with what the target handler returned', async ({ context }) => {
+    const source = await openWindow(context, 'source');
+    const target = await openWindow(context, 'target');
+    await target.evaluate(() => {
+      (window as RequestWindow).manager!.handle('acceptRow', async (row, sourceId) => {
+        await new Promise(resolve => setTimeout(resolve, 50));
+        return { accepted: (row as { quantity: number }).quantity > 0, from: sourceId };
+      });
+    });
+
+    const result = await source.evaluate(() =>
+      (window as RequestWindow).manager!.request('target', 'acceptRow', { quantity: 3 })
+    );
+
+    expect(result).toEqual({ accepted: true, from: 'source' });
+  });
+
+  test('should reject with the error of a failing or missing handler', async ({ context }) => {
+    const source = await openWindow(context, 'source');
+    const target = await openWindow(context, 'target');
+    await target.evaluate(() => {
+      (window as RequestWindow).manager!.handle('acceptRow', () => {
+        throw new Error('Row is locked');
+      });
+    });
+
+    const failed = await requestError(source, 'target', 'acceptRow');
+    const missing = await requestError(source, 'target', 'getRows');
+
+    expect(failed).toEqual({ code: 'HANDLER_FAILED', message: 'Row is locked' });
+    expect(missing).toEqual({ code: 'NO_HANDLER', message: 'No handler for "getRows"' });
+  });
+
+  test('should time out when the target does not answer', async ({ context }) => {
+    const source = await openWindow(context, 'source');
+
+    const error = await requestError(source, 'nobody', 'getRows', 300);
+
+    expect(error).toEqual({ code: 'TIMEOUT', message: 'No response to "getRows" from nobody within 300 ms' });
+  });
+
+  test('should reject when the target leaves before answering', async ({ context }) => {
+    const source = await openWindow(context, 'source');
+    const target = await openWindow(context, 'target');
+    await target.evaluate(() => {
+      (window as RequestWindow).manager!.handle('getRows', () => new Promise(() => {}));
+    });
+
+    const pending = requestError(source, 'target', 'getRows', 10000);
+    await source.waitForTimeout(200);
+    await target.close({ runBeforeUnload: true });
+
+    expect(await pending).toEqual({ code: 'TARGET_LEFT', message: 'target left before answering "getRows"' });
+  });
+
+  test('should answer over the postMessage fallback', async ({ page }) => {
+    await page.goto('/iframe-dnd-demo/parent.html');
+    const [child] = await Promise.all([
+      page.waitForEvent('popup'),
+      page.evaluate(() => {
+        (window as RequestWindow & { child?: Window | null }).child = window.open('/iframe-dnd-demo/parent.html');
+      })
+    ]);
+    await child.waitForLoadState();
+
+    await page.evaluate(async () => {
+      const url = '/iframe-dnd-demo/hybrid-communication.js';
+      const { HybridCommunicationManager } = await import(url);
+      const manager = new HybridCommunicationManager({ windowId: 'main', channelName: 'request-fallback-test' });
+      // As if BroadcastChannel were partitioned
+      manager.useBroadcastChannel = false;
+      manager.registerWindow('child', (window as RequestWindow & { child?: Window | null }).child);
+      manager.initializeAsCoordinator();
+      manager.handle('sum', (numbers: number[]) => numbers.reduce((a, b) => a + b, 0));
+      (window as RequestWindow).manager = manager;
+    });
+    const result = await child.evaluate(async () => {
+      const url = '/iframe-dnd-demo/hybrid-communication.js';
+      const { HybridCommunicationManager } = await import(url);
+      const manager = new HybridCommunicationManager({ windowId: 'child', channelName: 'request-fallback-test' });
+      manager.useBroadcastChannel = false;
+      manager.initializeAsChild();
+      return manager.request('main', 'sum', [1, 2, 3], { timeout: 2000 });
+    });
+
+    expect(result).toBe(6);
+  });
+});
+
+/**
+ * Open a page whose BroadcastCommunicationManager answers and sends requests on a test channel
+ */
+async function openWindow(context: BrowserContext, windowId: string): Promise<Page> {
+  const page = await context.newPage();
+  await page.goto('/iframe-dnd-demo/parent.html');
+  await page.evaluate(async (windowId: string) => {
+    const url = '/iframe-dnd-demo/broadcast-communication.js';
+    const { BroadcastCommunicationManager } = await import(url);
+    const manager = new BroadcastCommunicationManager({ windowId, channelName: 'request-test' });
+    manager.initialize();
+    (window as RequestWindow).manager = manager;
+  }, windowId);
+  return page;
+}
+
+/**
+ * Send a request that should fail, and return the code and message it was rejected with
+ */
+async function requestError(page: Page, targetId: string, type: string, timeout?: number) {
+  return page.evaluate(async ({ targetId, type, timeout }) => {
+    try {
+      await (window as RequestWindow).manager!.request(targetId, type, {}, { timeout });
+      return null;
+    } catch (err) {
+      const { code, message } = err as { code: string; message: string };
+      return { code, message };
+    }
+  }, { targetId, type, timeout });
+}
@@ -0,0 +1,172 @@
+import { test, expect, type Page } from '@playwright/test';
+import { addFrame, dragItem } from './helpers';
+
+type ModelItem = { id: string; text: string; [field: string]: unknown };
+type TableRow = { description: string; quantity: number; unitPrice: number; amount: number };
+
+test.describe('Storage Adapters', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/iframe-dnd-demo/parent.html');
+    await page.waitForLoadState('networkidle');
+  });
+
+  test('should restore the saved items instead of the defaults', async ({ page }) => {
+    await page.evaluate(() => {
+      localStorage.setItem('iframe-dnd:draggable-items:frame-c', JSON.stringify([{ id: 's1', text: 'Saved' }]));
+    });
+    await addStorageFrame(page, `
+      import { DraggableItemsManager } from '/iframe-dnd-demo/draggable-items-communication.js';
+      import { LocalStorageAdapter } from '/iframe-dnd-demo/storage-adapter.js';
+      window.manager = new DraggableItemsManager({
+        frameId: 'frame-c',
+        allowedOrigin: window.parent.location.origin,
+        items: [{ id: 'd1', text: 'Default' }],
+        storage: new LocalStorageAdapter()
+      });
+      window.manager.initialize();`);
+
+    await expect(page.frameLocator('#frame-c').locator('.draggable')).toHaveText(['Saved']);
+  });
+
+  test('should save the items after a drop', async ({ page }) => {
+    await addStorageFrame(page, `
+      import { DraggableItemsManager } from '/iframe-dnd-demo/draggable-items-communication.js';
+      import { LocalStorageAdapter } from '/iframe-dnd-demo/storage-adapter.js';
+      window.manager = new DraggableItemsManager({
+        frameId: 'frame-c',
+        allowedOrigin: window.parent.location.origin,
+        items: [{ id: 'd1', text: 'Default' }],
+        storage: new LocalStorageAdapter()
+      });
+      window.manager.initialize();`);
+    await expect(page.frameLocator('#frame-c').locator('.draggable')).toHaveCount(1);
+
+    await dragItem(page, { id: '1', to: 'frame-c', at: 'end' });
+
+    await expect.poll(() => page.evaluate(() =>
+      JSON.parse(localStorage.getItem('iframe-dnd:draggable-items:frame-c') ?? '[]').map((item: ModelItem) => item.id)
+    )).toEqual(['d1', '1']);
+  });
+
+  test('should keep the items dropped on Frame B when it reloads', async ({ page }) => {
+    await dragItem(page, { id: '1', to: 'frame-b' });
+    await expect(page.frameLocator('#frame-b').locator('.dropped-item[data-id="1"]')).toHaveCount(1);
+
+    await page.evaluate(() => (document.getElementById('frame-b') as HTMLIFrameElement).contentWindow!.location.reload());
+
+    await expect(page.frameLocator('#frame-b').locator('.dropped-item[data-id="1"]')).toHaveCount(1);
+    await page.evaluate(() => (document.getElementById('frame-a') as HTMLIFrameElement).contentWindow!.location.reload());
+    await expect(page.frameLocator('#frame-a').locator('.draggable')).toHaveCount(4);
+  });
+
+  test('should restore drop zones from IndexedDB and keep their metadata', async ({ page }) => {
+    await page.evaluate(async () => {
+      const url = '/iframe-dnd-demo/storage-adapter.js';
+      const { IndexedDBAdapter } = await import(url);
+      await new IndexedDBAdapter().save('drop-zones:frame-c', {
+        done: [{ id: 's1', text: 'Shipped' }],
+        gone: [{ id: 's2', text: 'Zone no longer exists' }]
+      });
+    });
+    await addStorageFrame(page, `
+      import { DropZonesManager } from '/iframe-dnd-demo/drop-zones-communication.js';
+      import { IndexedDBAdapter } from '/iframe-dnd-demo/storage-adapter.js';
+      window.manager = new DropZonesManager({
+        frameId: 'frame-c',
+        allowedOrigin: window.parent.location.origin,
+        container: '#board',
+        zones: [
+          { id: 'todo', title: 'To Do', items: [{ id: 't1', text: 'Write docs' }] },
+          { id: 'done', title: 'Done', items: [{ id: 't2', text: 'Default' }] }
+        ],
+        storage: new IndexedDBAdapter()
+      });
+      window.manager.initialize();`);
+
+    const board = page.frameLocator('#frame-c');
+    await expect(board.locator('[data-zone-id="done"] .dropped-item')).toHaveText(['Shipped']);
+    await expect(board.locator('[data-zone-id="done"] .drop-zone-title')).toHaveText('Done');
+    await expect(board.locator('[data-zone-id="todo"] .dropped-item')).toHaveText(['Write docs']);
+    await expect(board.locator('.dropped-item')).toHaveCount(2);
+  });
+
+  test('should restore the saved rows of a table', async ({ page }) => {
+    await page.evaluate(() => {
+      localStorage.setItem('iframe-dnd:drag-drop-table:calc', JSON.stringify([
+        { description: 'Saved row', quantity: 2, unitPrice: 10, amount: 20 }
+      ]));
+    });
+
+    await addTable(page);
+
+    await expect(page.locator('#calc table-row')).toHaveCount(1);
+    await expect(page.locator('#calc #total')).toHaveText('$20.00');
+  });
+
+  test('should keep a table row added while the saved rows load', async ({ page }) => {
+    await page.evaluate(() => {
+      localStorage.setItem('iframe-dnd:drag-drop-table:calc', JSON.stringify([
+        { description: 'Saved row', quantity: 2, unitPrice: 10, amount: 20 }
+      ]));
+    });
+
+    await addTable(page, { description: 'Dropped row', quantity: 1, unitPrice: 5, amount: 5 });
+
+    await expect(page.locator('#calc table-row')).toHaveCount(2);
+    await expect(page.locator('#calc #total')).toHaveText('$25.00');
+    await expect.poll(() => page.evaluate(() =>
+      JSON.parse(localStorage.getItem('iframe-dnd:drag-drop-table:calc') ?? '[]').map((row: TableRow) => row.description)
+    )).toEqual(['Saved row', 'Dropped row']);
+  });
+
+  test('should reject a storage without load and save', async ({ page }) => {
+    const message = await page.evaluate(async () => {
+      const url = '/iframe-dnd-demo/draggable-items-communication.js';
+      const { DraggableItemsManager } = await import(url);
+      try {
+        new DraggableItemsManager({ frameId: 'frame-c', storage: { load: () => null } });
+        return null;
+      } catch (err) {
+        return (err as Error).message;
+      }
+    });
+
+    expect(message).toBe('Invalid storage: load and save methods are required');
+  });
+});
+
+/**
+ * Add a frame running the given module script, with a `.draggable-items` container and a
+ * `#board` for drop zones
+ */
+async function addStorageFrame(page: Page, script: string) {
+  await addFrame(page, 'frame-c', {
+    html: `<div class="draggable-items" style="min-height: 200px"></div>
+      <div id="board"></div>
+      <script type="module">${script}</script>`
+  });
+}
+
+/**
+ * Add a `<drag-drop-table id="calc">` to the page with a localStorage adapter, adding `row`
+ * right after the adapter is set, before the saved rows are in
+ */
+async function addTable(page: Page, row?: TableRow) {
+  await page.evaluate(async (row?: TableRow) => {
+    const componentUrl = '/iframe-dnd-demo/drag-drop-table-component.js';
+    const url = '/iframe-dnd-demo/storage-adapter.js';
+    await import(componentUrl);
+    const { LocalStorageAdapter } = await import(url);
+    const table = document.createElement('drag-drop-table') as HTMLElement & {
+      rows: TableRow[];
+      storage: unknown;
+      addRow(row: TableRow): void;
+    };
+    table.id = 'calc';
+    table.setAttribute('can-drop', '');
+    document.body.appendChild(table);
+    table.rows = [];
+    table.storage = new LocalStorageAdapter();
+    if (row) table.addRow(row);
+  }, row);
+}
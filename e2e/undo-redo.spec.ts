@@ -0,0 +1,138 @@
+import { test, expect, type Page } from '@playwright/test';
+import { addFrame, dragItem } from './helpers';
+
+test.describe('Undo & Redo', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/iframe-dnd-demo/parent.html');
+    await page.waitForLoadState('networkidle');
+  });
+
+  test('should undo a cross-frame move back to its original position', async ({ page }) => {
+    await dragItem(page, { id: '2', to: 'frame-b' });
+    await expect(page.frameLocator('#frame-b').locator('.dropped-item[data-id="2"]')).toHaveCount(1);
+
+    await pressKey(page, 'frame-b', 'z');
+
+    await expect(page.frameLocator('#frame-b').locator('.dropped-item[data-id="2"]')).toHaveCount(0);
+    await expect.poll(() => getFrameAIds(page)).toEqual(['1', '2', '3', '4', '5']);
+  });
+
+  test('should redo an undone move', async ({ page }) => {
+    await dragItem(page, { id: '2', to: 'frame-b' });
+    await pressKey(page, 'frame-a', 'z');
+    await expect.poll(() => getFrameAIds(page)).toEqual(['1', '2', '3', '4', '5']);
+
+    // Ctrl+Shift+Z in the parent page
+    await page.evaluate(() => {
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Z', ctrlKey: true, shiftKey: true, bubbles: true }));
+    });
+
+    await expect(page.frameLocator('#frame-b').locator('.dropped-item[data-id="2"]')).toHaveCount(1);
+    await expect.poll(() => getFrameAIds(page)).toEqual(['1', '3', '4', '5']);
+  });
+
+  test('should undo a paste by removing only the pasted item', async ({ page }) => {
+    await pressKey(page, 'frame-a', 'ArrowDown', false);
+    await pressKey(page, 'frame-a', 'c');
+    await pressKey(page, 'frame-b', 'ArrowDown', false);
+    await pressKey(page, 'frame-b', 'v');
+    await expect(page.frameLocator('#frame-b').locator('.dropped-item')).toHaveCount(1);
+    expect(await getFrameAIds(page)).toEqual(['1', '2', '3', '4', '5']);
+
+    await pressKey(page, 'frame-a', 'z');
+
+    await expect(page.frameLocator('#frame-b').locator('.dropped-item')).toHaveCount(0);
+    expect(await getFrameAIds(page)).toEqual(['1', '2', '3', '4', '5']);
+  });
+
+  test('should undo a paste into Frame A', async ({ page }) => {
+    await addFrame(page, 'frame-c', {
+      html: `<div class="draggable-items"></div>
+        <script type="module">
+          import { DraggableItemsManager } from '/iframe-dnd-demo/draggable-items-communication.js';
+          new DraggableItemsManager({
+            frameId: 'frame-c',
+            allowedOrigin: window.parent.location.origin,
+            items: [{ id: 'c1', text: 'Copied' }]
+          }).initialize();
+        </script>`
+    });
+    await expect(page.frameLocator('#frame-c').locator('.draggable')).toHaveCount(1);
+
+    await pressKey(page, 'frame-c', 'ArrowDown', false);
+    await pressKey(page, 'frame-c', 'c');
+    await pressKey(page, 'frame-a', 'v');
+    await expect.poll(() => getFrameAIds(page)).toEqual(['1', '2', '3', '4', '5', 'c1']);
+
+    await pressKey(page, 'frame-a', 'z');
+
+    await expect.poll(() => getFrameAIds(page)).toEqual(['1', '2', '3', '4', '5']);
+    await expect(page.frameLocator('#frame-c').locator('.draggable')).toHaveCount(1);
+  });
+
+  test('should paste the same item twice and undo only the second paste', async ({ page }) => {
+    await pressKey(page, 'frame-a', 'ArrowDown', false);
+    await pressKey(page, 'frame-a', 'c');
+    await pressKey(page, 'frame-b', 'v');
+    await pressKey(page, 'frame-b', 'v');
+
+    const frameB = page.frameLocator('#frame-b');
+    await expect(frameB.locator('.dropped-item')).toHaveCount(2);
+    // The second copy gets its own ID, so undo can tell the two apart
+    await expect(frameB.locator('.dropped-item[data-id="1"]')).toHaveCount(1);
+
+    await pressKey(page, 'frame-b', 'z');
+
+    await expect(frameB.locator('.dropped-item')).toHaveCount(1);
+    await expect(frameB.locator('.dropped-item[data-id="1"]')).toHaveCount(1);
+  });
+
+  test('should leave Ctrl+Z in a text field of a frame to the field', async ({ page }) => {
+    await dragItem(page, { id: '2', to: 'frame-b' });
+
+    const prevented = await page.evaluate(() => {
+      const frame = document.getElementById('frame-b') as HTMLIFrameElement;
+      const input = frame.contentDocument!.createElement('input');
+      frame.contentDocument!.querySelector('.drop-zone')!.appendChild(input);
+      const event = new KeyboardEvent('keydown', { key: 'z', ctrlKey: true, bubbles: true, cancelable: true });
+      input.dispatchEvent(event);
+      return event.defaultPrevented;
+    });
+    await page.waitForTimeout(300);
+
+    expect(prevented).toBe(false);
+    await expect(page.frameLocator('#frame-b').locator('.dropped-item[data-id="2"]')).toHaveCount(1);
+  });
+
+  test('should reject an invalid history depth', async ({ page }) => {
+    const message = await page.evaluate(async () => {
+      const url = '/iframe-dnd-demo/iframe-communication.js';
+      const { IframeCommunicationManager } = await import(url);
+      try {
+        new IframeCommunicationManager({ undoDepth: -1 });
+        return null;
+      } catch (err) {
+        return (err as Error).message;
+      }
+    });
+
+    expect(message).toBe('Invalid undoDepth "-1"');
+  });
+});
+
+async function getFrameAIds(page: Page): Promise<string[]> {
+  return page.frame({ url: /frame-a\.html/ })!.evaluate(() =>
+    Array.from(document.querySelectorAll<HTMLElement>('.draggable'), item => item.dataset.id!));
+}
+
+/**
+ * Dispatch a keydown in a frame's document, with Ctrl held unless `ctrlKey` is false
+ */
+async function pressKey(page: Page, frameId: string, key: string, ctrlKey = true) {
+  await page.evaluate(({ frameId, key, ctrlKey }) => {
+    const frame = document.getElementById(frameId) as HTMLIFrameElement;
+    frame.contentDocument!.dispatchEvent(new KeyboardEvent('keydown', { key, ctrlKey, bubbles: true, cancelable: true }));
+  }, { frameId, key, ctrlKey });
+
+  await page.waitForTimeout(300);
+}
@@ -0,0 +1,200 @@
+/**
+ * @fileoverview Edge autoscroll while dragging, shared by the coordinator and the child managers.
+ *
+ * @module autoscroll
+ * @description
+ * Pointer events stop while the user holds the pointer still near an edge, so
+ * scrolling runs in an animation-frame loop of its own. The closer the pointer
+ * is to the edge, the faster the container scrolls. After every step the
+ * `onScroll` callback runs so hover state can be refreshed for whatever is now
+ * under the (unmoved) pointer.
+ *
+ * @example
+ * import { AutoScroller, getScrollContainer } from './autoscroll.js';
+ *
+ * const scroller = new AutoScroller({ onScroll: () => refreshHover() });
+ * // On every drag move, in viewport coordinates
+ * scroller.update(x, y, getScrollContainer(document.elementFromPoint(x, y)));
+ * // When the drag ends or leaves
+ * scroller.stop();
+ *
+ * @author iframe-dnd-demo
+ * @version 1.0.0
+ */
+
+/**
+ * @typedef {Object} AutoScrollOptions
+ * @property {number} [edgeSize=40] - Distance from an edge, in pixels, at which scrolling starts
+ * @property {number} [maxSpeed=20] - Pixels scrolled per frame with the pointer on the edge
+ * @property {function(): void} [onScroll] - Called after every step that scrolled
+ */
+
+/**
+ * Get the element that scrolls a given element into view.
+ *
+ * @param {Element|null} element - Element under the pointer
+ * @returns {Element} The nearest ancestor with scrollable overflow, or the
+ *   document's scrolling element
+ */
+export function getScrollContainer(element) {
+  for (let node = element; node && node !== document.body && node !== document.documentElement; node = node.parentElement) {
+    const { overflowX, overflowY } = getComputedStyle(node);
+    const scrollsY = /(auto|scroll)/.test(overflowY) && node.scrollHeight > node.clientHeight;
+    const scrollsX = /(auto|scroll)/.test(overflowX) && node.scrollWidth > node.clientWidth;
+    if (scrollsX || scrollsY) return node;
+  }
+  return document.scrollingElement ?? document.documentElement;
+}
+
+/**
+ * Speed along one axis for a pointer at `position` within `[start, end]`.
+ *
+ * @param {number} position - Pointer coordinate
+ * @param {number} start - Start edge of the container
+ * @param {number} end - End edge of the container
+ * @param {number} edgeSize - Size of the edge zones
+ * @param {number} maxSpeed - Speed on the edge
+ * @returns {number} Negative towards the start, positive towards the end, 0 outside the edge zones
+ * @private
+ */
+function getEdgeSpeed(position, start, end, edgeSize, maxSpeed) {
+  // Small containers get smaller edge zones so their middle never scrolls
+  const size = Math.min(edgeSize, (end - start) / 4);
+  if (size <= 0 || position < start || position > end) return 0;
+
+  if (position < start + size) {
+    return -maxSpeed * (1 - (position - start) / size);
+  }
+  if (position > end - size) {
+    return maxSpeed * (1 - (end - position) / size);
+  }
+  return 0;
+}
+
+/**
+ * Scrolls a container while the pointer dwells near its edges.
+ *
+ * @class AutoScroller
+ */
+export class AutoScroller {
+  /**
+   * Create an autoscroller.
+   *
+   * @constructor
+   * @param {AutoScrollOptions} [options={}] - Configuration options
+   */
+  constructor(options = {}) {
+    const { edgeSize = 40, maxSpeed = 20, onScroll = null } = options;
+
+    /**
+     * Distance from an edge at which scrolling starts
+     * @type {number}
+     * @public
+     */
+    this.edgeSize = edgeSize;
+
+    /**
+     * Pixels scrolled per frame with the pointer on the edge
+     * @type {number}
+     * @public
+     */
+    this.maxSpeed = maxSpeed;
+
+    /**
+     * Called after every step that scrolled
+     * @type {Function|null}
+     * @private
+     */
+    this.onScroll = onScroll;
+
+    /**
+     * Container being scrolled and the pointer position, in viewport coordinates
+     * @type {{container: Element, x: number, y: number}|null}
+     * @private
+     */
+    this.target = null;
+
+    /**
+     * Handle of the pending animation frame
+     * @type {number|null}
+     * @private
+     */
+    this.frame = null;
+  }
+
+  /**
+   * Report the pointer position; starts scrolling when it is near an edge.
+   *
+   * @param {number} x - Pointer X in viewport coordinates
+   * @param {number} y - Pointer Y in viewport coordinates
+   * @param {Element} [container] - The container to scroll; defaults to the document
+   */
+  update(x, y, container = document.scrollingElement ?? document.documentElement) {
+    this.target = { container, x, y };
+    if (this.frame === null && this.getDelta()) {
+      this.frame = requestAnimationFrame(() => this.step());
+    }
+  }
+
+  /**
+   * Stop scrolling.
+   */
+  stop() {
+    if (this.frame !== null) {
+      cancelAnimationFrame(this.frame);
+    }
+    this.frame = null;
+    this.target = null;
+  }
+
+  /**
+   * Scroll delta for the current target.
+   *
+   * @returns {{x: number, y: number}|null} Pixels to scroll this frame, or null when
+   *   the pointer is not near an edge the container can scroll towards
+   * @private
+   */
+  getDelta() {
+    if (!this.target) return null;
+
+    const { container, x, y } = this.target;
+    const isDocument = container === document.scrollingElement || container === document.documentElement;
+    const rect = isDocument
+      ? { left: 0, top: 0, right: window.innerWidth, bottom: window.innerHeight }
+      : container.getBoundingClientRect();
+
+    let dx = getEdgeSpeed(x, rect.left, rect.right, this.edgeSize, this.maxSpeed);
+    let dy = getEdgeSpeed(y, rect.top, rect.bottom, this.edgeSize, this.maxSpeed);
+
+    // Don't keep the loop running against a container that is already at its end
+    const maxLeft = container.scrollWidth - container.clientWidth;
+    const maxTop = container.scrollHeight - container.clientHeight;
+    if ((dx < 0 && container.scrollLeft <= 0) || (dx > 0 && container.scrollLeft >= maxLeft)) dx = 0;
+    if ((dy < 0 && container.scrollTop <= 0) || (dy > 0 && container.scrollTop >= maxTop)) dy = 0;
+
+    return dx || dy ? { x: Math.round(dx) || Math.sign(dx), y: Math.round(dy) || Math.sign(dy) } : null;
+  }
+
+  /**
+   * Scroll one frame and schedule the next while the pointer stays near an edge.
+   *
+   * @private
+   */
+  step() {
+    this.frame = null;
+    const delta = this.getDelta();
+    if (!delta) return;
+
+    const { container } = this.target;
+    const { scrollLeft, scrollTop } = container;
+    container.scrollBy(delta.x, delta.y);
+
+    if (container.scrollLeft !== scrollLeft || container.scrollTop !== scrollTop) {
+      this.onScroll?.();
+    }
+    // onScroll may have stopped the scroller
+    if (this.target && this.frame === null) {
+      this.frame = requestAnimationFrame(() => this.step());
+    }
+  }
+}
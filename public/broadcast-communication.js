@@ -5,6 +5,8 @@
  * @description
  * This module provides the `BroadcastCommunicationManager` class which enables drag and drop
  * operations across separate browser windows/tabs using the BroadcastChannel API.
+ * Windows send heartbeats, so a window that crashes or is killed without
+ * `beforeunload` is reported lost once its heartbeats stop.
  * 
  * @example
  * import { BroadcastCommunicationManager } from './broadcast-communication.js';
@@ -15,15 +17,67 @@
  * });
  * manager.initialize();
  * 
+ * @example
+ * // Follow which windows are open
+ * const coordinator = new BroadcastCommunicationManager({ windowId: 'coordinator', role: 'coordinator' });
+ * coordinator.on('windowJoined', (info) => showWindow(info.windowId, info.title));
+ * coordinator.on('windowLost', (info) => markCrashed(info.windowId));
+ * coordinator.on('windowLeft', (info) => hideWindow(info.windowId));
+ * coordinator.initialize();
+ * 
  * @author iframe-dnd-demo
  * @version 1.0.0
  */
 
+import { resolveLogger } from './logger.js';
+import { RequestTracker, resolveRequestTimeout } from './request-response.js';
+
 /**
  * @typedef {Object} BroadcastManagerOptions
  * @property {string} windowId - Unique identifier for this window
  * @property {string} [channelName='iframe-dnd-channel'] - Name of the BroadcastChannel
+ * @property {import('./logger.js').Logger} [logger] - Where to log; silent by default
+ * @property {boolean} [debug=false] - Log everything to the console when no `logger` is given
+ * @property {import('./logger.js').MessageHistory} [history] - Records the messages sent and received
+ * @property {number} [heartbeatInterval=1000] - Milliseconds between this window's heartbeats
+ * @property {number} [ttl=3000] - Milliseconds without a message after which another window is
+ *   reported lost; must exceed `heartbeatInterval`
+ * @property {string} [title] - Title other windows see for this window. Defaults to `document.title`.
+ * @property {string} [role] - Role of this window, such as `coordinator`, `source` or `target`
+ * @property {string[]} [capabilities=[]] - What this window can do, e.g. `drag` or `drop`
+ * @property {number} [requestTimeout=5000] - Milliseconds `request()` waits for a response by default
+ */
+
+/**
+ * A window in the channel, as it announced itself.
+ * @typedef {Object} KnownWindow
+ * @property {string} windowId - The window
+ * @property {string} title - Its title
+ * @property {string|null} role - Its role, if it gave one
+ * @property {string[]} capabilities - What it can do
+ * @property {number} lastSeen - When its last message arrived
+ */
+
+/**
+ * Presence events emitted by {@link BroadcastCommunicationManager}. Handlers
+ * registered with `on()` get the {@link KnownWindow} and its window ID.
+ * @enum {string}
+ */
+export const PRESENCE_EVENTS = Object.freeze({
+  /** A window was seen for the first time */
+  JOINED: 'windowJoined',
+  /** A window sent nothing for longer than the TTL, e.g. because it crashed */
+  LOST: 'windowLost',
+  /** A window closed and said goodbye */
+  LEFT: 'windowLeft'
+});
+
+/**
+ * Messages that carry a window's presence and metadata.
+ * @type {Set<string>}
+ * @private
  */
+const PRESENCE_MESSAGE_TYPES = new Set(['windowJoined', 'windowHeartbeat']);
 
 /**
  * @typedef {Object} BroadcastMessage
@@ -41,7 +95,8 @@
  * - Creating and managing a BroadcastChannel for communication
  * - Broadcasting drag events to all windows
  * - Receiving and routing messages from other windows
- * - Maintaining window registry for coordination
+ * - Maintaining window registry for coordination, with heartbeats and metadata
+ * - Sending requests to other windows and answering theirs
  * - Providing fallback for browsers without BroadcastChannel support
  * 
  * @example
@@ -56,15 +111,43 @@ export class BroadcastCommunicationManager {
    * 
    * @constructor
    * @param {BroadcastManagerOptions} options - Configuration options
-   * @throws {Error} If windowId is not provided or BroadcastChannel is not supported
+   * @throws {Error} If windowId is not provided, BroadcastChannel is not supported, the
+   *   heartbeat timings are not positive numbers with `ttl` above `heartbeatInterval`, or
+   *   `requestTimeout` is not a positive number
+   * @throws {TypeError} If `logger` lacks one of the logging methods or `capabilities` is
+   *   not an array
    */
   constructor(options = {}) {
-    const { windowId, channelName = 'iframe-dnd-channel' } = options;
+    const {
+      windowId,
+      channelName = 'iframe-dnd-channel',
+      history = null,
+      heartbeatInterval = 1000,
+      ttl = 3000,
+      title = typeof document !== 'undefined' ? document.title : '',
+      role = null,
+      capabilities = [],
+      requestTimeout = 5000
+    } = options;
     
     if (!windowId) {
       throw new Error('windowId is required');
     }
     
+    if (!(Number.isFinite(heartbeatInterval) && heartbeatInterval > 0)) {
+      throw new Error(`Invalid heartbeatInterval "${heartbeatInterval}"`);
+    }
+    
+    if (!(Number.isFinite(ttl) && ttl > heartbeatInterval)) {
+      throw new Error(`Invalid ttl "${ttl}"`);
+    }
+    
+    if (!Array.isArray(capabilities)) {
+      throw new TypeError('capabilities must be an array');
+    }
+    
+    resolveRequestTimeout(requestTimeout, 'requestTimeout');
+    
     // Check BroadcastChannel support
     if (typeof BroadcastChannel === 'undefined') {
       throw new Error('BroadcastChannel is not supported in this browser');
@@ -99,11 +182,64 @@ export class BroadcastCommunicationManager {
     this.initialized = false;
     
     /**
-     * Set of known window IDs in the channel
-     * @type {Set<string>}
+     * Windows in the channel, by window ID
+     * @type {Map<string, KnownWindow>}
      * @private
      */
-    this.knownWindows = new Set();
+    this.knownWindows = new Map();
+    
+    /**
+     * Milliseconds between this window's heartbeats
+     * @type {number}
+     * @public
+     */
+    this.heartbeatInterval = heartbeatInterval;
+    
+    /**
+     * Milliseconds without a message after which a window is lost
+     * @type {number}
+     * @public
+     */
+    this.ttl = ttl;
+    
+    /**
+     * What other windows learn about this one
+     * @type {{title: string, role: string|null, capabilities: string[]}}
+     * @private
+     */
+    this.metadata = { title, role, capabilities: [...capabilities] };
+    
+    /**
+     * Sends the heartbeats and checks the other windows', while initialized
+     * @type {number|null}
+     * @private
+     */
+    this.heartbeatTimer = null;
+    
+    /**
+     * Logger for this window
+     * @type {import('./logger.js').Logger}
+     * @private
+     */
+    this.logger = resolveLogger(options, `broadcast:${windowId}`);
+    
+    /**
+     * Records the messages sent and received, if set
+     * @type {import('./logger.js').MessageHistory|null}
+     * @private
+     */
+    this.history = history;
+    
+    /**
+     * Requests sent and request handlers
+     * @type {RequestTracker}
+     * @private
+     */
+    this.requests = new RequestTracker({
+      send: (targetWindowId, type, data) => this.sendTo(targetWindowId, type, data),
+      timeout: requestTimeout,
+      logger: this.logger
+    });
   }
   
   /**
@@ -119,7 +255,12 @@ export class BroadcastCommunicationManager {
     this.channel.onmessage = (event) => this.handleMessage(event);
     
     // Announce this window's presence
-    this.broadcast('windowJoined', { windowId: this.windowId });
+    this.broadcast('windowJoined', this.getPresence());
+    
+    this.heartbeatTimer = setInterval(() => {
+      this.broadcast('windowHeartbeat', this.getPresence());
+      this.removeStaleWindows();
+    }, this.heartbeatInterval);
     
     // Handle window close
     window.addEventListener('beforeunload', () => {
@@ -131,7 +272,8 @@ export class BroadcastCommunicationManager {
   }
   
   /**
-   * Register a message handler for a specific message type.
+   * Register a message handler for a specific message type, or for one of
+   * the {@link PRESENCE_EVENTS}, whose handlers get a {@link KnownWindow}.
    * 
    * @param {string} type - Message type to handle
    * @param {Function} handler - Handler function
@@ -186,8 +328,9 @@ export class BroadcastCommunicationManager {
     
     try {
       this.channel.postMessage(message);
+      this.history?.record('out', message, null);
     } catch (error) {
-      console.error('Failed to broadcast message:', error);
+      this.logger.error('Failed to broadcast message:', error);
     }
   }
   
@@ -214,11 +357,58 @@ export class BroadcastCommunicationManager {
     
     try {
       this.channel.postMessage(message);
+      this.history?.record('out', message, targetWindowId);
     } catch (error) {
-      console.error('Failed to send message:', error);
+      this.logger.error('Failed to send message:', error);
     }
   }
   
+  /**
+   * Send a request to a specific window and wait for its response.
+   * 
+   * @param {string} targetWindowId - Window that should answer, with `handle()`
+   * @param {string} type - Request type
+   * @param {*} [data] - Passed to the target's handler
+   * @param {Object} [options={}] - Request options
+   * @param {number} [options.timeout] - Milliseconds to wait; `requestTimeout` when omitted
+   * @returns {Promise<*>} What the target's handler returned. Rejects with a
+   *   {@link module:request-response.RequestError} on timeout, when the target has no
+   *   handler or its handler fails, when the target leaves, or when this manager closes.
+   * @throws {Error} If `targetWindowId` or `type` is missing, or the timeout is invalid
+   * 
+   * @example
+   * const accepted = await manager.request('frame-b', 'acceptRow', row, { timeout: 1000 });
+   */
+  request(targetWindowId, type, data, options) {
+    return this.requests.request(targetWindowId, type, data, options);
+  }
+  
+  /**
+   * Answer the requests of a type sent by other windows. A second handler
+   * for the same type replaces the first.
+   * 
+   * @param {string} type - Request type
+   * @param {function(*, string): *} handler - Gets the request data and the requesting
+   *   window's ID; may be async. What it returns is the response; what it throws
+   *   rejects the request.
+   * @throws {TypeError} If `handler` is not a function
+   * 
+   * @example
+   * manager.handle('acceptRow', async (row) => row.quantity > 0);
+   */
+  handle(type, handler) {
+    this.requests.handle(type, handler);
+  }
+  
+  /**
+   * Stop answering the requests of a type.
+   * 
+   * @param {string} type - Request type
+   */
+  unhandle(type) {
+    this.requests.unhandle(type);
+  }
+  
   /**
    * Handle incoming messages from the channel.
    * 
@@ -234,44 +424,162 @@ export class BroadcastCommunicationManager {
     // If message has a target, only process if we're the target
     if (message.target && message.target !== this.windowId) return;
     
-    // Track known windows
-    if (message.type === 'windowJoined' && message.data?.windowId) {
-      this.knownWindows.add(message.data.windowId);
+    this.history?.record('in', message, message.source);
+    this.logger.debug(`Received ${message.type} from ${message.source}`);
+    
+    // Any message shows the sender is still there
+    const known = this.knownWindows.get(message.source);
+    if (known) {
+      known.lastSeen = Date.now();
+    }
+    
+    // Presence is reported through the presence events instead
+    if (PRESENCE_MESSAGE_TYPES.has(message.type)) {
+      this.updateWindow(message.source, message.data ?? {});
       
-      // Respond with our own presence
-      if (message.data.windowId !== this.windowId) {
-        this.broadcast('windowJoined', { windowId: this.windowId });
+      // Tell a window that just joined about this one, without waiting for the next heartbeat
+      if (message.type === 'windowJoined') {
+        this.sendTo(message.source, 'windowHeartbeat', this.getPresence());
       }
-    } else if (message.type === 'windowLeft' && message.data?.windowId) {
-      this.knownWindows.delete(message.data.windowId);
+      return;
     }
+    if (message.type === 'windowLeft') {
+      this.removeWindow(message.source, PRESENCE_EVENTS.LEFT);
+      return;
+    }
+    
+    if (this.requests.receive(message)) return;
     
-    // Call registered handlers
-    const handlers = this.messageHandlers.get(message.type);
+    this.emit(message.type, message.data, message.source);
+  }
+  
+  /**
+   * Call the handlers registered for a type.
+   * 
+   * @param {string} type - Message type or presence event
+   * @param {*} data - Passed to the handlers
+   * @param {string} source - Window ID passed to the handlers
+   * @private
+   */
+  emit(type, data, source) {
+    const handlers = this.messageHandlers.get(type);
     if (handlers) {
       handlers.forEach(handler => {
         try {
-          handler(message.data, message.source);
+          handler(data, source);
         } catch (error) {
-          console.error('Error in message handler:', error);
+          this.logger.error('Error in message handler:', error);
         }
       });
     }
   }
   
+  /**
+   * What this window tells the others about itself.
+   * 
+   * @returns {Object} The `windowJoined` and `windowHeartbeat` payload
+   * @private
+   */
+  getPresence() {
+    const { title, role, capabilities } = this.metadata;
+    return { windowId: this.windowId, title, ...(role ? { role } : {}), capabilities };
+  }
+  
+  /**
+   * Record a window's presence and metadata, emitting `windowJoined` the first time.
+   * 
+   * @param {string} windowId - The window
+   * @param {Object} presence - Its `windowJoined` or `windowHeartbeat` payload
+   * @private
+   */
+  updateWindow(windowId, presence) {
+    const isNew = !this.knownWindows.has(windowId);
+    const info = {
+      windowId,
+      title: String(presence.title ?? ''),
+      role: presence.role ?? null,
+      capabilities: Array.isArray(presence.capabilities) ? [...presence.capabilities] : [],
+      lastSeen: Date.now()
+    };
+    this.knownWindows.set(windowId, info);
+    
+    if (isNew) {
+      this.logger.debug(`Window ${windowId} joined`);
+      this.emit(PRESENCE_EVENTS.JOINED, { ...info }, windowId);
+    }
+  }
+  
+  /**
+   * Forget a window and emit `windowLeft` or `windowLost` for it.
+   * 
+   * @param {string} windowId - The window
+   * @param {string} event - {@link PRESENCE_EVENTS.LEFT} or {@link PRESENCE_EVENTS.LOST}
+   * @private
+   */
+  removeWindow(windowId, event) {
+    this.requests.rejectTarget(windowId);
+    
+    const info = this.knownWindows.get(windowId);
+    if (!info) return;
+    
+    this.knownWindows.delete(windowId);
+    this.logger.debug(`Window ${windowId} ${event === PRESENCE_EVENTS.LOST ? 'lost' : 'left'}`);
+    this.emit(event, { ...info }, windowId);
+  }
+  
+  /**
+   * Report the windows that sent nothing for longer than the TTL as lost.
+   * 
+   * @private
+   */
+  removeStaleWindows() {
+    const now = Date.now();
+    for (const info of Array.from(this.knownWindows.values())) {
+      if (now - info.lastSeen > this.ttl) {
+        this.removeWindow(info.windowId, PRESENCE_EVENTS.LOST);
+      }
+    }
+  }
+  
   /**
    * Get list of known windows.
    * 
    * @returns {string[]} Array of window IDs
    */
   getKnownWindows() {
-    return Array.from(this.knownWindows);
+    return Array.from(this.knownWindows.keys());
+  }
+  
+  /**
+   * Get the known windows with their metadata.
+   * 
+   * @returns {KnownWindow[]} Copies of the windows, in the order they joined
+   * 
+   * @example
+   * const targets = manager.getWindows().filter(info => info.capabilities.includes('drop'));
+   */
+  getWindows() {
+    return Array.from(this.knownWindows.values(), info => ({ ...info }));
+  }
+  
+  /**
+   * Get a known window with its metadata.
+   * 
+   * @param {string} windowId - The window
+   * @returns {KnownWindow|null} A copy of the window, or null if it is not known
+   */
+  getWindow(windowId) {
+    const info = this.knownWindows.get(windowId);
+    return info ? { ...info } : null;
   }
   
   /**
    * Close the channel and clean up.
    */
   close() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+    this.requests.close();
     if (this.channel) {
       this.channel.close();
     }
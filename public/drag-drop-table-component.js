@@ -3,6 +3,7 @@
  * Custom element for tables with drag and drop functionality
  */
 import './table-row-component.js';
+import { resolveStorage } from './storage-adapter.js';
 
 class DragDropTable extends HTMLElement {
   constructor() {
@@ -10,6 +11,9 @@ class DragDropTable extends HTMLElement {
     this.attachShadow({ mode: 'open' });
     this._rows = [];
     this._selectedRow = null;
+    this._storage = null;
+    this._storageReady = false;
+    this.restored = Promise.resolve();
   }
 
   connectedCallback() {
@@ -27,6 +31,36 @@ class DragDropTable extends HTMLElement {
     return this._rows;
   }
 
+  /**
+   * Storage adapter (see storage-adapter.js) that keeps the rows across reloads.
+   * Setting it replaces the rows with the ones saved under the `storage-key`
+   * attribute, or else the element's id; `restored` resolves once they are in.
+   * Added, pasted and removed rows are saved again. Rows added or removed
+   * before then are applied once the saved rows are in, so they are not lost.
+   */
+  set storage(adapter) {
+    this._storage = resolveStorage(adapter);
+    this._storageReady = false;
+    if (!this._storage) return;
+
+    this.restored = this._storage.load(this.storageKey)
+      .then(rows => {
+        if (Array.isArray(rows)) this.rows = rows;
+      })
+      .catch(err => console.error('Failed to restore rows:', err))
+      .finally(() => {
+        this._storageReady = true;
+      });
+  }
+
+  get storage() {
+    return this._storage;
+  }
+
+  get storageKey() {
+    return this.getAttribute('storage-key') || `drag-drop-table:${this.id || 'table'}`;
+  }
+
   render() {
     const title = this.getAttribute('title') || 'Table';
     const canDrop = this.hasAttribute('can-drop');
@@ -244,12 +278,23 @@ class DragDropTable extends HTMLElement {
   }
 
   addRow(rowData) {
+    if (this._storage && !this._storageReady) {
+      this.restored.then(() => this.addRow(rowData));
+      return;
+    }
+
     this._rows.push(rowData);
     this.renderRows();
     this.updateTotal();
+    this.saveRows();
   }
 
   removeRow(rowData) {
+    if (this._storage && !this._storageReady) {
+      this.restored.then(() => this.removeRow(rowData));
+      return;
+    }
+
     const index = this._rows.findIndex(r => 
       r.description === rowData.description &&
       r.quantity === rowData.quantity &&
@@ -259,9 +304,17 @@ class DragDropTable extends HTMLElement {
       this._rows.splice(index, 1);
       this.renderRows();
       this.updateTotal();
+      this.saveRows();
     }
   }
 
+  saveRows() {
+    if (!this._storage || !this._storageReady) return;
+
+    this._storage.save(this.storageKey, this._rows)
+      .catch(err => console.error('Failed to save rows:', err));
+  }
+
   updateTotal() {
     const total = this._rows.reduce((sum, row) => sum + (row.amount || 0), 0);
     const totalElement = this.shadowRoot.getElementById('total');
@@ -0,0 +1,214 @@
+/**
+ * @fileoverview Typed drag payload model shared by sources, targets and the coordinator.
+ *
+ * @module drag-payload
+ * @description
+ * A drag payload holds several representations of the dragged item, keyed by
+ * MIME-style type, much like `DataTransfer.setData()` in HTML5 drag and drop.
+ * Sources put every representation they can produce into the payload; drop
+ * targets pick the first type they support with {@link negotiateType}.
+ *
+ * Payloads are plain objects so they survive `postMessage` structured cloning.
+ * `+json` types hold plain objects; `text/*` types hold strings.
+ *
+ * @example
+ * // Source: describe a table row in two representations
+ * import { createPayload, MIME_TYPES } from './drag-payload.js';
+ *
+ * const payload = createPayload({
+ *   [MIME_TYPES.ROW]: { id: 'r1', description: 'Concrete', quantity: 2, unitPrice: 50 },
+ *   [MIME_TYPES.TEXT]: 'Concrete'
+ * });
+ *
+ * @example
+ * // Target: accept rows if possible, fall back to plain text
+ * import { negotiateType, getPayloadData, MIME_TYPES } from './drag-payload.js';
+ *
+ * const type = negotiateType(dragData.payload, [MIME_TYPES.ROW, MIME_TYPES.TEXT]);
+ * if (type) {
+ *   const data = getPayloadData(dragData.payload, type);
+ * }
+ *
+ * @author iframe-dnd-demo
+ * @version 1.0.0
+ */
+
+/**
+ * Well-known payload types used by the bundled managers and demo pages.
+ * @enum {string}
+ */
+export const MIME_TYPES = Object.freeze({
+  /** Plain text label */
+  TEXT: 'text/plain',
+  /** HTML markup of the item */
+  HTML: 'text/html',
+  /** Generic item: `{ id, text, html? }` */
+  ITEM: 'application/x-item+json',
+  /** Table row: `{ id, description, quantity, unitPrice }` */
+  ROW: 'application/x-row+json'
+});
+
+/**
+ * @typedef {Object<string, *>} DragPayload
+ * @description Map of MIME-style type to the representation of the dragged item.
+ */
+
+/**
+ * Pattern for a `type/subtype` string, optionally with a `+suffix`.
+ * @type {RegExp}
+ * @private
+ */
+const TYPE_PATTERN = /^[a-z0-9][a-z0-9.+-]*\/[a-z0-9*][a-z0-9.+*-]*$/i;
+
+/**
+ * Create a payload from a map of type to representation.
+ *
+ * @param {Object<string, *>} entries - Representations keyed by MIME-style type
+ * @returns {DragPayload} A new payload without undefined entries
+ * @throws {TypeError} If a key is not a valid MIME-style type
+ *
+ * @example
+ * createPayload({ 'text/plain': 'Design Asset' });
+ */
+export function createPayload(entries = {}) {
+  const payload = {};
+  for (const [type, value] of Object.entries(entries)) {
+    if (!TYPE_PATTERN.test(type)) {
+      throw new TypeError(`Invalid payload type "${type}"`);
+    }
+    if (value !== undefined) {
+      payload[type.toLowerCase()] = value;
+    }
+  }
+  return payload;
+}
+
+/**
+ * List the types available in a payload.
+ *
+ * @param {DragPayload|null|undefined} payload - The payload
+ * @returns {string[]} Available types in insertion order
+ */
+export function getPayloadTypes(payload) {
+  return payload ? Object.keys(payload) : [];
+}
+
+/**
+ * Get the representation stored for a type.
+ *
+ * @param {DragPayload|null|undefined} payload - The payload
+ * @param {string} type - Exact MIME-style type
+ * @returns {*} The representation, or undefined if the type is not present
+ */
+export function getPayloadData(payload, type) {
+  if (!payload || !type) return undefined;
+  return payload[type.toLowerCase()];
+}
+
+/**
+ * Check whether a concrete type matches an accepted type pattern.
+ * Patterns may use `*` wildcards such as `text/*` or `*\/*`.
+ *
+ * @param {string} type - Concrete type from the payload
+ * @param {string} pattern - Accepted type or wildcard pattern
+ * @returns {boolean} True if the type matches
+ */
+export function matchesType(type, pattern) {
+  const [major, minor] = type.toLowerCase().split('/');
+  const [patternMajor, patternMinor] = pattern.toLowerCase().split('/');
+  return (patternMajor === '*' || patternMajor === major) &&
+    (patternMinor === '*' || patternMinor === minor);
+}
+
+/**
+ * Pick the best type a target can accept from a payload.
+ *
+ * @param {DragPayload|null|undefined} payload - The payload offered by the source
+ * @param {string[]} acceptedTypes - Types the target supports, most preferred first
+ * @returns {string|null} The first payload type matching the target's preferences, or null
+ *
+ * @example
+ * negotiateType({ 'text/plain': 'x' }, ['application/x-row+json', 'text/*']);
+ * // 'text/plain'
+ */
+export function negotiateType(payload, acceptedTypes) {
+  const available = getPayloadTypes(payload);
+  for (const pattern of acceptedTypes) {
+    const match = available.find(type => matchesType(type, pattern));
+    if (match) return match;
+  }
+  return null;
+}
+
+/**
+ * Get the payload of a drag, building one from legacy fields when it is missing.
+ *
+ * @param {Object} dragData - Drag or clipboard data
+ * @param {DragPayload} [dragData.payload] - Typed payload
+ * @param {string} [dragData.text] - Legacy text label
+ * @param {Object} [dragData.rowData] - Legacy table row data
+ * @returns {DragPayload} The typed payload
+ *
+ * @description
+ * Senders that predate the payload model (for example the cross-window pages)
+ * only send `text` and optionally `rowData`. Those are mapped to `text/plain`
+ * and `application/x-row+json`.
+ */
+export function resolvePayload(dragData) {
+  if (!dragData) return {};
+  if (dragData.payload && typeof dragData.payload === 'object') {
+    return dragData.payload;
+  }
+  return createPayload({
+    [MIME_TYPES.ROW]: dragData.rowData,
+    [MIME_TYPES.TEXT]: dragData.text
+  });
+}
+
+/**
+ * Get display text for a single representation.
+ *
+ * @param {*} value - A representation taken from a payload
+ * @returns {string} The string itself, or the `text`/`description` of a JSON
+ *   representation, or an empty string
+ */
+export function getRepresentationText(value) {
+  if (typeof value === 'string') return value;
+  if (value && typeof value === 'object') {
+    return String(value.text ?? value.description ?? '');
+  }
+  return '';
+}
+
+/**
+ * Get a human-readable label for a payload.
+ *
+ * @param {DragPayload} payload - The payload
+ * @returns {string} The best available text label, or an empty string
+ */
+export function getPayloadLabel(payload) {
+  for (const type of [MIME_TYPES.TEXT, MIME_TYPES.ITEM, MIME_TYPES.ROW]) {
+    const text = getRepresentationText(getPayloadData(payload, type));
+    if (text) return text;
+  }
+  return '';
+}
+
+/**
+ * Get the items carried by a drag.
+ *
+ * @param {Object} dragData - Drag or clipboard data
+ * @param {Object[]} [dragData.items] - Items of a group drag, each with `id`, `text` and `payload`
+ * @returns {Object[]} The `items` of a group drag, or the drag itself as a single item
+ *
+ * @description
+ * A group drag (several selected items dragged together) lists every item in
+ * `items`; its top-level `id` and `payload` describe the item under the pointer.
+ * Targets that handle `items` accept or refuse the whole group.
+ */
+export function getDragItems(dragData) {
+  if (Array.isArray(dragData?.items) && dragData.items.length > 0) {
+    return dragData.items;
+  }
+  return dragData ? [dragData] : [];
+}
@@ -4,8 +4,8 @@
  * @module draggable-items-communication
  * @description
  * This module provides the `DraggableItemsManager` class which manages draggable items
- * within a child iframe. It handles pointer events for dragging, keyboard navigation,
- * and communication with the parent window for cross-iframe drag and drop operations.
+ * within a child iframe. It handles pointer events for dragging, multi-selection and
+ * group drags, keyboard navigation, and communication with the parent window for cross-iframe drag and drop operations.
  * 
  * @example
  * // Standard usage with drag capability
@@ -22,14 +22,93 @@
  * });
  * manager.initialize();
  * 
+ * @example
+ * // Render from a data model and keep it across reloads
+ * import { LocalStorageAdapter } from './storage-adapter.js';
+ * 
+ * const manager = new DraggableItemsManager({
+ *   frameId: 'tasks-panel',
+ *   items: [{ id: 'welcome', text: 'Drag me' }],
+ *   template: (item) => `<strong>${item.text}</strong> <small>${item.owner ?? ''}</small>`,
+ *   storage: new LocalStorageAdapter()
+ * });
+ * await manager.initialize();
+ * 
  * @author iframe-dnd-demo
  * @version 1.0.0
  */
 
+import {
+  DROP_REJECT_REASONS,
+  DRAG_CANCEL_REASONS,
+  FRAME_CAPABILITIES,
+  isValidOrigin
+} from './message-protocol.js';
+import {
+  MIME_TYPES,
+  createPayload,
+  getDragItems,
+  getPayloadLabel,
+  negotiateType,
+  resolvePayload
+} from './drag-payload.js';
+import { DROP_EFFECTS, isValidEffectAllowed } from './drop-effect.js';
+import { ItemSelection } from './item-selection.js';
+import { getInsertionIndex, InsertionPlaceholder } from './insertion-point.js';
+import { ParentConnection } from './parent-connection.js';
+import { PointerDrag } from './pointer-drag.js';
+import { AutoScroller, getScrollContainer } from './autoscroll.js';
+import { resolveLogger } from './logger.js';
+import { toItemModel, itemFromPayload, restoreItem, isValidTemplate, renderTemplate } from './item-model.js';
+import { resolveStorage } from './storage-adapter.js';
+import { getHistoryShortcut } from './history-shortcuts.js';
+
 /**
  * @typedef {Object} DraggableItemOptions
  * @property {string} frameId - Unique identifier for this frame
  * @property {boolean} [receiveOnly=false] - If true, frame can only receive drops, not send drags
+ * @property {function(HTMLElement): import('./drag-payload.js').DragPayload} [getPayload] -
+ *   Builds the typed payload for a dragged or copied element. Defaults to
+ *   `application/x-item+json`, `text/html` and `text/plain` representations.
+ * @property {string[]} [acceptedTypes] - Payload types this frame accepts, most preferred
+ *   first. Defaults to `application/x-item+json`, `text/html`, `text/plain`.
+ * @property {ItemModel[]} [items] - Items to render into the `.draggable-items` container.
+ *   Defaults to the `.draggable` elements found in it on initialization.
+ * @property {import('./item-model.js').ItemTemplate} [template] - Renders the content of
+ *   an item element. By default `html` is rendered as markup, or else `text` as text.
+ * @property {function(HTMLElement, *, string): void} [renderItem] - Fills an element from the
+ *   negotiated representation of a dropped or pasted item and its type; the element's
+ *   markup becomes the new item's `html`
+ * @property {function(HTMLElement, ItemData, string): boolean} [canDrop] - Custom predicate
+ *   called with the container, the drag data and the negotiated type. Return false to refuse the drop.
+ * @property {string} [effectAllowed='all'] - Drop effects allowed for items dragged out of
+ *   this frame: `none`, `copy`, `move`, `link`, `copyMove`, `copyLink`, `linkMove` or `all`
+ * @property {boolean|import('./autoscroll.js').AutoScrollOptions} [autoScroll=true] - Scroll
+ *   this frame while an item is dragged near its edges; `false` disables it
+ * @property {string} [allowedOrigin] - Origin of the parent page; messages are only
+ *   accepted from it and sent to it. Defaults to this frame's own origin.
+ * @property {import('./logger.js').Logger} [logger] - Where to log; silent by default
+ * @property {boolean} [debug=false] - Log everything to the console when no `logger` is given
+ * @property {import('./logger.js').MessageHistory} [history] - Records the messages sent to
+ *   and received from the parent
+ * @property {import('./storage-adapter.js').StorageAdapter} [storage] - Keeps the items across
+ *   reloads: the saved items replace `items` on initialization and are saved again after
+ *   every drop, removal and paste
+ * @property {string} [storageKey] - Key the items are saved under. Defaults to
+ *   `draggable-items:<frameId>`.
+ */
+
+/**
+ * @typedef {import('./item-model.js').ItemModel} ItemModel
+ */
+
+/**
+ * @typedef {Object} DropStatus
+ * @property {boolean} accepted - Whether the container accepts the item
+ * @property {string} [reason] - One of `DROP_REJECT_REASONS` when not accepted
+ * @property {string} [acceptedType] - The negotiated payload type when accepted
+ * @property {string[]} [acceptedTypes] - The negotiated type of every dragged item when accepted
+ * @property {string} [sessionId] - Drag session the status is about
  */
 
 /**
@@ -37,7 +116,17 @@
  * @property {string} id - Unique identifier for the item
  * @property {string} text - Display text for the item
  * @property {string} source - Frame ID where the item originated
+ * @property {import('./drag-payload.js').DragPayload} [payload] - Typed representations of the item
+ * @property {string} [sessionId] - Drag session, set by the coordinator while dragging
+ * @property {ItemData[]} [items] - Every item of a group drag
+ */
+
+/**
+ * Payload types accepted by default, most preferred first.
+ * @type {string[]}
+ * @private
  */
+const DEFAULT_ACCEPTED_TYPES = [MIME_TYPES.ITEM, MIME_TYPES.HTML, MIME_TYPES.TEXT];
 
 /**
  * Manager for draggable items in child iframes.
@@ -45,7 +134,8 @@
  * @class DraggableItemsManager
  * @description
  * Manages draggable items by:
- * - Setting up pointer event handlers for drag operations
+ * - Rendering the items of its data model into the `.draggable-items` container
+ * - Handling pointer events for drag operations, delegated from the container
  * - Communicating drag events to the parent window
  * - Receiving drop and paste events from parent
  * - Supporting keyboard-based copy/paste operations
@@ -71,6 +161,9 @@ export class DraggableItemsManager {
    * @constructor
    * @param {DraggableItemOptions|string} options - Configuration options or frame ID string
    * @throws {Error} If frameId is not provided
+   * @throws {TypeError} If `items` is not an array of objects, `template` is neither a
+   *   function nor a `<template>`, `logger` lacks one of the logging methods or `storage`
+   *   lacks `load` or `save`
    * 
    * @description
    * Supports both object-based and string-based constructor arguments for
@@ -89,7 +182,24 @@ export class DraggableItemsManager {
    * const manager = new DraggableItemsManager('panel-1');
    */
   constructor(options = {}) {
-    const { frameId, receiveOnly = false } = typeof options === 'string' 
+    const {
+      frameId,
+      receiveOnly = false,
+      getPayload = null,
+      acceptedTypes = DEFAULT_ACCEPTED_TYPES,
+      items = null,
+      template = null,
+      renderItem = null,
+      canDrop = null,
+      effectAllowed = 'all',
+      autoScroll = true,
+      allowedOrigin = window.location.origin,
+      logger = null,
+      debug = false,
+      history = null,
+      storage = null,
+      storageKey = `draggable-items:${frameId}`
+    } = typeof options === 'string' 
       ? { frameId: options, receiveOnly: false } 
       : options;
       
@@ -97,6 +207,22 @@ export class DraggableItemsManager {
       throw new Error('frameId is required');
     }
     
+    if (!isValidEffectAllowed(effectAllowed)) {
+      throw new Error(`Invalid effectAllowed "${effectAllowed}"`);
+    }
+    
+    if (!isValidOrigin(allowedOrigin)) {
+      throw new Error(`Invalid allowedOrigin "${allowedOrigin}"`);
+    }
+    
+    if (items !== null && !Array.isArray(items)) {
+      throw new TypeError('items must be an array');
+    }
+    
+    if (template !== null && !isValidTemplate(template)) {
+      throw new TypeError('template must be a function or a <template> element');
+    }
+    
     /**
      * Unique identifier for this frame
      * @type {string}
@@ -104,6 +230,56 @@ export class DraggableItemsManager {
      */
     this.frameId = frameId;
     
+    /**
+     * Origin of the parent page
+     * @type {string}
+     * @public
+     */
+    this.allowedOrigin = allowedOrigin;
+    
+    /**
+     * Logger for this frame
+     * @type {import('./logger.js').Logger}
+     * @private
+     */
+    this.logger = resolveLogger({ logger, debug }, `draggable-items:${frameId}`);
+    
+    /**
+     * Records the messages sent and received, if set
+     * @type {import('./logger.js').MessageHistory|null}
+     * @private
+     */
+    this.history = history;
+    
+    /**
+     * Messaging with the parent coordinator
+     * @type {ParentConnection}
+     * @private
+     */
+    this.connection = new ParentConnection({ allowedOrigin, logger: this.logger, history });
+    
+    /**
+     * Keeps the items across reloads, if set
+     * @type {import('./storage-adapter.js').StorageAdapter|null}
+     * @private
+     */
+    this.storage = resolveStorage(storage);
+    
+    /**
+     * Key the items are saved under
+     * @type {string}
+     * @public
+     */
+    this.storageKey = storageKey;
+    
+    /**
+     * Whether the saved items were restored; nothing is saved before, so the
+     * rendered defaults never overwrite them
+     * @type {boolean}
+     * @private
+     */
+    this.storageReady = false;
+    
     /**
      * Whether this frame is receive-only (cannot send drags)
      * @type {boolean}
@@ -112,39 +288,86 @@ export class DraggableItemsManager {
     this.receiveOnly = receiveOnly;
     
     /**
-     * Currently dragged element
-     * @type {HTMLElement|null}
+     * Payload types this frame accepts, most preferred first
+     * @type {string[]}
+     * @public
+     */
+    this.acceptedTypes = acceptedTypes;
+    
+    /**
+     * Custom payload builder
+     * @type {Function|null}
      * @private
      */
-    this.currentDragElement = null;
+    this.customGetPayload = getPayload;
     
     /**
-     * X coordinate where drag started
-     * @type {number}
+     * Custom renderer for dropped and pasted payloads
+     * @type {Function|null}
      * @private
      */
-    this.dragStartX = 0;
+    this.customRenderItem = renderItem;
     
     /**
-     * Y coordinate where drag started
-     * @type {number}
+     * Renders the content of an item element
+     * @type {import('./item-model.js').ItemTemplate|null}
      * @private
      */
-    this.dragStartY = 0;
+    this.template = template;
     
     /**
-     * Whether a drag is currently in progress
-     * @type {boolean}
+     * The data model: every item in the container, in order. Null until
+     * initialization when it is read from the page.
+     * @type {ItemModel[]|null}
+     * @private
+     */
+    this.items = items && items.map(toItemModel);
+    
+    /**
+     * Item each rendered element shows
+     * @type {WeakMap<HTMLElement, ItemModel>}
      * @private
      */
-    this.isDragging = false;
+    this.elementItems = new WeakMap();
     
     /**
-     * Currently selected item for keyboard operations
+     * The `.draggable-items` container, found on initialization
      * @type {HTMLElement|null}
      * @private
      */
-    this.selectedItem = null;
+    this.container = null;
+    
+    /**
+     * Custom drop predicate
+     * @type {Function|null}
+     * @private
+     */
+    this.canDrop = canDrop;
+    
+    /**
+     * Drop effects allowed for items dragged out of this frame
+     * @type {string}
+     * @public
+     */
+    this.effectAllowed = effectAllowed;
+    
+    /**
+     * Item being pressed or dragged out of this frame
+     * @type {PointerDrag}
+     * @private
+     */
+    this.drag = new PointerDrag({
+      onMove: (e) => this.handlePointerMove(e),
+      onUp: (e) => this.handlePointerUp(e),
+      onCancel: (reason) => this.connection.post('dragCancel', { source: this.frameId, reason })
+    });
+    
+    /**
+     * Selected items for keyboard operations and group drags
+     * @type {ItemSelection}
+     * @private
+     */
+    this.selection = new ItemSelection(() => Array.from(document.querySelectorAll('.draggable')));
     
     /**
      * Data copied to clipboard via keyboard
@@ -159,38 +382,187 @@ export class DraggableItemsManager {
      * @private
      */
     this.currentHoverContainer = null;
+    
+    /**
+     * Line marking where a drop would be inserted in the hovered container
+     * @type {InsertionPlaceholder}
+     * @private
+     */
+    this.placeholder = new InsertionPlaceholder();
+    
+    /**
+     * Scrolls this frame while an item is dragged near its edges
+     * @type {AutoScroller|null}
+     * @private
+     */
+    this.autoScroller = autoScroll
+      ? new AutoScroller({ ...(typeof autoScroll === 'object' ? autoScroll : {}), onScroll: () => this.refreshDragMove() })
+      : null;
+    
+    /**
+     * Arguments of the last `parentDragMove`, replayed after autoscrolling
+     * @type {Array|null}
+     * @private
+     */
+    this.lastDragMove = null;
+    
+    /**
+     * Dropped items waiting for the parent to commit them, keyed by drag session ID
+     * @type {Map<string, HTMLElement[]>}
+     * @private
+     */
+    this.pendingDrops = new Map();
+    
+    /**
+     * ID the parent coordinator registered this frame under, once it answered `hello`
+     * @type {string|null}
+     * @public
+     */
+    this.parentFrameId = null;
   }
 
   /**
    * Initialize the manager with draggable items.
    * 
    * @description
-   * Sets up event handlers based on the receiveOnly flag:
-   * - If receiveOnly is false: Sets up drag handlers and keyboard handlers
+   * Renders the `items` option into the `.draggable-items` container, or reads
+   * the model from the `.draggable` elements already in it. Then sets up event
+   * handlers based on the receiveOnly flag:
+   * - If receiveOnly is false: Sets up drag handlers and keyboard handlers, and
+   *   cancels a drag in progress when the page unloads
    * - If receiveOnly is true: Only sets up message listener for receiving drops
-   * - Always sets up message listener and drop-in animations
+   * - Always sets up message listener and drop-in animations, and announces the
+   *   frame to the parent
+   * 
+   * With `storage`, the saved items replace the rendered ones before the frame
+   * is announced, so the parent sends no drops until they are restored.
+   * 
+   * @returns {Promise<void>} Resolves once the frame is announced
    */
   initialize() {
+    this.container = document.querySelector('.draggable-items');
+    this.setItems(this.items ?? this.readItems());
+    
     if (!this.receiveOnly) {
       this.setupDraggables();
       this.setupKeyboardHandlers();
+      window.addEventListener('pagehide', () => this.drag.cancel(DRAG_CANCEL_REASONS.UNLOAD));
     }
     this.setupMessageListener();
     this.addDropInAnimation();
+    
+    if (!this.storage) {
+      this.announce();
+      return Promise.resolve();
+    }
+    return this.restoreSavedItems().then(() => this.announce());
+  }
+
+  /**
+   * Replace the rendered items with the ones saved in `storage`.
+   * 
+   * @returns {Promise<void>} Resolves once restored; a failed load is logged and
+   *   keeps the rendered items
+   * @private
+   */
+  async restoreSavedItems() {
+    try {
+      const saved = await this.storage.load(this.storageKey);
+      if (Array.isArray(saved)) {
+        this.setItems(saved);
+      }
+    } catch (err) {
+      this.logger.warn('Could not restore the saved items:', err);
+    }
+    this.storageReady = true;
+  }
+
+  /**
+   * Save the items to `storage`, if set.
+   * 
+   * @private
+   * 
+   * @description
+   * Saves what `getItems()` returns, so pending drops are saved once committed.
+   * A failed save is logged; the items on the page stay as they are.
+   */
+  saveItems() {
+    if (!this.storage || !this.storageReady) return;
+    
+    this.storage.save(this.storageKey, this.getItems())
+      .catch(err => this.logger.warn('Could not save the items:', err));
+  }
+
+  /**
+   * Get the items in the container.
+   * 
+   * @returns {ItemModel[]} Copies of the items, in order; dropped items waiting for
+   *   the parent to commit them are left out
+   * 
+   * @example
+   * localStorage.setItem('items', JSON.stringify(manager.getItems()));
+   */
+  getItems() {
+    const pending = new Set(
+      Array.from(this.pendingDrops.values()).flat().map(element => this.elementItems.get(element))
+    );
+    return (this.items ?? []).filter(item => !pending.has(item)).map(item => ({ ...item }));
+  }
+
+  /**
+   * Replace the items in the container.
+   * 
+   * @param {ItemModel[]} items - The new items, in order
+   * @throws {TypeError} If `items` is not an array or holds something other than objects
+   * 
+   * @description
+   * Re-renders the container from the new items; before initialization they
+   * replace the `items` option. The items are copied, so later changes to them
+   * are not picked up; call `setItems()` again instead. Clears the selection
+   * and forgets pending drops. With `storage`, the new items are saved.
+   */
+  setItems(items) {
+    if (!Array.isArray(items)) {
+      throw new TypeError('items must be an array');
+    }
+    
+    this.items = items.map(toItemModel);
+    this.pendingDrops.clear();
+    this.selection.clear();
+    if (!this.container) return;
+    
+    this.container.querySelectorAll('.draggable').forEach(element => element.remove());
+    this.items.forEach(item => this.container.appendChild(this.createItemElement(item)));
+    this.saveItems();
+  }
+
+  /**
+   * Read the model from the `.draggable` elements in the container.
+   * 
+   * @returns {ItemModel[]} One item per element, with its `data-id`, text and markup
+   * @private
+   */
+  readItems() {
+    return Array.from(this.container?.querySelectorAll('.draggable') ?? [], element => ({
+      id: element.dataset.id,
+      text: element.textContent.trim(),
+      html: element.innerHTML.trim()
+    }));
   }
 
   /**
-   * Set up draggable items.
+   * Set up dragging of the items.
    * 
    * @private
    * 
    * @description
-   * Attaches pointerdown event listeners to all elements with the 'draggable' class.
-   * Called during initialization unless receiveOnly mode is enabled.
+   * Listens for pointerdown on the container, so items rendered later are
+   * draggable too. Called during initialization unless receiveOnly mode is enabled.
    */
   setupDraggables() {
-    document.querySelectorAll('.draggable').forEach(item => {
-      item.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+    this.container?.addEventListener('pointerdown', (e) => {
+      const item = e.target instanceof Element ? e.target.closest('.draggable') : null;
+      if (item) this.handlePointerDown(e, item);
     });
   }
 
@@ -198,34 +570,18 @@ export class DraggableItemsManager {
    * Handle pointer down events on draggable items.
    * 
    * @param {PointerEvent} e - The pointer event
+   * @param {HTMLElement} item - The item the pointer went down on
    * @private
    * 
    * @description
    * Initiates a potential drag operation. Captures the pointer and sets up
    * move/up listeners. Drag doesn't actually start until the pointer moves
-   * beyond a 5px threshold.
+   * beyond a 5px threshold; releasing before that is a click that updates the
+   * selection. Pressing on a selected item drags the whole selection.
    */
-  handlePointerDown(e) {
+  handlePointerDown(e, item) {
     e.preventDefault();
-    
-    this.currentDragElement = e.currentTarget;
-    this.dragStartX = e.clientX;
-    this.dragStartY = e.clientY;
-    this.isDragging = false;
-
-    // Capture the pointer to ensure we receive all events even if pointer moves fast
-    this.currentDragElement.setPointerCapture(e.pointerId);
-
-    // Set up move and up listeners
-    const moveHandler = (e) => this.handlePointerMove(e);
-    const upHandler = (e) => this.handlePointerUp(e);
-    
-    document.addEventListener('pointermove', moveHandler);
-    document.addEventListener('pointerup', upHandler);
-    
-    // Store handlers for cleanup
-    this._moveHandler = moveHandler;
-    this._upHandler = upHandler;
+    this.drag.start(e, item);
   }
 
   /**
@@ -240,35 +596,60 @@ export class DraggableItemsManager {
    * drag tracking.
    */
   handlePointerMove(e) {
-    if (!this.currentDragElement) return;
+    if (!this.drag.element) return;
 
-    // Check if we've moved enough to start dragging (5px threshold)
-    const deltaX = Math.abs(e.clientX - this.dragStartX);
-    const deltaY = Math.abs(e.clientY - this.dragStartY);
+    // Start dragging once the pointer has moved past the threshold
+    if (!this.drag.isDragging && this.drag.hasMoved(e)) {
+      this.drag.isDragging = true;
+      this.drag.group = this.selection.has(this.drag.element) && this.selection.size > 1
+        ? this.selection.items
+        : [this.drag.element];
 
-    if (!this.isDragging && (deltaX > 5 || deltaY > 5)) {
-      this.isDragging = true;
-      this.currentDragElement.classList.add('dragging');
+      const items = this.drag.group.map(element => {
+        element.classList.add('dragging');
+        const payload = this.getPayload(element);
+        return {
+          id: element.dataset.id,
+          text: getPayloadLabel(payload),
+          source: this.frameId,
+          payload,
+          index: this.items.indexOf(this.elementItems.get(element))
+        };
+      });
+      const primary = items[this.drag.group.indexOf(this.drag.element)];
+      const rect = this.drag.element.getBoundingClientRect();
 
       // Notify parent that drag has started
-      window.parent.postMessage({
-        type: 'dragStart',
+      this.connection.post('dragStart', {
         pointerId: e.pointerId,
-        text: this.currentDragElement.textContent.trim(),
-        id: this.currentDragElement.dataset.id,
-        source: this.frameId
-      }, window.location.origin);
+        text: items.length > 1 ? `${items.length} items` : primary.text,
+        id: primary.id,
+        source: this.frameId,
+        payload: primary.payload,
+        index: primary.index,
+        items: items.length > 1 ? items : undefined,
+        effectAllowed: this.effectAllowed,
+        clientX: this.drag.startX,
+        clientY: this.drag.startY,
+        // Where the item was grabbed, so the preview can be held at the same spot
+        grabX: rect.width ? (this.drag.startX - rect.left) / rect.width : 0.5,
+        grabY: rect.height ? (this.drag.startY - rect.top) / rect.height : 0.5,
+        devicePixelRatio: window.devicePixelRatio
+      });
     }
 
     // Continue sending pointer move events to parent while dragging
-    if (this.isDragging) {
+    if (this.drag.isDragging) {
       // clientX/clientY are already relative to the iframe viewport
-      window.parent.postMessage({
-        type: 'dragMove',
+      this.connection.post('dragMove', {
         clientX: e.clientX,
         clientY: e.clientY,
-        source: this.frameId
-      }, window.location.origin);
+        source: this.frameId,
+        ctrlKey: e.ctrlKey,
+        metaKey: e.metaKey,
+        altKey: e.altKey,
+        devicePixelRatio: window.devicePixelRatio
+      });
     }
   }
 
@@ -280,34 +661,214 @@ export class DraggableItemsManager {
    * 
    * @description
    * Releases pointer capture, cleans up event listeners, and notifies parent
-   * of drag end. Removes visual feedback and resets state.
+   * of drag end. Removes visual feedback and resets state. A release without a
+   * drag is a click: Shift extends the selection, Ctrl/Cmd toggles the item.
    */
   handlePointerUp(e) {
-    if (!this.currentDragElement) return;
+    if (!this.drag.element) return;
 
-    // Release pointer capture
-    if (this.currentDragElement.hasPointerCapture(e.pointerId)) {
-      this.currentDragElement.releasePointerCapture(e.pointerId);
-    }
+    this.drag.release(e);
 
-    // Clean up
-    document.removeEventListener('pointermove', this._moveHandler);
-    document.removeEventListener('pointerup', this._upHandler);
-
-    if (this.isDragging) {
+    if (this.drag.isDragging) {
       // Send pointer position to parent for drop detection
       // clientX/clientY are already relative to the iframe viewport
-      window.parent.postMessage({
-        type: 'dragEnd',
+      this.connection.post('dragEnd', {
         clientX: e.clientX,
         clientY: e.clientY,
-        source: this.frameId
-      }, window.location.origin);
+        source: this.frameId,
+        ctrlKey: e.ctrlKey,
+        metaKey: e.metaKey,
+        altKey: e.altKey,
+        devicePixelRatio: window.devicePixelRatio
+      });
+    } else {
+      this.selection.handleClick(this.drag.element, e);
+    }
+
+    this.drag.end();
+  }
+
+  /**
+   * Build the typed payload for an item element.
+   * 
+   * @param {HTMLElement} element - The item being dragged or copied
+   * @returns {import('./drag-payload.js').DragPayload} The payload
+   * 
+   * @description
+   * Uses the `getPayload` option when provided. Otherwise the item is offered as
+   * `application/x-item+json` (its model fields, with `html` set to the rendered
+   * markup), `text/html` and `text/plain`.
+   */
+  getPayload(element) {
+    if (this.customGetPayload) {
+      return createPayload(this.customGetPayload(element));
+    }
+    
+    const item = this.elementItems.get(element) ?? {};
+    const text = item.text || element.textContent.trim();
+    const html = element.innerHTML.trim();
+    return createPayload({
+      [MIME_TYPES.ITEM]: { ...item, id: element.dataset.id, text, html },
+      [MIME_TYPES.HTML]: html,
+      [MIME_TYPES.TEXT]: text
+    });
+  }
+
+  /**
+   * Render the element of an item.
+   * 
+   * @param {ItemModel} item - The item
+   * @returns {HTMLElement} The new, not yet attached, item element
+   * @private
+   */
+  createItemElement(item) {
+    const element = document.createElement('div');
+    element.className = 'draggable';
+    element.dataset.id = item.id;
+    element.classList.toggle('linked', Boolean(item.linked));
+    
+    if (this.template) {
+      renderTemplate(element, item, this.template);
+    } else if (item.html) {
+      element.innerHTML = item.html;
+    } else {
+      element.textContent = item.text;
+    }
+    
+    this.elementItems.set(element, item);
+    return element;
+  }
+
+  /**
+   * Add items to the model and render them.
+   * 
+   * @param {ItemModel[]} items - The new items
+   * @param {HTMLElement|null} reference - The element to insert them before (null to append)
+   * @returns {HTMLElement[]} The new elements, animated in
+   * @private
+   */
+  insertItems(items, reference) {
+    const referenceItem = reference ? this.elementItems.get(reference) : null;
+    const index = referenceItem ? this.items.indexOf(referenceItem) : -1;
+    this.items.splice(index === -1 ? this.items.length : index, 0, ...items);
+    
+    return items.map(item => {
+      const element = this.createItemElement(item);
+      this.container.insertBefore(element, reference);
+      element.style.animation = 'dropIn 0.3s ease';
+      return element;
+    });
+  }
+
+  /**
+   * Remove items from the model and their elements from the container.
+   * 
+   * @param {HTMLElement[]} elements - Elements of the items
+   * @param {boolean} [animate=false] - Fade the elements out before removing them
+   * @private
+   */
+  removeItemElements(elements, animate = false) {
+    elements.forEach(element => {
+      const index = this.items.indexOf(this.elementItems.get(element));
+      if (index !== -1) {
+        this.items.splice(index, 1);
+      }
+      this.elementItems.delete(element);
+      this.selection.remove(element);
+      
+      if (animate) {
+        element.style.transition = 'all 0.2s ease';
+        element.style.opacity = '0';
+        element.style.transform = 'scale(0.8)';
+        setTimeout(() => element.remove(), 200);
+      } else {
+        element.remove();
+      }
+    });
+  }
+
+  /**
+   * Decide whether the items container can accept the dragged items.
+   * 
+   * @param {HTMLElement|null} container - The `.draggable-items` container under the pointer, if any
+   * @param {ItemData} dragData - Data about the dragged item or group
+   * @returns {DropStatus} Whether the drop is accepted and why not
+   * 
+   * @description
+   * The container may narrow the accepted types with a `data-accepts` attribute
+   * (space or comma separated) and limit its size with `data-max-items`.
+   * The `canDrop` predicate is consulted last, once per item. A group is
+   * accepted only if every item is.
+   */
+  evaluateDrop(container, dragData) {
+    if (!container) {
+      return { accepted: false, reason: DROP_REJECT_REASONS.NO_TARGET };
+    }
+    
+    const items = getDragItems(dragData);
+    const declared = container.dataset.accepts?.split(/[\s,]+/).filter(Boolean);
+    const acceptedTypes = items.map(item => negotiateType(
+      resolvePayload(item),
+      declared?.length ? declared : this.acceptedTypes
+    ));
+    if (acceptedTypes.includes(null)) {
+      return { accepted: false, reason: DROP_REJECT_REASONS.UNSUPPORTED_TYPE };
+    }
+    
+    const maxItems = Number.parseInt(container.dataset.maxItems, 10);
+    const count = container.querySelectorAll('.draggable').length;
+    if (Number.isFinite(maxItems) && count + items.length > maxItems) {
+      return { accepted: false, reason: DROP_REJECT_REASONS.CAPACITY };
+    }
+    
+    if (this.canDrop && items.some((item, i) => !this.canDrop(container, item, acceptedTypes[i]))) {
+      return { accepted: false, reason: DROP_REJECT_REASONS.REJECTED };
+    }
+    
+    return { accepted: true, acceptedType: acceptedTypes[0], acceptedTypes };
+  }
+
+  /**
+   * Clear the hover state of the container.
+   * 
+   * @private
+   */
+  clearHover() {
+    if (this.currentHoverContainer) {
+      this.currentHoverContainer.classList.remove('hover', 'drop-forbidden');
+      this.currentHoverContainer = null;
+    }
+    this.placeholder.remove();
+    this.autoScroller?.stop();
+    this.lastDragMove = null;
+    this.connection.resetDropStatus();
+  }
+
+  /**
+   * Re-run the last drag move, after autoscrolling moved the content under the pointer.
+   * 
+   * @private
+   */
+  refreshDragMove() {
+    if (this.lastDragMove) {
+      this.onParentDragMove(...this.lastDragMove);
     }
+  }
 
-    this.currentDragElement.classList.remove('dragging');
-    this.currentDragElement = null;
-    this.isDragging = false;
+  /**
+   * Find where in the container a drop at the given point is inserted.
+   * 
+   * @param {HTMLElement} container - The `.draggable-items` container
+   * @param {number} x - X coordinate in this iframe's viewport
+   * @param {number} y - Y coordinate in this iframe's viewport
+   * @returns {{index: number, reference: HTMLElement|null}} The insertion index and
+   *   the item to insert before (null to append)
+   * @private
+   */
+  getInsertionPoint(container, x, y) {
+    const items = Array.from(container.querySelectorAll('.draggable')).filter(item => !item.hidden);
+    const index = getInsertionIndex(items, x, y);
+    return { index, reference: items[index] ?? null };
   }
 
   /**
@@ -320,27 +881,43 @@ export class DraggableItemsManager {
    * 
    * @description
    * Called when an item from another frame is being dragged over this frame.
-   * Provides visual feedback by adding a 'hover' class to the container.
+   * Adds a 'hover' class to the container if it accepts the item, or
+   * 'drop-forbidden' if it does not, and reports the decision to the parent
+   * with a `dropStatus` message. An accepting container shows a
+   * `drop-placeholder` line where the item would be inserted.
+   * Near the frame's edges the scroll container under the pointer is scrolled,
+   * faster the closer the pointer gets.
    */
   onParentDragMove(x, y, dragData) {
+    this.lastDragMove = [x, y, dragData];
+    
     // Check if we're over the draggable items container
     const element = document.elementFromPoint(x, y);
-    const container = element?.closest('.draggable-items');
+    const container = element?.closest('.draggable-items') ?? null;
+    const status = this.evaluateDrop(container, dragData);
 
-    if (container && container !== this.currentHoverContainer) {
+    if (container !== this.currentHoverContainer && this.currentHoverContainer) {
       // Clear previous hover
-      if (this.currentHoverContainer) {
-        this.currentHoverContainer.classList.remove('hover');
-      }
-      
-      // Set new hover
-      this.currentHoverContainer = container;
-      this.currentHoverContainer.classList.add('hover');
-    } else if (!container && this.currentHoverContainer) {
-      // Clear hover if not over container
-      this.currentHoverContainer.classList.remove('hover');
-      this.currentHoverContainer = null;
+      this.currentHoverContainer.classList.remove('hover', 'drop-forbidden');
+    }
+    this.currentHoverContainer = container;
+    
+    if (container) {
+      container.classList.toggle('hover', status.accepted);
+      container.classList.toggle('drop-forbidden', !status.accepted);
+    }
+    
+    // Items dropped back onto their own frame stay where they are
+    if (status.accepted && dragData.source !== this.frameId) {
+      this.placeholder.show(container, this.getInsertionPoint(container, x, y).reference);
+    } else {
+      this.placeholder.remove();
     }
+    
+    // Pointer coordinates are relative to the iframe viewport, so they stay valid while it scrolls
+    this.autoScroller?.update(x, y, getScrollContainer(element));
+    
+    this.connection.reportDropStatus({ ...status, sessionId: dragData.sessionId });
   }
 
   /**
@@ -349,54 +926,161 @@ export class DraggableItemsManager {
    * @param {number} x - X coordinate where drop occurred
    * @param {number} y - Y coordinate where drop occurred
    * @param {ItemData} dragData - Data about the dropped item
+   * @param {string} [dropEffect='move'] - Effect chosen by the coordinator; confirmed in `dropSuccess`
+   * @param {string} [sessionId] - Drag session of the drop transaction
    * @private
    * 
    * @description
    * Creates a new draggable item element when an item from another frame
-   * is dropped onto this frame's container. Notifies parent of success or failure.
-   * In receive-only mode, dropped items will not have drag handlers attached.
+   * is dropped onto this frame's container; a group drop creates one per item,
+   * all or nothing. The container is checked again with
+   * {@link DraggableItemsManager#evaluateDrop}. Notifies parent of success
+   * (including the accepted type, effect and insertion index) or failure
+   * (including the reason). Items are inserted at the pointer's position.
+   * The items are added to the model; linked items get `linked: true` and the
+   * `linked` class.
+   * 
+   * With a session ID the new items stay `pending` until the parent sends
+   * `commitDrop` or `rollbackDrop`. A repeated drop for the same session is ignored.
+   * A drop on the frame the item came from fails with `no-target` right away,
+   * so the parent does not wait for it to time out.
    */
-  onParentDrop(x, y, dragData) {
+  onParentDrop(x, y, dragData, dropEffect = DROP_EFFECTS.MOVE, sessionId) {
+    if (dragData.source === this.frameId) {
+      this.connection.post('dropFailed', { dragData, reason: DROP_REJECT_REASONS.NO_TARGET, sessionId });
+      return;
+    }
+    if (sessionId && this.pendingDrops.has(sessionId)) return;
+    
     // Check if we're over the draggable items container
     const element = document.elementFromPoint(x, y);
-    const container = element?.closest('.draggable-items');
-
-    if (container && dragData.source !== this.frameId) {
-      // Create a new draggable item
-      const newItem = document.createElement('div');
-      newItem.className = 'draggable';
-      newItem.dataset.id = dragData.id || `dropped-${Date.now()}`;
-      newItem.innerHTML = dragData.text;
-      
-      // Add to container
-      container.appendChild(newItem);
+    const container = element?.closest('.draggable-items') ?? null;
+    const status = this.evaluateDrop(container, dragData);
+
+    if (status.accepted) {
+      const items = getDragItems(dragData);
+      const { index, reference } = this.getInsertionPoint(container, x, y);
       
-      // Set up drag handlers for the new item (only if this frame is not receive-only)
-      if (!this.receiveOnly) {
-        newItem.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+      // Add a model item per dropped item, at the insertion point
+      const models = items.map((item, i) => {
+        const model = itemFromPayload(
+          item.id || `dropped-${Date.now()}-${i}`,
+          resolvePayload(item),
+          status.acceptedTypes[i],
+          this.customRenderItem
+        );
+        return dropEffect === DROP_EFFECTS.LINK ? { ...model, linked: true } : model;
+      });
+      const newItems = this.insertItems(models, reference);
+      newItems.forEach(newItem => newItem.classList.toggle('pending', Boolean(sessionId)));
+      if (sessionId) {
+        this.pendingDrops.set(sessionId, newItems);
+      } else {
+        this.saveItems();
       }
-      
-      // Animate in
-      newItem.style.animation = 'dropIn 0.3s ease';
 
       // Clear hover state
-      container.classList.remove('hover');
-      this.currentHoverContainer = null;
+      this.clearHover();
       
       // Notify parent that the drop was successful
-      window.parent.postMessage({
-        type: 'dropSuccess',
-        dragData: dragData
-      }, window.location.origin);
-    } else if (dragData.source !== this.frameId) {
+      this.connection.post('dropSuccess', {
+        dragData: dragData,
+        acceptedType: status.acceptedType,
+        dropEffect,
+        sessionId,
+        ids: items.map(item => item.id),
+        index,
+        targetIds: models.map(model => model.id)
+      });
+    } else {
+      this.clearHover();
+      
       // Notify parent that the drop failed
-      window.parent.postMessage({
-        type: 'dropFailed',
-        dragData: dragData
-      }, window.location.origin);
+      this.connection.post('dropFailed', {
+        dragData: dragData,
+        reason: status.reason,
+        sessionId
+      });
     }
   }
 
+  /**
+   * Finalize a pending drop.
+   * 
+   * @param {string} sessionId - Drag session of the drop transaction
+   * @private
+   */
+  commitPendingDrop(sessionId) {
+    const items = this.pendingDrops.get(sessionId);
+    if (!items) return;
+    
+    this.pendingDrops.delete(sessionId);
+    items.forEach(item => item.classList.remove('pending'));
+    this.saveItems();
+  }
+
+  /**
+   * Discard a pending drop.
+   * 
+   * @param {string} sessionId - Drag session of the drop transaction
+   * @private
+   */
+  rollbackPendingDrop(sessionId) {
+    const items = this.pendingDrops.get(sessionId);
+    if (!items) return;
+    
+    this.pendingDrops.delete(sessionId);
+    this.removeItemElements(items);
+  }
+
+  /**
+   * Put back items for the parent's undo or redo.
+   * 
+   * @param {Object[]} entries - The items of `restoreItems`, each with its `id`, `payload`
+   *   and the `index` to restore it at
+   * @private
+   * 
+   * @description
+   * Entries are inserted in the order of their index, so items taken from
+   * several positions end up where they were. The drop checks do not apply:
+   * the items were accepted before.
+   */
+  restoreItems(entries) {
+    if (!this.container) return;
+    
+    entries
+      .filter(entry => entry && typeof entry.id === 'string')
+      .sort((a, b) => (a.index ?? Infinity) - (b.index ?? Infinity))
+      .forEach(entry => {
+        const next = Number.isInteger(entry.index) ? this.items[entry.index] : undefined;
+        const reference = next
+          ? Array.from(this.container.querySelectorAll('.draggable')).find(element => this.elementItems.get(element) === next)
+          : null;
+        this.insertItems([restoreItem(entry, this.acceptedTypes, this.customRenderItem)], reference ?? null);
+      });
+    this.saveItems();
+  }
+
+  /**
+   * Announce this frame to the parent coordinator.
+   * 
+   * @private
+   * 
+   * @description
+   * Sends `hello` with the frame ID and what the frame can do. Sent on
+   * initialization and again whenever the parent asks with `helloRequest`.
+   */
+  announce() {
+    const capabilities = this.receiveOnly
+      ? [FRAME_CAPABILITIES.TARGET, FRAME_CAPABILITIES.RECEIVE_ONLY, FRAME_CAPABILITIES.HISTORY]
+      : [FRAME_CAPABILITIES.SOURCE, FRAME_CAPABILITIES.TARGET, FRAME_CAPABILITIES.HISTORY];
+    
+    this.connection.post('hello', {
+      frameId: this.frameId,
+      capabilities
+    });
+  }
+
   /**
    * Set up message listener for parent window communication.
    * 
@@ -404,39 +1088,58 @@ export class DraggableItemsManager {
    * 
    * @description
    * Listens for messages from the parent window and routes them to appropriate handlers.
-   * Validates message origin for security before processing.
+   * Only messages from the parent window and `allowedOrigin` are processed.
    * 
    * Supported message types:
+   * - helloRequest: Parent asks the frame to announce itself
+   * - ready: Parent acknowledged the announcement
    * - parentDragMove: Item is being dragged over this frame
    * - parentDrop: Item is being dropped onto this frame
+   * - commitDrop: Finalize a pending drop
+   * - rollbackDrop: Discard a pending drop
    * - parentDragLeave: Drag has left this frame
-   * - removeItem: Remove an item that was moved elsewhere
+   * - parentDragCancel: Drag was cancelled
+   * - removeItem: Remove items that were moved elsewhere, or dropped here and undone
+   * - restoreItems: Put items back for an undo or redo
    * - pasteItem: Paste item from clipboard
    */
   setupMessageListener() {
     window.addEventListener('message', (event) => {
-      // Validate message origin for security
-      if (event.origin !== window.location.origin) return;
+      if (!this.connection.accept(event)) return;
       
-      if (event.data.type === 'parentDragMove') {
+      if (event.data.type === 'helloRequest') {
+        // initialize() announces the frame once the saved items are restored
+        if (!this.storage || this.storageReady) this.announce();
+      } else if (event.data.type === 'ready') {
+        this.parentFrameId = event.data.frameId;
+      } else if (event.data.type === 'parentDragMove') {
         this.onParentDragMove(event.data.x, event.data.y, event.data.dragData);
       } else if (event.data.type === 'parentDrop') {
-        this.onParentDrop(event.data.x, event.data.y, event.data.dragData);
+        this.onParentDrop(
+          event.data.x,
+          event.data.y,
+          event.data.dragData,
+          event.data.dropEffect,
+          event.data.sessionId
+        );
+      } else if (event.data.type === 'commitDrop') {
+        this.commitPendingDrop(event.data.sessionId);
+      } else if (event.data.type === 'rollbackDrop') {
+        this.rollbackPendingDrop(event.data.sessionId);
       } else if (event.data.type === 'parentDragLeave') {
-        if (this.currentHoverContainer) {
-          this.currentHoverContainer.classList.remove('hover');
-          this.currentHoverContainer = null;
-        }
+        this.clearHover();
+      } else if (event.data.type === 'parentDragCancel') {
+        this.clearHover();
+        this.drag.cancel(event.data.reason, false);
       } else if (event.data.type === 'removeItem') {
-        // Remove item when it's successfully dropped elsewhere
-        const itemToRemove = Array.from(document.querySelectorAll('[data-id]'))
-          .find(item => item.dataset.id === event.data.id);
-        if (itemToRemove) {
-          itemToRemove.style.transition = 'all 0.2s ease';
-          itemToRemove.style.opacity = '0';
-          itemToRemove.style.transform = 'scale(0.8)';
-          setTimeout(() => itemToRemove.remove(), 200);
-        }
+        // Remove items when they're successfully dropped elsewhere
+        const ids = event.data.ids ?? [event.data.id];
+        const elements = Array.from(this.container?.querySelectorAll('.draggable') ?? [])
+          .filter(item => ids.includes(item.dataset.id));
+        this.removeItemElements(elements, true);
+        this.saveItems();
+      } else if (event.data.type === 'restoreItems') {
+        this.restoreItems(event.data.items);
       } else if (event.data.type === 'pasteItem' && event.data.itemData) {
         this.handlePasteItem(event.data.itemData);
       }
@@ -450,31 +1153,34 @@ export class DraggableItemsManager {
    * @private
    * 
    * @description
-   * Creates a new item from clipboard data. In receive-only mode, the pasted
-   * item will not have drag handlers attached. Notifies parent of successful paste.
+   * Appends a new item from clipboard data if the container accepts it, using
+   * the same checks as drops, and reports the paste to the parent so it can
+   * be undone. A paste is a copy, so the item gets a new ID if this frame
+   * already has one with the copied item's ID.
    */
   handlePasteItem(itemData) {
+    if (itemData.source === this.frameId) return;
+    
     // Paste the item into this frame
-    const container = document.querySelector('.draggable-items');
-    if (container && itemData.source !== this.frameId) {
-      const newItem = document.createElement('div');
-      newItem.className = 'draggable';
-      newItem.dataset.id = itemData.id || `pasted-${Date.now()}`;
-      newItem.innerHTML = itemData.text;
-      
-      container.appendChild(newItem);
-      // Set up drag handler for the new item (only if not receive-only)
-      if (!this.receiveOnly) {
-        newItem.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+    const status = this.evaluateDrop(this.container, itemData);
+    if (status.accepted) {
+      let itemId = itemData.id || `pasted-${Date.now()}`;
+      if (this.items.some(item => item.id === itemId)) {
+        itemId = `${itemId}-${Date.now()}`;
       }
-      newItem.style.animation = 'dropIn 0.3s ease';
+      const model = itemFromPayload(itemId, resolvePayload(itemData), status.acceptedType, this.customRenderItem);
+      const [newItem] = this.insertItems([model], null);
       
       // Select the newly pasted item
-      if (this.selectedItem) {
-        this.selectedItem.classList.remove('selected');
-      }
-      this.selectedItem = newItem;
-      this.selectedItem.classList.add('selected');
+      this.selection.select(newItem);
+      this.saveItems();
+      
+      // Notify parent that paste was successful
+      this.connection.post('pasteSuccess', {
+        itemData: itemData,
+        targetIds: [model.id],
+        index: this.items.indexOf(model)
+      });
     }
   }
 
@@ -486,70 +1192,65 @@ export class DraggableItemsManager {
    * @description
    * Enables keyboard-based interactions:
    * - Arrow Up/Down: Navigate between draggable items
-   * - Ctrl+C/Cmd+C: Copy selected item to clipboard
+   * - Shift+Arrow Up/Down: Extend the selection for a group drag
+   * - Ctrl+C/Cmd+C: Copy the focused item to clipboard
    * - Ctrl+V/Cmd+V: Paste item from clipboard (requests from parent)
+   * - Ctrl+Z/Cmd+Z, Ctrl+Shift+Z/Cmd+Shift+Z: Undo or redo the last drop or
+   *   paste (requests from parent, which keeps the history), except in text
+   *   fields, which keep their own undo
    * 
    * Only active when receiveOnly is false.
    */
   setupKeyboardHandlers() {
     document.addEventListener('keydown', (e) => {
-      const draggableItems = Array.from(document.querySelectorAll('.draggable'));
-      if (draggableItems.length === 0) return;
+      // Undo and redo work even when every item was moved away
+      const shortcut = getHistoryShortcut(e);
+      if (shortcut) {
+        e.preventDefault();
+        this.connection.post(shortcut === 'redo' ? 'requestRedo' : 'requestUndo');
+        return;
+      }
+      
+      if (!document.querySelector('.draggable')) return;
 
       // Arrow key navigation
       if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
         e.preventDefault();
-        
-        if (!this.selectedItem) {
-          // Select first item
-          this.selectedItem = draggableItems[0];
-          this.selectedItem.classList.add('selected');
-        } else {
-          const currentIndex = draggableItems.indexOf(this.selectedItem);
-          let newIndex;
-          
-          if (e.key === 'ArrowDown') {
-            newIndex = (currentIndex + 1) % draggableItems.length;
-          } else {
-            newIndex = (currentIndex - 1 + draggableItems.length) % draggableItems.length;
-          }
-          
-          this.selectedItem.classList.remove('selected');
-          this.selectedItem = draggableItems[newIndex];
-          this.selectedItem.classList.add('selected');
-        }
+        this.selection.move(e.key === 'ArrowDown' ? 1 : -1, e.shiftKey);
       }
       // Copy functionality (Ctrl+C or Cmd+C)
-      else if ((e.ctrlKey || e.metaKey) && e.key === 'c' && this.selectedItem) {
+      else if ((e.ctrlKey || e.metaKey) && e.key === 'c' && this.selection.focus) {
         e.preventDefault();
         
+        const focusedItem = this.selection.focus;
+        const payload = this.getPayload(focusedItem);
         this.copiedItemData = {
-          text: this.selectedItem.textContent.trim(),
-          id: this.selectedItem.dataset.id,
-          source: this.frameId
+          text: getPayloadLabel(payload),
+          id: focusedItem.dataset.id,
+          source: this.frameId,
+          payload,
+          index: this.items.indexOf(this.elementItems.get(focusedItem))
         };
         
         // Notify parent that an item was copied
-        window.parent.postMessage({
-          type: 'itemCopied',
+        this.connection.post('itemCopied', {
           itemData: this.copiedItemData
-        }, window.location.origin);
+        });
         
         // Visual feedback
-        const originalBg = this.selectedItem.style.background;
-        this.selectedItem.style.background = 'linear-gradient(135deg, #4f46e5 0%, #6366f1 100%)';
+        const originalBg = focusedItem.style.background;
+        focusedItem.style.background = 'linear-gradient(135deg, #4f46e5 0%, #6366f1 100%)';
         setTimeout(() => {
-          this.selectedItem.style.background = originalBg;
+          focusedItem.style.background = originalBg;
         }, 200);
       }
       // Paste functionality (Ctrl+V or Cmd+V)
       else if ((e.ctrlKey || e.metaKey) && e.key === 'v') {
         e.preventDefault();
         // Request paste from parent
-        window.parent.postMessage({
-          type: 'requestPaste',
+        this.connection.post('requestPaste', {
           target: this.frameId
-        }, window.location.origin);
+        });
       }
     });
   }
@@ -0,0 +1,111 @@
+/**
+ * @fileoverview Drop effect model (move, copy, link) shared by sources, targets and the coordinator.
+ *
+ * @module drop-effect
+ * @description
+ * Mirrors `effectAllowed` and `dropEffect` from HTML5 drag and drop. The source
+ * declares which effects it allows when the drag starts. While dragging, the
+ * coordinator picks the effect from the modifier keys: Ctrl (or Cmd) copies,
+ * Alt links, no modifier moves. The target confirms the effect it applied in
+ * `dropSuccess`, and only a confirmed `move` removes the item from the source.
+ *
+ * @example
+ * import { resolveDropEffect } from './drop-effect.js';
+ *
+ * resolveDropEffect('copyMove', { ctrlKey: false }); // 'move'
+ * resolveDropEffect('copyMove', { ctrlKey: true });  // 'copy'
+ * resolveDropEffect('copy', { altKey: true });       // 'none'
+ *
+ * @author iframe-dnd-demo
+ * @version 1.0.0
+ */
+
+/**
+ * Effects a drop can have.
+ * @enum {string}
+ */
+export const DROP_EFFECTS = Object.freeze({
+  /** The drop is not possible */
+  NONE: 'none',
+  /** The item is copied; the source keeps it */
+  COPY: 'copy',
+  /** The item is moved; the source removes it */
+  MOVE: 'move',
+  /** The target links to the item; the source keeps it */
+  LINK: 'link'
+});
+
+/**
+ * Effects permitted by each `effectAllowed` value.
+ * @type {Object<string, string[]>}
+ * @private
+ */
+const ALLOWED_EFFECTS = Object.freeze({
+  none: [],
+  copy: ['copy'],
+  move: ['move'],
+  link: ['link'],
+  copyMove: ['copy', 'move'],
+  copyLink: ['copy', 'link'],
+  linkMove: ['link', 'move'],
+  all: ['copy', 'move', 'link']
+});
+
+/**
+ * Effect used when no modifier key is pressed, in order of preference.
+ * @type {string[]}
+ * @private
+ */
+const DEFAULT_EFFECT_ORDER = ['move', 'copy', 'link'];
+
+/**
+ * Check whether a value is a known `effectAllowed` value.
+ *
+ * @param {*} effectAllowed - Value to check
+ * @returns {boolean} True for `none`, `copy`, `move`, `link`, `copyMove`,
+ *   `copyLink`, `linkMove` and `all`
+ */
+export function isValidEffectAllowed(effectAllowed) {
+  return typeof effectAllowed === 'string' && Object.hasOwn(ALLOWED_EFFECTS, effectAllowed);
+}
+
+/**
+ * Check whether an effect is permitted.
+ *
+ * @param {string} effectAllowed - The source's `effectAllowed` value
+ * @param {string} effect - One of {@link DROP_EFFECTS}
+ * @returns {boolean} True if the effect is permitted
+ */
+export function isEffectAllowed(effectAllowed, effect) {
+  return (ALLOWED_EFFECTS[effectAllowed] ?? []).includes(effect);
+}
+
+/**
+ * Pick the drop effect for the current modifier keys.
+ *
+ * @param {string} effectAllowed - The source's `effectAllowed` value
+ * @param {Object} [modifiers={}] - Modifier key state of the last pointer event
+ * @param {boolean} [modifiers.ctrlKey] - Ctrl is pressed
+ * @param {boolean} [modifiers.metaKey] - Cmd is pressed
+ * @param {boolean} [modifiers.altKey] - Alt is pressed
+ * @returns {string} One of {@link DROP_EFFECTS}
+ *
+ * @description
+ * Ctrl/Cmd requests `copy` and Alt requests `link`; a requested effect that is
+ * not allowed results in `none`. Without modifiers the first allowed effect of
+ * `move`, `copy`, `link` is used.
+ */
+export function resolveDropEffect(effectAllowed, modifiers = {}) {
+  let requested = null;
+  if (modifiers.ctrlKey || modifiers.metaKey) {
+    requested = DROP_EFFECTS.COPY;
+  } else if (modifiers.altKey) {
+    requested = DROP_EFFECTS.LINK;
+  }
+
+  if (requested) {
+    return isEffectAllowed(effectAllowed, requested) ? requested : DROP_EFFECTS.NONE;
+  }
+
+  return DEFAULT_EFFECT_ORDER.find(effect => isEffectAllowed(effectAllowed, effect)) ?? DROP_EFFECTS.NONE;
+}
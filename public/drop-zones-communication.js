@@ -5,7 +5,9 @@
  * @description
  * This module provides the `DropZonesManager` class which manages drop zones
  * within a child iframe. It handles accepting drops from other frames, managing
- * draggable items within drop zones, and supporting keyboard-based operations.
+ * draggable items within drop zones (including selecting several and dragging
+ * them as a group, in the order the user drops them), and supporting
+ * keyboard-based operations.
  * 
  * @example
  * // Standard usage
@@ -22,14 +24,155 @@
  * });
  * manager.initialize();
  * 
+ * @example
+ * // Zones declare what they accept
+ * // <div class="drop-zone" data-accepts="application/x-row+json" data-max-items="5">
+ * const manager = new DropZonesManager({
+ *   frameId: 'invoice-panel',
+ *   canDrop: (zone, dragData) => dragData.source !== 'archive-panel'
+ * });
+ * manager.initialize();
+ * 
+ * @example
+ * // Kanban board rendered from data, with WIP limits
+ * const manager = new DropZonesManager({
+ *   frameId: 'board',
+ *   container: '#columns',
+ *   zones: [
+ *     { id: 'todo', title: 'To Do', items: [{ id: 't1', text: 'Write docs' }] },
+ *     { id: 'doing', title: 'Doing', maxItems: 2 },
+ *     { id: 'done', title: 'Done' }
+ *   ],
+ *   template: (item) => `<strong>${item.text}</strong>`
+ * });
+ * manager.on('change', ({ zoneId, items }) => api.saveColumn(zoneId, items));
+ * manager.initialize();
+ * 
+ * @example
+ * // Keep the dropped items across reloads
+ * import { IndexedDBAdapter } from './storage-adapter.js';
+ * 
+ * const manager = new DropZonesManager({ frameId: 'invoice-panel', storage: new IndexedDBAdapter() });
+ * await manager.initialize();
+ * 
  * @author iframe-dnd-demo
  * @version 1.0.0
  */
 
+import {
+  DROP_REJECT_REASONS,
+  DRAG_CANCEL_REASONS,
+  FRAME_CAPABILITIES,
+  isValidOrigin
+} from './message-protocol.js';
+import {
+  MIME_TYPES,
+  createPayload,
+  getDragItems,
+  getPayloadLabel,
+  negotiateType,
+  resolvePayload
+} from './drag-payload.js';
+import { DROP_EFFECTS, isValidEffectAllowed } from './drop-effect.js';
+import { ItemSelection } from './item-selection.js';
+import { getInsertionIndex, InsertionPlaceholder } from './insertion-point.js';
+import { ParentConnection } from './parent-connection.js';
+import { PointerDrag } from './pointer-drag.js';
+import { AutoScroller, getScrollContainer } from './autoscroll.js';
+import { resolveLogger } from './logger.js';
+import { toItemModel, itemFromPayload, restoreItem, isValidTemplate, renderTemplate } from './item-model.js';
+import { resolveStorage } from './storage-adapter.js';
+import { getHistoryShortcut } from './history-shortcuts.js';
+
 /**
  * @typedef {Object} DropZoneOptions
  * @property {string} frameId - Unique identifier for this frame
  * @property {boolean} [receiveOnly=false] - If true, dropped items cannot be dragged out
+ * @property {function(HTMLElement): import('./drag-payload.js').DragPayload} [getPayload] -
+ *   Builds the typed payload for a dragged item. Defaults to
+ *   `application/x-item+json` and `text/plain` representations.
+ * @property {string[]} [acceptedTypes] - Payload types the zones accept, most preferred
+ *   first. Defaults to `application/x-item+json`, `application/x-row+json`, `text/plain`.
+ * @property {ZoneModel[]} [zones] - Zones to render into `container`. Defaults to the
+ *   `zoneSelector` elements found on initialization, with their `data-zone-id`,
+ *   `data-max-items` and `data-accepts` attributes and the items in them.
+ * @property {HTMLElement|string} [container='.drop-zones'] - Element, or selector of the
+ *   element, the `zones` are rendered into, replacing its content
+ * @property {import('./item-model.js').ItemTemplate} [renderZone] - Renders the content of
+ *   a zone element. By default a `drop-zone-title`, an optional `drop-zone-hint` and a
+ *   `dropped-items` list.
+ * @property {string} [zoneSelector='.drop-zone'] - Selector of the zones in the page when
+ *   no `zones` are given
+ * @property {string} [itemsSelector='.dropped-items'] - Selector of the list the items go
+ *   in, within a zone; without one the items go in the zone itself
+ * @property {string} [itemClass='dropped-item'] - Class of the item elements
+ * @property {import('./item-model.js').ItemTemplate} [template] - Renders the content of an
+ *   item element. By default the item's `text`.
+ * @property {function(HTMLElement, *, string): void} [renderItem] - Fills an element from the
+ *   negotiated representation of a dropped or pasted item and its type; the element's
+ *   text and markup become the new item's
+ * @property {function(HTMLElement, ItemData, string): boolean} [canDrop] - Custom predicate
+ *   called with the zone, the drag data and the negotiated type. Return false to refuse the drop.
+ * @property {string} [effectAllowed='all'] - Drop effects allowed for items dragged out of
+ *   this frame: `none`, `copy`, `move`, `link`, `copyMove`, `copyLink`, `linkMove` or `all`
+ * @property {boolean|import('./autoscroll.js').AutoScrollOptions} [autoScroll=true] - Scroll
+ *   this frame while an item is dragged near its edges; `false` disables it
+ * @property {string} [allowedOrigin] - Origin of the parent page; messages are only
+ *   accepted from it and sent to it. Defaults to this frame's own origin.
+ * @property {import('./logger.js').Logger} [logger] - Where to log; silent by default
+ * @property {boolean} [debug=false] - Log everything to the console when no `logger` is given
+ * @property {import('./logger.js').MessageHistory} [history] - Records the messages sent to
+ *   and received from the parent
+ * @property {import('./storage-adapter.js').StorageAdapter} [storage] - Keeps the items of the
+ *   zones across reloads: saved items replace those of their zone on initialization and are
+ *   saved again on every `change`
+ * @property {string} [storageKey] - Key the items are saved under. Defaults to
+ *   `drop-zones:<frameId>`.
+ */
+
+/**
+ * @typedef {import('./item-model.js').ItemModel} ItemModel
+ */
+
+/**
+ * @typedef {Object} ZoneModel
+ * @property {string} id - Zone identifier; generated when missing
+ * @property {string} [title] - Heading of the zone
+ * @property {string} [hint] - Hint shown below the title
+ * @property {number} [maxItems] - Most items the zone holds, such as a WIP limit
+ * @property {string[]} [accepts] - Payload types the zone accepts, overriding `acceptedTypes`
+ * @property {ItemModel[]} [items] - Items in the zone, in order
+ * @description Any other fields are kept as metadata of the zone.
+ */
+
+/**
+ * Events emitted by {@link DropZonesManager}.
+ * @enum {string}
+ */
+export const DROP_ZONE_EVENTS = Object.freeze({
+  /** The items of a zone changed */
+  CHANGE: 'change'
+});
+
+/**
+ * @typedef {Object} ZoneChangeEvent
+ * @property {string} type - One of {@link DROP_ZONE_EVENTS}
+ * @property {string} zoneId - The zone that changed
+ * @property {ZoneModel} zone - A copy of the zone, with its items
+ * @property {ItemModel[]} items - Copies of the zone's items, in order
+ * @property {('drop'|'remove'|'paste'|'restore'|'set')} reason - What changed it: a drop
+ *   (into or, for moves within this frame, out of the zone), items moved to another frame
+ *   or undone, a paste, items put back by an undo or redo, or
+ *   {@link DropZonesManager#setZoneContents}
+ */
+
+/**
+ * @typedef {Object} DropStatus
+ * @property {boolean} accepted - Whether the zone accepts the item
+ * @property {string} [reason] - One of `DROP_REJECT_REASONS` when not accepted
+ * @property {string} [acceptedType] - The negotiated payload type when accepted
+ * @property {string[]} [acceptedTypes] - The negotiated type of every dragged item when accepted
+ * @property {string} [sessionId] - Drag session the status is about
  */
 
 /**
@@ -37,7 +180,44 @@
  * @property {string} id - Unique identifier for the item
  * @property {string} text - Display text for the item
  * @property {string} source - Frame ID where the item originated
+ * @property {import('./drag-payload.js').DragPayload} [payload] - Typed representations of the item
+ * @property {string} [sessionId] - Drag session, set by the coordinator while dragging
+ * @property {ItemData[]} [items] - Every item of a group drag
+ */
+
+/**
+ * Payload types accepted by default, most preferred first.
+ * @type {string[]}
+ * @private
  */
+const DEFAULT_ACCEPTED_TYPES = [MIME_TYPES.ITEM, MIME_TYPES.ROW, MIME_TYPES.TEXT];
+
+/**
+ * Copy a zone for the model, giving it an ID if it has none.
+ *
+ * @param {ZoneModel} zone - Zone passed in by the host or read from the page
+ * @param {number} index - Position of the zone, used in generated IDs
+ * @returns {ZoneModel} The copy, with copies of its items
+ * @throws {TypeError} If the zone is not an object or its items are not an array
+ * @throws {Error} If `maxItems` is not a non-negative integer
+ * @private
+ */
+function toZoneModel(zone, index) {
+  if (!zone || typeof zone !== 'object') {
+    throw new TypeError(`Invalid zone at index ${index}`);
+  }
+  if (zone.items !== undefined && !Array.isArray(zone.items)) {
+    throw new TypeError(`Invalid items in zone at index ${index}`);
+  }
+  if (zone.maxItems != null && !(Number.isInteger(zone.maxItems) && zone.maxItems >= 0)) {
+    throw new Error(`Invalid maxItems "${zone.maxItems}"`);
+  }
+  return {
+    ...zone,
+    id: zone.id != null && zone.id !== '' ? String(zone.id) : `zone-${index + 1}`,
+    items: (zone.items ?? []).map(toItemModel)
+  };
+}
 
 /**
  * Manager for drop zones in child iframes.
@@ -45,11 +225,14 @@
  * @class DropZonesManager
  * @description
  * Manages drop zones by:
- * - Setting up pointer event handlers for dropped items
+ * - Keeping the zones and their items as data, rendered into the page
+ * - Handling pointer events for dropped items, delegated from the document
  * - Receiving drop events from parent window
- * - Providing visual feedback during drag operations
+ * - Providing visual feedback during drag operations, including the insertion point
+ * - Selecting several dropped items and dragging them as a group
  * - Supporting keyboard-based navigation and paste operations
  * - Optional receive-only mode to prevent items from being dragged out
+ * - Emitting a `change` event whenever the items of a zone change
  * 
  * @example
  * // Create a drop zones manager
@@ -70,7 +253,10 @@ export class DropZonesManager {
    * 
    * @constructor
    * @param {DropZoneOptions|string} options - Configuration options or frame ID string
-   * @throws {Error} If frameId is not provided
+   * @throws {Error} If frameId is not provided, or a zone has an invalid `maxItems`
+   * @throws {TypeError} If `zones` is not an array of objects, `template` or `renderZone`
+   *   is neither a function nor a `<template>`, `logger` lacks one of the logging methods
+   *   or `storage` lacks `load` or `save`
    * 
    * @description
    * Supports both object-based and string-based constructor arguments for
@@ -89,7 +275,29 @@ export class DropZonesManager {
    * const manager = new DropZonesManager('drop-panel');
    */
   constructor(options = {}) {
-    const { frameId, receiveOnly = false } = typeof options === 'string' 
+    const {
+      frameId,
+      receiveOnly = false,
+      getPayload = null,
+      acceptedTypes = DEFAULT_ACCEPTED_TYPES,
+      zones = null,
+      container = '.drop-zones',
+      renderZone = null,
+      zoneSelector = '.drop-zone',
+      itemsSelector = '.dropped-items',
+      itemClass = 'dropped-item',
+      template = null,
+      renderItem = null,
+      canDrop = null,
+      effectAllowed = 'all',
+      autoScroll = true,
+      allowedOrigin = window.location.origin,
+      logger = null,
+      debug = false,
+      history = null,
+      storage = null,
+      storageKey = `drop-zones:${frameId}`
+    } = typeof options === 'string' 
       ? { frameId: options, receiveOnly: false } 
       : options;
       
@@ -97,6 +305,26 @@ export class DropZonesManager {
       throw new Error('frameId is required');
     }
     
+    if (!isValidEffectAllowed(effectAllowed)) {
+      throw new Error(`Invalid effectAllowed "${effectAllowed}"`);
+    }
+    
+    if (!isValidOrigin(allowedOrigin)) {
+      throw new Error(`Invalid allowedOrigin "${allowedOrigin}"`);
+    }
+    
+    if (zones !== null && !Array.isArray(zones)) {
+      throw new TypeError('zones must be an array');
+    }
+    
+    if (template !== null && !isValidTemplate(template)) {
+      throw new TypeError('template must be a function or a <template> element');
+    }
+    
+    if (renderZone !== null && !isValidTemplate(renderZone)) {
+      throw new TypeError('renderZone must be a function or a <template> element');
+    }
+    
     /**
      * Unique identifier for this frame
      * @type {string}
@@ -104,6 +332,55 @@ export class DropZonesManager {
      */
     this.frameId = frameId;
     
+    /**
+     * Origin of the parent page
+     * @type {string}
+     * @public
+     */
+    this.allowedOrigin = allowedOrigin;
+    
+    /**
+     * Logger for this frame
+     * @type {import('./logger.js').Logger}
+     * @private
+     */
+    this.logger = resolveLogger({ logger, debug }, `drop-zones:${frameId}`);
+    
+    /**
+     * Records the messages sent and received, if set
+     * @type {import('./logger.js').MessageHistory|null}
+     * @private
+     */
+    this.history = history;
+    
+    /**
+     * Messaging with the parent coordinator
+     * @type {ParentConnection}
+     * @private
+     */
+    this.connection = new ParentConnection({ allowedOrigin, logger: this.logger, history });
+    
+    /**
+     * Keeps the items of the zones across reloads, if set
+     * @type {import('./storage-adapter.js').StorageAdapter|null}
+     * @private
+     */
+    this.storage = resolveStorage(storage);
+    
+    /**
+     * Key the items are saved under
+     * @type {string}
+     * @public
+     */
+    this.storageKey = storageKey;
+    
+    /**
+     * Whether the saved items were restored; nothing is saved before
+     * @type {boolean}
+     * @private
+     */
+    this.storageReady = false;
+    
     /**
      * Whether this frame is receive-only (dropped items cannot be dragged out)
      * @type {boolean}
@@ -111,6 +388,119 @@ export class DropZonesManager {
      */
     this.receiveOnly = receiveOnly;
     
+    /**
+     * Payload types the zones accept, most preferred first
+     * @type {string[]}
+     * @public
+     */
+    this.acceptedTypes = acceptedTypes;
+    
+    /**
+     * Custom payload builder
+     * @type {Function|null}
+     * @private
+     */
+    this.customGetPayload = getPayload;
+    
+    /**
+     * Custom renderer for dropped and pasted payloads
+     * @type {Function|null}
+     * @private
+     */
+    this.customRenderItem = renderItem;
+    
+    /**
+     * Renders the content of an item element
+     * @type {import('./item-model.js').ItemTemplate|null}
+     * @private
+     */
+    this.template = template;
+    
+    /**
+     * Renders the content of a zone element
+     * @type {import('./item-model.js').ItemTemplate|null}
+     * @private
+     */
+    this.customRenderZone = renderZone;
+    
+    /**
+     * Element, or its selector, the `zones` option is rendered into
+     * @type {HTMLElement|string}
+     * @private
+     */
+    this.container = container;
+    
+    /**
+     * Selector of the zones in the page
+     * @type {string}
+     * @private
+     */
+    this.zoneSelector = zoneSelector;
+    
+    /**
+     * Selector of the items list within a zone
+     * @type {string}
+     * @private
+     */
+    this.itemsSelector = itemsSelector;
+    
+    /**
+     * Class of the item elements
+     * @type {string}
+     * @private
+     */
+    this.itemClass = itemClass;
+    
+    /**
+     * The data model: every zone with its items, in order. Null until
+     * initialization when it is read from the page.
+     * @type {ZoneModel[]|null}
+     * @private
+     */
+    this.zones = zones && zones.map(toZoneModel);
+    
+    /**
+     * Element of each zone, by zone ID
+     * @type {Map<string, HTMLElement>}
+     * @private
+     */
+    this.zoneElements = new Map();
+    
+    /**
+     * Zone each zone element shows
+     * @type {WeakMap<HTMLElement, ZoneModel>}
+     * @private
+     */
+    this.elementZones = new WeakMap();
+    
+    /**
+     * Item each item element shows
+     * @type {WeakMap<HTMLElement, ItemModel>}
+     * @private
+     */
+    this.elementItems = new WeakMap();
+    
+    /**
+     * Handlers registered with `on()`, by event type
+     * @type {Map<string, Set<function(ZoneChangeEvent): void>>}
+     * @private
+     */
+    this.eventHandlers = new Map();
+    
+    /**
+     * Custom drop predicate
+     * @type {Function|null}
+     * @private
+     */
+    this.canDrop = canDrop;
+    
+    /**
+     * Drop effects allowed for items dragged out of this frame
+     * @type {string}
+     * @public
+     */
+    this.effectAllowed = effectAllowed;
+    
     /**
      * Currently hovered drop zone during drag
      * @type {HTMLElement|null}
@@ -119,32 +509,47 @@ export class DropZonesManager {
     this.currentHoverZone = null;
     
     /**
-     * Currently dragged element
-     * @type {HTMLElement|null}
+     * Line marking where a drop would be inserted in the hovered zone
+     * @type {InsertionPlaceholder}
      * @private
      */
-    this.currentDragElement = null;
+    this.placeholder = new InsertionPlaceholder();
     
     /**
-     * X coordinate where drag started
-     * @type {number}
+     * Scrolls this frame while an item is dragged near its edges
+     * @type {AutoScroller|null}
      * @private
      */
-    this.dragStartX = 0;
+    this.autoScroller = autoScroll
+      ? new AutoScroller({ ...(typeof autoScroll === 'object' ? autoScroll : {}), onScroll: () => this.refreshDragMove() })
+      : null;
     
     /**
-     * Y coordinate where drag started
-     * @type {number}
+     * Arguments of the last `parentDragMove`, replayed after autoscrolling
+     * @type {Array|null}
      * @private
      */
-    this.dragStartY = 0;
+    this.lastDragMove = null;
     
     /**
-     * Whether a drag is currently in progress
-     * @type {boolean}
+     * Dropped items waiting for the parent to commit them, keyed by drag session ID.
+     * `replaced` holds the original items of a move within this frame; they stay
+     * hidden until the drop is committed.
+     * @type {Map<string, {elements: HTMLElement[], replaced: HTMLElement[]}>}
+     * @private
+     */
+    this.pendingDrops = new Map();
+    
+    /**
+     * Item being pressed or dragged out of this frame
+     * @type {PointerDrag}
      * @private
      */
-    this.isDragging = false;
+    this.drag = new PointerDrag({
+      onMove: (e) => this.handlePointerMove(e),
+      onUp: (e) => this.handlePointerUp(e),
+      onCancel: (reason) => this.connection.post('dragCancel', { source: this.frameId, reason })
+    });
     
     /**
      * Currently selected zone for keyboard operations
@@ -152,23 +557,407 @@ export class DropZonesManager {
      * @private
      */
     this.selectedZone = null;
+    
+    /**
+     * Selected dropped items for group drags
+     * @type {ItemSelection}
+     * @private
+     */
+    this.selection = new ItemSelection(() => this.getItemElements());
+    
+    /**
+     * ID the parent coordinator registered this frame under, once it answered `hello`
+     * @type {string|null}
+     * @public
+     */
+    this.parentFrameId = null;
   }
 
   /**
    * Initialize the manager.
    * 
    * @description
-   * Sets up event handlers based on the receiveOnly flag:
-   * - If receiveOnly is false: Sets up drag handlers and keyboard handlers
+   * Renders the `zones` option into `container`, or reads the zones and their
+   * items from the page. Then sets up event handlers based on the receiveOnly flag:
+   * - If receiveOnly is false: Sets up drag handlers and keyboard handlers, and
+   *   cancels a drag in progress when the page unloads
    * - If receiveOnly is true: Only sets up message listener for receiving drops
-   * - Always sets up message listener
+   * - Always sets up message listener and announces the frame to the parent
+   * 
+   * With `storage`, the saved items are put in their zones before the frame is
+   * announced. Zones keep their title, limits and other metadata from the
+   * `zones` option or the page; saved items of zones that no longer exist are
+   * dropped. No `change` is emitted for the restored items.
+   * 
+   * @returns {Promise<void>} Resolves once the frame is announced
+   * @throws {Error} If `zones` is given and `container` is not in the page
    */
   initialize() {
+    this.setupZones();
+    
     if (!this.receiveOnly) {
       this.setupDragHandlers();
       this.setupKeyboardHandlers();
+      window.addEventListener('pagehide', () => this.drag.cancel(DRAG_CANCEL_REASONS.UNLOAD));
     }
     this.setupMessageListener();
+    
+    if (!this.storage) {
+      this.announce();
+      return Promise.resolve();
+    }
+    return this.restoreSavedZones().then(() => this.announce());
+  }
+
+  /**
+   * Put the items saved in `storage` in their zones.
+   * 
+   * @returns {Promise<void>} Resolves once restored; a failed load is logged and
+   *   keeps the rendered items
+   * @private
+   */
+  async restoreSavedZones() {
+    try {
+      const saved = await this.storage.load(this.storageKey);
+      if (saved && typeof saved === 'object') {
+        this.zones
+          .filter(zone => Array.isArray(saved[zone.id]))
+          .forEach(zone => {
+            zone.items = saved[zone.id].map(toItemModel);
+            this.renderZoneItems(zone);
+          });
+      }
+    } catch (err) {
+      this.logger.warn('Could not restore the saved zones:', err);
+    }
+    this.storageReady = true;
+  }
+
+  /**
+   * Save the items of every zone to `storage`, if set.
+   * 
+   * @private
+   * 
+   * @description
+   * Saves an object mapping each zone ID to what `getZoneContents()` returns
+   * for it. A failed save is logged; the zones on the page stay as they are.
+   */
+  saveZones() {
+    if (!this.storage || !this.storageReady) return;
+    
+    const saved = Object.fromEntries(this.zones.map(zone => [zone.id, this.getZoneContents(zone.id)]));
+    this.storage.save(this.storageKey, saved)
+      .catch(err => this.logger.warn('Could not save the zones:', err));
+  }
+
+  /**
+   * Render the zones of the `zones` option, or read them from the page.
+   * 
+   * @private
+   */
+  setupZones() {
+    let elements;
+    if (this.zones) {
+      const container = typeof this.container === 'string'
+        ? document.querySelector(this.container)
+        : this.container;
+      if (!container) {
+        throw new Error(`Zone container "${this.container}" not found`);
+      }
+      elements = this.zones.map(zone => this.createZoneElement(zone));
+      container.replaceChildren(...elements);
+    } else {
+      elements = Array.from(document.querySelectorAll(this.zoneSelector));
+      this.zones = elements.map((element, index) => this.readZone(element, index));
+    }
+    
+    elements.forEach((element, i) => {
+      const zone = this.zones[i];
+      element.dataset.zoneId = zone.id;
+      this.zoneElements.set(zone.id, element);
+      this.elementZones.set(element, zone);
+      this.renderZoneItems(zone);
+    });
+  }
+
+  /**
+   * Read a zone and its items from the page.
+   * 
+   * @param {HTMLElement} element - The zone element
+   * @param {number} index - Position of the zone
+   * @returns {ZoneModel} The zone
+   * @private
+   */
+  readZone(element, index) {
+    const maxItems = Number.parseInt(element.dataset.maxItems, 10);
+    const accepts = element.dataset.accepts?.split(/[\s,]+/).filter(Boolean);
+    const title = element.dataset.title ?? element.querySelector('.drop-zone-title')?.textContent.trim();
+    const items = Array.from(this.getItemsList(element).children)
+      .filter(child => child.classList.contains(this.itemClass))
+      .map(child => ({ id: child.dataset.id, text: child.textContent.trim() }));
+    
+    return toZoneModel({
+      id: element.dataset.zoneId,
+      ...(title ? { title } : {}),
+      ...(Number.isFinite(maxItems) ? { maxItems } : {}),
+      ...(accepts?.length ? { accepts } : {}),
+      items
+    }, index);
+  }
+
+  /**
+   * Create the element of a zone, without its items.
+   * 
+   * @param {ZoneModel} zone - The zone
+   * @returns {HTMLElement} The new, not yet attached, zone element
+   * @private
+   */
+  createZoneElement(zone) {
+    const element = document.createElement('div');
+    element.className = 'drop-zone';
+    
+    if (this.customRenderZone) {
+      renderTemplate(element, zone, this.customRenderZone);
+      return element;
+    }
+    
+    const title = document.createElement('div');
+    title.className = 'drop-zone-title';
+    title.textContent = zone.title ?? zone.id;
+    element.appendChild(title);
+    if (zone.hint) {
+      const hint = document.createElement('div');
+      hint.className = 'drop-zone-hint';
+      hint.textContent = zone.hint;
+      element.appendChild(hint);
+    }
+    const list = document.createElement('div');
+    list.className = 'dropped-items';
+    element.appendChild(list);
+    return element;
+  }
+
+  /**
+   * Get the element a zone's items go in.
+   * 
+   * @param {HTMLElement} zoneElement - The zone element
+   * @returns {HTMLElement} Its `itemsSelector` element, or the zone element itself
+   * @private
+   */
+  getItemsList(zoneElement) {
+    return zoneElement.querySelector(this.itemsSelector) ?? zoneElement;
+  }
+
+  /**
+   * Replace the item elements of a zone with ones rendered from its model.
+   * 
+   * @param {ZoneModel} zone - The zone
+   * @private
+   */
+  renderZoneItems(zone) {
+    const list = this.getItemsList(this.zoneElements.get(zone.id));
+    Array.from(list.children)
+      .filter(child => child.classList.contains(this.itemClass))
+      .forEach(child => {
+        this.selection.remove(child);
+        child.remove();
+      });
+    zone.items.forEach(item => list.appendChild(this.createItemElement(item)));
+  }
+
+  /**
+   * Get the item elements of a zone.
+   * 
+   * @param {ZoneModel} zone - The zone
+   * @returns {HTMLElement[]} The elements, in order
+   * @private
+   */
+  getZoneItemElements(zone) {
+    const element = this.zoneElements.get(zone.id);
+    if (!element) return [];
+    return Array.from(this.getItemsList(element).children).filter(child => this.elementItems.has(child));
+  }
+
+  /**
+   * Get the item elements of every zone.
+   * 
+   * @returns {HTMLElement[]} The elements, zone by zone
+   * @private
+   */
+  getItemElements() {
+    return (this.zones ?? []).flatMap(zone => this.getZoneItemElements(zone));
+  }
+
+  /**
+   * Find the zone element a node is in.
+   * 
+   * @param {Node|null} node - The node, such as the element under the pointer
+   * @returns {HTMLElement|null} The zone element, or null outside every zone
+   * @private
+   */
+  findZoneElement(node) {
+    for (let element = node; element; element = element.parentElement) {
+      if (this.elementZones.has(element)) return element;
+    }
+    return null;
+  }
+
+  /**
+   * Find the item element a node is in.
+   * 
+   * @param {Node|null} node - The node, such as the target of a pointer event
+   * @returns {HTMLElement|null} The item element, or null outside every item
+   * @private
+   */
+  findItemElement(node) {
+    for (let element = node; element; element = element.parentElement) {
+      if (this.elementItems.has(element)) return element;
+    }
+    return null;
+  }
+
+  /**
+   * Get a zone of the model.
+   * 
+   * @param {string} zoneId - ID of the zone
+   * @returns {ZoneModel} The zone
+   * @throws {Error} If there is no such zone
+   * @private
+   */
+  getZone(zoneId) {
+    const zone = this.zones?.find(zone => zone.id === zoneId);
+    if (!zone) {
+      throw new Error(`Unknown zone "${zoneId}"`);
+    }
+    return zone;
+  }
+
+  /**
+   * Get the zones and their items.
+   * 
+   * @returns {ZoneModel[]} Copies of the zones, in order, each with its items as
+   *   returned by {@link DropZonesManager#getZoneContents}
+   */
+  getZones() {
+    return (this.zones ?? []).map(zone => ({ ...zone, items: this.getZoneContents(zone.id) }));
+  }
+
+  /**
+   * Get the items in a zone.
+   * 
+   * @param {string} zoneId - ID of the zone
+   * @returns {ItemModel[]} Copies of the items, in order; dropped items waiting for
+   *   the parent to commit them are left out
+   * @throws {Error} If there is no such zone
+   * 
+   * @example
+   * const doing = manager.getZoneContents('doing');
+   * console.log(`${doing.length} in progress`);
+   */
+  getZoneContents(zoneId) {
+    const pending = new Set(
+      Array.from(this.pendingDrops.values())
+        .flatMap(({ elements }) => elements)
+        .map(element => this.elementItems.get(element))
+    );
+    return this.getZone(zoneId).items.filter(item => !pending.has(item)).map(item => ({ ...item }));
+  }
+
+  /**
+   * Replace the items in a zone.
+   * 
+   * @param {string} zoneId - ID of the zone
+   * @param {ItemModel[]} items - The new items, in order
+   * @throws {Error} If there is no such zone
+   * @throws {TypeError} If `items` is not an array or holds something other than objects
+   * 
+   * @description
+   * Re-renders the zone and emits `change` with the `set` reason. The items are
+   * copied, so later changes to them are not picked up.
+   */
+  setZoneContents(zoneId, items) {
+    if (!Array.isArray(items)) {
+      throw new TypeError('items must be an array');
+    }
+    
+    const zone = this.getZone(zoneId);
+    zone.items = items.map(toItemModel);
+    if (this.zoneElements.has(zoneId)) {
+      this.renderZoneItems(zone);
+    }
+    this.emitChange([zone], 'set');
+  }
+
+  /**
+   * Register a handler for a drop zones event.
+   * 
+   * @param {string} type - One of {@link DROP_ZONE_EVENTS}
+   * @param {function(ZoneChangeEvent): void} handler - Called with the event
+   * @returns {function(): void} Removes the handler again
+   * @throws {Error} If `type` is not a drop zones event
+   * @throws {TypeError} If `handler` is not a function
+   * 
+   * @description
+   * `change` is emitted once per zone whose items changed, after the change.
+   * Drops that wait for the parent's `commitDrop` are reported when committed;
+   * rolled back drops are not reported.
+   */
+  on(type, handler) {
+    if (!Object.values(DROP_ZONE_EVENTS).includes(type)) {
+      throw new Error(`Invalid event type "${type}"`);
+    }
+    if (typeof handler !== 'function') {
+      throw new TypeError(`Invalid handler for "${type}"`);
+    }
+    
+    if (!this.eventHandlers.has(type)) {
+      this.eventHandlers.set(type, new Set());
+    }
+    this.eventHandlers.get(type).add(handler);
+    return () => this.off(type, handler);
+  }
+
+  /**
+   * Remove a handler registered with {@link DropZonesManager#on}.
+   * 
+   * @param {string} type - One of {@link DROP_ZONE_EVENTS}
+   * @param {function(ZoneChangeEvent): void} handler - The handler to remove
+   */
+  off(type, handler) {
+    this.eventHandlers.get(type)?.delete(handler);
+  }
+
+  /**
+   * Emit `change` for each of the given zones, after saving them to `storage`.
+   * 
+   * @param {Iterable<ZoneModel>} zones - The zones that changed
+   * @param {string} reason - What changed them
+   * @private
+   */
+  emitChange(zones, reason) {
+    const changed = new Set(zones);
+    if (changed.size > 0) {
+      this.saveZones();
+    }
+    
+    for (const zone of changed) {
+      const items = this.getZoneContents(zone.id);
+      const event = {
+        type: DROP_ZONE_EVENTS.CHANGE,
+        zoneId: zone.id,
+        zone: { ...zone, items },
+        items,
+        reason
+      };
+      
+      for (const handler of this.eventHandlers.get(DROP_ZONE_EVENTS.CHANGE) ?? []) {
+        try {
+          handler(event);
+        } catch (err) {
+          this.logger.error(`Handler for "${DROP_ZONE_EVENTS.CHANGE}" failed:`, err);
+        }
+      }
+    }
   }
 
   /**
@@ -177,12 +966,13 @@ export class DropZonesManager {
    * @private
    * 
    * @description
-   * Attaches pointerdown event listeners to all dropped items in the zones.
-   * Called during initialization unless receiveOnly mode is enabled.
+   * Listens for pointerdown on the document, so items rendered later are
+   * draggable too. Called during initialization unless receiveOnly mode is enabled.
    */
   setupDragHandlers() {
-    document.querySelectorAll('.dropped-item').forEach(item => {
-      item.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+    document.addEventListener('pointerdown', (e) => {
+      const item = this.findItemElement(e.target);
+      if (item) this.handlePointerDown(e, item);
     });
   }
 
@@ -190,37 +980,18 @@ export class DropZonesManager {
    * Handle pointer down events on dropped items.
    * 
    * @param {PointerEvent} e - The pointer event
+   * @param {HTMLElement} item - The item the pointer went down on
    * @private
    * 
    * @description
    * Initiates a potential drag operation for items in drop zones.
-   * Similar to draggable items, uses a 5px threshold before starting drag.
+   * Similar to draggable items, uses a 5px threshold before starting drag, and
+   * pressing on a selected item drags the whole selection.
    */
-  handlePointerDown(e) {
-    // Only handle if clicking directly on the dropped item
-    if (!e.target.classList.contains('dropped-item')) return;
-    
+  handlePointerDown(e, item) {
     e.preventDefault();
     e.stopPropagation();
-    
-    this.currentDragElement = e.currentTarget;
-    this.dragStartX = e.clientX;
-    this.dragStartY = e.clientY;
-    this.isDragging = false;
-
-    // Capture the pointer to ensure we receive all events even if pointer moves fast
-    this.currentDragElement.setPointerCapture(e.pointerId);
-
-    // Set up move and up listeners
-    const moveHandler = (e) => this.handlePointerMove(e);
-    const upHandler = (e) => this.handlePointerUp(e);
-    
-    document.addEventListener('pointermove', moveHandler);
-    document.addEventListener('pointerup', upHandler);
-    
-    // Store handlers for cleanup
-    this._moveHandler = moveHandler;
-    this._upHandler = upHandler;
+    this.drag.start(e, item);
   }
 
   /**
@@ -234,35 +1005,63 @@ export class DropZonesManager {
    * Sends drag move messages to parent for cross-iframe tracking.
    */
   handlePointerMove(e) {
-    if (!this.currentDragElement) return;
+    if (!this.drag.element) return;
 
-    // Check if we've moved enough to start dragging (5px threshold)
-    const deltaX = Math.abs(e.clientX - this.dragStartX);
-    const deltaY = Math.abs(e.clientY - this.dragStartY);
+    // Start dragging once the pointer has moved past the threshold
+    if (!this.drag.isDragging && this.drag.hasMoved(e)) {
+      this.drag.isDragging = true;
+      this.drag.group = this.selection.has(this.drag.element) && this.selection.size > 1
+        ? this.selection.items
+        : [this.drag.element];
 
-    if (!this.isDragging && (deltaX > 5 || deltaY > 5)) {
-      this.isDragging = true;
-      this.currentDragElement.classList.add('dragging');
+      const items = this.drag.group.map(element => {
+        element.classList.add('dragging');
+        const payload = this.getPayload(element);
+        const zone = this.elementZones.get(this.findZoneElement(element));
+        return {
+          id: element.dataset.id,
+          text: getPayloadLabel(payload),
+          source: this.frameId,
+          payload,
+          index: zone?.items.indexOf(this.elementItems.get(element)),
+          zoneId: zone?.id
+        };
+      });
+      const primary = items[this.drag.group.indexOf(this.drag.element)];
+      const rect = this.drag.element.getBoundingClientRect();
 
       // Notify parent that drag has started
-      window.parent.postMessage({
-        type: 'dragStart',
+      this.connection.post('dragStart', {
         pointerId: e.pointerId,
-        text: this.currentDragElement.textContent.trim(),
-        id: this.currentDragElement.dataset.id || `item-${Date.now()}`,
-        source: this.frameId
-      }, window.location.origin);
+        text: items.length > 1 ? `${items.length} items` : primary.text,
+        id: primary.id,
+        source: this.frameId,
+        payload: primary.payload,
+        index: primary.index,
+        zoneId: primary.zoneId,
+        items: items.length > 1 ? items : undefined,
+        effectAllowed: this.effectAllowed,
+        clientX: this.drag.startX,
+        clientY: this.drag.startY,
+        // Where the item was grabbed, so the preview can be held at the same spot
+        grabX: rect.width ? (this.drag.startX - rect.left) / rect.width : 0.5,
+        grabY: rect.height ? (this.drag.startY - rect.top) / rect.height : 0.5,
+        devicePixelRatio: window.devicePixelRatio
+      });
     }
 
     // Continue sending pointer move events to parent while dragging
-    if (this.isDragging) {
+    if (this.drag.isDragging) {
       // clientX/clientY are already relative to the iframe viewport
-      window.parent.postMessage({
-        type: 'dragMove',
+      this.connection.post('dragMove', {
         clientX: e.clientX,
         clientY: e.clientY,
-        source: this.frameId
-      }, window.location.origin);
+        source: this.frameId,
+        ctrlKey: e.ctrlKey,
+        metaKey: e.metaKey,
+        altKey: e.altKey,
+        devicePixelRatio: window.devicePixelRatio
+      });
     }
   }
 
@@ -274,33 +1073,252 @@ export class DropZonesManager {
    * 
    * @description
    * Releases pointer capture, cleans up listeners, and notifies parent of drag end.
+   * A release without a drag is a click that updates the item selection.
    */
   handlePointerUp(e) {
-    if (!this.currentDragElement) return;
-
-    // Release pointer capture
-    if (this.currentDragElement.hasPointerCapture(e.pointerId)) {
-      this.currentDragElement.releasePointerCapture(e.pointerId);
-    }
+    if (!this.drag.element) return;
 
-    // Clean up
-    document.removeEventListener('pointermove', this._moveHandler);
-    document.removeEventListener('pointerup', this._upHandler);
+    this.drag.release(e);
 
-    if (this.isDragging) {
+    if (this.drag.isDragging) {
       // Send pointer position to parent for drop detection
       // clientX/clientY are already relative to the iframe viewport
-      window.parent.postMessage({
-        type: 'dragEnd',
+      this.connection.post('dragEnd', {
         clientX: e.clientX,
         clientY: e.clientY,
-        source: this.frameId
-      }, window.location.origin);
+        source: this.frameId,
+        ctrlKey: e.ctrlKey,
+        metaKey: e.metaKey,
+        altKey: e.altKey,
+        devicePixelRatio: window.devicePixelRatio
+      });
+    } else {
+      this.selection.handleClick(this.drag.element, e);
+    }
+
+    this.drag.end();
+  }
+
+  /**
+   * Build the typed payload for a dropped item element.
+   * 
+   * @param {HTMLElement} element - The item being dragged
+   * @returns {import('./drag-payload.js').DragPayload} The payload
+   * 
+   * @description
+   * Uses the `getPayload` option when provided. Otherwise the item is offered as
+   * `application/x-item+json` (its model fields) and `text/plain`.
+   */
+  getPayload(element) {
+    if (this.customGetPayload) {
+      return createPayload(this.customGetPayload(element));
+    }
+    
+    const item = this.elementItems.get(element) ?? {};
+    const text = item.text || element.textContent.trim();
+    return createPayload({
+      [MIME_TYPES.ITEM]: { ...item, id: element.dataset.id, text },
+      [MIME_TYPES.TEXT]: text
+    });
+  }
+
+  /**
+   * Render the element of an item.
+   * 
+   * @param {ItemModel} item - The item
+   * @returns {HTMLElement} The new, not yet attached, item element
+   * @private
+   * 
+   * @description
+   * Uses the `template` option when provided; otherwise the item shows its text.
+   */
+  createItemElement(item) {
+    const element = document.createElement('div');
+    element.className = this.itemClass;
+    element.dataset.id = item.id;
+    element.classList.toggle('linked', Boolean(item.linked));
+    
+    if (this.template) {
+      renderTemplate(element, item, this.template);
+    } else {
+      element.textContent = item.text;
+    }
+    
+    this.elementItems.set(element, item);
+    return element;
+  }
+
+  /**
+   * Add items to a zone and render them.
+   * 
+   * @param {HTMLElement} zoneElement - The zone element
+   * @param {ItemModel[]} items - The new items
+   * @param {HTMLElement|null} reference - The item element to insert them before (null to append)
+   * @returns {HTMLElement[]} The new elements
+   * @private
+   */
+  insertItems(zoneElement, items, reference) {
+    const zone = this.elementZones.get(zoneElement);
+    const referenceItem = reference ? this.elementItems.get(reference) : null;
+    const index = referenceItem ? zone.items.indexOf(referenceItem) : -1;
+    zone.items.splice(index === -1 ? zone.items.length : index, 0, ...items);
+    
+    const list = this.getItemsList(zoneElement);
+    return items.map(item => {
+      const element = this.createItemElement(item);
+      list.insertBefore(element, reference);
+      return element;
+    });
+  }
+
+  /**
+   * Remove items from their zones and their elements from the page.
+   * 
+   * @param {HTMLElement[]} elements - Elements of the items
+   * @param {boolean} [animate=false] - Fade the elements out before removing them
+   * @returns {ZoneModel[]} The zones the items were in
+   * @private
+   */
+  removeItemElements(elements, animate = false) {
+    return elements.map(element => {
+      const zone = this.elementZones.get(this.findZoneElement(element));
+      const index = zone ? zone.items.indexOf(this.elementItems.get(element)) : -1;
+      if (index !== -1) {
+        zone.items.splice(index, 1);
+      }
+      this.elementItems.delete(element);
+      this.selection.remove(element);
+      
+      if (animate) {
+        element.style.transition = 'all 0.2s ease';
+        element.style.opacity = '0';
+        element.style.transform = 'scale(0.8)';
+        setTimeout(() => element.remove(), 200);
+      } else {
+        element.remove();
+      }
+      return zone;
+    }).filter(Boolean);
+  }
+
+  /**
+   * Get the payload types a zone accepts.
+   * 
+   * @param {HTMLElement} zone - The drop zone
+   * @returns {string[]} The zone's `accepts` types (read from its `data-accepts`
+   *   attribute for zones in the page), or the manager's `acceptedTypes`
+   */
+  getZoneAcceptedTypes(zone) {
+    const accepts = this.elementZones.get(zone)?.accepts;
+    return accepts?.length ? accepts : this.acceptedTypes;
+  }
+
+  /**
+   * Decide whether a zone can accept the dragged items.
+   * 
+   * @param {HTMLElement|null} zone - The drop zone under the pointer, if any
+   * @param {ItemData} dragData - Data about the dragged item or group
+   * @param {string} [dropEffect='move'] - The requested drop effect
+   * @returns {DropStatus} Whether the drop is accepted and why not
+   * 
+   * @description
+   * Checks, in order: that there is a zone, that one of the payload types of
+   * every item is accepted by the zone, that the zone has room for all items
+   * below its `maxItems` capacity and finally the `canDrop` predicate for
+   * each item. Items moved within the same zone do not count against the capacity.
+   */
+  evaluateDrop(zone, dragData, dropEffect = DROP_EFFECTS.MOVE) {
+    if (!zone) {
+      return { accepted: false, reason: DROP_REJECT_REASONS.NO_TARGET };
     }
+    
+    const items = getDragItems(dragData);
+    const zoneTypes = this.getZoneAcceptedTypes(zone);
+    const acceptedTypes = items.map(item => negotiateType(resolvePayload(item), zoneTypes));
+    if (acceptedTypes.includes(null)) {
+      return { accepted: false, reason: DROP_REJECT_REASONS.UNSUPPORTED_TYPE };
+    }
+    
+    const { maxItems, items: zoneItems } = this.elementZones.get(zone);
+    if (Number.isInteger(maxItems)) {
+      const movedIds = this.getMovedIds(dragData, dropEffect);
+      const count = zoneItems.filter(item => !movedIds.includes(item.id)).length;
+      if (count + items.length > maxItems) {
+        return { accepted: false, reason: DROP_REJECT_REASONS.CAPACITY };
+      }
+    }
+    
+    if (this.canDrop && items.some((item, i) => !this.canDrop(zone, item, acceptedTypes[i]))) {
+      return { accepted: false, reason: DROP_REJECT_REASONS.REJECTED };
+    }
+    
+    return { accepted: true, acceptedType: acceptedTypes[0], acceptedTypes };
+  }
 
-    this.currentDragElement.classList.remove('dragging');
-    this.currentDragElement = null;
-    this.isDragging = false;
+  /**
+   * Get the IDs of items a drop moves within this frame.
+   * 
+   * @param {ItemData} dragData - Data about the dragged item or group
+   * @param {string} dropEffect - The drop effect
+   * @returns {string[]} The IDs, empty unless this frame is the source of a `move`
+   * @private
+   */
+  getMovedIds(dragData, dropEffect) {
+    if (dragData.source !== this.frameId || dropEffect !== DROP_EFFECTS.MOVE) return [];
+    return getDragItems(dragData).map(item => item.id);
+  }
+
+  /**
+   * Find where in a zone a drop at the given point is inserted.
+   * 
+   * @param {HTMLElement} zone - The drop zone
+   * @param {number} x - X coordinate in this iframe's viewport
+   * @param {number} y - Y coordinate in this iframe's viewport
+   * @param {ItemData} dragData - Data about the dragged item or group
+   * @param {string} dropEffect - The drop effect
+   * @returns {{container: HTMLElement, index: number, reference: HTMLElement|null}}
+   *   The zone's items list, the insertion index and the item to insert before
+   *   (null to append)
+   * @private
+   * 
+   * @description
+   * Items moved within this frame and hidden originals of pending moves are
+   * skipped, so the index is the position in the zone once the drop is done.
+   */
+  getInsertionPoint(zone, x, y, dragData, dropEffect) {
+    const container = this.getItemsList(zone);
+    const movedIds = this.getMovedIds(dragData, dropEffect);
+    const items = this.getZoneItemElements(this.elementZones.get(zone))
+      .filter(item => !item.hidden && !movedIds.includes(item.dataset.id));
+    const index = getInsertionIndex(items, x, y);
+    return { container, index, reference: items[index] ?? null };
+  }
+
+  /**
+   * Clear the hover state of the current zone.
+   * 
+   * @private
+   */
+  clearHover() {
+    if (this.currentHoverZone) {
+      this.currentHoverZone.classList.remove('hover', 'drop-forbidden');
+      this.currentHoverZone = null;
+    }
+    this.placeholder.remove();
+    this.autoScroller?.stop();
+    this.lastDragMove = null;
+    this.connection.resetDropStatus();
+  }
+
+  /**
+   * Re-run the last drag move, after autoscrolling moved the content under the pointer.
+   * 
+   * @private
+   */
+  refreshDragMove() {
+    if (this.lastDragMove) {
+      this.onParentDragMove(...this.lastDragMove);
+    }
   }
 
   /**
@@ -309,30 +1327,47 @@ export class DropZonesManager {
    * @param {number} x - X coordinate in this iframe's viewport
    * @param {number} y - Y coordinate in this iframe's viewport
    * @param {ItemData} dragData - Data about the dragged item
+   * @param {string} [dropEffect='move'] - Drop effect chosen by the coordinator
    * @private
    * 
    * @description
-   * Provides visual feedback by adding hover class to the drop zone under the pointer.
+   * Marks the zone under the pointer with the `hover` class if it accepts the
+   * item, or `drop-forbidden` if it does not, and reports the decision to the
+   * parent with a `dropStatus` message. An accepting zone shows a
+   * `drop-placeholder` line where the item would be inserted.
+   * Near the frame's edges the scroll container under the pointer is scrolled,
+   * faster the closer the pointer gets.
    */
-  onParentDragMove(x, y, dragData) {
+  onParentDragMove(x, y, dragData, dropEffect = DROP_EFFECTS.MOVE) {
+    this.lastDragMove = [x, y, dragData, dropEffect];
+    
     // Find which drop zone is under the coordinates
     const element = document.elementFromPoint(x, y);
-    const dropZone = element?.closest('.drop-zone');
+    const dropZone = this.findZoneElement(element);
+    const status = this.evaluateDrop(dropZone, dragData, dropEffect);
 
-    if (dropZone && dropZone !== this.currentHoverZone) {
+    if (dropZone !== this.currentHoverZone && this.currentHoverZone) {
       // Clear previous hover
-      if (this.currentHoverZone) {
-        this.currentHoverZone.classList.remove('hover');
-      }
-      
-      // Set new hover
-      this.currentHoverZone = dropZone;
-      this.currentHoverZone.classList.add('hover');
-    } else if (!dropZone && this.currentHoverZone) {
-      // Clear hover if not over any drop zone
-      this.currentHoverZone.classList.remove('hover');
-      this.currentHoverZone = null;
+      this.currentHoverZone.classList.remove('hover', 'drop-forbidden');
+    }
+    this.currentHoverZone = dropZone;
+    
+    if (dropZone) {
+      dropZone.classList.toggle('hover', status.accepted);
+      dropZone.classList.toggle('drop-forbidden', !status.accepted);
+    }
+    
+    if (status.accepted) {
+      const { container, reference } = this.getInsertionPoint(dropZone, x, y, dragData, dropEffect);
+      this.placeholder.show(container, reference);
+    } else {
+      this.placeholder.remove();
     }
+    
+    // Pointer coordinates are relative to the iframe viewport, so they stay valid while it scrolls
+    this.autoScroller?.update(x, y, getScrollContainer(element));
+    
+    this.connection.reportDropStatus({ ...status, sessionId: dragData.sessionId });
   }
 
   /**
@@ -341,127 +1376,280 @@ export class DropZonesManager {
    * @param {number} x - X coordinate where drop occurred
    * @param {number} y - Y coordinate where drop occurred
    * @param {ItemData} dragData - Data about the dropped item
+   * @param {string} [dropEffect='move'] - Effect chosen by the coordinator; confirmed in `dropSuccess`
+   * @param {string} [sessionId] - Drag session of the drop transaction
    * @private
    * 
    * @description
-   * Creates a new dropped item element in the appropriate drop zone.
-   * Handles both cross-frame drops and intra-frame moves between zones.
-   * In receive-only mode, dropped items will not have drag handlers attached.
+   * Creates a new dropped item element in the appropriate drop zone, one per
+   * item for a group drop, all or nothing. Items are inserted at the pointer's
+   * position in the zone; the index is reported in `dropSuccess`.
+   * Handles both cross-frame drops and intra-frame moves, copies and links
+   * between zones. The items are added to the zone's model; linked items get
+   * `linked: true` and the `linked` class.
+   * The zone is checked again with {@link DropZonesManager#evaluateDrop};
+   * refused drops fail with the reason.
+   * 
+   * With a session ID the new items stay `pending` until the parent sends
+   * `commitDrop` or `rollbackDrop`, and the originals of an intra-frame move are
+   * only hidden until then. A repeated drop for the same session is ignored.
+   * Without one, `change` is emitted right away.
    */
-  onParentDrop(x, y, dragData) {
+  onParentDrop(x, y, dragData, dropEffect = DROP_EFFECTS.MOVE, sessionId) {
+    if (sessionId && this.pendingDrops.has(sessionId)) return;
+    
     // Find which drop zone is under the coordinates
     const element = document.elementFromPoint(x, y);
-    const dropZone = element?.closest('.drop-zone');
+    const dropZone = this.findZoneElement(element);
+    const status = this.evaluateDrop(dropZone, dragData, dropEffect);
 
-    if (dropZone) {
-      // If dragging within the same frame, remove the old item first
-      // This prevents duplicate IDs when moving between zones
-      if (dragData.source === this.frameId) {
-        const oldItem = Array.from(document.querySelectorAll('.dropped-item'))
-          .find(item => item.dataset.id === dragData.id);
-        if (oldItem) {
-          oldItem.remove();
+    if (status.accepted) {
+      const isSameFrame = dragData.source === this.frameId;
+      const items = getDragItems(dragData);
+      const { index, reference } = this.getInsertionPoint(dropZone, x, y, dragData, dropEffect);
+      const replaced = [];
+      const changed = [this.elementZones.get(dropZone)];
+      
+      const models = items.map((item, i) => {
+        let itemId = item.id || `item-${Date.now()}-${i}`;
+        
+        // If moving within the same frame, remove the old item first
+        // This prevents duplicate IDs when moving between zones
+        if (isSameFrame && dropEffect === DROP_EFFECTS.MOVE) {
+          const oldItem = this.getItemElements().find(element => element.dataset.id === item.id);
+          if (oldItem) {
+            this.selection.remove(oldItem);
+          }
+          if (oldItem && sessionId) {
+            oldItem.hidden = true;
+            replaced.push(oldItem);
+          } else if (oldItem) {
+            changed.push(...this.removeItemElements([oldItem]));
+          }
+        } else if (isSameFrame) {
+          // Copies and links within the same frame need their own ID
+          itemId = `${itemId}-${Date.now()}`;
         }
-      }
+        
+        const model = itemFromPayload(itemId, resolvePayload(item), status.acceptedTypes[i], this.customRenderItem);
+        return dropEffect === DROP_EFFECTS.LINK ? { ...model, linked: true } : model;
+      });
       
-      // Add the dropped item to this zone
-      const droppedItemsContainer = dropZone.querySelector('.dropped-items');
-      const droppedItem = document.createElement('div');
-      droppedItem.className = 'dropped-item';
-      droppedItem.dataset.id = dragData.id || `item-${Date.now()}`;
-      droppedItem.textContent = dragData.text;
-      droppedItemsContainer.appendChild(droppedItem);
-
-      // Set up drag handler for the new item only if this frame is not receive-only
-      if (!this.receiveOnly) {
-        droppedItem.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+      // Add the dropped items to this zone
+      const elements = this.insertItems(dropZone, models, reference);
+      elements.forEach(element => element.classList.toggle('pending', Boolean(sessionId)));
+      if (sessionId) {
+        this.pendingDrops.set(sessionId, { elements, replaced });
+      } else {
+        this.emitChange(changed, 'drop');
       }
 
       // Clear hover state
-      dropZone.classList.remove('hover');
-      this.currentHoverZone = null;
+      this.clearHover();
       
       // Notify parent that the drop was successful
-      window.parent.postMessage({
-        type: 'dropSuccess',
-        dragData: dragData
-      }, window.location.origin);
+      this.connection.post('dropSuccess', {
+        dragData: dragData,
+        acceptedType: status.acceptedType,
+        dropEffect,
+        sessionId,
+        ids: items.map(item => item.id),
+        index,
+        targetIds: models.map(model => model.id),
+        zoneId: this.elementZones.get(dropZone).id
+      });
     } else {
-      // Notify parent that the drop failed (not over a valid drop zone)
-      window.parent.postMessage({
-        type: 'dropFailed',
-        dragData: dragData
-      }, window.location.origin);
+      this.clearHover();
+      
+      // Notify parent that the drop failed
+      this.connection.post('dropFailed', {
+        dragData: dragData,
+        reason: status.reason,
+        sessionId
+      });
     }
   }
 
+  /**
+   * Finalize a pending drop, removing the originals of an intra-frame move.
+   * 
+   * @param {string} sessionId - Drag session of the drop transaction
+   * @private
+   */
+  commitPendingDrop(sessionId) {
+    const pending = this.pendingDrops.get(sessionId);
+    if (!pending) return;
+    
+    this.pendingDrops.delete(sessionId);
+    pending.elements.forEach(element => element.classList.remove('pending'));
+    const changed = this.removeItemElements(pending.replaced);
+    changed.push(...pending.elements.map(element => this.elementZones.get(this.findZoneElement(element))));
+    this.emitChange(changed.filter(Boolean), 'drop');
+  }
+
+  /**
+   * Discard a pending drop, restoring the originals of an intra-frame move.
+   * 
+   * @param {string} sessionId - Drag session of the drop transaction
+   * @private
+   */
+  rollbackPendingDrop(sessionId) {
+    const pending = this.pendingDrops.get(sessionId);
+    if (!pending) return;
+    
+    this.pendingDrops.delete(sessionId);
+    this.removeItemElements(pending.elements);
+    pending.replaced.forEach(element => {
+      element.hidden = false;
+    });
+  }
+
+  /**
+   * Put back items for the parent's undo or redo.
+   * 
+   * @param {Object[]} entries - The items of `restoreItems`, each with its `id`, `payload`,
+   *   and the `zoneId` and `index` to restore it at
+   * @private
+   * 
+   * @description
+   * Entries are inserted in the order of their index, so items taken from
+   * several positions end up where they were; entries without a known zone go
+   * to the first one. The drop checks do not apply: the items were accepted
+   * before. Emits `change` with the `restore` reason.
+   */
+  restoreItems(entries) {
+    const changed = [];
+    entries
+      .filter(entry => entry && typeof entry.id === 'string')
+      .sort((a, b) => (a.index ?? Infinity) - (b.index ?? Infinity))
+      .forEach(entry => {
+        const zone = this.zones?.find(zone => zone.id === entry.zoneId) ?? this.zones?.[0];
+        const zoneElement = zone && this.zoneElements.get(zone.id);
+        if (!zoneElement) return;
+        
+        const next = Number.isInteger(entry.index) ? zone.items[entry.index] : undefined;
+        const reference = next
+          ? this.getZoneItemElements(zone).find(element => this.elementItems.get(element) === next)
+          : null;
+        const accepts = zone.accepts?.length ? zone.accepts : this.acceptedTypes;
+        this.insertItems(zoneElement, [restoreItem(entry, accepts, this.customRenderItem)], reference ?? null);
+        changed.push(zone);
+      });
+    this.emitChange(changed, 'restore');
+  }
+
+  /**
+   * Announce this frame to the parent coordinator.
+   * 
+   * @private
+   * 
+   * @description
+   * Sends `hello` with the frame ID and what the frame can do. Sent on
+   * initialization and again whenever the parent asks with `helloRequest`.
+   */
+  announce() {
+    const capabilities = this.receiveOnly
+      ? [FRAME_CAPABILITIES.TARGET, FRAME_CAPABILITIES.RECEIVE_ONLY, FRAME_CAPABILITIES.HISTORY]
+      : [FRAME_CAPABILITIES.SOURCE, FRAME_CAPABILITIES.TARGET, FRAME_CAPABILITIES.SELF_DROP, FRAME_CAPABILITIES.HISTORY];
+    
+    this.connection.post('hello', {
+      frameId: this.frameId,
+      capabilities
+    });
+  }
+
   setupMessageListener() {
     window.addEventListener('message', (event) => {
-      // Validate message origin for security
-      if (event.origin !== window.location.origin) return;
+      if (!this.connection.accept(event)) return;
       
-      if (event.data.type === 'parentDragMove') {
-        this.onParentDragMove(event.data.x, event.data.y, event.data.dragData);
+      if (event.data.type === 'helloRequest') {
+        // initialize() announces the frame once the saved items are restored
+        if (!this.storage || this.storageReady) this.announce();
+      } else if (event.data.type === 'ready') {
+        this.parentFrameId = event.data.frameId;
+      } else if (event.data.type === 'parentDragMove') {
+        this.onParentDragMove(event.data.x, event.data.y, event.data.dragData, event.data.dropEffect);
       } else if (event.data.type === 'parentDrop') {
-        this.onParentDrop(event.data.x, event.data.y, event.data.dragData);
+        this.onParentDrop(
+          event.data.x,
+          event.data.y,
+          event.data.dragData,
+          event.data.dropEffect,
+          event.data.sessionId
+        );
+      } else if (event.data.type === 'commitDrop') {
+        this.commitPendingDrop(event.data.sessionId);
+      } else if (event.data.type === 'rollbackDrop') {
+        this.rollbackPendingDrop(event.data.sessionId);
       } else if (event.data.type === 'parentDragLeave') {
-        if (this.currentHoverZone) {
-          this.currentHoverZone.classList.remove('hover');
-          this.currentHoverZone = null;
-        }
+        this.clearHover();
+      } else if (event.data.type === 'parentDragCancel') {
+        this.clearHover();
+        this.drag.cancel(event.data.reason, false);
       } else if (event.data.type === 'removeItem') {
-        this.handleRemoveItem(event.data.id);
+        this.handleRemoveItem(event.data.ids ?? [event.data.id]);
+      } else if (event.data.type === 'restoreItems') {
+        this.restoreItems(event.data.items);
       } else if (event.data.type === 'pasteItem' && event.data.itemData) {
         this.handlePasteItem(event.data.itemData);
       }
     });
   }
 
-  handleRemoveItem(itemId) {
-    // Remove item when it's successfully dropped elsewhere
-    const itemToRemove = Array.from(document.querySelectorAll('.dropped-item'))
-      .find(item => item.dataset.id === itemId);
-    if (itemToRemove) {
-      itemToRemove.style.transition = 'all 0.2s ease';
-      itemToRemove.style.opacity = '0';
-      itemToRemove.style.transform = 'scale(0.8)';
-      setTimeout(() => itemToRemove.remove(), 200);
-    }
+  handleRemoveItem(itemIds) {
+    // Remove items when they're successfully dropped elsewhere
+    const elements = this.getItemElements().filter(item => itemIds.includes(item.dataset.id));
+    this.emitChange(this.removeItemElements(elements, true), 'remove');
   }
 
   handlePasteItem(itemData) {
     // Paste the item into the selected zone
-    if (this.selectedZone) {
-      const droppedItemsContainer = this.selectedZone.querySelector('.dropped-items');
-      const droppedItem = document.createElement('div');
-      droppedItem.className = 'dropped-item';
-      droppedItem.dataset.id = itemData.id || `pasted-${Date.now()}`;
-      droppedItem.textContent = itemData.text;
-      droppedItemsContainer.appendChild(droppedItem);
-
-      // Set up drag handler for the new item (only if not receive-only)
-      if (!this.receiveOnly) {
-        droppedItem.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+    if (!this.selectedZone) return;
+    
+    const status = this.evaluateDrop(this.selectedZone, itemData);
+    if (status.accepted) {
+      const zone = this.elementZones.get(this.selectedZone);
+      
+      // A paste is a copy, so it needs its own ID if the item is already here
+      let itemId = itemData.id || `pasted-${Date.now()}`;
+      if (this.getItemElements().some(element => element.dataset.id === itemId)) {
+        itemId = `${itemId}-${Date.now()}`;
       }
+      const model = itemFromPayload(itemId, resolvePayload(itemData), status.acceptedType, this.customRenderItem);
+      const [droppedItem] = this.insertItems(this.selectedZone, [model], null);
       
       // Visual feedback
       droppedItem.style.animation = 'dropIn 0.3s ease';
       
       // Notify parent that paste was successful
-      window.parent.postMessage({
-        type: 'pasteSuccess',
-        itemData: itemData
-      }, window.location.origin);
+      this.connection.post('pasteSuccess', {
+        itemData: itemData,
+        targetIds: [model.id],
+        index: zone.items.indexOf(model),
+        zoneId: zone.id
+      });
+      this.emitChange([zone], 'paste');
     }
   }
 
   setupKeyboardHandlers() {
     document.addEventListener('keydown', (e) => {
-      const dropZones = Array.from(document.querySelectorAll('.drop-zone'));
+      const dropZones = Array.from(this.zoneElements.values());
       if (dropZones.length === 0) return;
 
+      // Undo and redo are kept by the parent; text fields keep their own
+      const shortcut = getHistoryShortcut(e);
+      if (shortcut) {
+        e.preventDefault();
+        this.connection.post(shortcut === 'redo' ? 'requestRedo' : 'requestUndo');
+      }
+      // Shift+Arrow extends the item selection for a group drag
+      else if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && e.shiftKey) {
+        e.preventDefault();
+        this.selection.move(e.key === 'ArrowDown' ? 1 : -1, true);
+      }
       // Arrow key navigation
-      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
         e.preventDefault();
         
         if (!this.selectedZone) {
@@ -494,10 +1682,9 @@ export class DropZonesManager {
         }
         
         // Request paste from parent
-        window.parent.postMessage({
-          type: 'requestPaste',
+        this.connection.post('requestPaste', {
           target: this.frameId
-        }, window.location.origin);
+        });
       }
     });
   }
@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Coordinate conversion between a document and the iframes it embeds.
+ *
+ * @module frame-geometry
+ * @description
+ * A point reported by a child frame is relative to the child's viewport, in the
+ * child's CSS pixels. Mapping it into the embedding document has to account for
+ * the iframe's border and padding (the viewport starts inside them), a CSS
+ * `transform: scale` on the iframe or its ancestors (the element's box shrinks
+ * or grows but its layout size does not), and a child rendered at a different
+ * `devicePixelRatio` (e.g. zoomed content), where one child CSS pixel covers
+ * more or fewer of the embedder's. Rotations and skews are not supported.
+ *
+ * Each coordinator level converts between itself and its own children, so
+ * nested frames compose one level at a time.
+ *
+ * @example
+ * import { toEmbedderPoint, toFramePoint } from './frame-geometry.js';
+ *
+ * // Child reported a pointer position; where is it in this document?
+ * const { x, y } = toEmbedderPoint(iframe, data.clientX, data.clientY, data.devicePixelRatio);
+ *
+ * // Forward a position in this document to the child
+ * const point = toFramePoint(iframe, x, y, childDevicePixelRatio);
+ *
+ * @author iframe-dnd-demo
+ * @version 1.0.0
+ */
+
+/**
+ * @typedef {Object} FrameViewport
+ * @property {number} left - Left edge of the frame's viewport in the embedding document
+ * @property {number} top - Top edge of the frame's viewport in the embedding document
+ * @property {number} scaleX - Embedding-document pixels per child CSS pixel, horizontally
+ * @property {number} scaleY - Embedding-document pixels per child CSS pixel, vertically
+ */
+
+/**
+ * Get where an iframe's viewport sits in the embedding document, and its scale.
+ *
+ * @param {HTMLIFrameElement} iframe - The iframe
+ * @param {number} [frameDevicePixelRatio] - The child's `devicePixelRatio`; defaults to
+ *   this window's, i.e. no zoom difference
+ * @returns {FrameViewport} The frame viewport
+ */
+export function getFrameViewport(iframe, frameDevicePixelRatio = window.devicePixelRatio) {
+  const rect = iframe.getBoundingClientRect();
+  const style = getComputedStyle(iframe);
+
+  // Transforms scale the box but not the layout size
+  const transformX = iframe.offsetWidth ? rect.width / iframe.offsetWidth : 1;
+  const transformY = iframe.offsetHeight ? rect.height / iframe.offsetHeight : 1;
+  const zoom = frameDevicePixelRatio / window.devicePixelRatio;
+
+  return {
+    left: rect.left + (parseFloat(style.borderLeftWidth) + parseFloat(style.paddingLeft)) * transformX,
+    top: rect.top + (parseFloat(style.borderTopWidth) + parseFloat(style.paddingTop)) * transformY,
+    scaleX: transformX * zoom,
+    scaleY: transformY * zoom
+  };
+}
+
+/**
+ * Convert a point in an iframe's viewport to the embedding document's viewport.
+ *
+ * @param {HTMLIFrameElement} iframe - The iframe
+ * @param {number} x - X in the child's viewport
+ * @param {number} y - Y in the child's viewport
+ * @param {number} [frameDevicePixelRatio] - The child's `devicePixelRatio`
+ * @returns {{x: number, y: number}} The point in this document's viewport
+ */
+export function toEmbedderPoint(iframe, x, y, frameDevicePixelRatio) {
+  const viewport = getFrameViewport(iframe, frameDevicePixelRatio);
+  return {
+    x: viewport.left + x * viewport.scaleX,
+    y: viewport.top + y * viewport.scaleY
+  };
+}
+
+/**
+ * Convert a point in the embedding document's viewport to an iframe's viewport.
+ *
+ * @param {HTMLIFrameElement} iframe - The iframe
+ * @param {number} x - X in this document's viewport
+ * @param {number} y - Y in this document's viewport
+ * @param {number} [frameDevicePixelRatio] - The child's `devicePixelRatio`
+ * @returns {{x: number, y: number}} The point in the child's viewport
+ */
+export function toFramePoint(iframe, x, y, frameDevicePixelRatio) {
+  const viewport = getFrameViewport(iframe, frameDevicePixelRatio);
+  return {
+    x: (x - viewport.left) / viewport.scaleX,
+    y: (y - viewport.top) / viewport.scaleY
+  };
+}
@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Undo and redo keyboard shortcuts shared by the coordinator and the child frames.
+ *
+ * @module history-shortcuts
+ * @description
+ * Ctrl+Z (Cmd+Z) undoes and Ctrl+Shift+Z (Cmd+Shift+Z) redoes the last drop
+ * or paste, wherever the keys are pressed. Form fields and editable content
+ * keep the browser's own text undo, so the shortcuts are not taken from them.
+ *
+ * @example
+ * import { getHistoryShortcut } from './history-shortcuts.js';
+ *
+ * document.addEventListener('keydown', (e) => {
+ *   const shortcut = getHistoryShortcut(e);
+ *   if (!shortcut) return;
+ *   e.preventDefault();
+ *   postToParent(shortcut === 'redo' ? 'requestRedo' : 'requestUndo');
+ * });
+ *
+ * @author iframe-dnd-demo
+ * @version 1.0.0
+ */
+
+/**
+ * Check whether keyboard input on an element edits text, where Ctrl+Z is the browser's own undo.
+ *
+ * @param {EventTarget|null} target - Target of the keyboard event
+ * @returns {boolean} True for form fields and editable content
+ */
+export function isEditable(target) {
+  if (!(target instanceof Element)) return false;
+  return target.isContentEditable || Boolean(target.closest('input, textarea, select'));
+}
+
+/**
+ * Get the history shortcut a key press stands for.
+ *
+ * @param {KeyboardEvent} event - The keydown event
+ * @returns {'undo'|'redo'|null} The shortcut, or null for other keys and for
+ *   key presses in editable elements
+ */
+export function getHistoryShortcut(event) {
+  if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== 'z') return null;
+  if (isEditable(event.target)) return null;
+  return event.shiftKey ? 'redo' : 'undo';
+}
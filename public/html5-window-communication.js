@@ -10,6 +10,8 @@
  * @version 1.0.0
  */
 
+import { resolveLogger } from './logger.js';
+
 /**
  * HTML escape function to prevent XSS attacks.
  * @param {string} text - Text to escape
@@ -90,29 +92,39 @@ export function sendToOpener(message, origin) {
  * Create a message handler that validates data before processing.
  * @param {object} handlers - Map of message type to handler function
  * @param {string} origin - Expected origin for messages
+ * @param {object} [options] - Logging options
+ * @param {import('./logger.js').Logger} [options.logger] - Where to log; silent by default
+ * @param {boolean} [options.debug=false] - Log to the console when no `logger` is given
+ * @param {import('./logger.js').MessageHistory} [options.history] - Records the valid messages received
  * @returns {function} Message event handler
  */
-export function createMessageHandler(handlers, origin) {
+export function createMessageHandler(handlers, origin, options = {}) {
+  const logger = resolveLogger(options, 'html5-comm');
+  const { history = null } = options;
+
   return function(event) {
     // Validate origin
     if (event.origin !== origin) {
-      console.warn('[HTML5 Comm] Rejecting message from unexpected origin:', event.origin);
+      logger.warn('Rejecting message from unexpected origin:', event.origin);
       return;
     }
 
     // Validate message structure
     if (!isValidMessage(event.data)) {
-      console.warn('[HTML5 Comm] Rejecting invalid message structure:', event.data);
+      logger.warn('Rejecting invalid message structure:', event.data);
       return;
     }
 
+    history?.record('in', event.data, null);
+    logger.debug(`Received ${event.data.type}`);
+
     // Dispatch to appropriate handler
     const handler = handlers[event.data.type];
     if (handler && typeof handler === 'function') {
       try {
         handler(event.data, event);
       } catch (err) {
-        console.error('[HTML5 Comm] Error in message handler:', err);
+        logger.error('Error in message handler:', err);
       }
     }
   };
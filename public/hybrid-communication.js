@@ -7,18 +7,112 @@
  * - Tries BroadcastChannel first (faster, cleaner)
  * - Falls back to window.postMessage when BroadcastChannel is partitioned (Firefox ETP)
  * - Maintains window references for postMessage relay
+ * - Elects a coordinator among the windows sharing the channel, with heartbeats
+ *   and failover when the coordinator's window closes
+ * - Sends requests to other windows and awaits their responses, over either transport
+ * - Optionally delivers postMessage traffic reliably: acknowledged, retried with
+ *   backoff, de-duplicated, and held until the receiving window is ready
  * 
  * @author iframe-dnd-demo
  * @version 1.0.0
  */
 
+import { PROTOCOL_VERSION, validateMessage, ProtocolError } from './message-protocol.js';
+import { resolveLogger } from './logger.js';
+import { RequestTracker, resolveRequestTimeout } from './request-response.js';
+
 /**
  * @typedef {Object} HybridCommunicationOptions
  * @property {string} windowId - Unique identifier for this window
  * @property {string} [channelName='iframe-dnd-channel'] - Channel name for BroadcastChannel
- * @property {boolean} [debug=false] - Enable debug logging
+ * @property {boolean} [debug=false] - Enable debug logging to the console when no `logger` is given
+ * @property {import('./logger.js').Logger} [logger] - Where to log; silent by default
+ * @property {import('./logger.js').MessageHistory} [history] - Records the messages sent and received
+ * @property {number} [heartbeatInterval=1000] - Milliseconds between the coordinator's heartbeats
+ * @property {number} [leaderTimeout=3000] - Milliseconds without a heartbeat after which the
+ *   other windows elect a new coordinator; must exceed `heartbeatInterval`
+ * @property {number} [requestTimeout=5000] - Milliseconds `request()` waits for a response by default
+ * @property {boolean} [reliable=false] - Acknowledge and retry the messages posted over the
+ *   postMessage fallback, and hold them while the receiving window is not ready
+ * @property {number} [retryDelay=250] - Milliseconds before the first retry; doubles with every retry
+ * @property {number} [maxRetries=5] - Retries before a message is held until its window is ready again
  */
 
+/**
+ * A message posted reliably, waiting for its acknowledgement.
+ * @typedef {Object} Delivery
+ * @property {string|symbol} targetKey - Window ID of a child, or {@link COORDINATOR} for the coordinator
+ * @property {Object} message - The envelope, with its `messageId`
+ * @property {number} attempts - Times it was posted since its window was last ready
+ * @property {number|null} timer - The pending retry; null while held in the outbox
+ */
+
+/**
+ * A window's claim in the coordinator election, sent with `leaderElection` and `leaderHeartbeat`.
+ * @typedef {Object} Candidacy
+ * @property {string} windowId - The window
+ * @property {number} priority - 1 for windows initialized as coordinator, else 0
+ * @property {number} joinedAt - When the window's manager was created
+ */
+
+/**
+ * Message types of the coordinator election, handled by the manager itself.
+ * @type {Set<string>}
+ * @private
+ */
+const ELECTION_MESSAGE_TYPES = new Set(['leaderElection', 'leaderHeartbeat', 'leaderResign']);
+
+/**
+ * Delivery target of a child's messages to its coordinator, whose window ID it may not know.
+ * A symbol, so it cannot be mistaken for a child whose window ID is `coordinator`.
+ * @type {symbol}
+ * @private
+ */
+const COORDINATOR = Symbol('coordinator');
+
+/**
+ * Number of received message IDs remembered to drop retried duplicates.
+ * @type {number}
+ * @private
+ */
+const RECEIVED_IDS_LIMIT = 1000;
+
+/**
+ * Create a unique message ID.
+ * @returns {string} A new message ID
+ * @private
+ */
+function createMessageId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return `message-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Whether one candidate should lead rather than another: the higher priority
+ * wins, then the window that joined first, then the lower window ID.
+ * @param {Candidacy} a - The candidate
+ * @param {Candidacy} b - The candidate it is compared with
+ * @returns {boolean} True if `a` outranks `b`
+ * @private
+ */
+function outranks(a, b) {
+  if (a.priority !== b.priority) return a.priority > b.priority;
+  if (a.joinedAt !== b.joinedAt) return a.joinedAt < b.joinedAt;
+  return a.windowId < b.windowId;
+}
+
+/**
+ * Name of a delivery target for logs and the message history.
+ * @param {string|symbol} targetKey - Window ID of a child, or {@link COORDINATOR}
+ * @returns {string} The window ID, or `coordinator`
+ * @private
+ */
+function describeTarget(targetKey) {
+  return targetKey === COORDINATOR ? 'coordinator' : targetKey;
+}
+
 /**
  * Hybrid manager for cross-window communication.
  * Uses BroadcastChannel when available, postMessage as fallback.
@@ -27,15 +121,49 @@ export class HybridCommunicationManager {
   /**
    * Create a hybrid communication manager.
    * @param {HybridCommunicationOptions} options - Configuration options
+   * @throws {Error} If windowId is missing, the heartbeat timings are not positive numbers
+   *   with `leaderTimeout` above `heartbeatInterval`, `requestTimeout` or `retryDelay` is not
+   *   a positive number, or `maxRetries` is not a non-negative integer
    */
   constructor(options = {}) {
-    const { windowId, channelName = 'iframe-dnd-channel', debug = false } = options;
+    const {
+      windowId,
+      channelName = 'iframe-dnd-channel',
+      debug = false,
+      history = null,
+      heartbeatInterval = 1000,
+      leaderTimeout = 3000,
+      requestTimeout = 5000,
+      reliable = false,
+      retryDelay = 250,
+      maxRetries = 5
+    } = options;
     
     if (!windowId) {
       throw new Error('windowId is required');
     }
     
+    if (!(Number.isFinite(heartbeatInterval) && heartbeatInterval > 0)) {
+      throw new Error(`Invalid heartbeatInterval "${heartbeatInterval}"`);
+    }
+    
+    if (!(Number.isFinite(leaderTimeout) && leaderTimeout > heartbeatInterval)) {
+      throw new Error(`Invalid leaderTimeout "${leaderTimeout}"`);
+    }
+    
+    resolveRequestTimeout(requestTimeout, 'requestTimeout');
+    
+    if (!(Number.isFinite(retryDelay) && retryDelay > 0)) {
+      throw new Error(`Invalid retryDelay "${retryDelay}"`);
+    }
+    
+    if (!(Number.isInteger(maxRetries) && maxRetries >= 0)) {
+      throw new Error(`Invalid maxRetries "${maxRetries}"`);
+    }
+    
     this.debug = debug;
+    this.logger = resolveLogger(options, `hybrid:${windowId}`);
+    this.history = history;
     
     this.windowId = windowId;
     this.channelName = channelName;
@@ -47,30 +175,55 @@ export class HybridCommunicationManager {
     this.coordinatorWindow = null;
     this.useBroadcastChannel = false;
     
+    // Coordinator election
+    this.heartbeatInterval = heartbeatInterval;
+    this.leaderTimeout = leaderTimeout;
+    this.priority = 0;
+    this.joinedAt = Date.now();
+    this.leaderId = null;
+    this.leaderSeenAt = 0;
+    this.isCandidate = false;
+    this.electionTimer = null;
+    this.heartbeatTimer = null;
+    
+    // Reliable postMessage delivery
+    this.reliable = reliable;
+    this.retryDelay = retryDelay;
+    this.maxRetries = maxRetries;
+    this.deliveries = new Map(); // Unacknowledged messages, by target and then by messageId
+    this.readyTargets = new Set(); // Windows known to be loaded and listening
+    this.receivedIds = new Set(); // `${source}:${messageId}` of the latest messages received
+    
+    // Requests sent and request handlers
+    this.requests = new RequestTracker({
+      send: (targetWindowId, type, data) => this.sendTo(targetWindowId, type, data),
+      timeout: requestTimeout,
+      logger: this.logger
+    });
+    
     // Try to use BroadcastChannel
     if (typeof BroadcastChannel !== 'undefined') {
       try {
         this.channel = new BroadcastChannel(channelName);
         this.useBroadcastChannel = true;
       } catch (e) {
-        console.warn('BroadcastChannel failed, using postMessage fallback:', e);
+        this.logger.warn('BroadcastChannel failed, using postMessage fallback:', e);
         this.useBroadcastChannel = false;
       }
     }
   }
   
   /**
-   * Log debug messages if debug mode is enabled.
+   * Log a debug message.
    * @private
    */
   log(...args) {
-    if (this.debug) {
-      console.log('[HybridComm]', ...args);
-    }
+    this.logger.debug(...args);
   }
   
   /**
-   * Initialize as coordinator (parent window that opens child windows)
+   * Initialize as coordinator (parent window that opens child windows).
+   * Takes over as coordinator right away, ahead of windows initialized as child.
    */
   initializeAsCoordinator() {
     this.isCoordinator = true;
@@ -78,22 +231,25 @@ export class HybridCommunicationManager {
     
     // Set up postMessage listener for child windows
     window.addEventListener('message', (event) => this.handlePostMessage(event));
+    
+    this.joinElection(1);
   }
   
   /**
-   * Initialize as child window
+   * Initialize as child window.
+   * Works with or without an opener: the windows on the channel elect a
+   * coordinator, and elect a new one when it closes.
    */
   initializeAsChild() {
     this.isCoordinator = false;
     
-    // Store reference to opener (coordinator)
+    // The opener relays postMessage traffic until another coordinator is elected
     if (window.opener && !window.opener.closed) {
       this.coordinatorWindow = window.opener;
-      console.log(`[HybridComm] ${this.windowId} initialized as child, coordinator found`);
+      this.readyTargets.add(COORDINATOR);
+      this.logger.debug('Initialized as child, opener found');
     } else {
-      console.error(`[HybridComm] ${this.windowId} has NO coordinator window!`);
-      console.error('Cross-window mode requires windows to be opened from the Coordinator.');
-      console.error('Please open parent-windows.html and use the buttons there to open child windows.');
+      this.logger.debug('Initialized as child without an opener, waiting for the election');
     }
     
     this.initialize();
@@ -103,6 +259,172 @@ export class HybridCommunicationManager {
     
     // Announce to coordinator via postMessage
     this.sendToCoordinator('windowJoined', { windowId: this.windowId });
+    
+    this.joinElection(0);
+  }
+  
+  /**
+   * Get the window currently elected as coordinator.
+   * @returns {string|null} Its window ID, or null before the first election
+   */
+  getLeader() {
+    return this.leaderId;
+  }
+  
+  /**
+   * Take part in the coordinator election.
+   * @param {number} priority - 1 to take over right away as coordinator, 0 to stand as a candidate
+   * @private
+   */
+  joinElection(priority) {
+    this.priority = priority;
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = setInterval(() => this.checkLeader(), this.heartbeatInterval);
+    
+    if (priority > 0) {
+      this.becomeLeader();
+    } else {
+      this.startElection();
+    }
+  }
+  
+  /**
+   * This window's claim in the election.
+   * @returns {Candidacy} The claim
+   * @private
+   */
+  getCandidacy() {
+    return { windowId: this.windowId, priority: this.priority, joinedAt: this.joinedAt };
+  }
+  
+  /**
+   * Send the coordinator's heartbeat, or start an election when the
+   * coordinator missed its heartbeats for `leaderTimeout`.
+   * @private
+   */
+  checkLeader() {
+    if (this.isCoordinator) {
+      this.broadcast('leaderHeartbeat', this.getCandidacy());
+    } else if (!this.isCandidate && Date.now() - this.leaderSeenAt > this.leaderTimeout) {
+      this.logger.info(`Coordinator ${this.leaderId ?? '(none)'} timed out, starting an election`);
+      this.startElection();
+    }
+  }
+  
+  /**
+   * Stand as a candidate. Unless a window that outranks this one answers
+   * within a heartbeat interval, this window becomes the coordinator.
+   * @private
+   */
+  startElection() {
+    this.isCandidate = true;
+    this.broadcast('leaderElection', this.getCandidacy());
+    
+    clearTimeout(this.electionTimer);
+    this.electionTimer = setTimeout(() => {
+      if (this.isCandidate) this.becomeLeader();
+    }, this.heartbeatInterval);
+  }
+  
+  /**
+   * Become the coordinator and tell the other windows.
+   * @private
+   */
+  becomeLeader() {
+    this.isCandidate = false;
+    clearTimeout(this.electionTimer);
+    this.isCoordinator = true;
+    this.setLeader(this.windowId);
+    this.broadcast('leaderHeartbeat', this.getCandidacy());
+    
+    // Messages held for the previous coordinator are now this window's to relay
+    this.markReady(COORDINATOR);
+  }
+  
+  /**
+   * Follow another window as coordinator.
+   * @param {string} leaderId - The coordinator's window ID
+   * @private
+   */
+  followLeader(leaderId) {
+    this.isCandidate = false;
+    clearTimeout(this.electionTimer);
+    this.isCoordinator = false;
+    this.leaderSeenAt = Date.now();
+    this.setLeader(leaderId);
+  }
+  
+  /**
+   * Record the elected coordinator. When it changed, registers this window
+   * with it and emits `leaderChanged` to the local handlers.
+   * @param {string|null} leaderId - The coordinator's window ID
+   * @private
+   */
+  setLeader(leaderId) {
+    if (leaderId === this.leaderId) return;
+    
+    const previousLeaderId = this.leaderId;
+    this.leaderId = leaderId;
+    this.logger.info(`Coordinator is now ${leaderId}`);
+    
+    if (leaderId !== this.windowId) {
+      this.sendTo(leaderId, 'windowJoined', { windowId: this.windowId });
+    }
+    this.notify('leaderChanged', { leaderId, previousLeaderId });
+  }
+  
+  /**
+   * Handle the election messages of other windows.
+   * @param {Object} message - A `leaderElection`, `leaderHeartbeat` or `leaderResign` envelope
+   * @private
+   */
+  handleElectionMessage(message) {
+    if (!this.heartbeatTimer) return;
+    
+    const { type, data } = message;
+    const self = this.getCandidacy();
+    
+    if (type === 'leaderResign') {
+      if (data.windowId === this.leaderId) {
+        this.logger.info(`Coordinator ${data.windowId} left, starting an election`);
+        this.startElection();
+      }
+    } else if (type === 'leaderHeartbeat') {
+      if (this.isCoordinator && outranks(self, data)) {
+        // Two coordinators: the one that outranks the other keeps the role
+        this.broadcast('leaderHeartbeat', self);
+      } else if (!(this.isCandidate && outranks(self, data))) {
+        this.followLeader(data.windowId);
+      }
+    } else if (type === 'leaderElection') {
+      if (this.isCoordinator && outranks(data, self)) {
+        // Let the candidate win; its heartbeat makes this window follow it
+        this.isCoordinator = false;
+        this.leaderSeenAt = Date.now();
+      } else if (this.isCoordinator) {
+        this.broadcast('leaderHeartbeat', self);
+      } else if (this.isCandidate && outranks(data, self)) {
+        this.isCandidate = false;
+        clearTimeout(this.electionTimer);
+        this.leaderSeenAt = Date.now();
+      }
+    }
+  }
+  
+  /**
+   * Call the handlers of a type for an event of this window itself.
+   * @param {string} type - The event type, such as `leaderChanged`
+   * @param {Object} data - Passed to the handlers, with this window's ID as the source
+   * @private
+   */
+  notify(type, data) {
+    (this.messageHandlers.get(type) ?? []).forEach(handler => {
+      try {
+        handler(data, this.windowId);
+      } catch (error) {
+        this.logger.error('Error in message handler:', error);
+      }
+    });
   }
   
   initialize() {
@@ -117,12 +439,15 @@ export class HybridCommunicationManager {
     
     // Set up built-in clipboard handler
     this.on('clipboard-copy', (data, sourceId) => {
-      console.log(`[HybridComm] ${this.windowId} received clipboard data from ${sourceId}:`, data);
+      this.logger.debug(`Received clipboard data from ${sourceId}:`, data);
       this.clipboardData = data;
     });
     
     // Handle window close
     window.addEventListener('beforeunload', () => {
+      if (this.isCoordinator && this.heartbeatTimer) {
+        this.broadcast('leaderResign', { windowId: this.windowId });
+      }
       this.broadcast('windowLeft', { windowId: this.windowId });
       this.close();
     });
@@ -139,31 +464,29 @@ export class HybridCommunicationManager {
     const testId = Math.random().toString(36).slice(2, 11);
     let received = false;
     
-    // Set up a temporary listener that processes ALL messages for testing
-    const testHandler = (event) => {
+    // A BroadcastChannel never receives its own messages, so listen on a second one
+    const probe = new BroadcastChannel(this.channelName);
+    probe.onmessage = (event) => {
       const message = event.data;
-      if (message.type === 'broadcastTest' && message.data?.testId === testId) {
+      if (message?.type === 'broadcastTest' && message.data?.testId === testId) {
         received = true;
-        console.log('[HybridComm] BroadcastChannel test message received - channel is working');
+        this.logger.debug('BroadcastChannel test message received - channel is working');
       }
     };
     
-    this.channel.addEventListener('message', testHandler);
-    
-    console.log('[HybridComm] Testing BroadcastChannel connectivity for', this.windowId);
+    this.logger.debug('Testing BroadcastChannel connectivity');
     this.broadcast('broadcastTest', { testId });
     
-    // Wait to see if we receive our own message (BroadcastChannel sends to all including self)
     await new Promise(resolve => setTimeout(resolve, 200));
     
-    this.channel.removeEventListener('message', testHandler);
+    probe.close();
     
-    // If we didn't receive our own broadcast, it's partitioned
+    // If the probe didn't receive the broadcast, it's partitioned
     if (!received) {
-      console.warn('[HybridComm] BroadcastChannel appears to be partitioned for', this.windowId, '- using postMessage fallback');
+      this.logger.warn('BroadcastChannel appears to be partitioned - using postMessage fallback');
       this.useBroadcastChannel = false;
     } else {
-      console.log('[HybridComm] BroadcastChannel is working for', this.windowId);
+      this.logger.debug('BroadcastChannel is working');
     }
   }
   
@@ -187,16 +510,36 @@ export class HybridCommunicationManager {
     // If message has a target, only process if we're the target
     if (message.target && message.target !== this.windowId) return;
     
+    if (!this.isProtocolMessage(message)) return;
+    
     this.processMessage(message);
   }
   
+  /**
+   * Validate an incoming envelope against the shared message protocol.
+   * Application-defined message types are allowed; known types must match their schema.
+   * @param {Object} message - Envelope received over BroadcastChannel or postMessage
+   * @returns {boolean} True if the message may be relayed and processed
+   * @private
+   */
+  isProtocolMessage(message) {
+    try {
+      validateMessage(message, { payloadKey: 'data', allowUnknownTypes: true });
+      return true;
+    } catch (err) {
+      if (!(err instanceof ProtocolError)) throw err;
+      this.logger.warn(`Rejected message from ${message.source}:`, err.toJSON());
+      return false;
+    }
+  }
+  
   /**
    * Handle postMessage messages
    */
   handlePostMessage(event) {
     // Validate origin for security
     if (event.origin !== window.location.origin) {
-      console.warn(`[HybridComm] ${this.windowId} rejected message from wrong origin:`, event.origin, 'expected:', window.location.origin);
+      this.logger.warn('Rejected message from wrong origin:', event.origin, 'expected:', window.location.origin);
       return;
     }
     
@@ -204,23 +547,58 @@ export class HybridCommunicationManager {
     
     // Check if this is our message format
     if (!message.type || !message.source) {
-      console.log(`[HybridComm] ${this.windowId} ignoring non-hybrid message:`, message);
+      this.logger.debug('Ignoring non-hybrid message:', message);
       return;
     }
     
     // Ignore messages from self
     if (message.source === this.windowId) {
-      console.log(`[HybridComm] ${this.windowId} ignoring message from self`);
+      this.logger.debug('Ignoring message from self');
       return;
     }
     
-    console.log(`[HybridComm] ${this.windowId} received via postMessage:`, message.type, 'from', message.source);
+    this.logger.debug('Received via postMessage:', message.type, 'from', message.source);
+    
+    if (!this.isProtocolMessage(message)) return;
+    
+    if (message.type === 'messageAck') {
+      this.handleAck(message);
+      return;
+    }
+    
+    // Keep a reference to windows writing to us directly, so an elected
+    // coordinator can relay to them and children can reach it
+    if (message.relay !== false && event.source) {
+      if (this.isCoordinator && !this.windowRefs.has(message.source)) {
+        this.registerWindow(message.source, event.source);
+      } else if (!this.isCoordinator && message.source === this.leaderId) {
+        this.coordinatorWindow = event.source;
+      }
+    }
+    
+    // A window that posts to us has loaded and listens, so it can get what was held for it
+    if (this.isCoordinator && message.relay !== false) {
+      this.markReady(message.source);
+    } else if (!this.isCoordinator && event.source && event.source === this.coordinatorWindow) {
+      this.markReady(COORDINATOR);
+    }
+    
+    if (message.messageId) {
+      this.acknowledge(message, event.source);
+      if (this.isDuplicate(message)) {
+        this.logger.debug(`Ignoring duplicate ${message.type} ${message.messageId} from ${message.source}`);
+        return;
+      }
+    }
     
     // If we're the coordinator, relay to other windows
     if (this.isCoordinator && message.relay !== false) {
       this.relayMessage(message, message.source);
     }
     
+    // A message for another window only passed through
+    if (message.target && message.target !== this.windowId) return;
+    
     // Process the message
     this.processMessage(message);
   }
@@ -231,7 +609,7 @@ export class HybridCommunicationManager {
   relayMessage(message, sourceId) {
     if (!this.isCoordinator) return;
     
-    console.log(`[HybridComm] Coordinator relaying message type="${message.type}" from ${sourceId} to other windows`);
+    this.logger.debug(`Coordinator relaying message type="${message.type}" from ${sourceId} to other windows`);
     
     // Mark as relayed to prevent loops
     const relayedMessage = { ...message, relay: false };
@@ -240,18 +618,19 @@ export class HybridCommunicationManager {
       // Don't send back to source
       if (windowId === sourceId) continue;
       
+      // Messages for one window only go to that window
+      if (message.target && windowId !== message.target) continue;
+      
       // Skip if window is closed or invalid
       if (!windowRef) {
-        console.warn(`[HybridComm] Window reference for ${windowId} is null/undefined, removing`);
-        this.windowRefs.delete(windowId);
-        this.knownWindows.delete(windowId);
+        this.logger.warn(`Window reference for ${windowId} is null/undefined, removing`);
+        this.forgetWindow(windowId);
         continue;
       }
       
       if (windowRef.closed) {
-        console.warn(`[HybridComm] Window ${windowId} is closed, removing`);
-        this.windowRefs.delete(windowId);
-        this.knownWindows.delete(windowId);
+        this.logger.warn(`Window ${windowId} is closed, removing`);
+        this.forgetWindow(windowId);
         continue;
       }
       
@@ -260,24 +639,213 @@ export class HybridCommunicationManager {
         // Access window.name to verify window is accessible
         windowRef.name;
       } catch (e) {
-        console.warn(`[HybridComm] Cannot access window for ${windowId}:`, e.message);
+        this.logger.warn(`Cannot access window for ${windowId}:`, e.message);
       }
       
-      try {
-        console.log(`[HybridComm] Relaying to ${windowId}, window.closed:`, windowRef.closed, 'message:', relayedMessage);
-        windowRef.postMessage(relayedMessage, window.location.origin);
-        console.log(`[HybridComm] Successfully posted message to ${windowId}`);
-      } catch (e) {
-        console.error(`[HybridComm] Failed to relay message to ${windowId}:`, e);
+      this.logger.debug(`Relaying to ${windowId}, window.closed:`, windowRef.closed, 'message:', relayedMessage);
+      this.post(windowId, relayedMessage);
+    }
+  }
+  
+  /**
+   * Drop a child window that closed, with the messages waiting for it.
+   * @param {string} windowId - The window
+   * @private
+   */
+  forgetWindow(windowId) {
+    this.windowRefs.delete(windowId);
+    this.knownWindows.delete(windowId);
+    this.readyTargets.delete(windowId);
+    this.deliveries.get(windowId)?.forEach(delivery => clearTimeout(delivery.timer));
+    this.deliveries.delete(windowId);
+  }
+  
+  /**
+   * Post an envelope to a child window or to the coordinator. With `reliable`,
+   * the envelope gets a `messageId` and is posted again until acknowledged.
+   * @param {string|symbol} targetKey - Window ID of a child, or {@link COORDINATOR}
+   * @param {Object} message - The envelope; a relayed one keeps its `messageId`
+   * @private
+   */
+  post(targetKey, message) {
+    if (!this.reliable) {
+      this.postNow(targetKey, message);
+      return;
+    }
+    
+    const delivery = {
+      targetKey,
+      message: message.messageId ? message : { ...message, messageId: createMessageId() },
+      attempts: 0,
+      timer: null
+    };
+    if (!this.deliveries.has(targetKey)) {
+      this.deliveries.set(targetKey, new Map());
+    }
+    this.deliveries.get(targetKey).set(delivery.message.messageId, delivery);
+    this.attemptDelivery(delivery);
+  }
+  
+  /**
+   * Post an envelope once.
+   * @param {string|symbol} targetKey - Window ID of a child, or {@link COORDINATOR}
+   * @param {Object} message - The envelope
+   * @returns {boolean} True if it was posted
+   * @private
+   */
+  postNow(targetKey, message) {
+    const windowRef = this.getWindowRef(targetKey);
+    if (!windowRef) return false;
+    
+    try {
+      windowRef.postMessage(message, window.location.origin);
+      this.history?.record('out', message, describeTarget(targetKey));
+      this.logger.debug(`Posted ${message.type} to ${describeTarget(targetKey)}`);
+      return true;
+    } catch (e) {
+      this.logger.error(`Failed to post ${message.type} to ${describeTarget(targetKey)}:`, e);
+      return false;
+    }
+  }
+  
+  /**
+   * The open window behind a delivery target.
+   * @param {string|symbol} targetKey - Window ID of a child, or {@link COORDINATOR}
+   * @returns {Window|null} The window, or null if it is unknown or closed
+   * @private
+   */
+  getWindowRef(targetKey) {
+    const windowRef = targetKey === COORDINATOR ? this.coordinatorWindow : this.windowRefs.get(targetKey);
+    return windowRef && !windowRef.closed ? windowRef : null;
+  }
+  
+  /**
+   * Post a reliable delivery and schedule its retry, or hold it in the outbox
+   * while its window is not ready.
+   * @param {Delivery} delivery - The delivery
+   * @private
+   */
+  attemptDelivery(delivery) {
+    const { targetKey, message } = delivery;
+    const pending = this.deliveries.get(targetKey);
+    delivery.timer = null;
+    
+    if (targetKey === COORDINATOR && this.isCoordinator) {
+      // This window was elected meanwhile, so it relays the message itself
+      pending?.delete(message.messageId);
+      this.sendViaPostMessage(message);
+      return;
+    }
+    
+    if (!this.readyTargets.has(targetKey) || !this.getWindowRef(targetKey)) {
+      this.readyTargets.delete(targetKey);
+      return;
+    }
+    
+    if (delivery.attempts > this.maxRetries) {
+      this.logger.warn(`${describeTarget(targetKey)} did not acknowledge ${message.type} ${message.messageId}, holding it until the window is ready`);
+      this.readyTargets.delete(targetKey);
+      return;
+    }
+    
+    if (!this.postNow(targetKey, message)) {
+      // Posting again would fail the same way, e.g. for data that cannot be cloned
+      pending?.delete(message.messageId);
+      return;
+    }
+    
+    delivery.timer = setTimeout(() => this.attemptDelivery(delivery), this.retryDelay * 2 ** delivery.attempts);
+    delivery.attempts++;
+  }
+  
+  /**
+   * Mark a window as loaded and listening, and post the messages held for it.
+   * @param {string|symbol} targetKey - Window ID of a child, or {@link COORDINATOR}
+   * @private
+   */
+  markReady(targetKey) {
+    this.readyTargets.add(targetKey);
+    for (const delivery of Array.from(this.deliveries.get(targetKey)?.values() ?? [])) {
+      if (delivery.timer === null) {
+        this.logger.debug(`Flushing ${delivery.message.type} ${delivery.message.messageId} to ${describeTarget(targetKey)}`);
+        delivery.attempts = 0;
+        this.attemptDelivery(delivery);
+      }
+    }
+  }
+  
+  /**
+   * Acknowledge a reliably delivered message to the window that posted it.
+   * @param {Object} message - The received envelope
+   * @param {Window|null} windowRef - The window that posted it
+   * @private
+   */
+  acknowledge(message, windowRef) {
+    if (!windowRef) return;
+    
+    const ack = {
+      type: 'messageAck',
+      version: PROTOCOL_VERSION,
+      source: this.windowId,
+      data: { messageId: message.messageId },
+      timestamp: Date.now(),
+      relay: false
+    };
+    try {
+      windowRef.postMessage(ack, window.location.origin);
+      this.history?.record('out', ack, message.source);
+    } catch (e) {
+      this.logger.warn(`Failed to acknowledge ${message.messageId}:`, e);
+    }
+  }
+  
+  /**
+   * Settle the delivery a `messageAck` is for.
+   * @param {Object} message - The `messageAck` envelope
+   * @private
+   */
+  handleAck(message) {
+    const { messageId } = message.data;
+    for (const targetKey of [message.source, COORDINATOR]) {
+      const delivery = this.deliveries.get(targetKey)?.get(messageId);
+      if (delivery) {
+        clearTimeout(delivery.timer);
+        this.deliveries.get(targetKey).delete(messageId);
+        return;
       }
     }
   }
   
+  /**
+   * Whether a message was received before, remembering it if not.
+   * @param {Object} message - The received envelope, with its `messageId`
+   * @returns {boolean} True if it is a retried copy
+   * @private
+   */
+  isDuplicate(message) {
+    const id = `${message.source}:${message.messageId}`;
+    if (this.receivedIds.has(id)) return true;
+    
+    this.receivedIds.add(id);
+    if (this.receivedIds.size > RECEIVED_IDS_LIMIT) {
+      this.receivedIds.delete(this.receivedIds.values().next().value);
+    }
+    return false;
+  }
+  
   /**
    * Process incoming message
    */
   processMessage(message) {
-    console.log('[HybridComm] %s processing message type="%s"', this.windowId, message.type, message);
+    this.history?.record('in', message, message.source);
+    this.logger.debug(`Processing message type="${message.type}"`, message);
+    
+    if (ELECTION_MESSAGE_TYPES.has(message.type)) {
+      this.handleElectionMessage(message);
+      return;
+    }
+    
+    if (this.requests.receive(message)) return;
     
     // Track known windows
     if (message.type === 'windowJoined' && message.data?.windowId) {
@@ -285,21 +853,24 @@ export class HybridCommunicationManager {
     } else if (message.type === 'windowLeft' && message.data?.windowId) {
       this.knownWindows.delete(message.data.windowId);
       this.windowRefs.delete(message.data.windowId);
+      // It may be reloading: hold what is sent to it until it joins again
+      this.readyTargets.delete(message.data.windowId);
+      this.requests.rejectTarget(message.data.windowId);
     }
     
     // Call registered handlers
     const handlers = this.messageHandlers.get(message.type);
     if (handlers) {
-      console.log(`[HybridComm] ${this.windowId} found ${handlers.length} handler(s) for type "${message.type}"`);
+      this.logger.debug(`Found ${handlers.length} handler(s) for type "${message.type}"`);
       handlers.forEach(handler => {
         try {
           handler(message.data, message.source);
         } catch (error) {
-          console.error('Error in message handler:', error);
+          this.logger.error('Error in message handler:', error);
         }
       });
     } else {
-      console.warn(`[HybridComm] ${this.windowId} NO handlers registered for message type "${message.type}"`);
+      this.logger.warn(`NO handlers registered for message type "${message.type}"`);
     }
   }
   
@@ -326,21 +897,23 @@ export class HybridCommunicationManager {
   broadcast(type, data) {
     const message = {
       type,
+      version: PROTOCOL_VERSION,
       source: this.windowId,
       data,
       timestamp: Date.now(),
       relay: true
     };
     
-    console.log(`[HybridComm] ${this.windowId} broadcasting:`, type, this.useBroadcastChannel ? '(via BroadcastChannel)' : '(via postMessage)');
+    this.logger.debug('Broadcasting:', type, this.useBroadcastChannel ? '(via BroadcastChannel)' : '(via postMessage)');
     
     // Try BroadcastChannel first
     if (this.useBroadcastChannel && this.channel) {
       try {
         this.channel.postMessage(message);
+        this.history?.record('out', message, null);
         return; // Success, no need for fallback
       } catch (error) {
-        console.warn('[HybridComm] BroadcastChannel failed, using postMessage:', error);
+        this.logger.warn('BroadcastChannel failed, using postMessage:', error);
         this.useBroadcastChannel = false;
       }
     }
@@ -357,49 +930,56 @@ export class HybridCommunicationManager {
       // Coordinator sends to all child windows
       for (const [windowId, windowRef] of this.windowRefs.entries()) {
         if (!windowRef || windowRef.closed) {
-          this.windowRefs.delete(windowId);
-          this.knownWindows.delete(windowId);
+          this.forgetWindow(windowId);
           continue;
         }
         
-        try {
-          windowRef.postMessage(message, window.location.origin);
-        } catch (e) {
-          console.warn(`Failed to send to ${windowId}:`, e);
-        }
+        if (message.target && windowId !== message.target) continue;
+        
+        this.post(windowId, message);
       }
     } else {
       // Child sends to coordinator for relay
-      this.sendToCoordinator(message.type, message.data);
+      this.postToCoordinator(message);
     }
   }
   
   /**
-   * Send message to coordinator (child window only)
+   * Send message to coordinator (child window only).
+   * With `reliable`, a message sent while there is no open coordinator is held
+   * until one posts to this window; otherwise it is dropped.
    */
   sendToCoordinator(type, data) {
-    if (this.isCoordinator || !this.coordinatorWindow || this.coordinatorWindow.closed) {
-      return;
-    }
-    
-    const message = {
+    this.postToCoordinator({
       type,
+      version: PROTOCOL_VERSION,
       source: this.windowId,
       data,
       timestamp: Date.now(),
       relay: true
-    };
+    });
+  }
+  
+  /**
+   * Post an envelope to the coordinator, keeping its target (child window only).
+   * @param {Object} message - The envelope
+   * @private
+   */
+  postToCoordinator(message) {
+    if (this.isCoordinator) return;
     
-    try {
-      this.coordinatorWindow.postMessage(message, window.location.origin);
-    } catch (e) {
-      console.error('Failed to send to coordinator:', e);
+    if (!this.reliable && !this.getWindowRef(COORDINATOR)) {
+      this.logger.debug(`No open coordinator, dropping ${message.type}`);
+      return;
     }
+    
+    this.post(COORDINATOR, message);
   }
   
   sendTo(targetWindowId, type, data) {
     const message = {
       type,
+      version: PROTOCOL_VERSION,
       source: this.windowId,
       target: targetWindowId,
       data,
@@ -410,6 +990,7 @@ export class HybridCommunicationManager {
     if (this.useBroadcastChannel && this.channel) {
       try {
         this.channel.postMessage(message);
+        this.history?.record('out', message, targetWindowId);
         return;
       } catch (error) {
         this.useBroadcastChannel = false;
@@ -419,6 +1000,41 @@ export class HybridCommunicationManager {
     this.sendViaPostMessage(message);
   }
   
+  /**
+   * Send a request to a specific window and wait for its response.
+   * Over the postMessage fallback, the coordinator relays it to the target.
+   * @param {string} targetWindowId - Window that should answer, with `handle()`
+   * @param {string} type - Request type
+   * @param {*} [data] - Passed to the target's handler
+   * @param {Object} [options={}] - Request options
+   * @param {number} [options.timeout] - Milliseconds to wait; `requestTimeout` when omitted
+   * @returns {Promise<*>} What the target's handler returned; rejects with a
+   *   {@link module:request-response.RequestError} if no answer comes
+   * @throws {Error} If `targetWindowId` or `type` is missing, or the timeout is invalid
+   */
+  request(targetWindowId, type, data, options) {
+    return this.requests.request(targetWindowId, type, data, options);
+  }
+  
+  /**
+   * Answer the requests of a type sent by other windows, replacing an earlier handler.
+   * @param {string} type - Request type
+   * @param {function(*, string): *} handler - Gets the request data and the requesting
+   *   window's ID; what it returns or resolves with is the response
+   * @throws {TypeError} If `handler` is not a function
+   */
+  handle(type, handler) {
+    this.requests.handle(type, handler);
+  }
+  
+  /**
+   * Stop answering the requests of a type.
+   * @param {string} type - Request type
+   */
+  unhandle(type) {
+    this.requests.unhandle(type);
+  }
+  
   getKnownWindows() {
     return Array.from(this.knownWindows);
   }
@@ -430,9 +1046,9 @@ export class HybridCommunicationManager {
     // Store locally for same-window paste
     try {
       sessionStorage.setItem('clipboard-data', JSON.stringify(data));
-      console.log('[HybridComm] Copied to local clipboard:', data);
+      this.logger.debug('Copied to local clipboard:', data);
     } catch (e) {
-      console.error('[HybridComm] Failed to copy to local clipboard:', e);
+      this.logger.error('Failed to copy to local clipboard:', e);
     }
     
     // Broadcast to other windows for cross-window paste
@@ -448,7 +1064,7 @@ export class HybridCommunicationManager {
   pasteFromClipboard(callback) {
     // First check instance variable (from cross-window clipboard-copy message)
     if (this.clipboardData) {
-      console.log('[HybridComm] Pasted from cross-window clipboard:', this.clipboardData);
+      this.logger.debug('Pasted from cross-window clipboard:', this.clipboardData);
       callback(this.clipboardData);
       return;
     }
@@ -458,19 +1074,28 @@ export class HybridCommunicationManager {
       const data = sessionStorage.getItem('clipboard-data');
       if (data) {
         const rowData = JSON.parse(data);
-        console.log('[HybridComm] Pasted from local clipboard:', rowData);
+        this.logger.debug('Pasted from local clipboard:', rowData);
         callback(rowData);
       } else {
-        console.log('[HybridComm] Clipboard is empty');
+        this.logger.debug('Clipboard is empty');
         callback(null);
       }
     } catch (e) {
-      console.error('[HybridComm] Failed to paste from clipboard:', e);
+      this.logger.error('Failed to paste from clipboard:', e);
       callback(null);
     }
   }
   
   close() {
+    clearInterval(this.heartbeatTimer);
+    clearTimeout(this.electionTimer);
+    this.heartbeatTimer = null;
+    this.isCandidate = false;
+    this.requests.close();
+    this.deliveries.forEach(pending => pending.forEach(delivery => clearTimeout(delivery.timer)));
+    this.deliveries.clear();
+    this.readyTargets.clear();
+    this.receivedIds.clear();
     if (this.channel) {
       this.channel.close();
     }
@@ -21,18 +21,369 @@
  * @version 1.0.0
  */
 
+import {
+  createMessage,
+  validateMessage,
+  ProtocolError,
+  PROTOCOL_ERROR_CODES,
+  DROP_REJECT_REASONS,
+  DRAG_CANCEL_REASONS,
+  FRAME_CAPABILITIES,
+  isValidOrigin
+} from './message-protocol.js';
+import {
+  getDragItems,
+  getPayloadData,
+  getPayloadLabel,
+  getPayloadTypes,
+  resolvePayload
+} from './drag-payload.js';
+import { AutoScroller } from './autoscroll.js';
+import {
+  DROP_EFFECTS,
+  isValidEffectAllowed,
+  resolveDropEffect
+} from './drop-effect.js';
+import { toEmbedderPoint, toFramePoint } from './frame-geometry.js';
+import { resolveLogger } from './logger.js';
+import { getHistoryShortcut } from './history-shortcuts.js';
+
+/**
+ * `effectAllowed` assumed for sources that do not declare one.
+ * @type {string}
+ * @private
+ */
+const DEFAULT_EFFECT_ALLOWED = 'move';
+
+/**
+ * Duration of the built-in preview animations, in milliseconds.
+ * @type {number}
+ * @private
+ */
+const PREVIEW_ANIMATION_DURATION = 250;
+
+/**
+ * Valid string values of the `previewOffset` option.
+ * @type {string[]}
+ * @private
+ */
+const PREVIEW_OFFSETS = ['center', 'grab'];
+
+/**
+ * Child messages a nested coordinator relays to its parent instead of handling.
+ * @type {string[]}
+ * @private
+ */
+const RELAYED_TYPES = ['dragStart', 'dragMove', 'dragEnd', 'dragCancel', 'dropStatus', 'dropSuccess', 'dropFailed'];
+
+/**
+ * Number of relayed drag sessions a nested coordinator remembers; older ones are forgotten.
+ * @type {number}
+ * @private
+ */
+const RELAY_SESSION_LIMIT = 20;
+
+/**
+ * Attribute that registers an iframe with the coordinator by its presence; its value is the frame ID.
+ * @type {string}
+ * @private
+ */
+const FRAME_ID_ATTRIBUTE = 'data-dnd-frame-id';
+
+/**
+ * Attribute giving the `allowedOrigin` of a discovered frame.
+ * @type {string}
+ * @private
+ */
+const FRAME_ORIGIN_ATTRIBUTE = 'data-dnd-origin';
+
+/**
+ * Maximum number of messages queued for a frame that is not ready yet.
+ * @type {number}
+ * @private
+ */
+const FRAME_QUEUE_LIMIT = 50;
+
+/**
+ * Hover messages; only the latest one is kept in a frame's queue.
+ * @type {string[]}
+ * @private
+ */
+const HOVER_TYPES = ['parentDragMove', 'parentDragLeave'];
+
+/**
+ * Handshake state of a registered frame.
+ * @enum {string}
+ */
+export const FRAME_STATUSES = Object.freeze({
+  /** Registered, but the child has not said `hello` yet; messages are queued */
+  PENDING: 'pending',
+  /** The child said `hello`, or never did within `handshakeTimeout` */
+  READY: 'ready',
+  /** The child speaks another protocol version; nothing is sent to it */
+  INCOMPATIBLE: 'incompatible'
+});
+
+/**
+ * Events the coordinator emits to handlers registered with
+ * {@link IframeCommunicationManager#on}.
+ * @enum {string}
+ */
+export const COORDINATOR_EVENTS = Object.freeze({
+  /** A drag started in a frame */
+  DRAG_START: 'dragstart',
+  /** The pointer moved during a drag; `targetFrameId` is the hovered frame, if any */
+  DRAG_OVER: 'dragover',
+  /** A drop is about to be sent to its target; handlers may veto or transform it */
+  DROP: 'drop',
+  /** A drop was refused, vetoed or not acknowledged in time */
+  DROP_FAILED: 'dropfailed',
+  /** A drag was cancelled */
+  CANCEL: 'cancel',
+  /** A frame copied an item or row to the clipboard */
+  COPY: 'copy',
+  /** The clipboard is being pasted into a frame */
+  PASTE: 'paste'
+});
+
+/**
+ * Built-in drop animation: the preview shrinks and fades out where it was dropped.
+ * 
+ * @type {PreviewAnimation}
+ * @private
+ */
+function animateDrop(preview) {
+  if (typeof preview.animate !== 'function') return undefined;
+  
+  return preview.animate([
+    { scale: 1, opacity: 0.9 },
+    { scale: 0.6, opacity: 0 }
+  ], { duration: PREVIEW_ANIMATION_DURATION, easing: 'ease-in' });
+}
+
+/**
+ * Built-in cancel animation: the preview snaps back to where the drag started.
+ * 
+ * @type {PreviewAnimation}
+ * @private
+ */
+function animateSnapBack(preview, { origin }) {
+  if (!origin || typeof preview.animate !== 'function') return undefined;
+  
+  preview.classList.add('snap-back');
+  return preview.animate([
+    { left: preview.style.left, top: preview.style.top, opacity: 0.9 },
+    { left: origin.x + 'px', top: origin.y + 'px', opacity: 0.3 }
+  ], { duration: PREVIEW_ANIMATION_DURATION, easing: 'ease-in-out' });
+}
+
+/**
+ * Create a unique drag session ID.
+ * 
+ * @returns {string} A new session ID
+ * @private
+ */
+function createSessionId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return `drag-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Keep what undo and redo need of a dragged or copied item.
+ * 
+ * @param {Object} item - The item, as in `dragStart` or `itemCopied`
+ * @returns {{id: string, text: string, payload: Object, index: (number|undefined),
+ *   zoneId: (string|undefined)}} Its ID, label, payload and position in the source
+ * @private
+ */
+function toHistoryItem(item) {
+  return {
+    id: item.id,
+    text: item.text,
+    payload: resolvePayload(item),
+    index: Number.isInteger(item.index) && item.index >= 0 ? item.index : undefined,
+    zoneId: typeof item.zoneId === 'string' ? item.zoneId : undefined
+  };
+}
+
 /**
  * @typedef {Object} FrameConfig
  * @property {string} id - Unique identifier for the frame
  * @property {HTMLIFrameElement} element - The iframe DOM element
+ * @property {string} [allowedOrigin] - Origin the frame's document must have: messages
+ *   are only accepted from it and only sent to it. Defaults to this page's origin.
+ */
+
+/**
+ * @typedef {Object} FrameStatus
+ * @property {string} id - Registered ID of the frame
+ * @property {string} status - One of {@link FRAME_STATUSES}
+ * @property {string|null} announcedId - Frame ID the child announced for itself
+ * @property {string[]|null} capabilities - Announced {@link FRAME_CAPABILITIES}; null
+ *   until the handshake completes, or for frames that never answer it
+ * @property {number|null} version - Protocol version the child speaks
+ * @property {number} queued - Messages waiting for the frame to become ready
+ */
+
+/**
+ * @typedef {Object} DragState
+ * @property {boolean} dragging - Whether a drag is in progress
+ * @property {string|null} sessionId - Session of the current drag
+ * @property {string|null} sourceFrameId - Frame the current drag started in
+ * @property {string|null} hoveredFrameId - Frame under the pointer that can take the drop
+ * @property {string|null} text - Label of the dragged item
+ * @property {string} dropEffect - Current drop effect; `none` when no drag is in progress
+ * @property {string[]} pendingDrops - Sessions of drops waiting for their acknowledgement
+ */
+
+/**
+ * Renders the content of a drag preview.
+ * 
+ * @callback PreviewRenderer
+ * @param {DragData} dragData - The dragged item
+ * @returns {Node|string|null|undefined} Content for the preview; `null` or
+ *   `undefined` falls back to the next renderer
+ */
+
+/**
+ * Renders the content of a drag preview from one payload representation.
+ * 
+ * @callback PreviewTemplate
+ * @param {*} data - The representation of the template's payload type
+ * @param {DragData} dragData - The dragged item
+ * @returns {Node|string|null|undefined} Content for the preview; `null` or
+ *   `undefined` falls back to the next renderer
+ */
+
+/**
+ * @typedef {Object} PreviewAnimationContext
+ * @property {DragData} dragData - The dragged item
+ * @property {{x: number, y: number}|null} origin - Parent coordinates where the drag started
+ */
+
+/**
+ * Animates a drag preview out. The preview is removed once the returned
+ * animation finishes (or the promise settles); returning nothing removes it right away.
+ * 
+ * @callback PreviewAnimation
+ * @param {HTMLElement} preview - The preview, already detached from the drag
+ * @param {PreviewAnimationContext} context - What the drag looked like when it ended
+ * @returns {Animation|Promise|void}
+ */
+
+/**
+ * @typedef {Object} CoordinatorOptions
+ * @property {number} [dropTimeout=3000] - Milliseconds to wait for the target to
+ *   acknowledge a drop before rolling it back
+ * @property {PreviewRenderer} [renderPreview] - Renders the preview content for a drag.
+ *   Takes precedence over `previewTemplates`.
+ * @property {Object<string, PreviewTemplate>} [previewTemplates] - Preview renderers keyed
+ *   by payload type; the first payload type with a template is used
+ * @property {('center'|'grab'|{x: number, y: number})} [previewOffset='center'] - Where the
+ *   pointer sits on the preview: its center, the spot where the item was grabbed, or a
+ *   fixed offset in pixels from the preview's top-left corner
+ * @property {PreviewAnimation|false} [dropAnimation] - Animation when the item is dropped
+ *   on a frame; defaults to shrinking and fading out, `false` removes the preview at once
+ * @property {PreviewAnimation|false} [cancelAnimation] - Animation when the drag is
+ *   cancelled or dropped outside any frame; defaults to snapping back to the drag origin
+ * @property {boolean|import('./autoscroll.js').AutoScrollOptions} [autoScroll=true] - Scroll
+ *   the parent page while the pointer is near its viewport edge; `false` disables it
+ * @property {boolean} [nested=false] - This coordinator runs inside a frame of another
+ *   coordinator: drags are relayed to the parent instead of being handled here
+ * @property {boolean} [discoverFrames=true] - Register iframes carrying a `data-dnd-frame-id`
+ *   attribute, and unregister frames removed from the document, as the DOM changes
+ * @property {number|false} [handshakeTimeout=2000] - Milliseconds a frame gets to say `hello`
+ *   after it loads; frames that stay silent are then treated as ready (older pages).
+ *   `false` keeps their messages queued until they answer.
+ * @property {string} [frameId='nested'] - Nested mode: frame ID announced to the parent
+ *   coordinator in the handshake
+ * @property {string} [parentOrigin] - Nested mode: origin of the parent coordinator's page.
+ *   Defaults to this page's origin.
+ * @property {import('./logger.js').Logger} [logger] - Where to log; silent by default
+ * @property {boolean} [debug=false] - Log everything, including each message, to the console
+ *   when no `logger` is given
+ * @property {import('./logger.js').MessageHistory} [history] - Records the messages sent and
+ *   received for bug reports
+ * @property {number} [undoDepth=50] - Number of drops and pastes that can be undone; `0`
+ *   turns undo and redo off
  */
 
 /**
  * @typedef {Object} DragData
- * @property {string} text - The text content being dragged
+ * @property {string} text - Text label of the dragged item, used for the drag preview
  * @property {string} id - Unique identifier for the dragged item
  * @property {string} source - The frame ID where the drag originated
  * @property {number} [pointerId] - The pointer ID for the drag event
+ * @property {import('./drag-payload.js').DragPayload} payload - Typed representations of the
+ *   dragged item; drop targets negotiate which type they accept
+ * @property {string} effectAllowed - Effects the source allows (see {@link module:drop-effect})
+ * @property {string} sourceFrame - Registered ID of the frame the drag started in
+ * @property {string} sessionId - Unique ID of this drag; echoed in every reply about it
+ * @property {number} [grabX] - Where the item was grabbed, as a fraction (0-1) of its width
+ * @property {number} [grabY] - Where the item was grabbed, as a fraction (0-1) of its height
+ * @property {number} [index] - Position of the item in its source, where undo restores it
+ * @property {string} [zoneId] - Drop zone of the source the item is in, for drop zone frames
+ * @property {DragData[]} [items] - Every item of a group drag; the top-level fields
+ *   describe the item under the pointer
+ * @property {string[]} [sourcePath] - Frame IDs below `sourceFrame` the drag was relayed
+ *   through by nested coordinators, outermost first
+ */
+
+/**
+ * Context of a coordinator event. Fields that do not apply to an event are null.
+ * 
+ * @typedef {Object} CoordinatorEvent
+ * @property {string} type - One of {@link COORDINATOR_EVENTS}
+ * @property {string|null} sourceFrameId - Frame the drag started in, or the frame that copied
+ * @property {string|null} targetFrameId - Hovered or drop target frame, or the frame pasted into
+ * @property {DragData|null} dragData - The dragged item. A `drop` handler may replace it
+ *   to change what the target receives.
+ * @property {*} payload - Typed payload of the drag, or the copied item for `copy` and `paste`
+ * @property {string|null} dropEffect - Current drop effect. A `drop` handler may change it to
+ *   another {@link module:drop-effect} effect.
+ * @property {number|null} x - Pointer X in the parent viewport
+ * @property {number|null} y - Pointer Y in the parent viewport
+ * @property {string|null} sessionId - Drag session the event belongs to
+ * @property {string|null} reason - Why a drop failed or a drag was cancelled
+ * @property {boolean} cancelable - Whether `preventDefault()` has an effect (only for `drop`)
+ * @property {boolean} defaultPrevented - Whether a handler called `preventDefault()`
+ * @property {function(): void} preventDefault - Veto the drop
+ */
+
+/**
+ * Handles a coordinator event. Handlers run synchronously in registration order;
+ * an exception is logged and does not stop the other handlers.
+ * 
+ * @callback CoordinatorEventHandler
+ * @param {CoordinatorEvent} event - The event
+ * @returns {void}
+ */
+
+/**
+ * @typedef {Object} DropTransaction
+ * @property {string} sessionId - Drag session the transaction belongs to
+ * @property {string} sourceFrameId - Frame the item comes from
+ * @property {string} targetFrameId - Frame the item was dropped on
+ * @property {DragData} dragData - The dropped item
+ * @property {string} dropEffect - Effect requested from the target
+ * @property {number} timer - Timeout handle for the rollback
+ */
+
+/**
+ * A committed drop or paste in the undo history.
+ * 
+ * @typedef {Object} HistoryOperation
+ * @property {string} sourceFrameId - Frame the items came from
+ * @property {string} targetFrameId - Frame the items were dropped or pasted into
+ * @property {Object[]} items - The items as they were dragged or copied: `id`, `text`,
+ *   `payload`, and the `index` (and `zoneId`) they had in the source
+ * @property {string[]} targetIds - IDs the items got in the target
+ * @property {number|null} index - Where the target inserted the items
+ * @property {string|null} zoneId - Drop zone the items went into, for drop zone frames
+ * @property {boolean} linked - Whether the items were dropped as links
+ * @property {boolean} removed - Whether the items left their source (a move)
  */
 
 /**
@@ -41,11 +392,30 @@
  * @class IframeCommunicationManager
  * @description
  * Manages cross-iframe drag and drop by:
- * - Tracking registered iframes via a Map
+ * - Tracking registered iframes via a Map; frames can be added and removed at
+ *   runtime, or discovered through their `data-dnd-frame-id` attribute
+ * - Tracking each frame's readiness through a hello/ready handshake, queueing
+ *   messages for frames that are not ready yet
  * - Coordinating pointer events across parent and child windows
- * - Managing drag preview rendering
- * - Routing messages between frames
+ * - Managing drag preview rendering, including allowed/forbidden feedback
+ *   reported by the hovered frame, custom preview renderers, the grab offset
+ *   and drop/cancel animations
+ * - Holding back drops the hovered frame has refused
+ * - Picking the drop effect (move, copy, link) from modifier keys
+ * - Cancelling drags on Escape, pointercancel, window blur or when the source
+ *   frame unloads, snapping the preview back to where the drag started
+ * - Completing drops as a two-phase commit: the target prepares the item and
+ *   acknowledges, then the coordinator commits it and only then removes a moved
+ *   item from its source. Drops that are not acknowledged in time are rolled back.
+ * - Routing messages between frames, converting coordinates through borders,
+ *   padding, CSS transforms and zoom (see {@link module:frame-geometry})
+ * - Relaying drags to a parent coordinator when nested in another frame
  * - Handling clipboard operations
+ * - Keeping an undo/redo history of committed drops and pastes (Ctrl+Z and
+ *   Ctrl+Shift+Z), undone by removing the items from their target and
+ *   restoring them at their original positions in the source
+ * - Emitting drag, drop and clipboard events to the host page, whose `drop`
+ *   handlers can veto or transform a drop
  * 
  * @example
  * const manager = new IframeCommunicationManager();
@@ -59,11 +429,123 @@ export class IframeCommunicationManager {
    * Creates a new IframeCommunicationManager instance.
    * 
    * @constructor
+   * @param {CoordinatorOptions} [options={}] - Configuration options
    * @description
    * Initializes the manager with empty state. Call `initialize()` to register frames
    * and set up event listeners.
+   * 
+   * @throws {Error} If `previewOffset` is not `center`, `grab` or an `{ x, y }` object
+   * @throws {Error} If `parentOrigin` is not an exact origin
+   * @throws {Error} If `undoDepth` is not a non-negative integer
+   * @throws {TypeError} If `logger` lacks one of the logging methods
+   * 
+   * @example
+   * // Give slow frames more time to acknowledge drops
+   * const manager = new IframeCommunicationManager({ dropTimeout: 10000 });
+   * 
+   * @example
+   * // Inside a frame of another coordinator: relay the drags of this page's frames
+   * const manager = new IframeCommunicationManager({ nested: true });
+   * 
+   * @example
+   * // Show table rows as a row snapshot, held where the user grabbed them
+   * const manager = new IframeCommunicationManager({
+   *   previewOffset: 'grab',
+   *   previewTemplates: {
+   *     'application/x-row+json': (row) => `${row.description} × ${row.quantity}`
+   *   }
+   * });
    */
-  constructor() {
+  constructor(options = {}) {
+    const {
+      dropTimeout = 3000,
+      renderPreview = null,
+      previewTemplates = {},
+      previewOffset = 'center',
+      dropAnimation = animateDrop,
+      cancelAnimation = animateSnapBack,
+      autoScroll = true,
+      nested = false,
+      discoverFrames = true,
+      handshakeTimeout = 2000,
+      frameId = 'nested',
+      parentOrigin = window.location.origin,
+      history = null,
+      undoDepth = 50
+    } = options;
+    
+    const isPointOffset = typeof previewOffset === 'object' && previewOffset !== null &&
+      Number.isFinite(previewOffset.x) && Number.isFinite(previewOffset.y);
+    if (!PREVIEW_OFFSETS.includes(previewOffset) && !isPointOffset) {
+      throw new Error(`Invalid previewOffset "${previewOffset}"`);
+    }
+    
+    if (!isValidOrigin(parentOrigin)) {
+      throw new Error(`Invalid parentOrigin "${parentOrigin}"`);
+    }
+    
+    if (!Number.isInteger(undoDepth) || undoDepth < 0) {
+      throw new Error(`Invalid undoDepth "${undoDepth}"`);
+    }
+    
+    /**
+     * Milliseconds to wait for a drop acknowledgement before rolling back
+     * @type {number}
+     * @public
+     */
+    this.dropTimeout = dropTimeout;
+    
+    /**
+     * Drops waiting for the target's acknowledgement, keyed by session ID
+     * @type {Map<string, DropTransaction>}
+     * @private
+     */
+    this.transactions = new Map();
+    
+    /**
+     * Custom preview renderer
+     * @type {PreviewRenderer|null}
+     * @private
+     */
+    this.renderPreview = renderPreview;
+    
+    /**
+     * Preview renderers keyed by payload type
+     * @type {Map<string, PreviewTemplate>}
+     * @private
+     */
+    this.previewTemplates = new Map(Object.entries(previewTemplates));
+    
+    /**
+     * Where the pointer sits on the preview
+     * @type {('center'|'grab'|{x: number, y: number})}
+     * @private
+     */
+    this.previewOffset = previewOffset;
+    
+    /**
+     * Animation when the item is dropped on a frame
+     * @type {PreviewAnimation|false}
+     * @private
+     */
+    this.dropAnimation = dropAnimation;
+    
+    /**
+     * Animation when the drag is cancelled or dropped outside any frame
+     * @type {PreviewAnimation|false}
+     * @private
+     */
+    this.cancelAnimation = cancelAnimation;
+    
+    /**
+     * Scrolls the parent page near its viewport edges during a drag
+     * @type {AutoScroller|null}
+     * @private
+     */
+    this.autoScroller = autoScroll
+      ? new AutoScroller({ ...(typeof autoScroll === 'object' ? autoScroll : {}), onScroll: () => this.refreshHover() })
+      : null;
+    
     /**
      * Whether a drag operation is currently in progress
      * @type {boolean}
@@ -85,6 +567,41 @@ export class IframeCommunicationManager {
      */
     this.dragPreview = null;
     
+    /**
+     * Parent coordinates where the current drag started; the preview snaps back here on cancel
+     * @type {{x: number, y: number}|null}
+     * @private
+     */
+    this.dragOrigin = null;
+    
+    /**
+     * Last pointer position of the current drag, in parent coordinates
+     * @type {{x: number, y: number}|null}
+     * @private
+     */
+    this.pointer = null;
+    
+    /**
+     * ID of the frame currently hovered during a drag (excluding the source frame)
+     * @type {string|null}
+     * @private
+     */
+    this.hoveredFrameId = null;
+    
+    /**
+     * Last drop status reported by the hovered frame
+     * @type {{frameId: string, accepted: boolean, reason: (string|undefined)}|null}
+     * @private
+     */
+    this.dropStatus = null;
+    
+    /**
+     * Drop effect for the current modifier keys
+     * @type {string}
+     * @private
+     */
+    this.dropEffect = DROP_EFFECTS.NONE;
+    
     /**
      * Map of frame IDs to iframe elements
      * @type {Map<string, HTMLIFrameElement>}
@@ -98,561 +615,2225 @@ export class IframeCommunicationManager {
      * @private
      */
     this.clipboardData = null;
-  }
-
-  /**
-   * Initialize the manager with iframe elements and set up event listeners.
-   * 
-   * @param {FrameConfig[]} frames - Array of frame configurations
-   * @throws {TypeError} If frames is not an array or contains invalid configurations
-   * 
-   * @example
-   * manager.initialize([
-   *   { id: 'source-frame', element: document.getElementById('frame-a') },
-   *   { id: 'target-frame', element: document.getElementById('frame-b') }
-   * ]);
-   * 
-   * @example
-   * // With three frames for a more complex layout
-   * manager.initialize([
-   *   { id: 'sidebar', element: document.getElementById('sidebar-frame') },
-   *   { id: 'main', element: document.getElementById('main-frame') },
-   *   { id: 'preview', element: document.getElementById('preview-frame') }
-   * ]);
-   */
-  initialize(frames) {
-    // Store frames in a map for easy lookup
-    frames.forEach(({ id, element }) => {
-      this.frames.set(id, element);
-    });
-
-    // Listen for messages from frames
-    window.addEventListener('message', (event) => this.handleMessage(event));
-
-    // Set up pointer event listeners on the parent
-    document.addEventListener('pointermove', (e) => this.handlePointerMove(e));
-    document.addEventListener('pointerup', (e) => this.handlePointerUp(e));
-  }
-
-  /**
-   * Get frame element by ID.
-   * 
-   * @param {string} frameId - The frame identifier
-   * @returns {HTMLIFrameElement|null} The iframe element or null if not found
-   * 
-   * @example
-   * const frame = manager.getFrame('source-panel');
-   * if (frame) {
-   *   console.log('Frame found:', frame.src);
-   * }
-   */
-  getFrame(frameId) {
-    return this.frames.get(frameId) || null;
-  }
-
-  /**
-   * Get frame ID by element.
-   * 
-   * @param {HTMLIFrameElement} element - The iframe element
-   * @returns {string|null} The frame ID or null if not found
-   * 
-   * @example
-   * const frameId = manager.getFrameId(document.getElementById('my-frame'));
-   * console.log('Frame ID:', frameId);
-   */
-  getFrameId(element) {
-    for (const [id, iframe] of this.frames.entries()) {
-      if (iframe === element) return id;
-    }
-    return null;
-  }
-
-  /**
-   * Check if a pointer position is over a specific iframe.
-   * 
-   * @param {Element|null} elementUnder - The element returned by elementFromPoint
-   * @param {HTMLIFrameElement} frameElement - The iframe to check against
-   * @param {number} clientX - X coordinate of the pointer
-   * @param {number} clientY - Y coordinate of the pointer
-   * @returns {boolean} True if the pointer is over the iframe
-   * 
-   * @description
-   * Uses both elementFromPoint and coordinate bounds for reliable detection.
-   * This dual approach handles browser inconsistencies, particularly in Firefox.
-   * 
-   * @example
-   * const isOver = manager.isOverFrame(
-   *   document.elementFromPoint(100, 200),
-   *   frameElement,
-   *   100,
-   *   200
-   * );
-   */
-  isOverFrame(elementUnder, frameElement, clientX, clientY) {
-    if (!frameElement) return false;
     
-    // Direct element match
-    if (elementUnder === frameElement) return true;
+    /**
+     * Last `devicePixelRatio` reported by each frame
+     * @type {Map<string, number>}
+     * @private
+     */
+    this.frameDevicePixelRatios = new Map();
     
-    // Coordinate-based fallback for Firefox and other browsers
-    // where elementFromPoint might not return the iframe element
-    const rect = frameElement.getBoundingClientRect();
-    return clientX >= rect.left && clientX <= rect.right && 
-           clientY >= rect.top && clientY <= rect.bottom;
-  }
-
+    /**
+     * Whether drags are relayed to a parent coordinator
+     * @type {boolean}
+     * @private
+     */
+    this.nested = nested;
+    
+    /**
+     * Nested mode: child frame each relayed drag session started in, by session ID
+     * @type {Map<string, string>}
+     * @private
+     */
+    this.relaySessions = new Map();
+    
+    /**
+     * Nested mode: the drag currently relayed from one of this page's frames
+     * @type {{sessionId: string, sourceFrameId: string}|null}
+     * @private
+     */
+    this.relayDrag = null;
+    
+    /**
+     * Nested mode: child frame the parent's drag is currently over
+     * @type {string|null}
+     * @private
+     */
+    this.relayHoveredId = null;
+    
+    /**
+     * Nested mode: drops forwarded to a child frame and its acknowledgement, by session ID
+     * @type {Map<string, {transaction: DropTransaction, ack: (Object|null)}>}
+     * @private
+     */
+    this.relayDrops = new Map();
+    
+    /**
+     * Whether frames are discovered through their `data-dnd-frame-id` attribute
+     * @type {boolean}
+     * @private
+     */
+    this.discoverFrames = discoverFrames;
+    
+    /**
+     * IDs of the frames registered through their `data-dnd-frame-id` attribute
+     * @type {Set<string>}
+     * @private
+     */
+    this.discoveredFrameIds = new Set();
+    
+    /**
+     * Watches the document for frames being added or removed
+     * @type {MutationObserver|null}
+     * @private
+     */
+    this.frameObserver = null;
+    
+    /**
+     * `load` listeners of the registered frames, keyed by frame ID
+     * @type {Map<string, Function>}
+     * @private
+     */
+    this.frameLoadListeners = new Map();
+    
+    /**
+     * Window and document listeners added by `initialize()`, removed by `destroy()`
+     * @type {Array<{target: EventTarget, type: string, listener: Function}>}
+     * @private
+     */
+    this.listeners = [];
+    
+    /**
+     * Whether `initialize()` has set up the listeners
+     * @type {boolean}
+     * @private
+     */
+    this.initialized = false;
+    
+    /**
+     * Milliseconds a frame gets to complete the handshake, or false to wait forever
+     * @type {number|false}
+     * @public
+     */
+    this.handshakeTimeout = handshakeTimeout;
+    
+    /**
+     * Nested mode: frame ID announced to the parent coordinator
+     * @type {string}
+     * @private
+     */
+    this.frameId = frameId;
+    
+    /**
+     * Handshake state and message queue of each frame
+     * @type {Map<string, {status: string, announcedId: (string|null), capabilities: (string[]|null),
+     *   version: (number|null), queue: Object[], timer: (number|null)}>}
+     * @private
+     */
+    this.frameStates = new Map();
+    
+    /**
+     * Frame IDs by the window that said `hello`
+     * @type {Map<Window, string>}
+     * @private
+     */
+    this.frameSources = new Map();
+    
+    /**
+     * Origin each frame's document must have
+     * @type {Map<string, string>}
+     * @private
+     */
+    this.frameOrigins = new Map();
+    
+    /**
+     * Nested mode: origin of the parent coordinator's page
+     * @type {string}
+     * @private
+     */
+    this.parentOrigin = parentOrigin;
+    
+    /**
+     * Event handlers registered with `on()`, by event type
+     * @type {Map<string, Set<CoordinatorEventHandler>>}
+     * @private
+     */
+    this.eventHandlers = new Map();
+    
+    /**
+     * Logger for this coordinator
+     * @type {import('./logger.js').Logger}
+     * @private
+     */
+    this.logger = resolveLogger(options, 'iframe-communication');
+    
+    /**
+     * Records the messages sent and received, if set
+     * @type {import('./logger.js').MessageHistory|null}
+     * @private
+     */
+    this.history = history;
+    
+    /**
+     * Number of operations that can be undone
+     * @type {number}
+     * @public
+     */
+    this.undoDepth = undoDepth;
+    
+    /**
+     * Committed operations that can be undone, oldest first
+     * @type {HistoryOperation[]}
+     * @private
+     */
+    this.undoStack = [];
+    
+    /**
+     * Undone operations that can be redone, most recently undone last
+     * @type {HistoryOperation[]}
+     * @private
+     */
+    this.redoStack = [];
+  }
+
+  /**
+   * Initialize the manager with iframe elements and set up event listeners.
+   * 
+   * @param {FrameConfig[]} [frames=[]] - Array of frame configurations
+   * @throws {TypeError} If a frame configuration has no ID or no iframe element
+   * @throws {Error} If a frame ID is already registered for another element
+   * 
+   * @description
+   * Listeners are set up on the first call only; calling it again just
+   * registers more frames. Unless `discoverFrames` is off, iframes carrying a
+   * `data-dnd-frame-id` attribute are registered as well, now and whenever
+   * they are added to the document later; `data-dnd-origin` sets their
+   * `allowedOrigin`.
+   * 
+   * @example
+   * manager.initialize([
+   *   { id: 'source-frame', element: document.getElementById('frame-a') },
+   *   { id: 'target-frame', element: document.getElementById('frame-b') }
+   * ]);
+   * 
+   * @example
+   * // With three frames for a more complex layout
+   * manager.initialize([
+   *   { id: 'sidebar', element: document.getElementById('sidebar-frame') },
+   *   { id: 'main', element: document.getElementById('main-frame') },
+   *   { id: 'preview', element: document.getElementById('preview-frame') }
+   * ]);
+   * 
+   * @example
+   * // <iframe src="panel.html" data-dnd-frame-id="panel"></iframe>
+   * manager.initialize();
+   */
+  initialize(frames = []) {
+    if (!this.initialized) {
+      this.initialized = true;
+      this.addListeners();
+      
+      if (this.discoverFrames) {
+        this.frameObserver = new MutationObserver(() => this.syncDiscoveredFrames());
+        this.frameObserver.observe(document.documentElement, {
+          childList: true,
+          subtree: true,
+          attributes: true,
+          attributeFilter: [FRAME_ID_ATTRIBUTE]
+        });
+        this.syncDiscoveredFrames();
+      }
+    }
+    
+    frames.forEach(frame => this.addFrame(frame));
+  }
+
+  /**
+   * Set up the window and document listeners.
+   * 
+   * @private
+   */
+  addListeners() {
+    const listen = (target, type, listener) => {
+      target.addEventListener(type, listener);
+      this.listeners.push({ target, type, listener });
+    };
+    
+    // Listen for messages from frames
+    listen(window, 'message', (event) => this.handleMessage(event));
+
+    // A nested coordinator never owns the pointer; the top-level one does
+    if (this.nested) {
+      this.announce();
+      return;
+    }
+
+    // Set up pointer event listeners on the parent
+    listen(document, 'pointermove', (e) => this.handlePointerMove(e));
+    listen(document, 'pointerup', (e) => this.handlePointerUp(e));
+    
+    // Cancel paths
+    listen(document, 'pointercancel', () => this.cancelDrag(DRAG_CANCEL_REASONS.POINTER_CANCEL));
+    listen(document, 'keydown', (e) => {
+      const shortcut = getHistoryShortcut(e);
+      if (e.key === 'Escape') {
+        this.cancelDrag(DRAG_CANCEL_REASONS.ESCAPE);
+      } else if (shortcut) {
+        e.preventDefault();
+        if (shortcut === 'redo') {
+          this.redo();
+        } else {
+          this.undo();
+        }
+      }
+    });
+    listen(window, 'blur', () => {
+      // Focus moving into one of our frames is not a reason to cancel
+      if (this.getFrameId(document.activeElement)) return;
+      this.cancelDrag(DRAG_CANCEL_REASONS.BLUR);
+    });
+  }
+
+  /**
+   * Register a frame.
+   * 
+   * @param {FrameConfig} frame - The frame configuration
+   * @throws {TypeError} If the configuration has no ID or no iframe element
+   * @throws {Error} If the ID is already registered for another element, or
+   *   `allowedOrigin` is not an exact origin
+   * 
+   * @description
+   * Registering the same element under the same ID again does nothing.
+   * 
+   * @example
+   * const panel = document.createElement('iframe');
+   * panel.src = 'panel.html';
+   * dashboard.appendChild(panel);
+   * manager.addFrame({ id: 'panel-3', element: panel });
+   * 
+   * @example
+   * // A partner widget served from another origin
+   * manager.addFrame({ id: 'partner', element: widget, allowedOrigin: 'https://widgets.example.com' });
+   */
+  addFrame({ id, element, allowedOrigin = window.location.origin } = {}) {
+    if (typeof id !== 'string' || !id || !(element instanceof HTMLIFrameElement)) {
+      throw new TypeError(`Invalid frame configuration "${id}"`);
+    }
+    if (!isValidOrigin(allowedOrigin)) {
+      throw new Error(`Invalid allowedOrigin "${allowedOrigin}"`);
+    }
+    if (this.frames.has(id)) {
+      if (this.frames.get(id) === element) return;
+      throw new Error(`Duplicate frame ID "${id}"`);
+    }
+    
+    this.frames.set(id, element);
+    this.frameOrigins.set(id, allowedOrigin);
+    this.frameStates.set(id, {
+      status: FRAME_STATUSES.PENDING,
+      announcedId: null,
+      capabilities: null,
+      version: null,
+      queue: [],
+      timer: null
+    });
+    
+    // A load event mid-drag means the frame navigated or reloaded
+    const onLoad = () => this.handleFrameLoad(id);
+    element.addEventListener('load', onLoad);
+    this.frameLoadListeners.set(id, onLoad);
+    
+    // A frame that loaded before it was registered has already said hello to nobody
+    this.requestHello(id);
+  }
+
+  /**
+   * Unregister a frame.
+   * 
+   * @param {string} frameId - ID of the frame
+   * @returns {boolean} True if the frame was registered
+   * 
+   * @description
+   * A drag that started in the frame is cancelled. If the frame was hovered,
+   * the hover is cleared, and a drop waiting for its acknowledgement is
+   * abandoned; the item stays in its source. Undo history involving the frame
+   * is forgotten. Frames removed from the document are unregistered
+   * automatically unless `discoverFrames` is off.
+   * 
+   * @example
+   * manager.removeFrame('panel-3');
+   * panel.remove();
+   */
+  removeFrame(frameId) {
+    const element = this.frames.get(frameId);
+    if (!element) return false;
+    
+    if (this.isDragging && this.dragData.sourceFrame === frameId) {
+      this.cancelDrag(DRAG_CANCEL_REASONS.UNLOAD);
+    } else if (this.hoveredFrameId === frameId) {
+      this.hoveredFrameId = null;
+      this.dropStatus = null;
+      this.updatePreviewFeedback();
+      this.postToFrame(frameId, 'parentDragLeave');
+    }
+    
+    for (const transaction of [...this.transactions.values()]) {
+      if (transaction.targetFrameId === frameId) {
+        clearTimeout(transaction.timer);
+        this.transactions.delete(transaction.sessionId);
+        this.logger.warn(`Drop on ${frameId} abandoned - the frame was removed`);
+      }
+    }
+    
+    if (this.nested) {
+      if (this.relayDrag?.sourceFrameId === frameId) {
+        this.relayDrag = null;
+        this.postToParent('dragCancel', { source: frameId, reason: DRAG_CANCEL_REASONS.UNLOAD });
+      }
+      if (this.relayHoveredId === frameId) {
+        this.relayHoveredId = null;
+      }
+      for (const [sessionId, drop] of [...this.relayDrops]) {
+        if (drop.transaction.targetFrameId === frameId) this.relayDrops.delete(sessionId);
+      }
+    }
+    
+    element.removeEventListener('load', this.frameLoadListeners.get(frameId));
+    this.frameLoadListeners.delete(frameId);
+    clearTimeout(this.frameStates.get(frameId).timer);
+    this.frameStates.delete(frameId);
+    for (const [source, id] of [...this.frameSources]) {
+      if (id === frameId) this.frameSources.delete(source);
+    }
+    this.frameDevicePixelRatios.delete(frameId);
+    this.frameOrigins.delete(frameId);
+    this.discoveredFrameIds.delete(frameId);
+    this.forgetHistory(frameId);
+    this.frames.delete(frameId);
+    return true;
+  }
+
+  /**
+   * Bring the registered frames in line with the document.
+   * 
+   * @private
+   * 
+   * @description
+   * Unregisters frames that left the document and discovered frames whose
+   * `data-dnd-frame-id` changed, then registers iframes with the attribute
+   * that are not registered yet. An attribute naming an ID that is already
+   * taken is reported and skipped.
+   */
+  syncDiscoveredFrames() {
+    for (const [frameId, element] of [...this.frames]) {
+      const renamed = this.discoveredFrameIds.has(frameId) && element.getAttribute(FRAME_ID_ATTRIBUTE) !== frameId;
+      if (!element.isConnected || renamed) {
+        this.removeFrame(frameId);
+      }
+    }
+    
+    for (const element of document.querySelectorAll(`iframe[${FRAME_ID_ATTRIBUTE}]`)) {
+      const frameId = element.getAttribute(FRAME_ID_ATTRIBUTE);
+      if (!frameId || this.getFrameId(element)) continue;
+      
+      try {
+        this.addFrame({
+          id: frameId,
+          element,
+          allowedOrigin: element.getAttribute(FRAME_ORIGIN_ATTRIBUTE) ?? undefined
+        });
+        this.discoveredFrameIds.add(frameId);
+      } catch (err) {
+        this.logger.warn(`Skipping discovered frame: ${err.message}`);
+      }
+    }
+  }
+
+  /**
+   * Unregister every frame and remove every listener.
+   * 
+   * @description
+   * A drag in progress is cancelled and pending drops are abandoned. The
+   * manager can be initialized again afterwards.
+   * 
+   * @example
+   * // Tear down with the dashboard
+   * manager.destroy();
+   */
+  destroy() {
+    this.cancelDrag(DRAG_CANCEL_REASONS.UNLOAD);
+    
+    this.frameObserver?.disconnect();
+    this.frameObserver = null;
+    
+    for (const frameId of [...this.frames.keys()]) {
+      this.removeFrame(frameId);
+    }
+    for (const transaction of this.transactions.values()) {
+      clearTimeout(transaction.timer);
+    }
+    this.transactions.clear();
+    this.relaySessions.clear();
+    this.relayDrops.clear();
+    this.relayDrag = null;
+    
+    for (const { target, type, listener } of this.listeners) {
+      target.removeEventListener(type, listener);
+    }
+    this.listeners = [];
+    this.autoScroller?.stop();
+    this.initialized = false;
+  }
+
+  /**
+   * Get the handshake status of a frame.
+   * 
+   * @param {string} frameId - ID of the frame
+   * @returns {FrameStatus|null} The status, or null if the frame is not registered
+   * 
+   * @example
+   * const status = manager.getFrameStatus('frame-b');
+   * if (status?.status === FRAME_STATUSES.READY && status.capabilities?.includes('target')) {
+   *   console.log('frame-b accepts drops');
+   * }
+   */
+  getFrameStatus(frameId) {
+    const state = this.frameStates.get(frameId);
+    if (!state) return null;
+    
+    return {
+      id: frameId,
+      status: state.status,
+      announcedId: state.announcedId,
+      capabilities: state.capabilities,
+      version: state.version,
+      queued: state.queue.length
+    };
+  }
+
+  /**
+   * Get the handshake status of every registered frame.
+   * 
+   * @returns {FrameStatus[]} One status per frame, in registration order
+   */
+  getFrameStatuses() {
+    return [...this.frames.keys()].map(frameId => this.getFrameStatus(frameId));
+  }
+
+  /**
+   * Get a snapshot of the current drag.
+   * 
+   * @returns {DragState} The drag state
+   */
+  getDragState() {
+    return {
+      dragging: this.isDragging,
+      sessionId: this.dragData?.sessionId ?? null,
+      sourceFrameId: this.dragData?.sourceFrame ?? null,
+      hoveredFrameId: this.hoveredFrameId,
+      text: this.dragData?.text ?? null,
+      dropEffect: this.dropEffect,
+      pendingDrops: [...this.transactions.keys()]
+    };
+  }
+
+  /**
+   * Send a protocol message to a frame.
+   * 
+   * @param {string} frameId - ID of the frame
+   * @param {string} type - Message type
+   * @param {Object} [payload] - Message fields
+   * @returns {boolean} True if the message was sent, or queued until the frame is ready
+   * 
+   * @example
+   * // Replay a message from the history, e.g. from the protocol inspector
+   * manager.send('frame-b', 'parentDragLeave');
+   */
+  send(frameId, type, payload) {
+    return this.postToFrame(frameId, type, payload);
+  }
+
+  /**
+   * Undo the last committed drop or paste.
+   * 
+   * @returns {boolean} True if an operation was undone
+   * 
+   * @description
+   * Replays the inverse of the operation across frames: the items are removed
+   * from the frame they were dropped or pasted into and, if they left their
+   * source, restored there at their original positions. Ctrl+Z (Cmd+Z) calls
+   * this in the parent page and in the frames. Does nothing during a drag.
+   * 
+   * @example
+   * undoButton.addEventListener('click', () => manager.undo());
+   */
+  undo() {
+    if (this.isDragging) return false;
+    
+    const operation = this.undoStack.pop();
+    if (!operation) return false;
+    
+    this.postToFrame(operation.targetFrameId, 'removeItem', {
+      id: operation.targetIds[0],
+      ids: operation.targetIds
+    });
+    if (operation.removed) {
+      this.postToFrame(operation.sourceFrameId, 'restoreItems', { items: operation.items });
+    }
+    this.redoStack.push(operation);
+    return true;
+  }
+
+  /**
+   * Redo the last undone drop or paste.
+   * 
+   * @returns {boolean} True if an operation was redone
+   * 
+   * @description
+   * Replays the operation: the items are removed from their source again if
+   * they had left it, and restored in the target where they were dropped or
+   * pasted. Ctrl+Shift+Z (Cmd+Shift+Z) calls this. Does nothing during a drag.
+   */
+  redo() {
+    if (this.isDragging) return false;
+    
+    const operation = this.redoStack.pop();
+    if (!operation) return false;
+    
+    if (operation.removed) {
+      const ids = operation.items.map(item => item.id);
+      this.postToFrame(operation.sourceFrameId, 'removeItem', { id: ids[0], ids });
+    }
+    this.postToFrame(operation.targetFrameId, 'restoreItems', {
+      items: operation.items.map((item, i) => ({
+        ...item,
+        id: operation.targetIds[i],
+        index: operation.index === null ? undefined : operation.index + i,
+        zoneId: operation.zoneId ?? undefined,
+        linked: operation.linked
+      }))
+    });
+    this.undoStack.push(operation);
+    return true;
+  }
+
+  /**
+   * Check whether there is an operation to undo.
+   * 
+   * @returns {boolean} True if {@link IframeCommunicationManager#undo} would undo something
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * Check whether there is an operation to redo.
+   * 
+   * @returns {boolean} True if {@link IframeCommunicationManager#redo} would redo something
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Forget every operation that could be undone or redone, for example after
+   * the host saved or reloaded its data.
+   */
+  clearHistory() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  /**
+   * Register a handler for a coordinator event.
+   * 
+   * @param {string} type - One of {@link COORDINATOR_EVENTS}
+   * @param {CoordinatorEventHandler} handler - Called with the event's context
+   * @returns {function(): void} Removes the handler again
+   * @throws {Error} If `type` is not a coordinator event
+   * @throws {TypeError} If `handler` is not a function
+   * 
+   * @description
+   * Handlers only observe, except for `drop`: calling `event.preventDefault()`
+   * vetoes the drop (it fails with the `vetoed` reason and the item stays in its
+   * source), and assigning `event.dragData` or `event.dropEffect` changes what
+   * is sent to the target.
+   * 
+   * @example
+   * // Persist every drop, and keep archived items out of the trash frame
+   * manager.on('drop', (event) => {
+   *   if (event.targetFrameId === 'trash' && event.dragData.archived) {
+   *     event.preventDefault();
+   *     return;
+   *   }
+   *   api.saveMove(event.dragData.id, event.targetFrameId);
+   * });
+   * 
+   * @example
+   * const off = manager.on('dropfailed', ({ reason }) => showToast(`Drop failed: ${reason}`));
+   * off();
+   */
+  on(type, handler) {
+    if (!Object.values(COORDINATOR_EVENTS).includes(type)) {
+      throw new Error(`Invalid event type "${type}"`);
+    }
+    if (typeof handler !== 'function') {
+      throw new TypeError(`Invalid handler for "${type}"`);
+    }
+    
+    if (!this.eventHandlers.has(type)) {
+      this.eventHandlers.set(type, new Set());
+    }
+    this.eventHandlers.get(type).add(handler);
+    return () => this.off(type, handler);
+  }
+
+  /**
+   * Remove a handler registered with {@link IframeCommunicationManager#on}.
+   * 
+   * @param {string} type - One of {@link COORDINATOR_EVENTS}
+   * @param {CoordinatorEventHandler} handler - The handler to remove
+   */
+  off(type, handler) {
+    this.eventHandlers.get(type)?.delete(handler);
+  }
+
+  /**
+   * Run the handlers of an event.
+   * 
+   * @param {string} type - One of {@link COORDINATOR_EVENTS}
+   * @param {Partial<CoordinatorEvent>} context - The event's fields
+   * @param {boolean} [cancelable=false] - Whether handlers may veto the event
+   * @returns {CoordinatorEvent} The event, as the handlers left it
+   * @private
+   */
+  emit(type, context, cancelable = false) {
+    const event = {
+      type,
+      sourceFrameId: null,
+      targetFrameId: null,
+      dragData: null,
+      payload: null,
+      dropEffect: null,
+      x: null,
+      y: null,
+      sessionId: null,
+      reason: null,
+      ...context,
+      cancelable,
+      defaultPrevented: false,
+      preventDefault() {
+        if (this.cancelable) this.defaultPrevented = true;
+      }
+    };
+    
+    for (const handler of this.eventHandlers.get(type) ?? []) {
+      try {
+        handler(event);
+      } catch (err) {
+        this.logger.error(`Handler for "${type}" failed:`, err);
+      }
+    }
+    return event;
+  }
+
+  /**
+   * Ask a frame to announce itself and mark it pending until it does.
+   * 
+   * @param {string} frameId - ID of the frame
+   * @private
+   */
+  requestHello(frameId) {
+    const state = this.frameStates.get(frameId);
+    if (!state) return;
+    
+    clearTimeout(state.timer);
+    state.status = FRAME_STATUSES.PENDING;
+    state.timer = this.handshakeTimeout === false
+      ? null
+      : setTimeout(() => this.handleHandshakeTimeout(frameId), this.handshakeTimeout);
+    this.deliver(frameId, createMessage('helloRequest'));
+  }
+
+  /**
+   * Handle a child announcing itself.
+   * 
+   * @param {Object} data - The hello message
+   * @param {string} data.frameId - Frame ID the child uses for itself
+   * @param {string[]} data.capabilities - What the child can do ({@link FRAME_CAPABILITIES})
+   * @param {number} data.version - Protocol version of the child
+   * @param {string} frameId - Registered ID of the frame
+   * @param {Window} source - The window that sent the message
+   * @private
+   * 
+   * @description
+   * Remembers the window for routing, answers `ready` with the registered ID
+   * and flushes the messages queued for the frame.
+   */
+  handleHello(data, frameId, source) {
+    if (!this.frameStates.has(frameId)) return;
+    
+    this.frameSources.set(source, frameId);
+    this.deliver(frameId, createMessage('ready', { frameId }));
+    this.markReady(frameId, {
+      announcedId: data.frameId,
+      capabilities: data.capabilities,
+      version: data.version
+    });
+  }
+
+  /**
+   * Treat a frame that did not answer the handshake as an older page.
+   * 
+   * @param {string} frameId - ID of the frame
+   * @private
+   */
+  handleHandshakeTimeout(frameId) {
+    if (this.frameStates.get(frameId)?.status !== FRAME_STATUSES.PENDING) return;
+    
+    this.logger.warn(`${frameId} did not complete the handshake - sending to it anyway`);
+    this.markReady(frameId, {});
+  }
+
+  /**
+   * Mark a frame ready and send it the messages queued so far.
+   * 
+   * @param {string} frameId - ID of the frame
+   * @param {Object} details - What the child announced
+   * @private
+   */
+  markReady(frameId, details) {
+    const state = this.frameStates.get(frameId);
+    clearTimeout(state.timer);
+    Object.assign(state, details, { status: FRAME_STATUSES.READY, timer: null });
+    
+    const queue = state.queue;
+    state.queue = [];
+    for (const message of queue) {
+      this.deliver(frameId, message);
+    }
+  }
+
+  /**
+   * Stop talking to a frame that speaks another protocol version.
+   * 
+   * @param {string} frameId - ID of the frame
+   * @param {number} [version] - The version the frame announced
+   * @private
+   */
+  markIncompatible(frameId, version) {
+    const state = this.frameStates.get(frameId);
+    if (!state) return;
+    
+    clearTimeout(state.timer);
+    Object.assign(state, {
+      status: FRAME_STATUSES.INCOMPATIBLE,
+      version: typeof version === 'number' ? version : null,
+      queue: [],
+      timer: null
+    });
+  }
+
+  /**
+   * Find the registered frame a message came from.
+   * 
+   * @param {MessageEventSource|null} source - `event.source` of the message
+   * @returns {string|null} ID of the frame, or null if it is not one of ours
+   * @private
+   * 
+   * @description
+   * Windows that completed the handshake are looked up directly; others are
+   * matched against the registered iframes' `contentWindow`.
+   */
+  getSourceFrameId(source) {
+    const frameId = this.frameSources.get(source);
+    if (frameId && this.getFrame(frameId)?.contentWindow === source) return frameId;
+    
+    for (const [id, iframe] of this.frames.entries()) {
+      if (source === iframe?.contentWindow) return id;
+    }
+    return null;
+  }
+
+  /**
+   * Announce this page to the parent coordinator (nested mode).
+   * 
+   * @private
+   */
+  announce() {
+    this.postToParent('hello', {
+      frameId: this.frameId,
+      capabilities: [FRAME_CAPABILITIES.SOURCE, FRAME_CAPABILITIES.TARGET]
+    });
+  }
+
+  /**
+   * Get frame element by ID.
+   * 
+   * @param {string} frameId - The frame identifier
+   * @returns {HTMLIFrameElement|null} The iframe element or null if not found
+   * 
+   * @example
+   * const frame = manager.getFrame('source-panel');
+   * if (frame) {
+   *   console.log('Frame found:', frame.src);
+   * }
+   */
+  getFrame(frameId) {
+    return this.frames.get(frameId) || null;
+  }
+
+  /**
+   * Get frame ID by element.
+   * 
+   * @param {HTMLIFrameElement} element - The iframe element
+   * @returns {string|null} The frame ID or null if not found
+   * 
+   * @example
+   * const frameId = manager.getFrameId(document.getElementById('my-frame'));
+   * console.log('Frame ID:', frameId);
+   */
+  getFrameId(element) {
+    for (const [id, iframe] of this.frames.entries()) {
+      if (iframe === element) return id;
+    }
+    return null;
+  }
+
+  /**
+   * Register a preview renderer for a payload type.
+   * 
+   * @param {string} type - MIME-style payload type
+   * @param {PreviewTemplate} template - Renders the preview from that representation
+   * 
+   * @example
+   * manager.registerPreviewTemplate('application/x-item+json', (item) => {
+   *   const card = document.createElement('div');
+   *   card.className = 'mini-card';
+   *   card.textContent = item.text;
+   *   return card;
+   * });
+   */
+  registerPreviewTemplate(type, template) {
+    this.previewTemplates.set(type, template);
+  }
+
+  /**
+   * Check if a pointer position is over a specific iframe.
+   * 
+   * @param {Element|null} elementUnder - The element returned by elementFromPoint
+   * @param {HTMLIFrameElement} frameElement - The iframe to check against
+   * @param {number} clientX - X coordinate of the pointer
+   * @param {number} clientY - Y coordinate of the pointer
+   * @returns {boolean} True if the pointer is over the iframe
+   * 
+   * @description
+   * Uses both elementFromPoint and coordinate bounds for reliable detection.
+   * This dual approach handles browser inconsistencies, particularly in Firefox.
+   * 
+   * @example
+   * const isOver = manager.isOverFrame(
+   *   document.elementFromPoint(100, 200),
+   *   frameElement,
+   *   100,
+   *   200
+   * );
+   */
+  isOverFrame(elementUnder, frameElement, clientX, clientY) {
+    if (!frameElement) return false;
+    
+    // Direct element match
+    if (elementUnder === frameElement) return true;
+    
+    // Coordinate-based fallback for Firefox and other browsers
+    // where elementFromPoint might not return the iframe element
+    const rect = frameElement.getBoundingClientRect();
+    return clientX >= rect.left && clientX <= rect.right && 
+           clientY >= rect.top && clientY <= rect.bottom;
+  }
+
+  /**
+   * Convert a point in a frame's viewport to this window's viewport.
+   * 
+   * @param {string} frameId - ID of the frame
+   * @param {number} x - X coordinate relative to the frame
+   * @param {number} y - Y coordinate relative to the frame
+   * @returns {{x: number, y: number}} The point in this window
+   * @private
+   */
+  frameToViewport(frameId, x, y) {
+    return toEmbedderPoint(this.getFrame(frameId), x, y, this.frameDevicePixelRatios.get(frameId));
+  }
+
+  /**
+   * Convert a point in this window's viewport to a frame's viewport.
+   * 
+   * @param {string} frameId - ID of the frame
+   * @param {number} x - X coordinate in this window
+   * @param {number} y - Y coordinate in this window
+   * @returns {{x: number, y: number}} The point relative to the frame
+   * @private
+   */
+  viewportToFrame(frameId, x, y) {
+    return toFramePoint(this.getFrame(frameId), x, y, this.frameDevicePixelRatios.get(frameId));
+  }
+
+  /**
+   * Get the frame at a point of this window.
+   * 
+   * @param {number} x - X coordinate in this window
+   * @param {number} y - Y coordinate in this window
+   * @returns {string|null} ID of the frame, or null if the point is over none
+   * @private
+   */
+  getFrameIdAt(x, y) {
+    const elementUnder = document.elementFromPoint(x, y);
+    for (const [frameId, frame] of this.frames.entries()) {
+      if (this.isOverFrame(elementUnder, frame, x, y)) return frameId;
+    }
+    return null;
+  }
+
+  /**
+   * Check whether the current drag may hover and drop on a frame.
+   * 
+   * @param {string} frameId - ID of the frame
+   * @returns {boolean} False for the frame the drag started in, unless the drag
+   *   comes from a nested frame inside it, which may drop on its siblings
+   * @private
+   */
+  canTarget(frameId) {
+    return frameId !== this.dragData?.sourceFrame || Boolean(this.dragData?.sourcePath?.length);
+  }
+
+  /**
+   * Check whether a frame handles drops of drags that started in it.
+   * 
+   * @param {string} frameId - ID of the frame
+   * @returns {boolean} True if it announced {@link FRAME_CAPABILITIES}.SELF_DROP,
+   *   or never announced its capabilities (pages written before the handshake)
+   * @private
+   */
+  handlesSelfDrop(frameId) {
+    return this.frameStates.get(frameId)?.capabilities?.includes(FRAME_CAPABILITIES.SELF_DROP) ?? true;
+  }
+
+  /**
+   * Handle messages from iframes.
+   * 
+   * @param {MessageEvent} event - The message event from postMessage
+   * @private
+   * 
+   * @description
+   * Processes messages from child iframes and routes them to appropriate handlers.
+   * Validates message origin and source before processing, then validates the
+   * message against the shared protocol (see {@link module:message-protocol}).
+   * Messages with a different protocol version, an unknown type or an invalid
+   * payload are rejected and reported as a `ProtocolError`.
+   * 
+   * Supported message types:
+   * - hello: Child announces itself (see {@link IframeCommunicationManager#handleHello})
+   * - dragStart: Initiate a drag operation
+   * - dragEnd: Complete a drag operation
+   * - dragMove: Update drag position
+   * - dragCancel: Source frame aborted the drag
+   * - dropStatus: Hovered frame reports whether it accepts the item
+   * - dropSuccess: Target prepared the dropped item (acknowledgement)
+   * - dropFailed: Target refused the dropped item
+   * - rowCopied: Row was copied (table demo)
+   * - itemCopied: Item was copied to clipboard
+   * - requestPaste: Request to paste clipboard data
+   * - pasteSuccess: Paste operation succeeded
+   * 
+   * In nested mode, drag messages from the frames are relayed to the parent
+   * coordinator and messages from the parent are handled by
+   * {@link IframeCommunicationManager#handleParentMessage}. Clipboard messages
+   * stay local to each level.
+   */
+  handleMessage(event) {
+    if (this.nested && event.source === window.parent) {
+      if (event.origin !== this.parentOrigin) return;
+      
+      this.history?.record('in', event.data, 'parent');
+      this.logger.debug(`Received ${event.data?.type} from parent`);
+      try {
+        validateMessage(event.data);
+      } catch (err) {
+        if (!(err instanceof ProtocolError)) throw err;
+        this.logger.warn('Rejected message from parent:', err.toJSON());
+        return;
+      }
+      this.handleParentMessage(event.data);
+      return;
+    }
+    
+    // Find which frame sent this message
+    const sourceFrameId = this.getSourceFrameId(event.source);
+    
+    if (!sourceFrameId || event.origin !== this.frameOrigins.get(sourceFrameId)) {
+      // Ignore messages from unknown sources or from an origin the frame is not allowed
+      return;
+    }
+    
+    this.history?.record('in', event.data, sourceFrameId);
+    this.logger.debug(`Received ${event.data?.type} from ${sourceFrameId}`);
+
+    // Reject anything that does not follow the shared protocol
+    try {
+      validateMessage(event.data);
+    } catch (err) {
+      if (!(err instanceof ProtocolError)) throw err;
+      if (err.code === PROTOCOL_ERROR_CODES.VERSION_MISMATCH && event.data.type === 'hello') {
+        this.markIncompatible(sourceFrameId, event.data.version);
+      }
+      this.logger.warn(`Rejected message from ${sourceFrameId}:`, err.toJSON());
+      return;
+    }
+
+    if (event.data.type === 'hello') {
+      this.handleHello(event.data, sourceFrameId, event.source);
+      return;
+    }
+
+    if (typeof event.data.devicePixelRatio === 'number') {
+      this.frameDevicePixelRatios.set(sourceFrameId, event.data.devicePixelRatio);
+    }
+
+    if (this.nested && RELAYED_TYPES.includes(event.data.type)) {
+      this.relayToParent(event.data, sourceFrameId);
+      return;
+    }
+
+    switch (event.data.type) {
+      case 'dragStart':
+        this.startDrag(event.data, sourceFrameId);
+        break;
+      case 'dragEnd':
+        this.handleIframeDragEnd(event.data, sourceFrameId);
+        break;
+      case 'dragMove':
+        this.handleIframeDragMove(event.data, sourceFrameId);
+        break;
+      case 'dragCancel':
+        if (sourceFrameId === this.dragData?.sourceFrame) {
+          this.cancelDrag(event.data.reason ?? DRAG_CANCEL_REASONS.ESCAPE);
+        }
+        break;
+      case 'dropStatus':
+        this.handleDropStatus(event.data, sourceFrameId);
+        break;
+      case 'dropSuccess':
+        this.handleDropSuccess(event.data, sourceFrameId);
+        break;
+      case 'dropFailed':
+        this.handleDropFailed(event.data, sourceFrameId);
+        break;
+      case 'rowCopied':
+        this.handleRowCopied(event.data, sourceFrameId);
+        break;
+      case 'itemCopied':
+        this.clipboardData = event.data.itemData;
+        this.emit(COORDINATOR_EVENTS.COPY, { sourceFrameId, payload: event.data.itemData });
+        break;
+      case 'requestPaste':
+        this.handlePasteRequest(event.data.target);
+        break;
+      case 'pasteSuccess':
+        this.handlePasteSuccess(event.data, sourceFrameId);
+        break;
+      case 'requestUndo':
+        this.undo();
+        break;
+      case 'requestRedo':
+        this.redo();
+        break;
+    }
+  }
+
+  /**
+   * Start a drag operation.
+   * 
+   * @param {DragData} data - Data about the drag operation
+   * @param {number} [data.clientX] - X coordinate where the drag started, relative to the iframe
+   * @param {number} [data.clientY] - Y coordinate where the drag started, relative to the iframe
+   * @param {number} [data.grabX] - Horizontal grab position as a fraction of the item's width
+   * @param {number} [data.grabY] - Vertical grab position as a fraction of the item's height
+   * @param {string} sourceFrameId - ID of the frame that sent the dragStart message
+   * @private
+   * 
+   * @description
+   * Creates a visual drag preview element and sets the drag state.
+   * The preview starts at the drag origin and follows the cursor during the
+   * drag operation. Drags from
+   * senders without a typed payload get one built from their legacy fields,
+   * and senders without a valid `effectAllowed` are treated as `move` only.
+   */
+  startDrag(data, sourceFrameId) {
+    const { clientX, clientY, ...dragFields } = data;
+    const payload = resolvePayload(data);
+    const effectAllowed = isValidEffectAllowed(data.effectAllowed) ? data.effectAllowed : DEFAULT_EFFECT_ALLOWED;
+    this.isDragging = true;
+    this.dragData = {
+      ...dragFields,
+      payload,
+      text: data.text || getPayloadLabel(payload),
+      effectAllowed,
+      sourceFrame: sourceFrameId,
+      sessionId: data.sessionId ?? createSessionId()
+    };
+    if (Array.isArray(data.items)) {
+      this.dragData.items = data.items.map(item => {
+        const itemPayload = resolvePayload(item);
+        return { ...item, payload: itemPayload, text: item.text || getPayloadLabel(itemPayload) };
+      });
+    }
+    this.dropEffect = resolveDropEffect(effectAllowed);
+
+    // Create drag preview
+    this.dragPreview = this.createPreview(this.dragData);
+    document.body.appendChild(this.dragPreview);
+    this.updatePreviewFeedback();
+    
+    if (this.getFrame(sourceFrameId) && clientX !== undefined && clientY !== undefined) {
+      this.dragOrigin = this.frameToViewport(sourceFrameId, clientX, clientY);
+      this.dragPreview.style.left = this.dragOrigin.x + 'px';
+      this.dragPreview.style.top = this.dragOrigin.y + 'px';
+    }
+    
+    this.emit(COORDINATOR_EVENTS.DRAG_START, {
+      sourceFrameId,
+      dragData: this.dragData,
+      payload,
+      dropEffect: this.dropEffect,
+      x: this.dragOrigin?.x ?? null,
+      y: this.dragOrigin?.y ?? null,
+      sessionId: this.dragData.sessionId
+    });
+  }
+
+  /**
+   * Create the drag preview element.
+   * 
+   * @param {DragData} dragData - The dragged item
+   * @returns {HTMLDivElement} The preview, not yet attached to the document
+   * @private
+   * 
+   * @description
+   * The preview is always a `div.drag-preview` so the allowed/forbidden feedback
+   * keeps working. Custom content from a renderer is placed inside it and marks
+   * the preview with the `custom` class; string content is used as text.
+   * A group drag adds the `group` class and the item count in `data-count`.
+   */
+  createPreview(dragData) {
+    const preview = document.createElement('div');
+    preview.className = 'drag-preview';
+    
+    const content = this.renderPreviewContent(dragData);
+    if (content instanceof Node) {
+      preview.classList.add('custom');
+      preview.appendChild(content);
+    } else {
+      preview.textContent = content;
+    }
+    
+    if (dragData.items?.length > 1) {
+      preview.classList.add('group');
+      preview.dataset.count = String(dragData.items.length);
+    }
+    
+    if (this.previewOffset === 'grab' && Number.isFinite(dragData.grabX) && Number.isFinite(dragData.grabY)) {
+      preview.style.transform = `translate(${-dragData.grabX * 100}%, ${-dragData.grabY * 100}%)`;
+    } else if (typeof this.previewOffset === 'object') {
+      preview.style.transform = `translate(${-this.previewOffset.x}px, ${-this.previewOffset.y}px)`;
+    }
+    
+    return preview;
+  }
+
+  /**
+   * Render the preview content for a drag.
+   * 
+   * @param {DragData} dragData - The dragged item
+   * @returns {Node|string} The content
+   * @private
+   * 
+   * @description
+   * Tries `renderPreview`, then the template of the first payload type that has
+   * one, then falls back to the drag's text label. A renderer that throws is
+   * skipped so a broken template never breaks the drag.
+   */
+  renderPreviewContent(dragData) {
+    const renderers = [];
+    if (this.renderPreview) {
+      renderers.push(() => this.renderPreview(dragData));
+    }
+    for (const type of getPayloadTypes(dragData.payload)) {
+      const template = this.previewTemplates.get(type);
+      if (template) {
+        renderers.push(() => template(getPayloadData(dragData.payload, type), dragData));
+      }
+    }
+    
+    for (const render of renderers) {
+      try {
+        const content = render();
+        if (content !== null && content !== undefined) return content;
+      } catch (err) {
+        this.logger.error('Preview renderer failed:', err);
+      }
+    }
+    return dragData.text;
+  }
+
+  /**
+   * Detach the drag preview and animate it out.
+   * 
+   * @param {PreviewAnimation|false} animation - The animation to run
+   * @private
+   * 
+   * @description
+   * Must be called before {@link IframeCommunicationManager#endDrag}, which
+   * would otherwise remove the preview immediately.
+   */
+  finishPreview(animation) {
+    const preview = this.dragPreview;
+    if (!preview) return;
+    
+    this.dragPreview = null;
+    preview.style.display = '';
+    
+    let result;
+    if (animation) {
+      try {
+        result = animation(preview, { dragData: this.dragData, origin: this.dragOrigin });
+      } catch (err) {
+        this.logger.error('Preview animation failed:', err);
+      }
+    }
+    
+    Promise.resolve(result?.finished ?? result)
+      .catch(() => {})
+      .finally(() => preview.remove());
+  }
+
   /**
-   * Handle messages from iframes.
+   * Update the drop effect from the modifier keys of a pointer event.
    * 
-   * @param {MessageEvent} event - The message event from postMessage
+   * @param {Object} modifiers - Modifier key state (`ctrlKey`, `metaKey`, `altKey`)
+   * @private
+   */
+  updateDropEffect(modifiers) {
+    const effect = resolveDropEffect(this.dragData.effectAllowed, modifiers);
+    if (effect !== this.dropEffect) {
+      this.dropEffect = effect;
+      this.updatePreviewFeedback();
+    }
+  }
+
+  /**
+   * Handle drag move events from iframes.
+   * 
+   * @param {Object} data - Drag move data from the iframe
+   * @param {number} data.clientX - X coordinate relative to iframe
+   * @param {number} data.clientY - Y coordinate relative to iframe
+   * @param {boolean} [data.ctrlKey] - Ctrl is pressed (copy)
+   * @param {boolean} [data.metaKey] - Cmd is pressed (copy)
+   * @param {boolean} [data.altKey] - Alt is pressed (link)
+   * @param {string} sourceFrameId - ID of the frame that sent the message
    * @private
    * 
    * @description
-   * Processes messages from child iframes and routes them to appropriate handlers.
-   * Validates message origin and source before processing.
+   * Converts iframe-relative coordinates to parent coordinates and updates
+   * the drag preview position and drop effect. Also determines which frame
+   * is being hovered and notifies it.
+   */
+  handleIframeDragMove(data, sourceFrameId) {
+    if (!this.isDragging || !this.dragPreview) return;
+
+    // The iframe sends us coordinates relative to its own viewport
+    // We need to convert them to parent coordinates
+    if (!this.getFrame(sourceFrameId)) return;
+    
+    const { x: parentX, y: parentY } = this.frameToViewport(sourceFrameId, data.clientX, data.clientY);
+    
+    // Senders that do not report where the drag started snap back to the first move
+    if (!this.dragOrigin) {
+      this.dragOrigin = { x: parentX, y: parentY };
+    }
+
+    // Update drag preview position
+    this.dragPreview.style.left = parentX + 'px';
+    this.dragPreview.style.top = parentY + 'px';
+    this.updateDropEffect(data);
+
+    this.pointer = { x: parentX, y: parentY };
+    this.autoScroller?.update(parentX, parentY);
+    this.refreshHover();
+  }
+
+  /**
+   * Handle drag end events from iframes.
    * 
-   * Supported message types:
-   * - dragStart: Initiate a drag operation
-   * - dragEnd: Complete a drag operation
-   * - dragMove: Update drag position
-   * - dropSuccess: Item was successfully dropped
-   * - dropFailed: Drop operation failed
-   * - rowCopied: Row was copied (table demo)
-   * - itemCopied: Item was copied to clipboard
-   * - requestPaste: Request to paste clipboard data
-   * - pasteSuccess: Paste operation succeeded
+   * @param {Object} data - Drag end data from the iframe
+   * @param {number} data.clientX - X coordinate relative to iframe where drag ended
+   * @param {number} data.clientY - Y coordinate relative to iframe where drag ended
+   * @param {string} sourceFrameId - ID of the frame that sent the message
+   * @private
+   * 
+   * @description
+   * Determines the drop target and sends it a parentDrop message carrying the
+   * drop effect. The source is not touched here: it only loses the item when
+   * the target confirms a move (see {@link IframeCommunicationManager#handleDropSuccess}).
+   * A release over the source frame itself is only sent to frames that handle
+   * such drops (see {@link IframeCommunicationManager#handlesSelfDrop}); for
+   * the others it ends the drag like a release outside any frame.
    */
-  handleMessage(event) {
-    // Validate that the message is from one of our iframes
-    const isSameOrigin = event.origin === window.location.origin;
+  handleIframeDragEnd(data, sourceFrameId) {
+    if (!this.isDragging || !this.dragPreview) return;
+
+    // The iframe sends us where the pointer was released
+    // Convert to parent coordinates
+    if (!this.getFrame(sourceFrameId)) return;
     
-    // Find which frame sent this message
-    let sourceFrameId = null;
-    for (const [id, iframe] of this.frames.entries()) {
-      if (event.source === iframe?.contentWindow) {
-        sourceFrameId = id;
-        break;
+    const { x: parentX, y: parentY } = this.frameToViewport(sourceFrameId, data.clientX, data.clientY);
+    this.updateDropEffect(data);
+
+    // Hide preview to check element under pointer
+    this.dragPreview.style.display = 'none';
+    const elementUnder = document.elementFromPoint(parentX, parentY);
+    this.dragPreview.style.display = '';
+
+    // Check which frame we're over and handle drop
+    let dropped = false;
+    for (const [targetFrameId, targetFrame] of this.frames.entries()) {
+      if (this.isOverFrame(elementUnder, targetFrame, parentX, parentY)) {
+        if (this.canTarget(targetFrameId) || this.handlesSelfDrop(targetFrameId)) {
+          dropped = this.sendDrop(targetFrameId, parentX, parentY);
+        }
+        break; // Only drop on one frame
       }
     }
+
+    this.finishPreview(dropped ? this.dropAnimation : this.cancelAnimation);
+    this.endDrag();
+  }
+
+  /**
+   * Send the current drag to a target frame as a parentDrop message.
+   * 
+   * @param {string} targetFrameId - ID of the target frame
+   * @param {number} clientX - X coordinate of the drop in the parent
+   * @param {number} clientY - Y coordinate of the drop in the parent
+   * @returns {boolean} True if the drop was sent
+   * @private
+   * 
+   * @description
+   * This is the prepare phase of the drop transaction: the target inserts the
+   * item as pending and acknowledges with `dropSuccess`. Drops with the `none`
+   * effect, or on a frame that refused the item, are not sent and count as failed.
+   * 
+   * The `drop` event runs first: a vetoed drop is not sent either, and the
+   * drag data and drop effect the handlers leave on the event are what the
+   * target receives.
+   */
+  sendDrop(targetFrameId, clientX, clientY) {
+    const refusal = this.getDropRefusal(targetFrameId);
+    if (refusal) {
+      this.handleDropFailed({ dragData: this.dragData, reason: refusal }, targetFrameId);
+      return false;
+    }
     
-    if (!sourceFrameId || !isSameOrigin) {
-      // Ignore messages from unknown sources or different origins
-      return;
+    const { sessionId } = this.dragData;
+    const event = this.emit(COORDINATOR_EVENTS.DROP, {
+      sourceFrameId: this.dragData.sourceFrame,
+      targetFrameId,
+      dragData: this.dragData,
+      payload: this.dragData.payload,
+      dropEffect: this.dropEffect,
+      x: clientX,
+      y: clientY,
+      sessionId
+    }, true);
+    
+    if (event.defaultPrevented) {
+      this.handleDropFailed({ dragData: this.dragData, reason: DROP_REJECT_REASONS.VETOED, sessionId }, targetFrameId);
+      return false;
+    }
+    
+    const dragData = { ...this.dragData, ...event.dragData, sessionId };
+    const dropEffect = Object.values(DROP_EFFECTS).includes(event.dropEffect) ? event.dropEffect : this.dropEffect;
+    if (dropEffect === DROP_EFFECTS.NONE) {
+      this.handleDropFailed({ dragData, reason: DROP_REJECT_REASONS.EFFECT_NOT_ALLOWED, sessionId }, targetFrameId);
+      return false;
     }
+    
+    const point = this.viewportToFrame(targetFrameId, clientX, clientY);
 
-    switch (event.data.type) {
-      case 'dragStart':
-        this.startDrag(event.data);
-        break;
-      case 'dragEnd':
-        this.handleIframeDragEnd(event.data);
-        break;
-      case 'dragMove':
-        this.handleIframeDragMove(event.data);
-        break;
-      case 'dropSuccess':
-        this.handleDropSuccess(event.data.dragData, sourceFrameId);
-        break;
-      case 'dropFailed':
-        this.handleDropFailed(event.data.dragData);
-        break;
-      case 'rowCopied':
-        this.handleRowCopied(event.data);
-        break;
-      case 'itemCopied':
-        this.clipboardData = event.data.itemData;
-        break;
-      case 'requestPaste':
-        this.handlePasteRequest(event.data.target);
-        break;
-      case 'pasteSuccess':
-        if (this.clipboardData && this.clipboardData.source) {
-          const sourceFrame = this.getFrame(this.clipboardData.source);
-          if (sourceFrame) {
-            sourceFrame.contentWindow.postMessage({
-              type: 'removeItem',
-              id: this.clipboardData.id
-            }, window.location.origin);
-            this.clipboardData = null;
-          }
-        }
+    const sent = this.postToFrame(targetFrameId, 'parentDrop', {
+      x: point.x,
+      y: point.y,
+      dragData,
+      dropEffect,
+      sessionId
+    });
+    if (!sent) return false;
+    
+    this.transactions.set(sessionId, {
+      sessionId,
+      sourceFrameId: this.dragData.sourceFrame,
+      targetFrameId,
+      dragData,
+      dropEffect,
+      timer: setTimeout(() => this.handleDropTimeout(sessionId), this.dropTimeout)
+    });
+    return true;
+  }
+
+  /**
+   * Handle pointer move events in the parent window.
+   * 
+   * @param {PointerEvent} e - The pointer event
+   * @private
+   * 
+   * @description
+   * Updates the drag preview position and drop effect, and determines which
+   * frame is being hovered over during a drag operation.
+   */
+  handlePointerMove(e) {
+    if (!this.isDragging || !this.dragPreview) return;
+
+    // Update drag preview position
+    this.dragPreview.style.left = e.clientX + 'px';
+    this.dragPreview.style.top = e.clientY + 'px';
+    this.updateDropEffect(e);
+
+    this.pointer = { x: e.clientX, y: e.clientY };
+    this.autoScroller?.update(e.clientX, e.clientY);
+    this.refreshHover();
+  }
+
+  /**
+   * Update the hovered frame for the last pointer position.
+   * 
+   * @private
+   * 
+   * @description
+   * Also runs after every autoscroll step: the pointer stays put in the parent
+   * viewport while frames move under it, so the coordinates sent to the frames
+   * are recomputed from fresh frame rects.
+   */
+  refreshHover() {
+    if (!this.isDragging || !this.dragPreview || !this.pointer) return;
+    
+    const { x, y } = this.pointer;
+    
+    // Temporarily hide the preview to use elementFromPoint
+    this.dragPreview.style.display = 'none';
+    const elementUnder = document.elementFromPoint(x, y);
+    this.dragPreview.style.display = '';
+
+    this.updateFrameHover(elementUnder, x, y);
+  }
+
+  /**
+   * Update frame hover states during a drag operation.
+   * 
+   * @param {Element|null} elementUnder - Element under the pointer
+   * @param {number} clientX - X coordinate of pointer
+   * @param {number} clientY - Y coordinate of pointer
+   * @private
+   * 
+   * @description
+   * Sends parentDragMove messages (with the current drop effect) to the hovered
+   * frame and parentDragLeave messages to all other frames. This provides visual
+   * feedback during drag. The hovered frame answers with a `dropStatus` message;
+   * moving to another frame discards the previous frame's answer.
+   */
+  updateFrameHover(elementUnder, clientX, clientY) {
+    // Find which frame we're over
+    let hoveredFrameId = null;
+    let hoveredFrame = null;
+    
+    for (const [frameId, frame] of this.frames.entries()) {
+      if (this.isOverFrame(elementUnder, frame, clientX, clientY)) {
+        hoveredFrameId = frameId;
+        hoveredFrame = frame;
         break;
+      }
+    }
+
+    const canTarget = hoveredFrame && this.canTarget(hoveredFrameId);
+
+    const targetFrameId = canTarget ? hoveredFrameId : null;
+    if (targetFrameId !== this.hoveredFrameId) {
+      this.hoveredFrameId = targetFrameId;
+      this.dropStatus = null;
+      this.updatePreviewFeedback();
+    }
+    
+    this.emit(COORDINATOR_EVENTS.DRAG_OVER, {
+      sourceFrameId: this.dragData.sourceFrame,
+      targetFrameId,
+      dragData: this.dragData,
+      payload: this.dragData.payload,
+      dropEffect: this.dropEffect,
+      x: clientX,
+      y: clientY,
+      sessionId: this.dragData.sessionId
+    });
+
+    // Send drag move to hovered frame if it's not the source
+    if (canTarget) {
+      const { x: relativeX, y: relativeY } = this.viewportToFrame(hoveredFrameId, clientX, clientY);
+
+      this.postToFrame(hoveredFrameId, 'parentDragMove', {
+        x: relativeX,
+        y: relativeY,
+        dragData: this.dragData,
+        dropEffect: this.dropEffect
+      });
+    }
+
+    // Send drag leave to all other frames
+    for (const frameId of this.frames.keys()) {
+      if (frameId !== targetFrameId) {
+        this.postToFrame(frameId, 'parentDragLeave');
+      }
+    }
+  }
+
+  /**
+   * Handle pointer up events in the parent window.
+   * 
+   * @param {PointerEvent} e - The pointer event
+   * @private
+   * 
+   * @description
+   * Completes a drag operation initiated in the parent window.
+   * Determines the drop target and sends appropriate drop messages.
+   */
+  handlePointerUp(e) {
+    if (!this.isDragging) return;
+
+    // Hide preview to check element under pointer
+    if (this.dragPreview) {
+      this.dragPreview.style.display = 'none';
+    }
+    
+    const elementUnder = document.elementFromPoint(e.clientX, e.clientY);
+    this.updateDropEffect(e);
+
+    // Check which frame we're over and handle drop
+    let dropped = false;
+    for (const [targetFrameId, targetFrame] of this.frames.entries()) {
+      const isOverFrame = this.isOverFrame(elementUnder, targetFrame, e.clientX, e.clientY);
+      
+      if (isOverFrame && this.canTarget(targetFrameId)) {
+        dropped = this.sendDrop(targetFrameId, e.clientX, e.clientY);
+        break; // Only drop on one frame
+      }
+    }
+
+    this.finishPreview(dropped ? this.dropAnimation : this.cancelAnimation);
+    this.endDrag();
+  }
+
+  /**
+   * End the current drag operation and clean up.
+   * 
+   * @private
+   * 
+   * @description
+   * Removes the drag preview, resets state, and sends dragLeave messages
+   * to all frames to clear hover states.
+   */
+  endDrag() {
+    this.autoScroller?.stop();
+    this.isDragging = false;
+    this.dragData = null;
+    this.dragOrigin = null;
+    this.pointer = null;
+    this.hoveredFrameId = null;
+    this.dropStatus = null;
+    this.dropEffect = DROP_EFFECTS.NONE;
+
+    if (this.dragPreview) {
+      this.dragPreview.remove();
+      this.dragPreview = null;
+    }
+
+    // Send drag leave to all frames to clear any hover states
+    for (const frameId of this.frames.keys()) {
+      this.postToFrame(frameId, 'parentDragLeave');
+    }
+  }
+  
+  /**
+   * Cancel the current drag operation.
+   * 
+   * @param {string} reason - One of `DRAG_CANCEL_REASONS`
+   * 
+   * @description
+   * Nothing is dropped. The preview runs the cancel animation, by default snapping
+   * back to where the drag started (it is removed right away when the source
+   * frame unloaded), hover states are cleared
+   * and every frame gets a `parentDragCancel` message so the source can restore
+   * the dragged item. Does nothing when no drag is in progress.
+   * 
+   * @example
+   * // Abort a drag from application code, e.g. when a modal opens
+   * manager.cancelDrag('escape');
+   */
+  cancelDrag(reason) {
+    if (!this.isDragging) return;
+    
+    const { dragData, dropEffect, pointer } = this;
+    const { sessionId } = dragData;
+    
+    this.finishPreview(reason === DRAG_CANCEL_REASONS.UNLOAD ? false : this.cancelAnimation);
+    this.endDrag();
+    
+    for (const frameId of this.frames.keys()) {
+      this.postToFrame(frameId, 'parentDragCancel', { sessionId, reason });
+    }
+    
+    this.logger.info(`Drag cancelled (${reason})`);
+    this.emit(COORDINATOR_EVENTS.CANCEL, {
+      sourceFrameId: dragData.sourceFrame,
+      dragData,
+      payload: dragData.payload,
+      dropEffect,
+      x: pointer?.x ?? null,
+      y: pointer?.y ?? null,
+      sessionId,
+      reason
+    });
+  }
+
+  /**
+   * Handle an iframe finishing a (re)load.
+   * 
+   * @param {string} frameId - ID of the loaded frame
+   * @private
+   * 
+   * @description
+   * A frame that loads during a drag has navigated away from the document the
+   * drag belongs to. If it was the source, the drag is cancelled; if it was the
+   * hovered target, its drop status is discarded. In nested mode, the parent
+   * coordinator is told to cancel a drag relayed from the frame.
+   * 
+   * Every load restarts the handshake: the new document has to say `hello`
+   * before messages are sent to it again. Undo history involving the frame is
+   * forgotten, since the new document has its own items.
+   */
+  handleFrameLoad(frameId) {
+    this.requestHello(frameId);
+    this.forgetHistory(frameId);
+    
+    if (this.nested && this.relayDrag?.sourceFrameId === frameId) {
+      this.relayDrag = null;
+      this.postToParent('dragCancel', { source: frameId, reason: DRAG_CANCEL_REASONS.UNLOAD });
+      return;
+    }
+    if (!this.isDragging) return;
+    
+    if (frameId === this.dragData.sourceFrame) {
+      this.cancelDrag(DRAG_CANCEL_REASONS.UNLOAD);
+    } else if (frameId === this.hoveredFrameId) {
+      this.hoveredFrameId = null;
+      this.dropStatus = null;
+      this.updatePreviewFeedback();
     }
   }
 
   /**
-   * Start a drag operation.
+   * Handle drop status reports from the hovered frame.
    * 
-   * @param {DragData} data - Data about the drag operation
+   * @param {Object} status - The reported status
+   * @param {boolean} status.accepted - Whether the frame accepts the dragged item
+   * @param {string} [status.reason] - Why the item is refused
+   * @param {string} [status.sessionId] - Drag session the report is about
+   * @param {string} frameId - ID of the reporting frame
    * @private
    * 
    * @description
-   * Creates a visual drag preview element and sets the drag state.
-   * The preview follows the cursor during the drag operation.
+   * Reports from frames other than the hovered one, or about another drag
+   * session, are stale and ignored.
    */
-  startDrag(data) {
-    this.isDragging = true;
-    this.dragData = data;
-
-    // Create drag preview
-    this.dragPreview = document.createElement('div');
-    this.dragPreview.className = 'drag-preview';
-    this.dragPreview.textContent = data.text;
-    document.body.appendChild(this.dragPreview);
+  handleDropStatus(status, frameId) {
+    if (!this.isDragging || frameId !== this.hoveredFrameId) return;
+    if (status.sessionId && status.sessionId !== this.dragData.sessionId) return;
+    
+    this.dropStatus = { frameId, accepted: status.accepted, reason: status.reason };
+    this.updatePreviewFeedback();
   }
 
   /**
-   * Handle drag move events from iframes.
+   * Reflect the current drop status on the drag preview.
    * 
-   * @param {Object} data - Drag move data from the iframe
-   * @param {string} data.source - Source frame ID
-   * @param {number} data.clientX - X coordinate relative to iframe
-   * @param {number} data.clientY - Y coordinate relative to iframe
    * @private
    * 
    * @description
-   * Converts iframe-relative coordinates to parent coordinates and updates
-   * the drag preview position. Also determines which frame is being hovered
-   * and notifies it.
+   * Adds `drop-allowed` or `drop-forbidden` to the preview, or neither while the
+   * hovered frame has not answered yet. The current drop effect is exposed as
+   * `data-effect`; the `none` effect always shows as forbidden.
    */
-  handleIframeDragMove(data) {
-    if (!this.isDragging || !this.dragPreview) return;
-
-    // The iframe sends us coordinates relative to its own viewport
-    // We need to convert them to parent coordinates
-    // Normalize the source ID (e.g., 'frame-a-table' -> 'frame-a')
-    const normalizedSourceId =
-      typeof data.source === 'string'
-        ? data.source.replace(/-table$/, '')
-        : data.source;
-    const sourceFrame = this.getFrame(normalizedSourceId);
-    if (!sourceFrame) return;
-    
-    const frameRect = sourceFrame.getBoundingClientRect();
+  updatePreviewFeedback() {
+    if (!this.dragPreview) return;
     
-    const parentX = frameRect.left + data.clientX;
-    const parentY = frameRect.top + data.clientY;
-
-    // Update drag preview position
-    this.dragPreview.style.left = parentX + 'px';
-    this.dragPreview.style.top = parentY + 'px';
-
-    // Check which frame we're over
-    this.dragPreview.style.display = 'none';
-    const elementUnder = document.elementFromPoint(parentX, parentY);
-    this.dragPreview.style.display = '';
+    const status = this.dropStatus;
+    const effectAllowed = this.dropEffect !== DROP_EFFECTS.NONE;
+    this.dragPreview.dataset.effect = this.dropEffect;
+    this.dragPreview.classList.toggle('drop-allowed', effectAllowed && status?.accepted === true);
+    this.dragPreview.classList.toggle('drop-forbidden', !effectAllowed || status?.accepted === false);
+    if (status?.reason) {
+      this.dragPreview.dataset.reason = status.reason;
+    } else {
+      delete this.dragPreview.dataset.reason;
+    }
+  }
 
-    this.updateFrameHover(elementUnder, parentX, parentY);
+  /**
+   * Check whether a drop on a frame may be sent.
+   * 
+   * @param {string} frameId - ID of the target frame
+   * @returns {string|null} The reason the drop is refused, or null if it may be sent
+   * 
+   * @description
+   * A drop is refused when the current effect is `none` or when the frame has
+   * refused the item. Frames that have not answered yet (or never answer, like
+   * older pages) are allowed; they still check the drop themselves when
+   * `parentDrop` arrives.
+   */
+  getDropRefusal(frameId) {
+    if (this.dropEffect === DROP_EFFECTS.NONE) {
+      return DROP_REJECT_REASONS.EFFECT_NOT_ALLOWED;
+    }
+    if (this.dropStatus && this.dropStatus.frameId === frameId && !this.dropStatus.accepted) {
+      return this.dropStatus.reason ?? DROP_REJECT_REASONS.REJECTED;
+    }
+    return null;
   }
 
   /**
-   * Handle drag end events from iframes.
+   * Handle drop acknowledgements from targets.
    * 
-   * @param {Object} data - Drag end data from the iframe
-   * @param {string} data.source - Source frame ID
-   * @param {number} data.clientX - X coordinate relative to iframe where drag ended
-   * @param {number} data.clientY - Y coordinate relative to iframe where drag ended
+   * @param {Object} data - The dropSuccess message
+   * @param {string} [data.sessionId] - Drag session being acknowledged
+   * @param {string} [data.dropEffect] - The effect the target applied
+   * @param {string[]} [data.ids] - IDs of the items the target prepared
+   * @param {string} targetFrameId - ID of the acknowledging frame
    * @private
    * 
    * @description
-   * Determines the drop target and sends the appropriate messages to complete
-   * the drag and drop operation. Handles both move and copy semantics.
-   * Table frames (ending with '-table' suffix) use copy semantics by default.
+   * Acknowledgements that match no open transaction (duplicates, acks that
+   * arrive after the timeout, or acks from another frame) are ignored.
+   * A valid acknowledgement commits the transaction.
    */
-  handleIframeDragEnd(data) {
-    if (!this.isDragging || !this.dragPreview) return;
+  handleDropSuccess(data, targetFrameId) {
+    const transaction = this.transactions.get(data.sessionId);
+    if (!transaction || transaction.targetFrameId !== targetFrameId) {
+      this.logger.warn(`Ignoring late or duplicate drop acknowledgement from ${targetFrameId}`);
+      return;
+    }
+    
+    clearTimeout(transaction.timer);
+    this.transactions.delete(transaction.sessionId);
+    this.commitDrop(transaction, data);
+  }
 
-    // The iframe sends us where the pointer was released
-    // Convert to parent coordinates
-    // Normalize the source ID (e.g., 'frame-a-table' -> 'frame-a')
-    const normalizedSourceId =
-      typeof data.source === 'string'
-        ? data.source.replace(/-table$/, '')
-        : data.source;
-    const sourceFrame = this.getFrame(normalizedSourceId);
-    if (!sourceFrame) return;
+  /**
+   * Commit an acknowledged drop.
+   * 
+   * @param {DropTransaction} transaction - The acknowledged transaction
+   * @param {Object|null} [ack] - The target's `dropSuccess`
+   * @param {string} [ack.dropEffect] - The effect the target applied
+   * @param {string[]} [ack.ids] - IDs of the items the target prepared; defaults to
+   *   every dragged item
+   * @param {string[]} [ack.targetIds] - IDs the items got in the target
+   * @private
+   * 
+   * @description
+   * Tells the target to finalize the pending items. The items are removed from
+   * the source frame only if both the coordinator and the target agree on a
+   * `move` and the drop was cross-frame. Copies, links and moves within one
+   * frame leave the source alone. Only IDs that belong to the drag are removed.
+   * The drop is added to the undo history when the target reported `targetIds`.
+   */
+  commitDrop(transaction, ack) {
+    const { sessionId, sourceFrameId, targetFrameId, dragData } = transaction;
+    const { dropEffect, ids, targetIds } = ack ?? {};
     
-    const frameRect = sourceFrame.getBoundingClientRect();
+    this.postToFrame(targetFrameId, 'commitDrop', { sessionId });
     
-    const parentX = frameRect.left + data.clientX;
-    const parentY = frameRect.top + data.clientY;
-
-    // Hide preview to check element under pointer
-    this.dragPreview.style.display = 'none';
-    const elementUnder = document.elementFromPoint(parentX, parentY);
-    this.dragPreview.style.display = '';
-
-    // Check which frame we're over and handle drop
-    // Normalize the source frame ID (e.g., 'frame-a-table' -> 'frame-a') before comparison
-    const normalizedDragSource =
-      this.dragData && typeof this.dragData.source === 'string'
-        ? this.dragData.source.replace(/-table$/, '')
-        : this.dragData && this.dragData.source;
+    const isMove = dropEffect === DROP_EFFECTS.MOVE && transaction.dropEffect === DROP_EFFECTS.MOVE;
+    const dragItems = getDragItems(dragData);
+    const dragIds = dragItems.map(item => item.id);
+    const droppedIds = (ids ?? dragIds).filter(id => dragIds.includes(id));
     
-    for (const [targetFrameId, targetFrame] of this.frames.entries()) {
-      const isOverFrame = this.isOverFrame(elementUnder, targetFrame, parentX, parentY);
+    if (Array.isArray(targetIds) && droppedIds.length === targetIds.length) {
+      this.recordOperation({
+        sourceFrameId,
+        targetFrameId,
+        items: droppedIds.map(id => toHistoryItem(dragItems.find(item => item.id === id))),
+        targetIds,
+        index: ack.index ?? null,
+        zoneId: ack.zoneId ?? null,
+        linked: dropEffect === DROP_EFFECTS.LINK,
+        removed: isMove
+      });
+    }
+    
+    if (isMove && sourceFrameId !== targetFrameId) {
+      if (droppedIds.length === 0) return;
       
-      if (isOverFrame) {
-        const targetRect = targetFrame.getBoundingClientRect();
-        const relativeX = parentX - targetRect.left;
-        const relativeY = parentY - targetRect.top;
-
-        try {
-          targetFrame.contentWindow.postMessage({
-            type: 'parentDrop',
-            x: relativeX,
-            y: relativeY,
-            dragData: this.dragData
-          }, window.location.origin);
-          
-          // Remove item from source frame if it's a move operation (not copy) AND dropping to a different frame
-          // Table demos use copy semantics (source ends with '-table')
-          // For same-frame drops, the target frame will handle removing the old item before adding to new zone
-          if (!this.dragData.source.endsWith('-table') && normalizedDragSource !== targetFrameId) {
-            const sourceFrameElement = this.getFrame(normalizedDragSource);
-            if (sourceFrameElement) {
-              sourceFrameElement.contentWindow.postMessage({
-                type: 'removeItem',
-                id: this.dragData.id
-              }, window.location.origin);
-            }
-          }
-        } catch (err) {
-          console.error(`Failed to send drop message to ${targetFrameId}:`, err);
-        }
-        break; // Only drop on one frame
-      }
+      this.postToFrame(sourceFrameId, 'removeItem', {
+        id: droppedIds[0],
+        ids: droppedIds,
+        sessionId
+      });
     }
-
-    this.endDrag();
   }
 
   /**
-   * Handle pointer move events in the parent window.
+   * Roll back a drop that was not acknowledged in time.
    * 
-   * @param {PointerEvent} e - The pointer event
+   * @param {string} sessionId - Drag session of the transaction
    * @private
    * 
    * @description
-   * Updates the drag preview position and determines which frame is being
-   * hovered over during a drag operation.
+   * Tells the target to discard the pending item, if it created one. The
+   * source frame was never touched, so the item stays where it was.
    */
-  handlePointerMove(e) {
-    if (!this.isDragging || !this.dragPreview) return;
-
-    // Update drag preview position
-    this.dragPreview.style.left = e.clientX + 'px';
-    this.dragPreview.style.top = e.clientY + 'px';
-
-    // Temporarily hide the preview to use elementFromPoint
-    this.dragPreview.style.display = 'none';
-    const elementUnder = document.elementFromPoint(e.clientX, e.clientY);
-    this.dragPreview.style.display = '';
+  handleDropTimeout(sessionId) {
+    const transaction = this.transactions.get(sessionId);
+    if (!transaction) return;
+    
+    this.transactions.delete(sessionId);
+    this.logger.warn(`Drop on ${transaction.targetFrameId} was not acknowledged - rolling back`);
+    
+    this.postToFrame(transaction.targetFrameId, 'rollbackDrop', { sessionId });
+    this.emitDropFailed(transaction.dragData, transaction.targetFrameId, DROP_REJECT_REASONS.TIMEOUT, transaction.dropEffect);
+  }
+  
+  /**
+   * Handle failed drop operations.
+   * 
+   * @param {Object} data - The dropFailed message
+   * @param {DragData} data.dragData - Data about the dropped item
+   * @param {string} [data.reason] - Why the target refused the item
+   * @param {string} [data.sessionId] - Drag session of the refused drop
+   * @param {string} targetFrameId - ID of the frame that refused the item
+   * @private
+   * 
+   * @description
+   * Closes the transaction, if any. Item remains in the source frame.
+   */
+  handleDropFailed(data, targetFrameId) {
+    const transaction = this.transactions.get(data.sessionId);
+    if (transaction && transaction.targetFrameId === targetFrameId) {
+      clearTimeout(transaction.timer);
+      this.transactions.delete(transaction.sessionId);
+    }
+    
+    const { reason } = data;
+    this.logger.info(`Drop failed${reason ? ` (${reason})` : ''} - item will remain in source frame`);
+    this.emitDropFailed(transaction?.dragData ?? data.dragData, targetFrameId, reason, transaction?.dropEffect ?? this.dropEffect);
+  }
 
-    this.updateFrameHover(elementUnder, e.clientX, e.clientY);
+  /**
+   * Emit a `dropfailed` event.
+   * 
+   * @param {DragData} dragData - The item that was not dropped
+   * @param {string} targetFrameId - ID of the target frame
+   * @param {string} [reason] - Why the drop failed
+   * @param {string} [dropEffect] - Effect the drop was attempted with
+   * @private
+   */
+  emitDropFailed(dragData, targetFrameId, reason, dropEffect) {
+    this.emit(COORDINATOR_EVENTS.DROP_FAILED, {
+      sourceFrameId: dragData?.sourceFrame ?? null,
+      targetFrameId,
+      dragData: dragData ?? null,
+      payload: dragData?.payload ?? null,
+      dropEffect: dropEffect ?? null,
+      sessionId: dragData?.sessionId ?? null,
+      reason: reason ?? null
+    });
   }
 
   /**
-   * Update frame hover states during a drag operation.
+   * Post a message to a frame, or queue it until the frame is ready.
    * 
-   * @param {Element|null} elementUnder - Element under the pointer
-   * @param {number} clientX - X coordinate of pointer
-   * @param {number} clientY - Y coordinate of pointer
+   * @param {string} frameId - ID of the frame
+   * @param {string} type - Message type
+   * @param {Object} [payload] - Message payload
+   * @returns {boolean} True if the message was sent or queued
    * @private
    * 
    * @description
-   * Sends parentDragMove messages to the hovered frame and parentDragLeave
-   * messages to all other frames. This provides visual feedback during drag.
+   * Only the latest hover message is kept in a queue, and beyond
+   * `FRAME_QUEUE_LIMIT` the oldest messages are dropped. Incompatible frames
+   * get nothing.
    */
-  updateFrameHover(elementUnder, clientX, clientY) {
-    // Find which frame we're over
-    let hoveredFrameId = null;
-    let hoveredFrame = null;
+  postToFrame(frameId, type, payload) {
+    const state = this.frameStates.get(frameId);
+    if (!state || state.status === FRAME_STATUSES.INCOMPATIBLE) return false;
     
-    for (const [frameId, frame] of this.frames.entries()) {
-      if (this.isOverFrame(elementUnder, frame, clientX, clientY)) {
-        hoveredFrameId = frameId;
-        hoveredFrame = frame;
-        break;
-      }
+    const message = createMessage(type, payload);
+    if (state.status === FRAME_STATUSES.READY) {
+      return this.deliver(frameId, message);
     }
+    
+    if (HOVER_TYPES.includes(type)) {
+      state.queue = state.queue.filter(queued => !HOVER_TYPES.includes(queued.type));
+    }
+    state.queue.push(message);
+    if (state.queue.length > FRAME_QUEUE_LIMIT) {
+      state.queue.shift();
+      this.logger.warn(`Message queue for ${frameId} is full - dropped the oldest message`);
+    }
+    return true;
+  }
 
-    // Normalize the source frame ID (e.g., 'frame-a-table' -> 'frame-a') before comparison
-    const sourceFrameId =
-      this.dragData && typeof this.dragData.source === 'string'
-        ? this.dragData.source.replace(/-table$/, '')
-        : this.dragData && this.dragData.source;
-
-    // Send drag move to hovered frame if it's not the source
-    if (hoveredFrame && sourceFrameId !== hoveredFrameId) {
-      const frameRect = hoveredFrame.getBoundingClientRect();
-      const relativeX = clientX - frameRect.left;
-      const relativeY = clientY - frameRect.top;
+  /**
+   * Post a message to a frame right away.
+   * 
+   * @param {string} frameId - ID of the frame
+   * @param {Object} message - The message
+   * @returns {boolean} True if the message was posted
+   * @private
+   */
+  deliver(frameId, message) {
+    const target = this.getFrame(frameId)?.contentWindow;
+    if (!target) return false;
+    
+    try {
+      target.postMessage(message, this.frameOrigins.get(frameId));
+      this.history?.record('out', message, frameId);
+      this.logger.debug(`Sent ${message.type} to ${frameId}`);
+      return true;
+    } catch (err) {
+      this.logger.error(`Failed to send ${message.type} to ${frameId}:`, err);
+      return false;
+    }
+  }
 
-      try {
-        hoveredFrame.contentWindow.postMessage({
-          type: 'parentDragMove',
-          x: relativeX,
-          y: relativeY,
-          dragData: this.dragData
-        }, window.location.origin);
-      } catch (err) {
-        console.error(`Failed to send message to ${hoveredFrameId}:`, err);
-      }
+  /**
+   * Post a message to the parent coordinator (nested mode).
+   * 
+   * @param {string} type - Message type
+   * @param {Object} [payload] - Message payload
+   * @private
+   */
+  postToParent(type, payload) {
+    const message = createMessage(type, payload);
+    window.parent.postMessage(message, this.parentOrigin);
+    this.history?.record('out', message, 'parent');
+    this.logger.debug(`Sent ${type} to parent`);
+  }
 
-      // Send drag leave to all other frames
-      for (const [frameId, frame] of this.frames.entries()) {
-        if (frameId !== hoveredFrameId) {
-          try {
-            frame.contentWindow.postMessage({ type: 'parentDragLeave' }, window.location.origin);
-          } catch (err) {
-            // Ignore
-          }
+  /**
+   * Relay a drag message from one of this page's frames to the parent coordinator.
+   * 
+   * @param {Object} data - The validated message
+   * @param {string} sourceFrameId - ID of the frame that sent it
+   * @private
+   * 
+   * @description
+   * To the parent, this page is a single frame: coordinates are converted to
+   * this page's viewport and the page's own `devicePixelRatio` is reported.
+   * A relayed `dragStart` gets its session ID here, so later `removeItem`
+   * messages can be routed back to the frame the drag started in. Hover
+   * statuses and acknowledgements are only relayed from the frame the
+   * parent's drag was forwarded to.
+   */
+  relayToParent(data, sourceFrameId) {
+    const { type, version, ...payload } = data;
+    
+    switch (type) {
+      case 'dragStart':
+        payload.sessionId = data.sessionId ?? createSessionId();
+        payload.sourcePath = [sourceFrameId, ...(data.sourcePath ?? [])];
+        this.relayDrag = { sessionId: payload.sessionId, sourceFrameId };
+        this.relaySessions.set(payload.sessionId, sourceFrameId);
+        if (this.relaySessions.size > RELAY_SESSION_LIMIT) {
+          this.relaySessions.delete(this.relaySessions.keys().next().value);
         }
+        break;
+      case 'dragMove':
+        if (this.relayDrag?.sourceFrameId !== sourceFrameId) return;
+        break;
+      case 'dragEnd':
+      case 'dragCancel':
+        if (this.relayDrag?.sourceFrameId !== sourceFrameId) return;
+        this.relayDrag = null;
+        break;
+      case 'dropStatus':
+        if (sourceFrameId !== this.relayHoveredId) return;
+        break;
+      case 'dropSuccess': {
+        const drop = this.relayDrops.get(data.sessionId);
+        if (drop?.transaction.targetFrameId !== sourceFrameId) return;
+        drop.ack = data;
+        break;
       }
-    } else {
-      // Not over any droppable frame - send drag leave to all frames
-      for (const frame of this.frames.values()) {
-        try {
-          frame.contentWindow.postMessage({ type: 'parentDragLeave' }, window.location.origin);
-        } catch (err) {
-          // Ignore
+      case 'dropFailed':
+        if (this.relayDrops.get(data.sessionId)?.transaction.targetFrameId === sourceFrameId) {
+          this.relayDrops.delete(data.sessionId);
         }
-      }
+        break;
+    }
+    
+    if (typeof payload.clientX === 'number' && typeof payload.clientY === 'number') {
+      const point = this.frameToViewport(sourceFrameId, payload.clientX, payload.clientY);
+      payload.clientX = point.x;
+      payload.clientY = point.y;
+      payload.devicePixelRatio = window.devicePixelRatio;
+    } else if (type === 'dropStatus') {
+      payload.devicePixelRatio = window.devicePixelRatio;
     }
+    
+    this.postToParent(type, payload);
   }
 
   /**
-   * Handle pointer up events in the parent window.
+   * Handle messages from the parent coordinator (nested mode).
    * 
-   * @param {PointerEvent} e - The pointer event
+   * @param {Object} data - The validated message
    * @private
    * 
    * @description
-   * Completes a drag operation initiated in the parent window.
-   * Determines the drop target and sends appropriate drop messages.
+   * Forwards the parent's drag to the frame under the pointer, converting the
+   * coordinates into that frame, and routes the drop transaction's
+   * `commitDrop`, `rollbackDrop` and `removeItem` to the frames involved.
+   * Answers `helloRequest` with this page's own `hello`.
    */
-  handlePointerUp(e) {
-    if (!this.isDragging) return;
-
-    // Hide preview to check element under pointer
-    if (this.dragPreview) {
-      this.dragPreview.style.display = 'none';
-    }
-    
-    const elementUnder = document.elementFromPoint(e.clientX, e.clientY);
-
-    // Check which frame we're over and handle drop
-    // Normalize the source frame ID (e.g., 'frame-a-table' -> 'frame-a') before comparison
-    const normalizedDragSource =
-      this.dragData && typeof this.dragData.source === 'string'
-        ? this.dragData.source.replace(/-table$/, '')
-        : this.dragData && this.dragData.source;
+  handleParentMessage(data) {
+    const { type, version, ...payload } = data;
     
-    for (const [targetFrameId, targetFrame] of this.frames.entries()) {
-      const isOverFrame = this.isOverFrame(elementUnder, targetFrame, e.clientX, e.clientY);
-      
-      if (isOverFrame && normalizedDragSource !== targetFrameId) {
-        const targetRect = targetFrame.getBoundingClientRect();
-        const relativeX = e.clientX - targetRect.left;
-        const relativeY = e.clientY - targetRect.top;
-
-        try {
-          targetFrame.contentWindow.postMessage({
-            type: 'parentDrop',
-            x: relativeX,
-            y: relativeY,
-            dragData: this.dragData
-          }, window.location.origin);
-
-          // Remove item from source frame if it's a move operation (not copy)
-          if (!this.dragData.source.endsWith('-table')) {
-            const sourceFrame = this.getFrame(normalizedDragSource);
-            if (sourceFrame) {
-              sourceFrame.contentWindow.postMessage({
-                type: 'removeItem',
-                id: this.dragData.id
-              }, window.location.origin);
-            }
-          }
-        } catch (err) {
-          console.error(`Failed to send drop message to ${targetFrameId}:`, err);
+    switch (type) {
+      case 'parentDragMove':
+        this.relayDragMove(data);
+        break;
+      case 'parentDrop':
+        this.relayDrop(data);
+        break;
+      case 'parentDragLeave':
+      case 'parentDragCancel':
+        this.relayHoveredId = null;
+        if (type === 'parentDragCancel' && this.relayDrag?.sessionId === data.sessionId) {
+          this.relayDrag = null;
         }
-        break; // Only drop on one frame
+        for (const frameId of this.frames.keys()) {
+          this.postToFrame(frameId, type, payload);
+        }
+        break;
+      case 'commitDrop':
+        this.relayCommit(data.sessionId);
+        break;
+      case 'rollbackDrop': {
+        const drop = this.relayDrops.get(data.sessionId);
+        if (!drop) return;
+        this.relayDrops.delete(data.sessionId);
+        this.postToFrame(drop.transaction.targetFrameId, type, payload);
+        break;
+      }
+      case 'helloRequest':
+        this.announce();
+        break;
+      case 'removeItem': {
+        const sourceFrameId = this.relaySessions.get(data.sessionId);
+        if (!sourceFrameId) return;
+        this.relaySessions.delete(data.sessionId);
+        this.postToFrame(sourceFrameId, type, payload);
+        break;
       }
     }
-
-    this.endDrag();
   }
 
   /**
-   * End the current drag operation and clean up.
+   * Forward the parent's drag position to the frame under it (nested mode).
    * 
+   * @param {Object} data - The parentDragMove message
+   * @param {number} data.x - X coordinate relative to this page
+   * @param {number} data.y - Y coordinate relative to this page
+   * @param {DragData} data.dragData - The dragged item
+   * @param {string} [data.dropEffect] - Current drop effect
    * @private
    * 
    * @description
-   * Removes the drag preview, resets state, and sends dragLeave messages
-   * to all frames to clear hover states.
+   * The frame a relayed drag started in is skipped, as at the top level. With
+   * no frame under the pointer, the parent is told this page refuses the item.
    */
-  endDrag() {
-    this.isDragging = false;
-    this.dragData = null;
-
-    if (this.dragPreview) {
-      this.dragPreview.remove();
-      this.dragPreview = null;
+  relayDragMove({ x, y, dragData, dropEffect }) {
+    const frameId = this.getFrameIdAt(x, y);
+    const targetFrameId = frameId !== this.relaySessions.get(dragData.sessionId) ? frameId : null;
+    this.relayHoveredId = targetFrameId;
+    
+    for (const id of this.frames.keys()) {
+      if (id !== targetFrameId) this.postToFrame(id, 'parentDragLeave');
     }
-
-    // Send drag leave to all frames to clear any hover states
-    for (const frame of this.frames.values()) {
-      try {
-        if (frame && frame.contentWindow) {
-          frame.contentWindow.postMessage({
-            type: 'parentDragLeave'
-          }, window.location.origin);
-        }
-      } catch (err) {
-        // Ignore
-      }
+    
+    if (targetFrameId) {
+      const point = this.viewportToFrame(targetFrameId, x, y);
+      this.postToFrame(targetFrameId, 'parentDragMove', { x: point.x, y: point.y, dragData, dropEffect });
+    } else if (!frameId) {
+      this.postToParent('dropStatus', {
+        accepted: false,
+        reason: DROP_REJECT_REASONS.NO_TARGET,
+        sessionId: dragData.sessionId,
+        devicePixelRatio: window.devicePixelRatio
+      });
     }
   }
-  
+
   /**
-   * Handle successful drop operations.
+   * Forward the parent's drop to the frame under it (nested mode).
    * 
-   * @param {DragData} dragData - Data about the dropped item
-   * @param {string} targetFrameId - ID of the frame where item was dropped
+   * @param {Object} data - The parentDrop message
    * @private
    * 
    * @description
-   * Removes the item from the source frame if it was a cross-frame drop.
-   * Items dropped within the same frame are not removed.
+   * The frame's acknowledgement is relayed up by
+   * {@link IframeCommunicationManager#relayToParent}; the parent's `commitDrop`
+   * or `rollbackDrop` then comes back through here. A drop outside every frame
+   * fails right away.
    */
-  handleDropSuccess(dragData, targetFrameId) {
-    // Only remove item from source if this is a cross-frame drop
-    if (dragData.source !== targetFrameId) {
-      const sourceFrame = this.getFrame(dragData.source);
-      if (sourceFrame) {
-        sourceFrame.contentWindow.postMessage({
-          type: 'removeItem',
-          id: dragData.id
-        }, window.location.origin);
-      }
+  relayDrop({ x, y, dragData, dropEffect, sessionId }) {
+    this.relayHoveredId = null;
+    
+    const targetFrameId = this.getFrameIdAt(x, y);
+    if (!targetFrameId) {
+      this.postToParent('dropFailed', { dragData, reason: DROP_REJECT_REASONS.NO_TARGET, sessionId });
+      return;
+    }
+    
+    const point = this.viewportToFrame(targetFrameId, x, y);
+    this.postToFrame(targetFrameId, 'parentDrop', { x: point.x, y: point.y, dragData, dropEffect, sessionId });
+    
+    if (sessionId) {
+      this.relayDrops.set(sessionId, {
+        transaction: {
+          sessionId,
+          sourceFrameId: this.relaySessions.get(sessionId) ?? null,
+          targetFrameId,
+          dragData,
+          dropEffect
+        },
+        ack: null
+      });
     }
   }
-  
+
   /**
-   * Handle failed drop operations.
+   * Commit a relayed drop (nested mode).
    * 
-   * @param {DragData} dragData - Data about the dropped item
+   * @param {string} sessionId - Drag session of the drop
    * @private
    * 
    * @description
-   * Logs the failure. Item remains in the source frame.
+   * A move between two frames of this page looks like a move within one frame
+   * to the parent, which therefore leaves the source alone; the source frame's
+   * items are removed here instead.
    */
-  handleDropFailed(dragData) {
-    // Do nothing - item stays in source frame
-    console.log('Drop failed - item will remain in source frame');
+  relayCommit(sessionId) {
+    const drop = this.relayDrops.get(sessionId);
+    if (!drop) return;
+    
+    this.relayDrops.delete(sessionId);
+    this.relaySessions.delete(sessionId);
+    this.commitDrop(drop.transaction, drop.ack);
   }
 
   /**
@@ -660,29 +2841,23 @@ export class IframeCommunicationManager {
    * 
    * @param {Object} data - Row copy data
    * @param {Object} data.rowData - The copied row data
+   * @param {string} sourceFrameId - ID of the frame the row was copied in
    * @private
    * 
    * @description
-   * Relays the copied row data to all frames so they can handle paste operations.
+   * Relays the copied row data to all frames so they can handle paste operations;
+   * frames that are not ready yet get it once they are.
    * This is specific to the table demo functionality.
    */
-  handleRowCopied(data) {
+  handleRowCopied(data, sourceFrameId) {
+    this.emit(COORDINATOR_EVENTS.COPY, { sourceFrameId, payload: data.rowData });
+    
     // Relay copied row data to all frames so they can paste
-    console.log('Parent relaying rowCopied:', data.rowData?.description);
-    for (const [frameId, frame] of this.frames.entries()) {
-      try {
-        if (frame && frame.contentWindow) {
-          frame.contentWindow.postMessage({
-            type: 'rowCopied',
-            rowData: data.rowData
-          }, window.location.origin);
-          console.log(`Sent rowCopied to ${frameId}`);
-        } else {
-          console.warn(`${frameId} not ready for postMessage`);
-        }
-      } catch (err) {
-        console.error(`Failed to relay copied row data to ${frameId}:`, err);
-      }
+    this.logger.debug('Relaying rowCopied:', data.rowData?.description);
+    for (const frameId of this.frames.keys()) {
+      this.postToFrame(frameId, 'rowCopied', {
+        rowData: data.rowData
+      });
     }
   }
 
@@ -699,15 +2874,84 @@ export class IframeCommunicationManager {
   handlePasteRequest(targetFrameId) {
     if (!this.clipboardData) return;
     
-    const targetFrame = this.getFrame(targetFrameId);
+    this.emit(COORDINATOR_EVENTS.PASTE, {
+      sourceFrameId: this.clipboardData.source ?? null,
+      targetFrameId,
+      payload: this.clipboardData
+    });
+    this.postToFrame(targetFrameId, 'pasteItem', {
+      itemData: this.clipboardData
+    });
+  }
+
+  /**
+   * Handle a frame's report that it pasted the clipboard.
+   * 
+   * @param {Object} data - The pasteSuccess message
+   * @param {string[]} [data.targetIds] - IDs the pasted items got
+   * @param {number} [data.index] - Where they were inserted
+   * @param {string} [data.zoneId] - Drop zone they went into
+   * @param {string} targetFrameId - ID of the frame that pasted
+   * @private
+   * 
+   * @description
+   * A paste is a copy: the item stays in the frame it was copied in, and
+   * undoing the paste only removes the pasted item. The clipboard keeps the
+   * item, so it can be pasted again.
+   */
+  handlePasteSuccess(data, targetFrameId) {
+    const clipboard = this.clipboardData;
+    if (!clipboard?.source || !this.getFrame(clipboard.source)) return;
     
-    try {
-      targetFrame.contentWindow.postMessage({
-        type: 'pasteItem',
-        itemData: this.clipboardData
-      }, window.location.origin);
-    } catch (err) {
-      console.error('Failed to send paste message:', err);
+    if (Array.isArray(data.targetIds)) {
+      this.recordOperation({
+        sourceFrameId: clipboard.source,
+        targetFrameId,
+        items: [toHistoryItem(clipboard)],
+        targetIds: data.targetIds,
+        index: data.index ?? null,
+        zoneId: data.zoneId ?? null,
+        linked: false,
+        removed: false
+      });
+    }
+  }
+
+  /**
+   * Add a committed operation to the undo history.
+   * 
+   * @param {HistoryOperation} operation - The operation
+   * @private
+   * 
+   * @description
+   * Only operations between frames that announced the `history` capability
+   * are recorded; the others could not be undone. A new operation clears the
+   * redo history, and beyond `undoDepth` the oldest operation is forgotten.
+   */
+  recordOperation(operation) {
+    if (this.undoDepth === 0) return;
+    
+    const frameIds = [operation.sourceFrameId, operation.targetFrameId];
+    const supported = frameIds.every(frameId =>
+      this.frameStates.get(frameId)?.capabilities?.includes(FRAME_CAPABILITIES.HISTORY));
+    if (!supported) return;
+    
+    this.undoStack.push(operation);
+    if (this.undoStack.length > this.undoDepth) {
+      this.undoStack.shift();
     }
+    this.redoStack = [];
+  }
+
+  /**
+   * Forget the operations a frame was part of.
+   * 
+   * @param {string} frameId - ID of a frame that was removed or reloaded
+   * @private
+   */
+  forgetHistory(frameId) {
+    const involves = operation => operation.sourceFrameId === frameId || operation.targetFrameId === frameId;
+    this.undoStack = this.undoStack.filter(operation => !involves(operation));
+    this.redoStack = this.redoStack.filter(operation => !involves(operation));
   }
 }
@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Insertion index and placeholder line for ordered drops, shared by the child managers.
+ *
+ * @module insertion-point
+ * @description
+ * Works out where in a list of items a drop at a given point belongs. Lists
+ * may be stacked (one item per line, compared on the vertical midpoint) or flow
+ * in wrapping rows (items on the pointer's line compared on the horizontal
+ * midpoint). While an item is dragged over the list, an `InsertionPlaceholder`
+ * marks that position with a `drop-placeholder` line.
+ *
+ * @example
+ * import { getInsertionIndex, InsertionPlaceholder } from './insertion-point.js';
+ *
+ * const items = Array.from(container.querySelectorAll('.dropped-item'));
+ * const index = getInsertionIndex(items, x, y);
+ *
+ * // While dragging over the list
+ * const placeholder = new InsertionPlaceholder();
+ * placeholder.show(container, items[index] ?? null);
+ *
+ * // On drop
+ * placeholder.remove();
+ * container.insertBefore(newItem, items[index] ?? null);
+ *
+ * @author iframe-dnd-demo
+ * @version 1.0.0
+ */
+
+/**
+ * Get the index at which a dropped item should be inserted.
+ *
+ * @param {HTMLElement[]} items - The list's items in document order, without the ones being moved
+ * @param {number} x - Pointer X in the items' viewport
+ * @param {number} y - Pointer Y in the items' viewport
+ * @returns {number} Index of the item to insert before, or `items.length` to append
+ */
+export function getInsertionIndex(items, x, y) {
+  const rects = items.map(item => item.getBoundingClientRect());
+  // Two neighbours sharing a line means the list flows in rows
+  const isRowLayout = rects.some((rect, i) => i > 0 && rect.top < rects[i - 1].bottom);
+
+  const index = rects.findIndex(rect => {
+    if (isRowLayout) {
+      if (y < rect.top) return true;
+      return y <= rect.bottom && x < rect.left + rect.width / 2;
+    }
+    return y < rect.top + rect.height / 2;
+  });
+  return index === -1 ? items.length : index;
+}
+
+/**
+ * Line marking where a drop would be inserted in a list.
+ *
+ * @class InsertionPlaceholder
+ */
+export class InsertionPlaceholder {
+  /**
+   * Create a placeholder, not yet shown.
+   *
+   * @constructor
+   */
+  constructor() {
+    /**
+     * The `drop-placeholder` line, while shown
+     * @type {HTMLElement|null}
+     * @private
+     */
+    this.element = null;
+  }
+
+  /**
+   * Show the line before an item, or at the end of the list.
+   *
+   * @param {HTMLElement} container - The list's container
+   * @param {HTMLElement|null} reference - The item the drop would be inserted before
+   */
+  show(container, reference) {
+    if (!this.element) {
+      this.element = document.createElement('div');
+      this.element.className = 'drop-placeholder';
+    }
+
+    // Only move the line when the position changes
+    if (this.element.parentNode !== container || this.element.nextSibling !== reference) {
+      container.insertBefore(this.element, reference);
+    }
+  }
+
+  /**
+   * Remove the line.
+   */
+  remove() {
+    this.element?.remove();
+    this.element = null;
+  }
+}
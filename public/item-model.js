@@ -0,0 +1,156 @@
+/**
+ * @fileoverview Item data model shared by the child managers.
+ *
+ * @module item-model
+ * @description
+ * The draggable items and drop zones managers render their items from plain
+ * objects instead of reading them from the DOM. This module normalizes those
+ * objects, builds them from dropped payloads and renders them through a
+ * host-supplied template.
+ *
+ * @example
+ * import { toItemModel, renderTemplate } from './item-model.js';
+ *
+ * const item = toItemModel({ text: 'Write docs', owner: 'Ann' }, 0);
+ * renderTemplate(element, item, (item) => `${item.text} <small>${item.owner}</small>`);
+ *
+ * @author iframe-dnd-demo
+ * @version 1.0.0
+ */
+
+import {
+  MIME_TYPES,
+  getPayloadData,
+  getPayloadLabel,
+  getPayloadTypes,
+  getRepresentationText,
+  negotiateType,
+  resolvePayload
+} from './drag-payload.js';
+
+/**
+ * @typedef {Object} ItemModel
+ * @property {string} id - Unique identifier for the item; generated when missing
+ * @property {string} text - Display text for the item
+ * @property {string} [html] - Markup of the item, shown by renderers that support it
+ * @property {boolean} [linked] - Set on items dropped with the `link` effect
+ * @description Any other fields are kept, passed to the `template` and carried in the
+ * `application/x-item+json` representation when the item is dragged or copied.
+ */
+
+/**
+ * Renders the content of an item element: a function returning markup or a node,
+ * or a `<template>` whose `[data-field]` elements get the text of that item field.
+ *
+ * @typedef {function(ItemModel): (string|Node)|HTMLTemplateElement} ItemTemplate
+ */
+
+/**
+ * Copy an item for a model, giving it an ID if it has none.
+ *
+ * @param {ItemModel} item - Item passed in by the host or built from a payload
+ * @param {number} index - Position of the item, used in generated IDs
+ * @returns {ItemModel} The copy
+ * @throws {TypeError} If the item is not an object
+ */
+export function toItemModel(item, index) {
+  if (!item || typeof item !== 'object') {
+    throw new TypeError(`Invalid item at index ${index}`);
+  }
+  return {
+    ...item,
+    id: item.id != null && item.id !== '' ? String(item.id) : `item-${Date.now()}-${index}`,
+    text: String(item.text ?? '')
+  };
+}
+
+/**
+ * Build an item from a dropped or pasted payload.
+ *
+ * @param {string} id - Item identifier
+ * @param {import('./drag-payload.js').DragPayload} payload - The typed payload
+ * @param {string} type - The negotiated payload type
+ * @param {function(HTMLElement, *, string): void|null} [renderItem=null] - Fills an element
+ *   from the representation; its text and markup become the item's
+ * @returns {ItemModel} The item
+ *
+ * @description
+ * By default `application/x-item+json` keeps every field of the dragged item,
+ * `text/html` becomes the item's markup and every other type its text.
+ */
+export function itemFromPayload(id, payload, type, renderItem = null) {
+  const data = getPayloadData(payload, type);
+
+  if (renderItem) {
+    const element = document.createElement('div');
+    renderItem(element, data, type);
+    return { id, text: element.textContent.trim(), html: element.innerHTML };
+  }
+  if (type === MIME_TYPES.ITEM && data && typeof data === 'object') {
+    // Whether the source item was linked says nothing about this copy
+    const { linked: _linked, ...fields } = data;
+    return { ...fields, id, text: getRepresentationText(data) };
+  }
+  if (type === MIME_TYPES.HTML) {
+    return { id, text: getPayloadLabel(payload), html: data };
+  }
+  return { id, text: getRepresentationText(data) };
+}
+
+/**
+ * Rebuild an item that undo or redo puts back, from a `restoreItems` entry.
+ *
+ * @param {{id: string, payload: import('./drag-payload.js').DragPayload, linked?: boolean}} entry -
+ *   The item's ID and payload as it was dragged or copied
+ * @param {string[]} acceptedTypes - Types the frame accepts, most preferred first
+ * @param {function(HTMLElement, *, string): void|null} [renderItem=null] - As for
+ *   {@link itemFromPayload}
+ * @returns {ItemModel} The item
+ *
+ * @description
+ * The item was accepted once already, so a payload without an accepted type
+ * falls back to its first type instead of being refused. Without an explicit
+ * `linked`, the item keeps the flag it had when it was dragged.
+ */
+export function restoreItem(entry, acceptedTypes, renderItem = null) {
+  const payload = resolvePayload(entry);
+  const type = negotiateType(payload, acceptedTypes) ?? getPayloadTypes(payload)[0];
+  const item = itemFromPayload(entry.id, payload, type, renderItem);
+  const linked = entry.linked ?? getPayloadData(payload, MIME_TYPES.ITEM)?.linked;
+  return linked ? { ...item, linked: true } : item;
+}
+
+/**
+ * Check that a value can be used as an item template.
+ *
+ * @param {*} template - The value
+ * @returns {boolean} True for a function or a `<template>` element
+ */
+export function isValidTemplate(template) {
+  return typeof template === 'function' || template instanceof HTMLTemplateElement;
+}
+
+/**
+ * Render an item into an element with a template.
+ *
+ * @param {HTMLElement} element - The empty item element
+ * @param {ItemModel} item - The item
+ * @param {ItemTemplate} template - The template
+ */
+export function renderTemplate(element, item, template) {
+  if (typeof template === 'function') {
+    const content = template(item);
+    if (typeof content === 'string') {
+      element.innerHTML = content;
+    } else if (content) {
+      element.append(content);
+    }
+    return;
+  }
+
+  const content = /** @type {DocumentFragment} */ (template.content.cloneNode(true));
+  content.querySelectorAll('[data-field]').forEach(node => {
+    node.textContent = String(item[node.dataset.field] ?? '');
+  });
+  element.append(content);
+}
@@ -0,0 +1,229 @@
+/**
+ * @fileoverview Multi-item selection shared by the draggable items and drop zones managers.
+ *
+ * @module item-selection
+ * @description
+ * Tracks a set of selected elements out of an ordered list, with the usual
+ * desktop conventions: a plain click selects one item, Ctrl/Cmd-click toggles
+ * an item, Shift-click selects the range from the anchor, and Shift+Arrow
+ * extends the range one item at a time. Selected elements get a CSS class.
+ *
+ * @example
+ * import { ItemSelection } from './item-selection.js';
+ *
+ * const selection = new ItemSelection(() => Array.from(document.querySelectorAll('.draggable')));
+ * item.addEventListener('click', (e) => selection.handleClick(item, e));
+ * selection.items; // selected elements in document order
+ *
+ * @author iframe-dnd-demo
+ * @version 1.0.0
+ */
+
+/**
+ * Selection over an ordered list of elements.
+ *
+ * @class ItemSelection
+ */
+export class ItemSelection {
+  /**
+   * Creates a new, empty selection.
+   *
+   * @constructor
+   * @param {function(): HTMLElement[]} getItems - Returns the selectable elements in order
+   * @param {string} [selectedClass='selected'] - Class added to selected elements
+   */
+  constructor(getItems, selectedClass = 'selected') {
+    /**
+     * Returns the selectable elements in order
+     * @type {function(): HTMLElement[]}
+     * @private
+     */
+    this.getItems = getItems;
+
+    /**
+     * Class added to selected elements
+     * @type {string}
+     * @private
+     */
+    this.selectedClass = selectedClass;
+
+    /**
+     * Selected elements
+     * @type {Set<HTMLElement>}
+     * @private
+     */
+    this.selected = new Set();
+
+    /**
+     * Element ranges are extended from
+     * @type {HTMLElement|null}
+     * @private
+     */
+    this.anchor = null;
+
+    /**
+     * Element last selected, toggled or moved to
+     * @type {HTMLElement|null}
+     * @public
+     */
+    this.focus = null;
+  }
+
+  /**
+   * Selected elements that are still in the list, in list order.
+   * @type {HTMLElement[]}
+   */
+  get items() {
+    return this.getItems().filter(item => this.selected.has(item));
+  }
+
+  /**
+   * Number of selected elements.
+   * @type {number}
+   */
+  get size() {
+    return this.items.length;
+  }
+
+  /**
+   * Check whether an element is selected.
+   *
+   * @param {HTMLElement} item - The element
+   * @returns {boolean} True if selected
+   */
+  has(item) {
+    return this.selected.has(item);
+  }
+
+  /**
+   * Replace the selection with a single element.
+   *
+   * @param {HTMLElement} item - The element to select
+   */
+  select(item) {
+    this.setSelected([item]);
+    this.anchor = item;
+    this.focus = item;
+  }
+
+  /**
+   * Add or remove one element, keeping the rest of the selection.
+   *
+   * @param {HTMLElement} item - The element to toggle
+   */
+  toggle(item) {
+    const items = new Set(this.selected);
+    if (items.has(item)) {
+      items.delete(item);
+    } else {
+      items.add(item);
+    }
+    this.setSelected(items);
+    this.anchor = item;
+    this.focus = item;
+  }
+
+  /**
+   * Select the range from the anchor to an element.
+   *
+   * @param {HTMLElement} item - The other end of the range
+   */
+  extendTo(item) {
+    const items = this.getItems();
+    const anchorIndex = items.indexOf(this.anchor);
+    const itemIndex = items.indexOf(item);
+    if (anchorIndex === -1 || itemIndex === -1) {
+      this.select(item);
+      return;
+    }
+
+    const [start, end] = anchorIndex < itemIndex ? [anchorIndex, itemIndex] : [itemIndex, anchorIndex];
+    this.setSelected(items.slice(start, end + 1));
+    this.focus = item;
+  }
+
+  /**
+   * Apply a click to the selection.
+   *
+   * @param {HTMLElement} item - The clicked element
+   * @param {MouseEvent} e - The click (or pointerup) event
+   *
+   * @description
+   * Shift-click selects a range, Ctrl/Cmd-click toggles, a plain click selects
+   * only the clicked element.
+   */
+  handleClick(item, e) {
+    if (e.shiftKey) {
+      this.extendTo(item);
+    } else if (e.ctrlKey || e.metaKey) {
+      this.toggle(item);
+    } else {
+      this.select(item);
+    }
+  }
+
+  /**
+   * Move the focus to a neighbouring element, wrapping around at the ends.
+   *
+   * @param {number} offset - 1 for the next element, -1 for the previous one
+   * @param {boolean} [extend=false] - Extend the range instead of selecting only the new element
+   *
+   * @description
+   * Without a focus, the first element is selected.
+   */
+  move(offset, extend = false) {
+    const items = this.getItems();
+    if (items.length === 0) return;
+
+    const currentIndex = items.indexOf(this.focus);
+    if (currentIndex === -1) {
+      this.select(items[0]);
+      return;
+    }
+
+    const next = items[(currentIndex + offset + items.length) % items.length];
+    if (extend) {
+      this.extendTo(next);
+    } else {
+      this.select(next);
+    }
+  }
+
+  /**
+   * Remove an element from the selection, e.g. because it left the list.
+   *
+   * @param {HTMLElement} item - The element
+   */
+  remove(item) {
+    this.selected.delete(item);
+    item.classList.remove(this.selectedClass);
+    if (this.anchor === item) this.anchor = null;
+    if (this.focus === item) this.focus = null;
+  }
+
+  /**
+   * Deselect everything.
+   */
+  clear() {
+    this.setSelected([]);
+    this.anchor = null;
+    this.focus = null;
+  }
+
+  /**
+   * Replace the selected elements and update their class.
+   *
+   * @param {Iterable<HTMLElement>} items - The new selection
+   * @private
+   */
+  setSelected(items) {
+    const next = new Set(items);
+    for (const item of this.selected) {
+      if (!next.has(item)) item.classList.remove(this.selectedClass);
+    }
+    for (const item of next) {
+      item.classList.add(this.selectedClass);
+    }
+    this.selected = next;
+  }
+}
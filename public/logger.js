@@ -0,0 +1,297 @@
+/**
+ * @fileoverview Leveled, namespaced logging and a message history for the communication modules.
+ *
+ * @module logger
+ * @description
+ * Every communication manager takes a `logger` option: any object with
+ * `debug`, `info`, `warn` and `error` methods, such as `console` or one made
+ * with {@link createLogger}. Without one, managers are silent, unless
+ * `debug: true` is passed, which logs everything to the console. Loggers that
+ * have a `child(namespace)` method get one child per manager, so each line
+ * says which manager (and frame or window) wrote it.
+ *
+ * A {@link MessageHistory} passed as the `history` option records the protocol
+ * messages a manager sends and receives in a fixed-size ring buffer; `dump()`
+ * it when a user reports a bug.
+ *
+ * @example
+ * import { createLogger, MessageHistory } from './logger.js';
+ *
+ * const history = new MessageHistory({ size: 100 });
+ * const manager = new IframeCommunicationManager({
+ *   logger: createLogger({ level: 'warn' }),
+ *   history
+ * });
+ *
+ * // Later, from a "Report a bug" button
+ * attachToReport(history.dump());
+ *
+ * @author iframe-dnd-demo
+ * @version 1.0.0
+ */
+
+/**
+ * Log levels, from most to least verbose.
+ * @enum {string}
+ */
+export const LOG_LEVELS = Object.freeze({
+  DEBUG: 'debug',
+  INFO: 'info',
+  WARN: 'warn',
+  ERROR: 'error',
+  /** Nothing is logged */
+  SILENT: 'silent'
+});
+
+/**
+ * Log levels in order of severity.
+ * @type {string[]}
+ * @private
+ */
+const LEVEL_ORDER = Object.values(LOG_LEVELS);
+
+/**
+ * Methods every logger must have.
+ * @type {string[]}
+ * @private
+ */
+const LOGGER_METHODS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * @typedef {Object} Logger
+ * @property {function(...*): void} debug - Log message traffic and other details
+ * @property {function(...*): void} info - Log noteworthy events such as cancelled drags
+ * @property {function(...*): void} warn - Log rejected messages and recoverable problems
+ * @property {function(...*): void} error - Log failures
+ * @property {function(string): Logger} [child] - Create a logger for a sub-namespace
+ */
+
+/**
+ * @typedef {Object} LoggerOptions
+ * @property {string} [level='info'] - Least severe {@link LOG_LEVELS} level that is logged
+ * @property {string} [namespace=''] - Prefix for every line, e.g. `drop-zones:frame-b`
+ * @property {Logger} [output=console] - Where the lines are written
+ */
+
+/**
+ * Create a logger that writes lines at or above a level to the console (or another output).
+ *
+ * @param {LoggerOptions} [options={}] - Logger options
+ * @returns {Logger} The logger
+ * @throws {Error} If `level` is not one of {@link LOG_LEVELS}
+ *
+ * @example
+ * const logger = createLogger({ level: 'debug', namespace: 'app' });
+ * logger.child('drop-zones').warn('Full'); // [app:drop-zones] Full
+ */
+export function createLogger(options = {}) {
+  const { level = LOG_LEVELS.INFO, namespace = '', output = console } = options;
+
+  if (!LEVEL_ORDER.includes(level)) {
+    throw new Error(`Invalid log level "${level}"`);
+  }
+
+  const threshold = LEVEL_ORDER.indexOf(level);
+  const logger = {
+    child(childNamespace) {
+      return createLogger({
+        level,
+        output,
+        namespace: namespace ? `${namespace}:${childNamespace}` : childNamespace
+      });
+    }
+  };
+  for (const method of LOGGER_METHODS) {
+    logger[method] = LEVEL_ORDER.indexOf(method) < threshold
+      ? () => {}
+      : (...args) => output[method](...(namespace ? [`[${namespace}]`, ...args] : args));
+  }
+  return logger;
+}
+
+/**
+ * Logger that discards everything; the default of every manager.
+ * @type {Logger}
+ */
+export const SILENT_LOGGER = createLogger({ level: LOG_LEVELS.SILENT });
+
+/**
+ * Pick the logger for a manager from its `logger` and `debug` options.
+ *
+ * @param {{logger?: Logger, debug?: boolean}} options - The manager's options
+ * @param {string} namespace - Namespace of the manager
+ * @returns {Logger} A child of `logger` for the namespace if it supports children, `logger`
+ *   itself if not, a console logger at the `debug` level for `debug: true`, or the silent logger
+ * @throws {TypeError} If `logger` lacks one of the logging methods
+ */
+export function resolveLogger({ logger, debug = false } = {}, namespace) {
+  if (logger) {
+    if (!LOGGER_METHODS.every(method => typeof logger[method] === 'function')) {
+      throw new TypeError('Invalid logger: debug, info, warn and error methods are required');
+    }
+    return typeof logger.child === 'function' ? logger.child(namespace) : logger;
+  }
+  return debug ? createLogger({ level: LOG_LEVELS.DEBUG, namespace }) : SILENT_LOGGER;
+}
+
+/**
+ * @typedef {Object} MessageHistoryEntry
+ * @property {number} time - When the message was sent or received (`Date.now()`)
+ * @property {('in'|'out')} direction - Whether the message was received or sent
+ * @property {string|null} peer - Frame or window the message came from or went to
+ * @property {string|null} type - The message type
+ * @property {number|null} latency - For received messages with a `timestamp`, milliseconds
+ *   between sending and receiving
+ * @property {Object} message - A copy of the message
+ */
+
+/**
+ * Called with each entry as it is recorded.
+ *
+ * @callback MessageHistoryListener
+ * @param {MessageHistoryEntry} entry - The new entry
+ * @returns {void}
+ */
+
+/**
+ * Ring buffer of the most recent protocol messages.
+ *
+ * @class MessageHistory
+ * @description
+ * Keeps the last `size` messages; older ones are overwritten. Messages are
+ * copied when recorded, so later changes to the originals do not show up in
+ * the history. One history can be shared by several managers on a page.
+ *
+ * @example
+ * const history = new MessageHistory();
+ * const dropZones = new DropZonesManager({ frameId: 'frame-b', history });
+ *
+ * history.entries().filter(entry => entry.type === 'dropFailed');
+ */
+export class MessageHistory {
+  /**
+   * Create a message history.
+   *
+   * @constructor
+   * @param {Object} [options={}] - History options
+   * @param {number} [options.size=200] - Number of messages kept
+   * @throws {Error} If `size` is not a positive integer
+   */
+  constructor(options = {}) {
+    const { size = 200 } = options;
+
+    if (!Number.isInteger(size) || size < 1) {
+      throw new Error(`Invalid history size "${size}"`);
+    }
+
+    /**
+     * Number of messages kept
+     * @type {number}
+     * @public
+     */
+    this.size = size;
+
+    /**
+     * Recorded entries; `next` is the slot the next entry goes to
+     * @type {MessageHistoryEntry[]}
+     * @private
+     */
+    this.buffer = [];
+
+    /**
+     * Slot of the next entry once the buffer is full
+     * @type {number}
+     * @private
+     */
+    this.next = 0;
+
+    /**
+     * Listeners registered with `subscribe()`
+     * @type {Set<MessageHistoryListener>}
+     * @private
+     */
+    this.listeners = new Set();
+  }
+
+  /**
+   * Record a message.
+   *
+   * @param {('in'|'out')} direction - Whether the message was received or sent
+   * @param {Object} message - The message
+   * @param {string|null} [peer=null] - Frame or window it came from or went to
+   */
+  record(direction, message, peer = null) {
+    let copy = message;
+    try {
+      copy = structuredClone(message);
+    } catch {
+      // Uncloneable messages are kept as they are
+    }
+
+    const time = Date.now();
+    const sentAt = message?.timestamp;
+    const entry = {
+      time,
+      direction,
+      peer,
+      type: message?.type ?? null,
+      latency: direction === 'in' && typeof sentAt === 'number' ? Math.max(0, time - sentAt) : null,
+      message: copy
+    };
+    if (this.buffer.length < this.size) {
+      this.buffer.push(entry);
+    } else {
+      this.buffer[this.next] = entry;
+      this.next = (this.next + 1) % this.size;
+    }
+
+    for (const listener of this.listeners) {
+      try {
+        listener(entry);
+      } catch (err) {
+        console.error('History listener failed:', err);
+      }
+    }
+  }
+
+  /**
+   * Be notified of every new entry.
+   *
+   * @param {MessageHistoryListener} listener - Called with each entry as it is recorded
+   * @returns {function(): void} Stops the notifications
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Get the recorded messages.
+   *
+   * @returns {MessageHistoryEntry[]} The entries, oldest first
+   */
+  entries() {
+    return [...this.buffer.slice(this.next), ...this.buffer.slice(0, this.next)];
+  }
+
+  /**
+   * Forget every recorded message.
+   */
+  clear() {
+    this.buffer = [];
+    this.next = 0;
+  }
+
+  /**
+   * Serialize the history for a bug report.
+   *
+   * @returns {string} JSON with the page URL, user agent and entries
+   */
+  dump() {
+    return JSON.stringify({
+      url: window.location.href,
+      userAgent: navigator.userAgent,
+      entries: this.entries()
+    }, null, 2);
+  }
+}
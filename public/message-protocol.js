@@ -0,0 +1,446 @@
+/**
+ * @fileoverview Shared message protocol for all drag and drop communication modules.
+ *
+ * @module message-protocol
+ * @description
+ * This module is the single definition of the messages exchanged between the parent
+ * coordinator, child iframes and cross-window managers. Every message carries a
+ * `version` field and, for known message types, a payload that must match the
+ * schema registered in `MESSAGE_SCHEMAS`.
+ *
+ * Schemas are flat maps of field name to type. A type is one of `string`, `number`,
+ * `boolean`, `object`, `array` or `any`; a trailing `?` marks the field as optional.
+ * Fields not listed in a schema are allowed and passed through untouched.
+ *
+ * @example
+ * // Sending a message
+ * import { createMessage } from './message-protocol.js';
+ *
+ * window.parent.postMessage(
+ *   createMessage('dragMove', { clientX: 10, clientY: 20, source: 'frame-a' }),
+ *   window.location.origin
+ * );
+ *
+ * @example
+ * // Receiving a message
+ * import { validateMessage, ProtocolError } from './message-protocol.js';
+ *
+ * window.addEventListener('message', (event) => {
+ *   try {
+ *     validateMessage(event.data);
+ *   } catch (err) {
+ *     if (err instanceof ProtocolError) console.warn(err.toJSON());
+ *     return;
+ *   }
+ *   // event.data is safe to dispatch on event.data.type
+ * });
+ *
+ * @author iframe-dnd-demo
+ * @version 1.0.0
+ */
+
+/**
+ * Current protocol version. Messages carrying any other version are rejected.
+ * @type {number}
+ */
+export const PROTOCOL_VERSION = 1;
+
+/**
+ * Error codes reported by {@link ProtocolError}.
+ * @enum {string}
+ */
+export const PROTOCOL_ERROR_CODES = Object.freeze({
+  /** The message is not an object or has no string `type` */
+  INVALID_MESSAGE: 'INVALID_MESSAGE',
+  /** The message `version` is missing or differs from `PROTOCOL_VERSION` */
+  VERSION_MISMATCH: 'VERSION_MISMATCH',
+  /** The message `type` has no registered schema */
+  UNKNOWN_TYPE: 'UNKNOWN_TYPE',
+  /** The payload does not match the schema for its type */
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD'
+});
+
+/**
+ * Reasons a drop target reports when it refuses a drop, in `dropStatus` and
+ * `dropFailed` messages.
+ * @enum {string}
+ */
+export const DROP_REJECT_REASONS = Object.freeze({
+  /** The pointer is not over a drop target */
+  NO_TARGET: 'no-target',
+  /** The target accepts none of the payload types */
+  UNSUPPORTED_TYPE: 'unsupported-type',
+  /** The target has reached its `data-max-items` capacity */
+  CAPACITY: 'capacity',
+  /** The target's `canDrop` predicate refused the item */
+  REJECTED: 'rejected',
+  /** The source does not allow the effect chosen with the modifier keys */
+  EFFECT_NOT_ALLOWED: 'effect-not-allowed',
+  /** A `drop` handler on the coordinator vetoed the drop */
+  VETOED: 'vetoed',
+  /** The target did not acknowledge the drop within the coordinator's `dropTimeout` */
+  TIMEOUT: 'timeout'
+});
+
+/**
+ * Reasons a drag can be cancelled, sent in `dragCancel` and `parentDragCancel`.
+ * @enum {string}
+ */
+export const DRAG_CANCEL_REASONS = Object.freeze({
+  /** The user pressed Escape */
+  ESCAPE: 'escape',
+  /** The browser cancelled the pointer (e.g. a touch turned into a scroll) */
+  POINTER_CANCEL: 'pointercancel',
+  /** The window lost focus */
+  BLUR: 'blur',
+  /** The source frame is unloading or navigated away */
+  UNLOAD: 'unload'
+});
+
+/**
+ * What a child frame can do, announced in its `hello` message.
+ * @enum {string}
+ */
+export const FRAME_CAPABILITIES = Object.freeze({
+  /** Items can be dragged out of the frame */
+  SOURCE: 'source',
+  /** The frame accepts drops */
+  TARGET: 'target',
+  /** Drops on the frame a drag started in are handled there, e.g. moves between its zones */
+  SELF_DROP: 'self-drop',
+  /** Dropped items cannot be dragged out again */
+  RECEIVE_ONLY: 'receive-only',
+  /** Removed items can be put back with `restoreItems`, so drops involving the frame can be undone */
+  HISTORY: 'history'
+});
+
+/**
+ * Payload schemas per message type.
+ *
+ * @type {Object<string, Object<string, string>>}
+ *
+ * @description
+ * Child → parent (iframe mode):
+ * - hello, dragStart, dragMove, dragEnd, dragCancel, dropStatus, dropSuccess, dropFailed,
+ *   itemCopied, requestPaste, pasteSuccess, rowCopied, requestUndo, requestRedo
+ *
+ * Parent → child (iframe mode):
+ * - helloRequest, ready, parentDragMove, parentDragLeave, parentDragCancel, parentDrop,
+ *   commitDrop, rollbackDrop, removeItem, restoreItems, pasteItem, rowCopied
+ *
+ * Children announce themselves with `hello` (their own frame ID and
+ * {@link FRAME_CAPABILITIES}) when they start and whenever the parent sends
+ * `helloRequest`; the parent answers `ready` with the ID it registered the
+ * frame under. The envelope `version` of `hello` is the child's protocol version.
+ *
+ * Drops are a two-phase commit keyed by the drag's `sessionId`: `parentDrop`
+ * prepares the item, `dropSuccess` acknowledges it, and `commitDrop` or
+ * `rollbackDrop` finalizes or discards it.
+ *
+ * A group drag lists every item in `dragStart.items`; the target acknowledges
+ * the ids it prepared in `dropSuccess.ids`, and `removeItem.ids` removes them all
+ * from the source.
+ *
+ * For undo and redo, sources report where each dragged or copied item sat
+ * (`index`, and `zoneId` for drop zones), and targets report the IDs, zone and
+ * index the dropped or pasted items got (`targetIds`, `zoneId`, `index`).
+ * `restoreItems` puts items back at those positions.
+ *
+ * Senders report their `devicePixelRatio` so the parent can convert their
+ * coordinates (see {@link module:frame-geometry}). A nested coordinator relays
+ * its children's drags upwards as its own: it assigns the `sessionId` and
+ * prepends the child's frame ID to `dragStart.sourcePath`.
+ *
+ * Cross-window (payload lives in the envelope's `data` field):
+ * - windowJoined, windowLeft, broadcastTest, dragStart, dragMove, dragEnd, removeItem
+ * - windowHeartbeat: presence of a window, repeated while it is open; it and
+ *   windowJoined may carry the window's title, role and capabilities
+ * - rpcRequest, rpcResponse: a request to one window and its answer, matched by
+ *   `requestId` (see {@link module:request-response})
+ * - messageAck: receipt of an envelope posted with a `messageId` over the
+ *   postMessage fallback; its sender retries until it arrives
+ * - leaderElection, leaderHeartbeat, leaderResign: electing the coordinator among
+ *   the windows of a channel
+ */
+export const MESSAGE_SCHEMAS = Object.freeze({
+  hello: { frameId: 'string', capabilities: 'array' },
+  helloRequest: {},
+  ready: { frameId: 'string' },
+  dragStart: {
+    text: 'string', id: 'string', source: 'string', pointerId: 'number?',
+    payload: 'object?', rowData: 'object?', items: 'array?', effectAllowed: 'string?',
+    clientX: 'number?', clientY: 'number?', grabX: 'number?', grabY: 'number?',
+    sessionId: 'string?', sourcePath: 'array?', index: 'number?', zoneId: 'string?',
+    devicePixelRatio: 'number?'
+  },
+  dragMove: {
+    clientX: 'number', clientY: 'number', source: 'string',
+    ctrlKey: 'boolean?', metaKey: 'boolean?', altKey: 'boolean?', devicePixelRatio: 'number?'
+  },
+  dragEnd: {
+    clientX: 'number', clientY: 'number', source: 'string',
+    ctrlKey: 'boolean?', metaKey: 'boolean?', altKey: 'boolean?', devicePixelRatio: 'number?'
+  },
+  dragCancel: { source: 'string', reason: 'string?' },
+  dropSuccess: {
+    dragData: 'object', acceptedType: 'string?', dropEffect: 'string?', sessionId: 'string?',
+    ids: 'array?', index: 'number?', targetIds: 'array?', zoneId: 'string?'
+  },
+  dropStatus: {
+    accepted: 'boolean', reason: 'string?', acceptedType: 'string?', sessionId: 'string?',
+    devicePixelRatio: 'number?'
+  },
+  dropFailed: { dragData: 'object', reason: 'string?', sessionId: 'string?' },
+  itemCopied: { itemData: 'object' },
+  requestPaste: { target: 'string' },
+  pasteSuccess: { itemData: 'object', targetIds: 'array?', index: 'number?', zoneId: 'string?' },
+  rowCopied: { rowData: 'object' },
+  requestUndo: {},
+  requestRedo: {},
+  parentDragMove: { x: 'number', y: 'number', dragData: 'object', dropEffect: 'string?' },
+  parentDragLeave: {},
+  parentDragCancel: { sessionId: 'string?', reason: 'string?' },
+  parentDrop: {
+    x: 'number', y: 'number', dragData: 'object', dropEffect: 'string?', sessionId: 'string?'
+  },
+  commitDrop: { sessionId: 'string' },
+  rollbackDrop: { sessionId: 'string' },
+  removeItem: { id: 'string', ids: 'array?', sessionId: 'string?' },
+  restoreItems: { items: 'array' },
+  pasteItem: { itemData: 'object' },
+  windowJoined: { windowId: 'string', title: 'string?', role: 'string?', capabilities: 'array?' },
+  windowHeartbeat: { windowId: 'string', title: 'string?', role: 'string?', capabilities: 'array?' },
+  windowLeft: { windowId: 'string' },
+  broadcastTest: { testId: 'string' },
+  leaderElection: { windowId: 'string', priority: 'number', joinedAt: 'number' },
+  leaderHeartbeat: { windowId: 'string', priority: 'number', joinedAt: 'number' },
+  leaderResign: { windowId: 'string' },
+  rpcRequest: { requestId: 'string', requestType: 'string', payload: 'any?' },
+  rpcResponse: { requestId: 'string', result: 'any?', error: 'object?' },
+  messageAck: { messageId: 'string' }
+});
+
+/**
+ * Structured error raised when a message violates the protocol.
+ *
+ * @class ProtocolError
+ * @extends Error
+ *
+ * @example
+ * try {
+ *   validateMessage({ type: 'dragMove', version: 0 });
+ * } catch (err) {
+ *   console.log(err.code);    // 'VERSION_MISMATCH'
+ *   console.log(err.details); // { type: 'dragMove', expected: 1, received: 0 }
+ * }
+ */
+export class ProtocolError extends Error {
+  /**
+   * Create a protocol error.
+   *
+   * @constructor
+   * @param {string} code - One of {@link PROTOCOL_ERROR_CODES}
+   * @param {string} message - Human-readable description
+   * @param {Object} [details={}] - Additional context about the failure
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+
+    /**
+     * Error name
+     * @type {string}
+     * @public
+     */
+    this.name = 'ProtocolError';
+
+    /**
+     * Machine-readable error code
+     * @type {string}
+     * @public
+     */
+    this.code = code;
+
+    /**
+     * Additional context about the failure
+     * @type {Object}
+     * @public
+     */
+    this.details = details;
+  }
+
+  /**
+   * Serialize the error so it can be logged or posted to another window.
+   *
+   * @returns {{name: string, code: string, message: string, details: Object}}
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      code: this.code,
+      message: this.message,
+      details: this.details
+    };
+  }
+}
+
+/**
+ * Check a single value against a schema field type.
+ *
+ * @param {*} value - Value to check
+ * @param {string} type - Field type without the optional marker
+ * @returns {boolean} True if the value matches
+ * @private
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'any':
+      return true;
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'number':
+      return typeof value === 'number' && !Number.isNaN(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Create a protocol message of the given type.
+ *
+ * @param {string} type - Message type
+ * @param {Object} [payload={}] - Message fields
+ * @returns {Object} Message with `type`, `version` and the `timestamp` it was created at set
+ *
+ * @example
+ * createMessage('removeItem', { id: '3' });
+ * // { id: '3', type: 'removeItem', version: 1, timestamp: 1767225600000 }
+ */
+export function createMessage(type, payload = {}) {
+  return { ...payload, type, version: PROTOCOL_VERSION, timestamp: Date.now() };
+}
+
+/**
+ * Validate a payload against the schema registered for its message type.
+ *
+ * @param {string} type - Message type
+ * @param {Object} payload - Payload to validate
+ * @throws {ProtocolError} If the payload does not match the schema
+ */
+export function validatePayload(type, payload) {
+  const schema = MESSAGE_SCHEMAS[type];
+  if (!schema) return;
+
+  if (!matchesType(payload, 'object')) {
+    throw new ProtocolError(
+      PROTOCOL_ERROR_CODES.INVALID_PAYLOAD,
+      `Payload for "${type}" must be an object`,
+      { type }
+    );
+  }
+
+  for (const [field, spec] of Object.entries(schema)) {
+    const optional = spec.endsWith('?');
+    const fieldType = optional ? spec.slice(0, -1) : spec;
+    const value = payload[field];
+
+    if (value === undefined && optional) continue;
+
+    if (!matchesType(value, fieldType)) {
+      throw new ProtocolError(
+        PROTOCOL_ERROR_CODES.INVALID_PAYLOAD,
+        `Field "${field}" of "${type}" must be of type ${fieldType}`,
+        { type, field, expected: fieldType, received: value === null ? 'null' : typeof value }
+      );
+    }
+  }
+}
+
+/**
+ * Validate a protocol message.
+ *
+ * @param {*} message - Message to validate (usually `event.data`)
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.allowUnknownTypes=false] - Accept types without a registered schema
+ * @param {string} [options.payloadKey] - Field holding the payload, for envelope
+ *   messages such as the cross-window `{ type, source, data }` format. When omitted
+ *   the message itself is the payload.
+ * @throws {ProtocolError} If the message is malformed, has the wrong version,
+ *   has an unknown type or an invalid payload
+ *
+ * @example
+ * // iframe messages carry their fields at the top level
+ * validateMessage(event.data);
+ *
+ * @example
+ * // Cross-window envelopes carry their fields in `data`
+ * validateMessage(message, { payloadKey: 'data', allowUnknownTypes: true });
+ */
+export function validateMessage(message, options = {}) {
+  const { allowUnknownTypes = false, payloadKey } = options;
+
+  if (!matchesType(message, 'object') || typeof message.type !== 'string') {
+    throw new ProtocolError(
+      PROTOCOL_ERROR_CODES.INVALID_MESSAGE,
+      'Message must be an object with a string type'
+    );
+  }
+
+  if (message.version !== PROTOCOL_VERSION) {
+    throw new ProtocolError(
+      PROTOCOL_ERROR_CODES.VERSION_MISMATCH,
+      `Unsupported protocol version for "${message.type}"`,
+      { type: message.type, expected: PROTOCOL_VERSION, received: message.version ?? null }
+    );
+  }
+
+  if (!Object.hasOwn(MESSAGE_SCHEMAS, message.type)) {
+    if (allowUnknownTypes) return;
+    throw new ProtocolError(
+      PROTOCOL_ERROR_CODES.UNKNOWN_TYPE,
+      `Unknown message type "${message.type}"`,
+      { type: message.type }
+    );
+  }
+
+  const payload = payloadKey ? (message[payloadKey] ?? {}) : message;
+  validatePayload(message.type, payload);
+}
+
+/**
+ * Check whether a message is valid without throwing.
+ *
+ * @param {*} message - Message to validate
+ * @param {Object} [options] - Same options as {@link validateMessage}
+ * @returns {boolean} True if the message is valid
+ */
+export function isValidProtocolMessage(message, options) {
+  try {
+    validateMessage(message, options);
+    return true;
+  } catch (err) {
+    if (err instanceof ProtocolError) return false;
+    throw err;
+  }
+}
+
+/**
+ * Check whether a string is an exact origin (`scheme://host[:port]`), as used for
+ * `postMessage` target origins and `MessageEvent.origin` checks.
+ *
+ * @param {*} origin - Value to check
+ * @returns {boolean} True for an origin; false for `*`, URLs with a path and anything else
+ *
+ * @example
+ * isValidOrigin('https://widgets.example.com'); // true
+ * isValidOrigin('https://widgets.example.com/'); // false
+ */
+export function isValidOrigin(origin) {
+  if (typeof origin !== 'string') return false;
+  try {
+    return new URL(origin).origin === origin;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Messaging with the parent coordinator, shared by the draggable items and drop zones managers.
+ *
+ * @module parent-connection
+ * @description
+ * Sends protocol messages to the parent window and screens the ones received
+ * from it: only messages from the parent window, on the allowed origin, that
+ * follow the shared protocol are accepted. Both directions are logged and
+ * recorded in the message history, if one is set. Drop status reports are
+ * only sent when the status changes.
+ *
+ * @example
+ * import { ParentConnection } from './parent-connection.js';
+ *
+ * const connection = new ParentConnection({ allowedOrigin: 'https://app.example.com', logger });
+ * connection.post('hello', { frameId: 'panel-1', capabilities: ['target'] });
+ * window.addEventListener('message', (event) => {
+ *   if (!connection.accept(event)) return;
+ *   // event.data is a valid protocol message from the parent
+ * });
+ *
+ * @author iframe-dnd-demo
+ * @version 1.0.0
+ */
+
+import { createMessage, validateMessage, ProtocolError } from './message-protocol.js';
+
+/**
+ * Connection of a child frame to its parent coordinator.
+ *
+ * @class ParentConnection
+ */
+export class ParentConnection {
+  /**
+   * Create a connection to the parent window.
+   *
+   * @constructor
+   * @param {Object} options - Configuration options
+   * @param {string} options.allowedOrigin - Origin of the parent page
+   * @param {import('./logger.js').Logger} options.logger - Logger of the frame
+   * @param {import('./logger.js').MessageHistory|null} [options.history=null] - Records
+   *   the messages sent and received, if set
+   */
+  constructor({ allowedOrigin, logger, history = null }) {
+    /**
+     * Origin of the parent page
+     * @type {string}
+     * @private
+     */
+    this.allowedOrigin = allowedOrigin;
+
+    /**
+     * Logger of the frame
+     * @type {import('./logger.js').Logger}
+     * @private
+     */
+    this.logger = logger;
+
+    /**
+     * Records the messages sent and received, if set
+     * @type {import('./logger.js').MessageHistory|null}
+     * @private
+     */
+    this.history = history;
+
+    /**
+     * Key of the last drop status reported to the parent, to avoid repeating it
+     * @type {string|null}
+     * @private
+     */
+    this.lastDropStatusKey = null;
+  }
+
+  /**
+   * Post a message to the parent coordinator.
+   *
+   * @param {string} type - Message type
+   * @param {Object} [payload] - Message payload
+   */
+  post(type, payload) {
+    const message = createMessage(type, payload);
+    window.parent.postMessage(message, this.allowedOrigin);
+    this.history?.record('out', message, 'parent');
+    this.logger.debug(`Sent ${type}`);
+  }
+
+  /**
+   * Check whether a received message comes from the parent and follows the protocol.
+   *
+   * @param {MessageEvent} event - The message event
+   * @returns {boolean} True if the message should be handled
+   *
+   * @description
+   * Messages from other windows or origins are ignored silently. Messages
+   * from the parent that fail validation are logged as warnings.
+   */
+  accept(event) {
+    // Only the parent page, from the allowed origin, may drive this frame
+    if (event.origin !== this.allowedOrigin || event.source !== window.parent) return false;
+
+    this.history?.record('in', event.data, 'parent');
+    this.logger.debug(`Received ${event.data?.type}`);
+
+    // Reject anything that does not follow the shared protocol
+    try {
+      validateMessage(event.data);
+    } catch (err) {
+      if (!(err instanceof ProtocolError)) throw err;
+      this.logger.warn('Rejected message:', err.toJSON());
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Report the drop status under the pointer to the parent window, unless it is unchanged.
+   *
+   * @param {import('./draggable-items-communication.js').DropStatus} status - The current
+   *   drop status; the per-item `acceptedTypes` are not sent
+   */
+  reportDropStatus({ acceptedTypes, ...status }) {
+    const key = `${status.accepted}:${status.reason ?? ''}:${status.acceptedType ?? ''}`;
+    if (key === this.lastDropStatusKey) return;
+    this.lastDropStatusKey = key;
+
+    this.post('dropStatus', {
+      ...status,
+      devicePixelRatio: window.devicePixelRatio
+    });
+  }
+
+  /**
+   * Forget the last drop status, so the next one is reported even if it is the same.
+   */
+  resetDropStatus() {
+    this.lastDropStatusKey = null;
+  }
+}
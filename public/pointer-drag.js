@@ -0,0 +1,207 @@
+/**
+ * @fileoverview Pointer drag state of a child frame, shared by the draggable items and drop zones managers.
+ *
+ * @module pointer-drag
+ * @description
+ * Tracks an item from pointer down to release or cancellation. Pressing on an
+ * item captures the pointer and listens for moves and the release on the
+ * document; the drag itself only starts once the pointer has moved more than
+ * 5px, so a press and release in place is a click. `pointercancel`, Escape
+ * and the window losing focus cancel the drag.
+ *
+ * @example
+ * import { PointerDrag } from './pointer-drag.js';
+ *
+ * const drag = new PointerDrag({
+ *   onMove: (e) => {
+ *     if (!drag.isDragging && drag.hasMoved(e)) drag.isDragging = true;
+ *   },
+ *   onUp: (e) => {
+ *     drag.release(e);
+ *     drag.end();
+ *   },
+ *   onCancel: (reason) => console.log('Drag cancelled:', reason)
+ * });
+ * item.addEventListener('pointerdown', (e) => drag.start(e, item));
+ *
+ * @author iframe-dnd-demo
+ * @version 1.0.0
+ */
+
+import { DRAG_CANCEL_REASONS } from './message-protocol.js';
+
+/**
+ * Distance, in pixels, the pointer has to move before a press becomes a drag
+ * @type {number}
+ */
+export const DRAG_THRESHOLD = 5;
+
+/**
+ * Drag of an item with the pointer.
+ *
+ * @class PointerDrag
+ */
+export class PointerDrag {
+  /**
+   * Create the drag state, with no drag in progress.
+   *
+   * @constructor
+   * @param {Object} handlers - Drag callbacks
+   * @param {function(PointerEvent): void} handlers.onMove - Called on every pointer move
+   * @param {function(PointerEvent): void} handlers.onUp - Called when the pointer is released
+   * @param {function(string): void} handlers.onCancel - Called with one of `DRAG_CANCEL_REASONS`
+   *   when a started drag is cancelled
+   */
+  constructor({ onMove, onUp, onCancel }) {
+    /**
+     * Called on every pointer move
+     * @type {function(PointerEvent): void}
+     * @private
+     */
+    this.onMove = onMove;
+
+    /**
+     * Called when the pointer is released
+     * @type {function(PointerEvent): void}
+     * @private
+     */
+    this.onUp = onUp;
+
+    /**
+     * Called when a started drag is cancelled
+     * @type {function(string): void}
+     * @private
+     */
+    this.onCancel = onCancel;
+
+    /**
+     * Element the pointer went down on
+     * @type {HTMLElement|null}
+     * @public
+     */
+    this.element = null;
+
+    /**
+     * Items dragged together with the element (including it)
+     * @type {HTMLElement[]}
+     * @public
+     */
+    this.group = [];
+
+    /**
+     * X coordinate where the pointer went down
+     * @type {number}
+     * @public
+     */
+    this.startX = 0;
+
+    /**
+     * Y coordinate where the pointer went down
+     * @type {number}
+     * @public
+     */
+    this.startY = 0;
+
+    /**
+     * Whether the pointer moved far enough for the drag to start
+     * @type {boolean}
+     * @public
+     */
+    this.isDragging = false;
+
+    /**
+     * Listeners added for the current drag, as `[target, type, listener]`
+     * @type {Array<[EventTarget, string, EventListener]>}
+     * @private
+     */
+    this.listeners = [];
+  }
+
+  /**
+   * Start tracking a press on an element.
+   *
+   * @param {PointerEvent} e - The pointerdown event
+   * @param {HTMLElement} element - The item the pointer went down on
+   */
+  start(e, element) {
+    this.element = element;
+    this.startX = e.clientX;
+    this.startY = e.clientY;
+    this.isDragging = false;
+
+    // Capture the pointer to ensure we receive all events even if pointer moves fast
+    element.setPointerCapture(e.pointerId);
+
+    this.listeners = [
+      [document, 'pointermove', (e) => this.onMove(e)],
+      [document, 'pointerup', (e) => this.onUp(e)],
+      [document, 'pointercancel', () => this.cancel(DRAG_CANCEL_REASONS.POINTER_CANCEL)],
+      [document, 'keydown', (e) => {
+        if (e.key === 'Escape') this.cancel(DRAG_CANCEL_REASONS.ESCAPE);
+      }],
+      [window, 'blur', () => this.cancel(DRAG_CANCEL_REASONS.BLUR)]
+    ];
+    this.listeners.forEach(([target, type, listener]) => target.addEventListener(type, listener));
+  }
+
+  /**
+   * Check whether the pointer moved far enough from where it went down to start the drag.
+   *
+   * @param {PointerEvent} e - The pointermove event
+   * @returns {boolean} True beyond `DRAG_THRESHOLD` on either axis
+   */
+  hasMoved(e) {
+    return Math.abs(e.clientX - this.startX) > DRAG_THRESHOLD
+      || Math.abs(e.clientY - this.startY) > DRAG_THRESHOLD;
+  }
+
+  /**
+   * Release the pointer capture and stop listening, once the pointer is released.
+   *
+   * @param {PointerEvent} e - The pointerup event
+   */
+  release(e) {
+    if (this.element.hasPointerCapture(e.pointerId)) {
+      this.element.releasePointerCapture(e.pointerId);
+    }
+    this.removeListeners();
+  }
+
+  /**
+   * Cancel the current drag, if any. Nothing is dropped.
+   *
+   * @param {string} reason - One of `DRAG_CANCEL_REASONS`
+   * @param {boolean} [notify=true] - Call `onCancel` if the drag had started;
+   *   false when the parent itself cancelled the drag
+   */
+  cancel(reason, notify = true) {
+    if (!this.element) return;
+
+    this.removeListeners();
+    if (this.isDragging && notify) {
+      this.onCancel(reason);
+    }
+    this.end();
+  }
+
+  /**
+   * Restore the dragged items and reset the drag state.
+   */
+  end() {
+    this.group.forEach(element => element.classList.remove('dragging'));
+    this.element.classList.remove('dragging');
+    this.group = [];
+    this.element = null;
+    this.isDragging = false;
+  }
+
+  /**
+   * Remove the listeners added for the current drag.
+   *
+   * @private
+   */
+  removeListeners() {
+    this.listeners.forEach(([target, type, listener]) => target.removeEventListener(type, listener));
+    this.listeners = [];
+  }
+}
@@ -0,0 +1,580 @@
+/**
+ * @fileoverview Overlay that traces the protocol messages of a coordinator page live.
+ *
+ * @module protocol-inspector
+ * @description
+ * The `ProtocolInspector` mounts a panel on a coordinator page, such as
+ * `parent.html` or `parent-windows.html`. It shows every message recorded
+ * in a {@link module:logger.MessageHistory} as it happens, with its direction,
+ * peer and latency, next to the frames or windows the manager knows, the
+ * current drag and the transport in use. Messages can be filtered, and ones
+ * the page sent can be replayed.
+ *
+ * The manager has to record into the same history, so create both together:
+ *
+ * @example
+ * import { MessageHistory } from './logger.js';
+ * import { ProtocolInspector } from './protocol-inspector.js';
+ *
+ * const history = new MessageHistory();
+ * const manager = new IframeCommunicationManager({ history });
+ * manager.initialize(frames);
+ *
+ * const inspector = new ProtocolInspector({ manager, history });
+ * inspector.mount();
+ *
+ * @author iframe-dnd-demo
+ * @version 1.0.0
+ */
+
+/**
+ * How often the status section is refreshed while mounted, in milliseconds.
+ * @type {number}
+ * @private
+ */
+const STATUS_INTERVAL = 250;
+
+/**
+ * Envelope fields that are not part of a message's payload.
+ * @type {string[]}
+ * @private
+ */
+const ENVELOPE_FIELDS = ['type', 'version', 'timestamp'];
+
+/**
+ * Styles of the overlay, added to the document once.
+ * @type {string}
+ * @private
+ */
+const STYLES = `
+.dnd-inspector {
+  position: fixed;
+  right: 12px;
+  bottom: 12px;
+  z-index: 9999;
+  display: flex;
+  flex-direction: column;
+  width: 460px;
+  max-height: 45vh;
+  background: #0f172a;
+  color: #e2e8f0;
+  border-radius: 8px;
+  box-shadow: 0 8px 24px rgba(0,0,0,0.4);
+  font: 12px/1.4 ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+}
+.dnd-inspector header {
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  padding: 6px 10px;
+  font-weight: 600;
+  border-bottom: 1px solid #1e293b;
+}
+.dnd-inspector button,
+.dnd-inspector input,
+.dnd-inspector select {
+  font: inherit;
+  color: inherit;
+  background: #1e293b;
+  border: 1px solid #334155;
+  border-radius: 4px;
+  padding: 1px 6px;
+}
+.dnd-inspector button {
+  cursor: pointer;
+}
+.dnd-inspector.collapsed > :not(header) {
+  display: none;
+}
+.dnd-inspector-status {
+  display: grid;
+  grid-template-columns: auto 1fr;
+  gap: 2px 10px;
+  margin: 0;
+  padding: 6px 10px;
+  border-bottom: 1px solid #1e293b;
+}
+.dnd-inspector-status dt {
+  color: #94a3b8;
+}
+.dnd-inspector-status dd {
+  margin: 0;
+}
+.dnd-inspector-filters {
+  display: flex;
+  gap: 6px;
+  padding: 6px 10px;
+}
+.dnd-inspector-filters input {
+  flex: 1;
+}
+.dnd-inspector-log {
+  overflow-y: auto;
+  margin: 0;
+  padding: 0 10px 6px;
+  list-style: none;
+}
+.dnd-inspector-log li {
+  display: grid;
+  grid-template-columns: 7em 1.5em 1fr auto auto;
+  gap: 6px;
+  align-items: baseline;
+  padding: 1px 0;
+  cursor: pointer;
+}
+.dnd-inspector-log li[data-direction="in"] .direction {
+  color: #4ade80;
+}
+.dnd-inspector-log li[data-direction="out"] .direction {
+  color: #60a5fa;
+}
+.dnd-inspector-log .latency {
+  color: #94a3b8;
+}
+.dnd-inspector-log pre {
+  grid-column: 1 / -1;
+  margin: 2px 0 4px;
+  white-space: pre-wrap;
+  color: #cbd5e1;
+}
+`;
+
+/**
+ * Add the overlay styles to a document, once.
+ *
+ * @param {Document} doc - The document
+ * @private
+ */
+function addStyles(doc) {
+  if (doc.querySelector('style[data-dnd-inspector]')) return;
+
+  const style = doc.createElement('style');
+  style.dataset.dndInspector = '';
+  style.textContent = STYLES;
+  doc.head.appendChild(style);
+}
+
+/**
+ * Create an element with a class and text.
+ *
+ * @param {string} tag - Tag name
+ * @param {string} [className] - Class name
+ * @param {string} [text] - Text content
+ * @returns {HTMLElement} The element
+ * @private
+ */
+function createElement(tag, className, text) {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text !== undefined) element.textContent = text;
+  return element;
+}
+
+/**
+ * Check an entry against a filter: every space-separated term must occur in its
+ * type or peer, and terms starting with `-` must not.
+ *
+ * @param {import('./logger.js').MessageHistoryEntry} entry - The entry
+ * @param {string} filter - The filter text
+ * @returns {boolean} True if the entry passes
+ * @private
+ */
+function matchesFilter(entry, filter) {
+  const haystack = `${entry.type ?? ''} ${entry.peer ?? ''}`.toLowerCase();
+  return filter.toLowerCase().split(/\s+/).filter(Boolean).every(term => {
+    return term.startsWith('-') ? !haystack.includes(term.slice(1)) : haystack.includes(term);
+  });
+}
+
+/**
+ * Re-sends a message from the history.
+ *
+ * @callback ReplayHandler
+ * @param {import('./logger.js').MessageHistoryEntry} entry - A message the page sent
+ * @returns {void}
+ */
+
+/**
+ * @typedef {Object} ProtocolInspectorOptions
+ * @property {Object} manager - The page's communication manager, e.g. an
+ *   `IframeCommunicationManager` or a `HybridCommunicationManager`
+ * @property {import('./logger.js').MessageHistory} history - History the manager records into
+ * @property {ReplayHandler} [replay] - Re-sends a message; defaults to the manager's own
+ *   `send()`, `sendTo()` or `broadcast()`
+ */
+
+/**
+ * Live protocol tracing overlay for coordinator pages.
+ *
+ * @class ProtocolInspector
+ * @description
+ * Shows, for the manager it inspects:
+ * - Every message sent and received, newest last, with its latency (from the
+ *   message's `timestamp`); click a message to see it in full
+ * - The frames (with their handshake status) or windows the manager knows
+ * - The current drag, for managers that track one
+ * - Whether messages travel over BroadcastChannel or postMessage
+ *
+ * The filter keeps messages whose type or peer contains every term; prefix a
+ * term with `-` to hide matches instead (`-dragMove -parentDragMove` hides the
+ * pointer traffic). Messages the page sent have a Replay button.
+ *
+ * @example
+ * const inspector = new ProtocolInspector({ manager, history });
+ * inspector.mount();
+ * inspector.unmount();
+ */
+export class ProtocolInspector {
+  /**
+   * Create a protocol inspector.
+   *
+   * @constructor
+   * @param {ProtocolInspectorOptions} options - Inspector options
+   * @throws {TypeError} If no manager or no history is given
+   */
+  constructor(options = {}) {
+    const { manager, history, replay = null } = options;
+
+    if (!manager) {
+      throw new TypeError('manager is required');
+    }
+    if (!history || typeof history.subscribe !== 'function') {
+      throw new TypeError('history must be a MessageHistory');
+    }
+
+    /**
+     * The inspected manager
+     * @type {Object}
+     * @private
+     */
+    this.manager = manager;
+
+    /**
+     * History the manager records into
+     * @type {import('./logger.js').MessageHistory}
+     * @private
+     */
+    this.history = history;
+
+    /**
+     * Re-sends a message from the history
+     * @type {ReplayHandler}
+     * @private
+     */
+    this.replay = replay ?? (entry => this.replayWithManager(entry));
+
+    /**
+     * The overlay, while mounted
+     * @type {HTMLElement|null}
+     * @public
+     */
+    this.element = null;
+
+    /**
+     * Current filter text
+     * @type {string}
+     * @private
+     */
+    this.filter = '';
+
+    /**
+     * Direction shown: `all`, `in` or `out`
+     * @type {string}
+     * @private
+     */
+    this.direction = 'all';
+
+    /**
+     * Entries expanded to show the full message
+     * @type {WeakSet<import('./logger.js').MessageHistoryEntry>}
+     * @private
+     */
+    this.expanded = new WeakSet();
+
+    /**
+     * Cleanup for the history subscription and status timer
+     * @type {Function[]}
+     * @private
+     */
+    this.cleanups = [];
+
+    /**
+     * Pending animation frame of a log render
+     * @type {number|null}
+     * @private
+     */
+    this.renderFrame = null;
+  }
+
+  /**
+   * Add the overlay to the page and start tracing.
+   *
+   * @param {HTMLElement} [container=document.body] - Where to add the overlay
+   */
+  mount(container = document.body) {
+    if (this.element) return;
+
+    addStyles(document);
+    this.element = this.createPanel();
+    container.appendChild(this.element);
+
+    this.cleanups.push(this.history.subscribe(() => this.scheduleRender()));
+    const timer = setInterval(() => this.renderStatus(), STATUS_INTERVAL);
+    this.cleanups.push(() => clearInterval(timer));
+
+    this.renderStatus();
+    this.renderLog();
+  }
+
+  /**
+   * Remove the overlay and stop tracing.
+   */
+  unmount() {
+    this.cleanups.forEach(cleanup => cleanup());
+    this.cleanups = [];
+    if (this.renderFrame !== null) {
+      cancelAnimationFrame(this.renderFrame);
+      this.renderFrame = null;
+    }
+    this.element?.remove();
+    this.element = null;
+  }
+
+  /**
+   * Build the overlay.
+   *
+   * @returns {HTMLElement} The overlay
+   * @private
+   */
+  createPanel() {
+    const panel = createElement('section', 'dnd-inspector');
+    panel.setAttribute('aria-label', 'Protocol inspector');
+
+    const header = createElement('header', '', 'Protocol Inspector');
+    const toggle = createElement('button', 'dnd-inspector-toggle', 'Hide');
+    toggle.type = 'button';
+    toggle.addEventListener('click', () => {
+      const collapsed = panel.classList.toggle('collapsed');
+      toggle.textContent = collapsed ? 'Show' : 'Hide';
+    });
+    header.appendChild(toggle);
+
+    const filters = createElement('div', 'dnd-inspector-filters');
+    const filter = createElement('input', 'dnd-inspector-filter');
+    filter.type = 'search';
+    filter.placeholder = 'Filter by type or peer, -term to hide';
+    filter.addEventListener('input', () => {
+      this.filter = filter.value;
+      this.renderLog();
+    });
+    const direction = createElement('select', 'dnd-inspector-direction');
+    for (const [value, label] of [['all', 'All'], ['in', 'Received'], ['out', 'Sent']]) {
+      const option = createElement('option', '', label);
+      option.value = value;
+      direction.appendChild(option);
+    }
+    direction.addEventListener('change', () => {
+      this.direction = direction.value;
+      this.renderLog();
+    });
+    const clear = createElement('button', 'dnd-inspector-clear', 'Clear');
+    clear.type = 'button';
+    clear.addEventListener('click', () => {
+      this.history.clear();
+      this.renderLog();
+    });
+    filters.append(filter, direction, clear);
+
+    panel.append(
+      header,
+      createElement('dl', 'dnd-inspector-status'),
+      filters,
+      createElement('ol', 'dnd-inspector-log')
+    );
+    return panel;
+  }
+
+  /**
+   * Render the log on the next animation frame; messages often arrive in bursts.
+   *
+   * @private
+   */
+  scheduleRender() {
+    if (this.renderFrame !== null) return;
+
+    this.renderFrame = requestAnimationFrame(() => {
+      this.renderFrame = null;
+      this.renderLog();
+    });
+  }
+
+  /**
+   * Render the messages that pass the filters, keeping the scroll at the bottom
+   * if it was there.
+   *
+   * @private
+   */
+  renderLog() {
+    const log = this.element?.querySelector('.dnd-inspector-log');
+    if (!log) return;
+
+    const atBottom = log.scrollTop + log.clientHeight >= log.scrollHeight - 4;
+    const entries = this.history.entries().filter(entry => {
+      return (this.direction === 'all' || entry.direction === this.direction) &&
+        matchesFilter(entry, this.filter);
+    });
+    log.replaceChildren(...entries.map(entry => this.renderEntry(entry)));
+    if (atBottom) {
+      log.scrollTop = log.scrollHeight;
+    }
+  }
+
+  /**
+   * Render one message.
+   *
+   * @param {import('./logger.js').MessageHistoryEntry} entry - The entry
+   * @returns {HTMLLIElement} The list item
+   * @private
+   */
+  renderEntry(entry) {
+    const item = createElement('li');
+    item.dataset.direction = entry.direction;
+    item.dataset.type = entry.type ?? '';
+
+    const time = new Date(entry.time).toISOString().slice(11, 23);
+    item.append(
+      createElement('span', 'time', time),
+      createElement('span', 'direction', entry.direction === 'in' ? '←' : '→'),
+      createElement('span', 'message', `${entry.type ?? '?'} ${entry.peer ? `(${entry.peer})` : ''}`),
+      createElement('span', 'latency', entry.latency === null ? '' : `${entry.latency} ms`)
+    );
+
+    if (entry.direction === 'out') {
+      const replay = createElement('button', 'replay', 'Replay');
+      replay.type = 'button';
+      replay.addEventListener('click', (event) => {
+        event.stopPropagation();
+        try {
+          this.replay(entry);
+        } catch (err) {
+          console.error('Replay failed:', err);
+        }
+      });
+      item.appendChild(replay);
+    } else {
+      item.appendChild(createElement('span'));
+    }
+
+    if (this.expanded.has(entry)) {
+      item.appendChild(createElement('pre', '', JSON.stringify(entry.message, null, 2)));
+    }
+    item.addEventListener('click', () => {
+      if (this.expanded.has(entry)) {
+        this.expanded.delete(entry);
+      } else {
+        this.expanded.add(entry);
+      }
+      this.renderLog();
+    });
+    return item;
+  }
+
+  /**
+   * Render the peers, drag state and transport.
+   *
+   * @private
+   */
+  renderStatus() {
+    const status = this.element?.querySelector('.dnd-inspector-status');
+    if (!status) return;
+
+    const rows = [
+      ['Transport', this.getTransport()],
+      ['Peers', this.getPeers()],
+      ['Drag', this.getDrag()]
+    ];
+    status.replaceChildren(...rows.flatMap(([term, value]) => [
+      createElement('dt', '', term),
+      createElement('dd', `dnd-inspector-${term.toLowerCase()}`, value)
+    ]));
+  }
+
+  /**
+   * Describe how the manager's messages travel.
+   *
+   * @returns {string} `BroadcastChannel` or `postMessage`
+   * @private
+   */
+  getTransport() {
+    const { manager } = this;
+    if ('useBroadcastChannel' in manager) {
+      return manager.useBroadcastChannel ? 'BroadcastChannel' : 'postMessage (BroadcastChannel unavailable)';
+    }
+    if (typeof BroadcastChannel !== 'undefined' && manager.channel instanceof BroadcastChannel) {
+      return 'BroadcastChannel';
+    }
+    return 'postMessage';
+  }
+
+  /**
+   * Describe the frames or windows the manager knows.
+   *
+   * @returns {string} Comma-separated peers
+   * @private
+   */
+  getPeers() {
+    const { manager } = this;
+    let peers = [];
+    if (typeof manager.getFrameStatuses === 'function') {
+      peers = manager.getFrameStatuses().map(frame => `${frame.id} (${frame.status})`);
+    } else if (typeof manager.getKnownWindows === 'function') {
+      peers = manager.getKnownWindows();
+    }
+    return peers.length ? peers.join(', ') : 'none';
+  }
+
+  /**
+   * Describe the current drag.
+   *
+   * @returns {string} The drag, `idle`, or that the manager does not track drags
+   * @private
+   */
+  getDrag() {
+    if (typeof this.manager.getDragState !== 'function') {
+      return 'not tracked by this manager';
+    }
+
+    const drag = this.manager.getDragState();
+    const pending = drag.pendingDrops.length ? `, ${drag.pendingDrops.length} drop(s) pending` : '';
+    if (!drag.dragging) {
+      return `idle${pending}`;
+    }
+    return `"${drag.text}" from ${drag.sourceFrameId} over ${drag.hoveredFrameId ?? 'nothing'} ` +
+      `(${drag.dropEffect})${pending}`;
+  }
+
+  /**
+   * Re-send a message through the inspected manager.
+   *
+   * @param {import('./logger.js').MessageHistoryEntry} entry - A message the page sent
+   * @throws {Error} If the manager cannot send it
+   * @private
+   */
+  replayWithManager(entry) {
+    const { manager } = this;
+    const { message, peer } = entry;
+
+    if (typeof manager.send === 'function' && peer !== 'parent') {
+      const payload = Object.fromEntries(
+        Object.entries(message).filter(([key]) => !ENVELOPE_FIELDS.includes(key))
+      );
+      manager.send(peer, message.type, payload);
+    } else if (message.target && typeof manager.sendTo === 'function') {
+      manager.sendTo(message.target, message.type, message.data);
+    } else if (typeof manager.broadcast === 'function') {
+      manager.broadcast(message.type, message.data);
+    } else {
+      throw new Error(`Cannot replay "${message.type}" with this manager`);
+    }
+  }
+}
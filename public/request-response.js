@@ -0,0 +1,362 @@
+/**
+ * @fileoverview Request/response messaging on top of the cross-window managers.
+ *
+ * @module request-response
+ * @description
+ * `sendTo()` is fire-and-forget. `BroadcastCommunicationManager` and
+ * `HybridCommunicationManager` also offer `request(targetId, type, data)`,
+ * which resolves with what the target's `handle(type, fn)` handler returned.
+ * Requests and responses travel as `rpcRequest` and `rpcResponse` messages
+ * over whatever transport the manager uses, matched by a `requestId`. A
+ * request fails with a {@link RequestError} when it times out, the target
+ * has no handler or its handler throws, the target leaves, or the manager is
+ * closed.
+ *
+ * @example
+ * // In the window that owns the rows
+ * manager.handle('getRows', async () => table.getRows());
+ *
+ * // In another window
+ * try {
+ *   const rows = await manager.request('target-table', 'getRows', {}, { timeout: 2000 });
+ * } catch (err) {
+ *   if (err.code === REQUEST_ERROR_CODES.TIMEOUT) showOffline();
+ * }
+ *
+ * @author iframe-dnd-demo
+ * @version 1.0.0
+ */
+
+/**
+ * Error codes reported by {@link RequestError}.
+ * @enum {string}
+ */
+export const REQUEST_ERROR_CODES = Object.freeze({
+  /** No response arrived within the timeout */
+  TIMEOUT: 'TIMEOUT',
+  /** The target closed or stopped responding before it answered */
+  TARGET_LEFT: 'TARGET_LEFT',
+  /** The target has no handler for the request type */
+  NO_HANDLER: 'NO_HANDLER',
+  /** The target's handler threw or rejected */
+  HANDLER_FAILED: 'HANDLER_FAILED',
+  /** The manager was closed before the response arrived */
+  CLOSED: 'CLOSED'
+});
+
+/**
+ * Message types of requests and their responses.
+ * @type {Set<string>}
+ * @private
+ */
+const REQUEST_MESSAGE_TYPES = new Set(['rpcRequest', 'rpcResponse']);
+
+/**
+ * Error a request is rejected with.
+ *
+ * @class RequestError
+ * @extends Error
+ *
+ * @example
+ * manager.request('frame-b', 'acceptRow', row).catch((err) => {
+ *   console.log(err.code);    // 'HANDLER_FAILED'
+ *   console.log(err.details); // { targetId: 'frame-b', type: 'acceptRow', requestId: '…' }
+ * });
+ */
+export class RequestError extends Error {
+  /**
+   * Create a request error.
+   *
+   * @constructor
+   * @param {string} code - One of {@link REQUEST_ERROR_CODES}
+   * @param {string} message - Human-readable description
+   * @param {Object} [details={}] - The request's target, type and ID
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+
+    /**
+     * Error name
+     * @type {string}
+     * @public
+     */
+    this.name = 'RequestError';
+
+    /**
+     * Machine-readable error code
+     * @type {string}
+     * @public
+     */
+    this.code = code;
+
+    /**
+     * The request's target, type and ID
+     * @type {Object}
+     * @public
+     */
+    this.details = details;
+  }
+
+  /**
+   * Serialize the error so it can be logged or posted to another window.
+   *
+   * @returns {{name: string, code: string, message: string, details: Object}}
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      code: this.code,
+      message: this.message,
+      details: this.details
+    };
+  }
+}
+
+/**
+ * Check a timeout in milliseconds.
+ *
+ * @param {number} timeout - The timeout
+ * @param {string} name - Option name used in the error message
+ * @returns {number} The timeout
+ * @throws {Error} If the timeout is not a positive number
+ */
+export function resolveRequestTimeout(timeout, name) {
+  if (!(Number.isFinite(timeout) && timeout > 0)) {
+    throw new Error(`Invalid ${name} "${timeout}"`);
+  }
+  return timeout;
+}
+
+/**
+ * Create a unique request ID.
+ *
+ * @returns {string} A new request ID
+ * @private
+ */
+function createRequestId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return `request-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Keeps track of a manager's pending requests and request handlers.
+ *
+ * @class RequestTracker
+ * @description
+ * Used by the cross-window managers, which pass it the messages they
+ * receive and tell it when a window leaves. It sends through the manager's
+ * `sendTo()`, so requests take the same route as any other targeted message.
+ */
+export class RequestTracker {
+  /**
+   * Create a request tracker.
+   *
+   * @constructor
+   * @param {Object} options - Tracker options
+   * @param {function(string, string, Object): void} options.send - Sends a message to one window
+   * @param {number} options.timeout - Default milliseconds to wait for a response
+   * @param {import('./logger.js').Logger} options.logger - Where to log
+   */
+  constructor({ send, timeout, logger }) {
+    /**
+     * Sends a message to one window
+     * @type {function(string, string, Object): void}
+     * @private
+     */
+    this.send = send;
+
+    /**
+     * Default milliseconds to wait for a response
+     * @type {number}
+     * @private
+     */
+    this.timeout = timeout;
+
+    /**
+     * Where to log
+     * @type {import('./logger.js').Logger}
+     * @private
+     */
+    this.logger = logger;
+
+    /**
+     * Requests waiting for a response, by request ID
+     * @type {Map<string, {targetId: string, type: string, resolve: Function, reject: Function, timer: number}>}
+     * @private
+     */
+    this.pending = new Map();
+
+    /**
+     * Request handlers, by request type
+     * @type {Map<string, Function>}
+     * @private
+     */
+    this.handlers = new Map();
+  }
+
+  /**
+   * Send a request and wait for its response.
+   *
+   * @param {string} targetId - Window that should answer
+   * @param {string} type - Request type the target handles
+   * @param {*} [data] - Passed to the target's handler
+   * @param {Object} [options={}] - Request options
+   * @param {number} [options.timeout] - Milliseconds to wait; the tracker's default when omitted
+   * @returns {Promise<*>} What the target's handler returned
+   * @throws {Error} If `targetId` or `type` is missing, or the timeout is not a positive number
+   */
+  request(targetId, type, data, options = {}) {
+    if (!targetId || !type) {
+      throw new Error('targetId and type are required');
+    }
+    const timeout = resolveRequestTimeout(options.timeout ?? this.timeout, 'timeout');
+    const requestId = createRequestId();
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.settle(requestId, REQUEST_ERROR_CODES.TIMEOUT, `No response to "${type}" from ${targetId} within ${timeout} ms`);
+      }, timeout);
+      this.pending.set(requestId, { targetId, type, resolve, reject, timer });
+      this.send(targetId, 'rpcRequest', { requestId, requestType: type, payload: data });
+    });
+  }
+
+  /**
+   * Answer requests of a type. A second handler for the same type replaces the first.
+   *
+   * @param {string} type - Request type
+   * @param {function(*, string): *} handler - Gets the request data and the requesting
+   *   window's ID; its return value, or what its promise resolves with, is the response
+   * @throws {TypeError} If `handler` is not a function
+   */
+  handle(type, handler) {
+    if (typeof handler !== 'function') {
+      throw new TypeError('handler must be a function');
+    }
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Stop answering requests of a type.
+   *
+   * @param {string} type - Request type
+   */
+  unhandle(type) {
+    this.handlers.delete(type);
+  }
+
+  /**
+   * Handle a received message if it is a request or a response.
+   *
+   * @param {Object} message - Envelope with `type`, `source` and `data`
+   * @returns {boolean} True if the message was a request or a response
+   */
+  receive(message) {
+    if (!REQUEST_MESSAGE_TYPES.has(message.type)) return false;
+
+    if (message.type === 'rpcRequest') {
+      this.answer(message.data, message.source);
+    } else {
+      this.resolveResponse(message.data, message.source);
+    }
+    return true;
+  }
+
+  /**
+   * Run the handler of a request and send back its result or error.
+   *
+   * @param {Object} request - The `rpcRequest` payload
+   * @param {string} sourceId - The requesting window
+   * @returns {Promise<void>}
+   * @private
+   */
+  async answer(request, sourceId) {
+    const { requestId, requestType, payload } = request;
+    const handler = this.handlers.get(requestType);
+
+    if (!handler) {
+      this.logger.warn(`No handler for request "${requestType}" from ${sourceId}`);
+      this.send(sourceId, 'rpcResponse', {
+        requestId,
+        error: { code: REQUEST_ERROR_CODES.NO_HANDLER, message: `No handler for "${requestType}"` }
+      });
+      return;
+    }
+
+    try {
+      const result = await handler(payload, sourceId);
+      this.send(sourceId, 'rpcResponse', { requestId, result });
+    } catch (error) {
+      this.logger.error(`Handler for request "${requestType}" failed:`, error);
+      this.send(sourceId, 'rpcResponse', {
+        requestId,
+        error: { code: REQUEST_ERROR_CODES.HANDLER_FAILED, message: String(error?.message ?? error) }
+      });
+    }
+  }
+
+  /**
+   * Settle the request a response belongs to.
+   *
+   * @param {Object} response - The `rpcResponse` payload
+   * @param {string} sourceId - The answering window
+   * @private
+   */
+  resolveResponse(response, sourceId) {
+    const request = this.pending.get(response.requestId);
+    if (!request || request.targetId !== sourceId) {
+      this.logger.debug(`Ignoring response to unknown request ${response.requestId} from ${sourceId}`);
+      return;
+    }
+
+    if (response.error) {
+      this.settle(response.requestId, response.error.code ?? REQUEST_ERROR_CODES.HANDLER_FAILED, response.error.message);
+    } else {
+      clearTimeout(request.timer);
+      this.pending.delete(response.requestId);
+      request.resolve(response.result);
+    }
+  }
+
+  /**
+   * Reject a pending request.
+   *
+   * @param {string} requestId - The request
+   * @param {string} code - One of {@link REQUEST_ERROR_CODES}
+   * @param {string} message - Human-readable description
+   * @private
+   */
+  settle(requestId, code, message) {
+    const request = this.pending.get(requestId);
+    if (!request) return;
+
+    clearTimeout(request.timer);
+    this.pending.delete(requestId);
+    request.reject(new RequestError(code, message, { targetId: request.targetId, type: request.type, requestId }));
+  }
+
+  /**
+   * Reject the pending requests to a window that left.
+   *
+   * @param {string} targetId - The window
+   */
+  rejectTarget(targetId) {
+    for (const [requestId, request] of Array.from(this.pending)) {
+      if (request.targetId === targetId) {
+        this.settle(requestId, REQUEST_ERROR_CODES.TARGET_LEFT, `${targetId} left before answering "${request.type}"`);
+      }
+    }
+  }
+
+  /**
+   * Reject all pending requests and forget the handlers.
+   */
+  close() {
+    for (const [requestId, request] of Array.from(this.pending)) {
+      this.settle(requestId, REQUEST_ERROR_CODES.CLOSED, `Closed before ${request.targetId} answered "${request.type}"`);
+    }
+    this.handlers.clear();
+  }
+}
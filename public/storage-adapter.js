@@ -0,0 +1,276 @@
+/**
+ * @fileoverview Storage adapters that keep the contents of frames across reloads.
+ *
+ * @module storage-adapter
+ * @description
+ * `DraggableItemsManager`, `DropZonesManager` and the `<drag-drop-table>`
+ * element take a `storage` option: any object with asynchronous `load(key)`
+ * and `save(key, value)` methods. They restore what was saved under their key
+ * when they start, and save again after every drop, removal and paste. This
+ * module ships an adapter for `localStorage` and one for IndexedDB.
+ *
+ * @example
+ * import { LocalStorageAdapter } from './storage-adapter.js';
+ *
+ * const manager = new DraggableItemsManager({
+ *   frameId: 'frame-a',
+ *   storage: new LocalStorageAdapter()
+ * });
+ * await manager.initialize();
+ *
+ * @author iframe-dnd-demo
+ * @version 1.0.0
+ */
+
+/**
+ * @typedef {Object} StorageAdapter
+ * @property {function(string): Promise<*>} load - Resolves with the value saved under a
+ *   key, or `undefined` if nothing was saved
+ * @property {function(string, *): Promise<void>} save - Saves a JSON-compatible value under a key
+ * @property {function(string): Promise<void>} [remove] - Forgets the value saved under a key
+ */
+
+/**
+ * Methods every storage adapter must have.
+ * @type {string[]}
+ * @private
+ */
+const STORAGE_METHODS = ['load', 'save'];
+
+/**
+ * Check the `storage` option of a manager.
+ *
+ * @param {StorageAdapter|null|undefined} storage - The option
+ * @returns {StorageAdapter|null} The adapter, or null when none is given
+ * @throws {TypeError} If the adapter lacks `load` or `save`
+ */
+export function resolveStorage(storage) {
+  if (storage == null) return null;
+  if (!STORAGE_METHODS.every(method => typeof storage[method] === 'function')) {
+    throw new TypeError('Invalid storage: load and save methods are required');
+  }
+  return storage;
+}
+
+/**
+ * Storage adapter that keeps values as JSON in `localStorage`.
+ *
+ * @class LocalStorageAdapter
+ * @description
+ * Values are saved synchronously under `prefix + key`; the methods return
+ * promises to match the other adapters. Unreadable entries fail to load and
+ * quota errors fail to save, as rejected promises.
+ *
+ * @example
+ * const storage = new LocalStorageAdapter({ prefix: 'invoice-editor:' });
+ * const dropZones = new DropZonesManager({ frameId: 'frame-b', storage });
+ */
+export class LocalStorageAdapter {
+  /**
+   * Create a localStorage adapter.
+   *
+   * @constructor
+   * @param {Object} [options={}] - Adapter options
+   * @param {string} [options.prefix='iframe-dnd:'] - Prepended to every key
+   * @param {Storage} [options.storage=localStorage] - Where the values go, e.g. `sessionStorage`
+   */
+  constructor(options = {}) {
+    const { prefix = 'iframe-dnd:', storage = window.localStorage } = options;
+
+    /**
+     * Prepended to every key
+     * @type {string}
+     * @public
+     */
+    this.prefix = prefix;
+
+    /**
+     * Where the values go
+     * @type {Storage}
+     * @private
+     */
+    this.storage = storage;
+  }
+
+  /**
+   * Load the value saved under a key.
+   *
+   * @param {string} key - The key
+   * @returns {Promise<*>} The value, or `undefined` if nothing was saved
+   */
+  async load(key) {
+    const json = this.storage.getItem(this.prefix + key);
+    return json === null ? undefined : JSON.parse(json);
+  }
+
+  /**
+   * Save a value under a key.
+   *
+   * @param {string} key - The key
+   * @param {*} value - A JSON-compatible value
+   * @returns {Promise<void>}
+   */
+  async save(key, value) {
+    this.storage.setItem(this.prefix + key, JSON.stringify(value));
+  }
+
+  /**
+   * Forget the value saved under a key.
+   *
+   * @param {string} key - The key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    this.storage.removeItem(this.prefix + key);
+  }
+}
+
+/**
+ * Open a database, creating the object store on upgrade.
+ *
+ * @param {string} databaseName - Name of the database
+ * @param {string} storeName - Object store that must exist
+ * @param {number} [version] - Version to open; the current one when omitted
+ * @returns {Promise<IDBDatabase>} The open database
+ * @private
+ */
+function openDatabase(databaseName, storeName, version) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(databaseName, version);
+    request.onupgradeneeded = () => {
+      if (!request.result.objectStoreNames.contains(storeName)) {
+        request.result.createObjectStore(storeName);
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Storage adapter that keeps values in an IndexedDB object store.
+ *
+ * @class IndexedDBAdapter
+ * @description
+ * Holds more than `localStorage` and does not block the page while saving.
+ * The database is opened on first use; an object store missing from an
+ * existing database is added by upgrading it. The connection is closed when
+ * another page upgrades the database, and opened again on the next call.
+ *
+ * @example
+ * const storage = new IndexedDBAdapter({ databaseName: 'construction-calc' });
+ * table.storage = storage;
+ */
+export class IndexedDBAdapter {
+  /**
+   * Create an IndexedDB adapter.
+   *
+   * @constructor
+   * @param {Object} [options={}] - Adapter options
+   * @param {string} [options.databaseName='iframe-dnd'] - Name of the database
+   * @param {string} [options.storeName='frames'] - Object store the values go in
+   */
+  constructor(options = {}) {
+    const { databaseName = 'iframe-dnd', storeName = 'frames' } = options;
+
+    /**
+     * Name of the database
+     * @type {string}
+     * @public
+     */
+    this.databaseName = databaseName;
+
+    /**
+     * Object store the values go in
+     * @type {string}
+     * @public
+     */
+    this.storeName = storeName;
+
+    /**
+     * The open database, once `open()` was called
+     * @type {Promise<IDBDatabase>|null}
+     * @private
+     */
+    this.database = null;
+  }
+
+  /**
+   * Open the database, if it is not open yet.
+   *
+   * @returns {Promise<IDBDatabase>} The open database
+   * @private
+   */
+  open() {
+    if (!this.database) {
+      this.database = (async () => {
+        let database = await openDatabase(this.databaseName, this.storeName);
+        if (!database.objectStoreNames.contains(this.storeName)) {
+          const version = database.version + 1;
+          database.close();
+          database = await openDatabase(this.databaseName, this.storeName, version);
+        }
+        database.onversionchange = () => {
+          database.close();
+          this.database = null;
+        };
+        return database;
+      })();
+      // A failed open is tried again on the next call
+      this.database.catch(() => {
+        this.database = null;
+      });
+    }
+    return this.database;
+  }
+
+  /**
+   * Run a request in a transaction on the object store.
+   *
+   * @param {IDBTransactionMode} mode - `readonly` or `readwrite`
+   * @param {function(IDBObjectStore): IDBRequest} operation - Makes the request
+   * @returns {Promise<*>} The request's result, once the transaction completed
+   * @private
+   */
+  async run(mode, operation) {
+    const database = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(this.storeName, mode);
+      const request = operation(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Load the value saved under a key.
+   *
+   * @param {string} key - The key
+   * @returns {Promise<*>} The value, or `undefined` if nothing was saved
+   */
+  load(key) {
+    return this.run('readonly', store => store.get(key));
+  }
+
+  /**
+   * Save a value under a key.
+   *
+   * @param {string} key - The key
+   * @param {*} value - A structured-cloneable value
+   * @returns {Promise<void>}
+   */
+  async save(key, value) {
+    await this.run('readwrite', store => store.put(value, key));
+  }
+
+  /**
+   * Forget the value saved under a key.
+   *
+   * @param {string} key - The key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    await this.run('readwrite', store => store.delete(key));
+  }
+}